@@ -13,6 +13,17 @@ import LoginDoctor from "./components/Doctor/Login";
 import DashboardDoctor from "./components/Doctor/Dashboard";
 import Prescribe from "./pages/Prescribe";
 
+// Pharmacy Components
+import RegistrationPharmacy from "./components/Pharmacy/Registration";
+import LoginPharmacy from "./components/Pharmacy/Login";
+import DashboardPharmacy from "./components/Pharmacy/Dashboard";
+
+// Hospital Components
+import RegistrationHospital from "./components/Hospital/Registration";
+import LoginHospital from "./components/Hospital/Login";
+import DashboardHospital from "./components/Hospital/Dashboard";
+import HospitalApprovals from "./components/Hospital/Approvals";
+
 import Header from "./components/Header";
 import Homepage from "./pages/Homepage";
 import Hospital from "./pages/Hospital";
@@ -24,7 +35,9 @@ import PrivateRoute from "./components/PrivateRoute";
 
 import AppointmentsPatients from "./pages/AppointmentsPatients";
 import AppointmentDoctor from "./pages/AppointmentDoctor";
+import DoctorPatients from "./pages/DoctorPatients";
 import Prescription from "./pages/Prescription";
+import RecoverAccount from "./pages/RecoverAccount";
 
 import Footer from "./components/Footer";
 import Contact from "./components/Contact";
@@ -43,6 +56,7 @@ const App = () => {
         <Route path="/hospitals" element={<Hospital />} />
         <Route path="/login" element={<LoginPage />} />
         <Route path="/register" element={<RegisterPage />} />
+        <Route path="/recover" element={<RecoverAccount />} />
 
         {/* Patient */}
         <Route path="/patient-register" element={<RegistrationPatient />} />
@@ -83,6 +97,14 @@ const App = () => {
             </PrivateRoute>
           }
         />
+        <Route
+          path="doctor/:licenseNumber/patients"
+          element={
+            <PrivateRoute>
+              <DoctorPatients />
+            </PrivateRoute>
+          }
+        />
         <Route
           path="/doctor-appointments"
           element={
@@ -99,10 +121,34 @@ const App = () => {
             </PrivateRoute>
           }
         />
-        
+
+        {/* Pharmacy */}
+        <Route path="/pharmacy-register" element={<RegistrationPharmacy />} />
+        <Route path="/pharmacy-login" element={<LoginPharmacy />} />
+        <Route
+          path="pharmacy/:licenseNumber"
+          element={
+            <PrivateRoute>
+              <DashboardPharmacy />
+            </PrivateRoute>
+          }
+        />
+
+        {/* Hospital */}
+        <Route path="/hospital-register" element={<RegistrationHospital />} />
+        <Route path="/hospital-login" element={<LoginHospital />} />
+        <Route path="/hospital-approvals" element={<HospitalApprovals />} />
+        <Route
+          path="hospital/:hospitalId"
+          element={
+            <PrivateRoute>
+              <DashboardHospital />
+            </PrivateRoute>
+          }
+        />
 
         {/* Doctor List - Public */}
-        <Route path="/doctor-list/:hospitalName" element={<Doctors />} />
+        <Route path="/doctor-list/:hospitalId" element={<Doctors />} />
         <Route path="/contact" element={<Contact />} />
         <Route path="/services" element={<Services />} />
         <Route path="/about" element={<About />} />
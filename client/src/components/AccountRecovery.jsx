@@ -0,0 +1,218 @@
+/* eslint-disable no-unused-vars */
+import { useState, useEffect } from "react";
+import { motion } from "framer-motion";
+import { isAddress, ZeroAddress } from "ethers";
+import { toast } from "react-toastify";
+import { FaKey, FaExchangeAlt, FaBoxOpen } from "react-icons/fa";
+
+// recovery address, wallet rotation and moving Upload data off retired wallets;
+// registryContract is PatientRegistration or DoctorRegistration, number the hh/license number
+const AccountRecovery = ({
+  registryContract,
+  uploadContract,
+  number,
+  account,
+  onRotated,
+}) => {
+  const [recoveryAddress, setRecoveryAddress] = useState("");
+  const [recoveryInput, setRecoveryInput] = useState("");
+  const [newWallet, setNewWallet] = useState("");
+  const [unmigrated, setUnmigrated] = useState([]);
+  const [version, setVersion] = useState(0);
+  const [busy, setBusy] = useState("");
+
+  useEffect(() => {
+    const fetchRecovery = async () => {
+      try {
+        const current = await registryContract.recoveryAddress(number);
+        setRecoveryAddress(current === ZeroAddress ? "" : current);
+
+        const history = await registryContract.getWalletHistory(number);
+        const pending = await Promise.all(
+          history.map(async (wallet) =>
+            (await uploadContract.isMigrated(wallet)) ? null : wallet
+          )
+        );
+        setUnmigrated(pending.filter(Boolean));
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    if (registryContract && uploadContract && number) {
+      fetchRecovery();
+    }
+  }, [registryContract, uploadContract, number, version]);
+
+  const handleSetRecovery = async (e) => {
+    e.preventDefault();
+    if (!isAddress(recoveryInput)) {
+      toast.error("Please enter a valid wallet address.");
+      return;
+    }
+    if (recoveryInput.toLowerCase() === account?.toLowerCase()) {
+      toast.error("The recovery address must be a different wallet.");
+      return;
+    }
+
+    try {
+      setBusy("recovery");
+      const tx = await registryContract.setRecoveryAddress(
+        number,
+        recoveryInput
+      );
+      await tx.wait();
+      toast.success("Recovery address saved.");
+      setRecoveryInput("");
+      setVersion((v) => v + 1);
+    } catch (err) {
+      console.log(err);
+      toast.error("Unable to save the recovery address.");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const handleRotate = async (e) => {
+    e.preventDefault();
+    if (!isAddress(newWallet)) {
+      toast.error("Please enter a valid wallet address.");
+      return;
+    }
+    if (
+      !window.confirm(
+        "Move your account to this wallet? You will have to log in again with it."
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setBusy("rotate");
+      const tx = await registryContract.changeWallet(number, newWallet);
+      await tx.wait();
+      toast.success(
+        "Wallet changed. Log in with the new wallet to bring your records over."
+      );
+      onRotated();
+    } catch (err) {
+      console.log(err);
+      toast.error("Unable to change the wallet.");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const handleMigrate = async (wallet) => {
+    try {
+      setBusy(wallet);
+      const tx = await uploadContract.migrateAccount(wallet);
+      await tx.wait();
+      toast.success("Records and sharing moved to this wallet.");
+      setVersion((v) => v + 1);
+    } catch (err) {
+      console.log(err);
+      toast.error("Unable to move the records.");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white bg-opacity-90 backdrop-blur-sm rounded-3xl shadow-2xl p-8"
+    >
+      <h2 className="text-2xl font-bold text-[#0a0f2c] mb-6 pb-4 border-b border-gray-200 flex items-center">
+        <FaKey className="text-purple-400 mr-3" />
+        Wallet &amp; Recovery
+      </h2>
+
+      {unmigrated.length > 0 && (
+        <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg space-y-3">
+          <p className="text-sm text-yellow-800 flex items-center">
+            <FaBoxOpen className="mr-2" />
+            Records and sharing from your previous wallet haven&apos;t been
+            moved yet.
+          </p>
+          {unmigrated.map((wallet) => (
+            <div
+              key={wallet}
+              className="flex flex-col sm:flex-row sm:items-center justify-between gap-2"
+            >
+              <span className="font-mono text-sm text-gray-700 break-all">
+                {wallet}
+              </span>
+              <button
+                type="button"
+                onClick={() => handleMigrate(wallet)}
+                disabled={busy === wallet}
+                className="px-4 py-2 text-sm font-semibold rounded-lg bg-[#0a0f2c] text-white hover:bg-[#1a1f3c] transition disabled:opacity-50"
+              >
+                {busy === wallet ? "Moving..." : "Move to this wallet"}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <form onSubmit={handleSetRecovery} className="space-y-3">
+          <p className="text-sm font-semibold text-gray-500 uppercase tracking-wider">
+            Recovery address
+          </p>
+          <p className="text-sm text-gray-600 break-all">
+            {recoveryAddress ? (
+              <span className="font-mono">{recoveryAddress}</span>
+            ) : (
+              "None set. Add a second wallet that can restore your account if this one is lost."
+            )}
+          </p>
+          <input
+            type="text"
+            placeholder="0x..."
+            value={recoveryInput}
+            onChange={(e) => setRecoveryInput(e.target.value.trim())}
+            className="w-full px-3 py-2 border border-gray-200 rounded-lg font-mono text-sm focus:ring-2 focus:ring-cyan-300"
+          />
+          <button
+            type="submit"
+            disabled={busy === "recovery"}
+            className="w-full py-2 font-semibold rounded-lg bg-gradient-to-r from-cyan-400 to-blue-500 text-[#0a0f2c] shadow-md hover:shadow-lg transition disabled:opacity-50"
+          >
+            {recoveryAddress
+              ? "Change Recovery Address"
+              : "Set Recovery Address"}
+          </button>
+        </form>
+
+        <form onSubmit={handleRotate} className="space-y-3">
+          <p className="text-sm font-semibold text-gray-500 uppercase tracking-wider">
+            Move to a new wallet
+          </p>
+          <p className="text-sm text-gray-600">
+            Your number stays the same; only the wallet that signs for it
+            changes.
+          </p>
+          <input
+            type="text"
+            placeholder="New wallet address"
+            value={newWallet}
+            onChange={(e) => setNewWallet(e.target.value.trim())}
+            className="w-full px-3 py-2 border border-gray-200 rounded-lg font-mono text-sm focus:ring-2 focus:ring-cyan-300"
+          />
+          <button
+            type="submit"
+            disabled={busy === "rotate"}
+            className="w-full py-2 font-semibold rounded-lg border border-purple-200 text-purple-700 hover:bg-purple-50 transition disabled:opacity-50 flex items-center justify-center"
+          >
+            <FaExchangeAlt className="mr-2" />
+            Change Wallet
+          </button>
+        </form>
+      </div>
+    </motion.div>
+  );
+};
+
+export default AccountRecovery;
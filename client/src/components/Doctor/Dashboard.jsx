@@ -10,27 +10,52 @@ import {
   FaWallet,
   FaHospital,
   FaEnvelope,
+  FaEdit,
+  FaLayerGroup,
 } from "react-icons/fa";
 
+import ScheduleEditor from "./ScheduleEditor";
+import ProfileEditor from "../ProfileEditor";
+import AccountRecovery from "../AccountRecovery";
+import { SPECIALIZATIONS } from "../../utils/validation";
+import { VERIFICATION_STATUS, fetchHospitals } from "../../utils/directory";
+import VerificationBadge from "../VerificationBadge";
+
 // Doctor - Redux
 import { connectToDoctor } from "../../redux/contract/doctorSlice";
+import { connectToAppoint } from "../../redux/contract/appointmentSlice";
+import { connectToUpload } from "../../redux/contract/uploadSlice";
+import { connectToHospital } from "../../redux/contract/hospitalSlice";
+import { clearUser } from "../../redux/user/userSlice";
 
 // contract address
-import { DOCTOR_CONTRACT_ADDRESS, PRIVATE_KEY } from "../../constants/Values";
+import {
+  DOCTOR_CONTRACT_ADDRESS,
+  APPOINTMENT_CONTRACT_ADDRESS,
+  UPLOAD_CONTRACT_ADDRESS,
+  HOSPITAL_CONTRACT_ADDRESS,
+} from "../../constants/Values";
 
 // Doctor contract JSON
 import DoctorRegistration from "../../constants/DoctorRegistration.json";
+import AppointmentBooking from "../../constants/AppointmentBooking.json";
+import Upload from "../../constants/Upload.json";
+import HospitalRegistry from "../../constants/HospitalRegistry.json";
 
 // initial values
 const contractABI = DoctorRegistration.abi;
 const contractAddress = DOCTOR_CONTRACT_ADDRESS;
-const privateKey = PRIVATE_KEY;
 
 const Dashboard = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
 
-  const { contract } = useSelector((state) => state.doctor);
+  const { contract, account } = useSelector((state) => state.doctor);
+  const uploadContract = useSelector((state) => state.upload.contract);
+  const hospitalContract = useSelector((state) => state.hospital.contract);
+  const appointmentContract = useSelector(
+    (state) => state.appointment.contract
+  );
 
   const authNumber = useSelector((state) => state.user.licenseNumber);
   const { licenseNumber } = useParams();
@@ -38,10 +63,20 @@ const Dashboard = () => {
   // const {licenseNumber} = useParams();
 
   const [doctorDetails, setDoctorDetails] = useState({});
+  const [profileVersion, setProfileVersion] = useState(0);
+  const [editingProfile, setEditingProfile] = useState(false);
+  const [hospitals, setHospitals] = useState([]);
 
   // connect to network
   useEffect(() => {
-    dispatch(connectToDoctor(privateKey, contractAddress, contractABI));
+    dispatch(connectToDoctor(contractAddress, contractABI));
+    dispatch(
+      connectToAppoint(APPOINTMENT_CONTRACT_ADDRESS, AppointmentBooking.abi)
+    );
+    dispatch(connectToUpload(UPLOAD_CONTRACT_ADDRESS, Upload.abi));
+    dispatch(
+      connectToHospital(HOSPITAL_CONTRACT_ADDRESS, HospitalRegistry.abi)
+    );
   }, [dispatch]);
 
   // deny unauthorized access
@@ -65,7 +100,42 @@ const Dashboard = () => {
     if (contract) {
       fetchDoctorDetails();
     }
-  }, [contract, licenseNumber]);
+  }, [contract, licenseNumber, profileVersion]);
+
+  // hospitals the profile editor can move the doctor to
+  useEffect(() => {
+    const getHospitals = async () => {
+      try {
+        setHospitals(await fetchHospitals(hospitalContract));
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    if (hospitalContract && editingProfile) {
+      getHospitals();
+    }
+  }, [hospitalContract, editingProfile]);
+
+  // the old wallet's session is over once the account moves
+  const handleWalletRotated = () => {
+    dispatch(clearUser());
+    localStorage.clear();
+    navigate("/doctor-login");
+  };
+
+  const handleProfileSave = async (values) => {
+    const tx = await contract.updateDoctorProfile(
+      licenseNumber,
+      values.name,
+      values.specialization,
+      values.email,
+      values.hospitalId,
+      values.department
+    );
+    await tx.wait();
+    setEditingProfile(false);
+    setProfileVersion((v) => v + 1);
+  };
   return (
     <div className="min-h-screen w-full p-6 bg-gradient-to-br from-blue-50 via-cyan-50 to-purple-50">
       {/* Doctor Profile */}
@@ -91,82 +161,174 @@ const Dashboard = () => {
             Doctor <span className="text-cyan-300">Profile</span>
           </h2>
           <div className="mt-2 h-1 w-20 bg-cyan-400 mx-auto rounded-full"></div>
+          {doctorDetails.status !== undefined && (
+            <div className="mt-4">
+              <VerificationBadge status={Number(doctorDetails.status)} />
+              {Number(doctorDetails.status) !==
+                VERIFICATION_STATUS.VERIFIED && (
+                <p className="mt-2 text-sm text-gray-300">
+                  Patients can&apos;t find or book you until an admin of{" "}
+                  {doctorDetails.hospital} verifies your license.
+                </p>
+              )}
+            </div>
+          )}
+          {!editingProfile && (
+            <button
+              type="button"
+              onClick={() => setEditingProfile(true)}
+              className="mt-4 inline-flex items-center px-4 py-2 text-sm font-semibold text-cyan-300 border border-cyan-300/40 rounded-lg hover:bg-cyan-300/10 transition"
+            >
+              <FaEdit className="mr-2" />
+              Edit Profile
+            </button>
+          )}
         </div>
 
         {/* Information Grid */}
-        <div className="mt-8 grid grid-cols-1 sm:grid-cols-2 gap-6">
-          {[
-            {
-              label: "Full Name",
-              value: doctorDetails.name,
-              icon: <FaUser className="text-purple-500 text-2xl" />,
-              gradient: "from-purple-50 to-purple-100",
-              border: "border-purple-200",
-            },
-            {
-              label: "Specialization",
-              value: doctorDetails.specialization,
-              icon: <FaStethoscope className="text-green-500 text-2xl" />,
-              gradient: "from-green-50 to-green-100",
-              border: "border-green-200",
-            },
-            {
-              label: "Wallet Address",
-              value: doctorDetails.walletAddress,
-              icon: <FaWallet className="text-cyan-500 text-2xl" />,
-              gradient: "from-cyan-50 to-cyan-100",
-              border: "border-cyan-200",
-            },
-            {
-              label: "Hospital",
-              value: doctorDetails.hospital,
-              icon: <FaHospital className="text-blue-500 text-2xl" />,
-              gradient: "from-blue-50 to-blue-100",
-              border: "border-blue-200",
-            },
-            {
-              label: "Email Address",
-              value: doctorDetails.email,
-              icon: <FaEnvelope className="text-yellow-500 text-2xl" />,
-              gradient: "from-yellow-50 to-yellow-100",
-              border: "border-yellow-200",
-            },
-          ].map((item, index) => (
-            <motion.div
-              key={index}
-              whileHover={{
-                y: -5,
-                boxShadow: "0 15px 30px -10px rgba(0, 0, 0, 0.1)",
-              }}
-              className={`bg-gradient-to-br ${item.gradient} rounded-xl p-6 border ${item.border} shadow-md transition-all duration-300`}
-            >
-              <div className="flex items-start space-x-5">
-                <div
-                  className={`p-4 bg-white rounded-lg shadow-md ${item.border}`}
-                >
-                  {item.icon}
-                </div>
-                <div className="flex-1">
-                  <p className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-2">
-                    {item.label}
-                  </p>
-                  <p
-                    className={`text-lg font-semibold ${
-                      item.label === "Wallet Address"
-                        ? "text-cyan-700 font-mono text-sm"
-                        : "text-gray-800"
-                    } break-all`}
+        {editingProfile ? (
+          <ProfileEditor
+            fields={[
+              { name: "name", label: "Full Name" },
+              {
+                name: "specialization",
+                label: "Specialization",
+                options: SPECIALIZATIONS,
+              },
+              {
+                name: "hospitalId",
+                label: "Hospital",
+                // the current hospital until the list has loaded
+                options:
+                  hospitals.length > 0
+                    ? hospitals.map((h) => ({
+                        value: String(h.id),
+                        label: h.name,
+                      }))
+                    : [
+                        {
+                          value: String(doctorDetails.hospitalId),
+                          label: doctorDetails.hospital,
+                        },
+                      ],
+              },
+              {
+                name: "department",
+                label: "Department",
+                options: (values) =>
+                  hospitals.find((h) => String(h.id) === values.hospitalId)
+                    ?.departments ?? [values.department],
+              },
+              { name: "email", label: "Email Address", type: "email" },
+            ]}
+            initialValues={{
+              name: doctorDetails.name,
+              specialization: doctorDetails.specialization,
+              hospitalId: String(doctorDetails.hospitalId),
+              department: doctorDetails.department,
+              email: doctorDetails.email,
+            }}
+            onSave={handleProfileSave}
+            onCancel={() => setEditingProfile(false)}
+          />
+        ) : (
+          <div className="mt-8 grid grid-cols-1 sm:grid-cols-2 gap-6">
+            {[
+              {
+                label: "Full Name",
+                value: doctorDetails.name,
+                icon: <FaUser className="text-purple-500 text-2xl" />,
+                gradient: "from-purple-50 to-purple-100",
+                border: "border-purple-200",
+              },
+              {
+                label: "Specialization",
+                value: doctorDetails.specialization,
+                icon: <FaStethoscope className="text-green-500 text-2xl" />,
+                gradient: "from-green-50 to-green-100",
+                border: "border-green-200",
+              },
+              {
+                label: "Wallet Address",
+                value: doctorDetails.walletAddress,
+                icon: <FaWallet className="text-cyan-500 text-2xl" />,
+                gradient: "from-cyan-50 to-cyan-100",
+                border: "border-cyan-200",
+              },
+              {
+                label: "Hospital",
+                value: doctorDetails.hospital,
+                icon: <FaHospital className="text-blue-500 text-2xl" />,
+                gradient: "from-blue-50 to-blue-100",
+                border: "border-blue-200",
+              },
+              {
+                label: "Department",
+                value: doctorDetails.department,
+                icon: <FaLayerGroup className="text-pink-500 text-2xl" />,
+                gradient: "from-pink-50 to-pink-100",
+                border: "border-pink-200",
+              },
+              {
+                label: "Email Address",
+                value: doctorDetails.email,
+                icon: <FaEnvelope className="text-yellow-500 text-2xl" />,
+                gradient: "from-yellow-50 to-yellow-100",
+                border: "border-yellow-200",
+              },
+            ].map((item, index) => (
+              <motion.div
+                key={index}
+                whileHover={{
+                  y: -5,
+                  boxShadow: "0 15px 30px -10px rgba(0, 0, 0, 0.1)",
+                }}
+                className={`bg-gradient-to-br ${item.gradient} rounded-xl p-6 border ${item.border} shadow-md transition-all duration-300`}
+              >
+                <div className="flex items-start space-x-5">
+                  <div
+                    className={`p-4 bg-white rounded-lg shadow-md ${item.border}`}
                   >
-                    {item.value || (
-                      <span className="text-gray-400">Not specified</span>
-                    )}
-                  </p>
+                    {item.icon}
+                  </div>
+                  <div className="flex-1">
+                    <p className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-2">
+                      {item.label}
+                    </p>
+                    <p
+                      className={`text-lg font-semibold ${
+                        item.label === "Wallet Address"
+                          ? "text-cyan-700 font-mono text-sm"
+                          : "text-gray-800"
+                      } break-all`}
+                    >
+                      {item.value || (
+                        <span className="text-gray-400">Not specified</span>
+                      )}
+                    </p>
+                  </div>
                 </div>
-              </div>
-            </motion.div>
-          ))}
-        </div>
+              </motion.div>
+            ))}
+          </div>
+        )}
       </motion.div>
+
+      {/* Working hours and leave */}
+      <ScheduleEditor
+        appointmentContract={appointmentContract}
+        licenseNumber={licenseNumber}
+      />
+
+      <div className="w-full max-w-7xl mx-auto mt-8">
+        <AccountRecovery
+          registryContract={contract}
+          uploadContract={uploadContract}
+          number={licenseNumber}
+          account={account}
+          onRotated={handleWalletRotated}
+        />
+      </div>
     </div>
   );
 };
@@ -0,0 +1,72 @@
+/* eslint-disable no-unused-vars */
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { toast } from "react-toastify";
+import { FaExclamationTriangle } from "react-icons/fa";
+
+// break-glass request for a patient who hasn't shared their records (Upload.breakGlass);
+// access lasts BREAK_GLASS_DURATION and the patient is alerted on their next login
+const EmergencyAccess = ({ uploadContract, patientWallet, onGranted }) => {
+  const [reason, setReason] = useState("");
+  const [requesting, setRequesting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason.trim()) {
+      toast.error("Please record why emergency access is needed.");
+      return;
+    }
+
+    try {
+      setRequesting(true);
+      const tx = await uploadContract.breakGlass(patientWallet, reason.trim());
+      await tx.wait();
+      toast.success("Emergency access granted for 4 hours.");
+      setReason("");
+      onGranted();
+    } catch (err) {
+      console.log(err);
+      toast.error(
+        err?.reason || "Error requesting emergency access to the records."
+      );
+    } finally {
+      setRequesting(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-red-50 border-2 border-red-200 rounded-2xl shadow-xl p-6"
+    >
+      <h2 className="text-xl font-bold text-red-700 flex items-center mb-2">
+        <FaExclamationTriangle className="mr-3" />
+        Emergency Access
+      </h2>
+      <p className="text-sm text-gray-700 mb-4">
+        This patient hasn&apos;t shared their records with you. If your hospital
+        approved you for emergency access, you can open them for 4 hours. Your
+        justification is stored on-chain and the patient is alerted.
+      </p>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <textarea
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          rows={3}
+          placeholder="Justification (e.g. patient unconscious in the ER, allergy history needed)"
+          className="w-full px-4 py-3 border border-red-200 rounded-xl text-sm focus:ring-2 focus:ring-red-300 focus:border-transparent"
+        />
+        <button
+          type="submit"
+          disabled={requesting}
+          className="w-full py-3 font-bold rounded-xl bg-red-600 text-white shadow-md hover:bg-red-700 transition disabled:opacity-50"
+        >
+          {requesting ? "Requesting..." : "Break Glass"}
+        </button>
+      </form>
+    </motion.div>
+  );
+};
+
+export default EmergencyAccess;
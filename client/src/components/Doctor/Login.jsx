@@ -14,29 +14,28 @@ import { toast } from "react-toastify";
 
 import { connectToDoctor } from "../../redux/contract/doctorSlice";
 import { setUser } from "../../redux/user/userSlice";
+import { signLoginChallenge } from "../../utils/auth";
 
 import DoctorRegistration from "../../constants/DoctorRegistration.json";
-import { DOCTOR_CONTRACT_ADDRESS, PRIVATE_KEY } from "../../constants/Values";
+import { DOCTOR_CONTRACT_ADDRESS } from "../../constants/Values";
 
 import image from "../../../public/image.png";
 
 const contractABI = DoctorRegistration.abi;
 const contractAddress = DOCTOR_CONTRACT_ADDRESS;
-const privateKey = PRIVATE_KEY;
 
 const Login = () => {
   const navigate = useNavigate();
   const dispatch = useDispatch();
 
   const [licenseNumber, setLicenseNumber] = useState("");
-  const [password, setPassword] = useState("");
 
   const { contract, loading, account } = useSelector((state) => state.doctor);
 
   //connect to network
   useEffect(() => {
     if (!account) {
-      dispatch(connectToDoctor(privateKey, contractAddress, contractABI));
+      dispatch(connectToDoctor(contractAddress, contractABI));
     }
   }, [dispatch, account]);
 
@@ -52,7 +51,7 @@ const Login = () => {
       return;
     }
 
-    if (!licenseNumber.trim() || !password.trim()) {
+    if (!licenseNumber.trim()) {
       toast.error("Please fill out all fields");
       return;
     }
@@ -66,11 +65,6 @@ const Login = () => {
       const isRegDoc = await contract.isDoctorRegistered(licenseNumber);
 
       if (isRegDoc) {
-        const isValidPass = await contract.validatePassword(
-          licenseNumber,
-          password
-        );
-
         //validate address
         const isValidAddress = await contract.validateAddress(
           account,
@@ -82,9 +76,20 @@ const Login = () => {
           return;
         }
 
-        //validate password
-        if (!isValidPass) {
-          toast.error("Incorrect password!");
+        // sign a login challenge with the wallet
+        const { nonce, signature } = await signLoginChallenge(
+          contract,
+          licenseNumber
+        );
+        const isValidSignature = await contract.validateSignature(
+          licenseNumber,
+          nonce,
+          signature
+        );
+
+        //validate signature
+        if (!isValidSignature) {
+          toast.error("Wallet signature could not be verified!");
         } else {
           // setup user login state
           dispatch(setUser({ account, licenseNumber }));
@@ -203,19 +208,10 @@ const Login = () => {
                 />
               </div>
 
-              {/* Password Field */}
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <FaLock className="text-gray-400" />
-                </div>
-                <input
-                  type="password"
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  placeholder="Password"
-                  className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
-                />
-              </div>
+              <p className="text-sm text-gray-500 flex items-center">
+                <FaLock className="mr-2 text-gray-400" />
+                Your wallet will ask you to sign a one-time login challenge.
+              </p>
 
               <motion.button
                 whileHover={{ scale: 1.02 }}
@@ -223,7 +219,7 @@ const Login = () => {
                 type="submit"
                 className="w-full py-4 bg-gradient-to-r from-cyan-400 to-blue-500 text-[#0a0f2c] font-bold rounded-xl shadow-md hover:shadow-lg transition-all flex items-center justify-center"
               >
-                Login <FaArrowRight className="ml-2" />
+                Sign in with Wallet <FaArrowRight className="ml-2" />
               </motion.button>
 
               <div className="text-center">
@@ -236,12 +232,15 @@ const Login = () => {
                     Register here
                   </Link>
                 </p>
-                <Link
-                  to="/doctor-forgot-password"
-                  className="text-sm text-gray-500 hover:text-cyan-500 mt-2 inline-block"
-                >
-                  Forgot password?
-                </Link>
+                <p className="text-gray-600 mt-2">
+                  Lost your wallet?{" "}
+                  <Link
+                    to="/recover"
+                    className="text-cyan-500 hover:underline font-medium"
+                  >
+                    Recover your account
+                  </Link>
+                </p>
               </div>
             </form>
           </div>
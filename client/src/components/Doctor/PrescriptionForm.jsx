@@ -0,0 +1,216 @@
+/* eslint-disable no-unused-vars */
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { toast } from "react-toastify";
+import { FaPrescriptionBottleAlt, FaPlus, FaTrash } from "react-icons/fa";
+
+import { formatSlot } from "../../utils/appointments";
+import {
+  EMPTY_MEDICATION,
+  FREQUENCIES,
+  toMedications,
+  validateMedications,
+} from "../../utils/prescriptions";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-cyan-300 focus:border-transparent";
+
+// compose a structured prescription against one of the patient's visits with this doctor;
+// appointments are the checked-in or completed ones Prescription.issuePrescription accepts
+const PrescriptionForm = ({ prescriptionContract, appointments, onIssued }) => {
+  const [appointmentId, setAppointmentId] = useState("");
+  const [medications, setMedications] = useState([{ ...EMPTY_MEDICATION }]);
+  const [notes, setNotes] = useState("");
+  const [issuing, setIssuing] = useState(false);
+
+  const updateMedication = (index, field, value) =>
+    setMedications(
+      medications.map((row, i) =>
+        i === index ? { ...row, [field]: value } : row
+      )
+    );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (appointmentId === "") {
+      toast.error("Please choose the visit this prescription is for.");
+      return;
+    }
+    const error = validateMedications(medications);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    try {
+      setIssuing(true);
+      const tx = await prescriptionContract.issuePrescription(
+        appointmentId,
+        toMedications(medications),
+        notes.trim()
+      );
+      await tx.wait();
+      toast.success("Prescription issued.");
+      setMedications([{ ...EMPTY_MEDICATION }]);
+      setNotes("");
+      onIssued();
+    } catch (err) {
+      console.log(err);
+      toast.error("Error issuing the prescription.");
+    } finally {
+      setIssuing(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.25 }}
+      className="bg-white bg-opacity-90 backdrop-blur-sm rounded-2xl shadow-xl overflow-hidden"
+    >
+      <div className="bg-gradient-to-r from-[#0a0f2c] to-[#1a1f3c] p-6 text-white">
+        <h2 className="text-2xl font-bold flex items-center">
+          <FaPrescriptionBottleAlt className="mr-3 text-cyan-400" />
+          Write Prescription
+        </h2>
+        <p className="mt-1 text-cyan-100">
+          Signed with your wallet and linked to the visit
+        </p>
+      </div>
+
+      {appointments.length > 0 ? (
+        <form onSubmit={handleSubmit} className="p-6 space-y-5">
+          <select
+            value={appointmentId}
+            onChange={(e) => setAppointmentId(e.target.value)}
+            className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
+          >
+            <option value="">Select the visit</option>
+            {appointments.map((appointment) => (
+              <option key={appointment.id} value={appointment.id}>
+                {new Date(appointment.startTime * 1000).toLocaleDateString()} •{" "}
+                {formatSlot(appointment.startTime, appointment.duration)}
+              </option>
+            ))}
+          </select>
+
+          <div className="space-y-3">
+            {medications.map((row, index) => (
+              <div
+                key={index}
+                className="grid grid-cols-2 md:grid-cols-6 gap-2 p-3 bg-gray-50 border border-gray-200 rounded-xl"
+              >
+                <input
+                  type="text"
+                  placeholder="Drug"
+                  value={row.drug}
+                  onChange={(e) =>
+                    updateMedication(index, "drug", e.target.value)
+                  }
+                  className={`${inputClass} col-span-2`}
+                />
+                <input
+                  type="text"
+                  placeholder="Dosage (e.g. 500 mg)"
+                  value={row.dosage}
+                  onChange={(e) =>
+                    updateMedication(index, "dosage", e.target.value)
+                  }
+                  className={inputClass}
+                />
+                <select
+                  value={row.frequency}
+                  onChange={(e) =>
+                    updateMedication(index, "frequency", e.target.value)
+                  }
+                  className={inputClass}
+                >
+                  {FREQUENCIES.map((item) => (
+                    <option key={item} value={item}>
+                      {item}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="1"
+                  placeholder="Days"
+                  value={row.durationDays}
+                  onChange={(e) =>
+                    updateMedication(index, "durationDays", e.target.value)
+                  }
+                  className={inputClass}
+                />
+                <input
+                  type="number"
+                  min="1"
+                  placeholder="Quantity"
+                  value={row.quantity}
+                  onChange={(e) =>
+                    updateMedication(index, "quantity", e.target.value)
+                  }
+                  className={inputClass}
+                />
+                <input
+                  type="text"
+                  placeholder="Instructions (optional)"
+                  value={row.instructions}
+                  onChange={(e) =>
+                    updateMedication(index, "instructions", e.target.value)
+                  }
+                  className={`${inputClass} col-span-2 md:col-span-5`}
+                />
+                <button
+                  type="button"
+                  onClick={() =>
+                    setMedications(medications.filter((_, i) => i !== index))
+                  }
+                  disabled={medications.length === 1}
+                  className="flex items-center justify-center px-3 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition disabled:opacity-40"
+                  aria-label="Remove medication"
+                >
+                  <FaTrash />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <button
+            type="button"
+            onClick={() =>
+              setMedications([...medications, { ...EMPTY_MEDICATION }])
+            }
+            className="flex items-center px-4 py-2 text-sm font-semibold text-cyan-700 border border-cyan-200 rounded-lg hover:bg-cyan-50 transition"
+          >
+            <FaPlus className="mr-2" />
+            Add Medication
+          </button>
+
+          <textarea
+            rows={3}
+            placeholder="Notes for the patient or pharmacist (optional)"
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+            className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
+          />
+
+          <button
+            type="submit"
+            disabled={issuing}
+            className="w-full py-3 px-4 rounded-xl shadow-sm text-lg font-medium text-white bg-gradient-to-r from-cyan-500 to-blue-600 hover:from-cyan-600 hover:to-blue-700 transition-all duration-200 disabled:opacity-50"
+          >
+            {issuing ? "Issuing..." : "Issue Prescription"}
+          </button>
+        </form>
+      ) : (
+        <p className="p-8 text-center text-gray-500">
+          Prescriptions can be written once the patient has checked in for a
+          visit with you.
+        </p>
+      )}
+    </motion.div>
+  );
+};
+
+export default PrescriptionForm;
@@ -10,6 +10,7 @@ import {
   FaShieldAlt,
   FaUserMd,
   FaHospital,
+  FaLayerGroup,
 } from "react-icons/fa";
 import { toast } from "react-toastify";
 
@@ -17,17 +18,26 @@ import {
   connectToDoctor,
   clearDoctorState,
 } from "../../redux/contract/doctorSlice";
+import {
+  connectToHospital,
+  clearHospitalState,
+} from "../../redux/contract/hospitalSlice";
 
 import DoctorRegistration from "../../constants/DoctorRegistration.json";
+import HospitalRegistry from "../../constants/HospitalRegistry.json";
 import { useDispatch, useSelector } from "react-redux";
 
-import { DOCTOR_CONTRACT_ADDRESS, PRIVATE_KEY } from "../../constants/Values";
+import {
+  DOCTOR_CONTRACT_ADDRESS,
+  HOSPITAL_CONTRACT_ADDRESS,
+} from "../../constants/Values";
+import { EMAIL_REGEX, SPECIALIZATIONS } from "../../utils/validation";
+import { fetchHospitals } from "../../utils/directory";
 
 import loginImage from "../../../public/5053643.jpg";
 
 const contractABI = DoctorRegistration.abi;
 const contractAddress = DOCTOR_CONTRACT_ADDRESS;
-const privateKey = PRIVATE_KEY;
 
 const Registration = () => {
   const dispatch = useDispatch();
@@ -36,29 +46,57 @@ const Registration = () => {
   // registration states
   const [name, setName] = useState("");
   const [specialization, setSpecialization] = useState("");
-  const [hospital, setHospital] = useState("");
+  const [hospitalId, setHospitalId] = useState("");
+  const [department, setDepartment] = useState("");
   const [email, setEmail] = useState("");
-  const [password, setPassword] = useState("");
-  const [confirmPassword, setConfirmPassword] = useState("");
   const [licenseNumber, setLicenseNumber] = useState("");
 
   const { account, contract, loading } = useSelector((state) => state.doctor);
+  const hospitalContract = useSelector((state) => state.hospital.contract);
+
+  // registered hospitals to pick from
+  const [hospitals, setHospitals] = useState([]);
+  const departments =
+    hospitals.find((h) => String(h.id) === hospitalId)?.departments ?? [];
 
   // register loader
   const [waiter, setWaiter] = useState(false);
 
   // connect to network
   useEffect(() => {
-    dispatch(connectToDoctor(privateKey, contractAddress, contractABI));
+    dispatch(connectToDoctor(contractAddress, contractABI));
+    dispatch(
+      connectToHospital(HOSPITAL_CONTRACT_ADDRESS, HospitalRegistry.abi)
+    );
   }, [dispatch]);
 
   // clear state when component unmounts
   useEffect(() => {
     return () => {
       dispatch(clearDoctorState());
+      dispatch(clearHospitalState());
     };
   }, [dispatch]);
 
+  // fetch the hospital list
+  useEffect(() => {
+    const getHospitals = async () => {
+      try {
+        setHospitals(await fetchHospitals(hospitalContract));
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    if (hospitalContract) {
+      getHospitals();
+    }
+  }, [hospitalContract]);
+
+  const handleHospitalChange = (value) => {
+    setHospitalId(value);
+    setDepartment("");
+  };
+
   // handle register
   const handleRegister = async (e) => {
     e.preventDefault();
@@ -70,12 +108,12 @@ const Registration = () => {
 
     if (
       !account ||
-      !hospital | !name ||
+      !hospitalId ||
+      !department ||
+      !name ||
       !specialization ||
-      !password ||
       !email ||
-      !licenseNumber ||
-      !confirmPassword
+      !licenseNumber
     ) {
       toast.error("Please fill in all the required fields.");
       return;
@@ -88,19 +126,7 @@ const Registration = () => {
       return;
     }
 
-    if (password.length < 8) {
-      toast.error(
-        "You have entered a weak password. Please enter a password with at least 8 characters"
-      );
-      return;
-    }
-    if (password !== confirmPassword) {
-      toast.error("Passwords do not match. Please try again.");
-      return;
-    }
-
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
+    if (!EMAIL_REGEX.test(email)) {
       toast.error("Please enter a valid email address.");
       return;
     }
@@ -120,8 +146,8 @@ const Registration = () => {
         specialization,
         licenseNumber,
         email,
-        hospital,
-        password
+        hospitalId,
+        department
       );
       await tx.wait();
       navigate("/doctor-login");
@@ -254,14 +280,39 @@ const Registration = () => {
                       <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
                         <FaHospital className="text-gray-400" />
                       </div>
-                      <input
-                        type="text"
-                        value={hospital}
-                        onChange={(e) => setHospital(e.target.value)}
-                        placeholder="Hospital/Clinic"
-                        className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
-                      />
+                      <select
+                        value={hospitalId}
+                        onChange={(e) => handleHospitalChange(e.target.value)}
+                        className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent appearance-none"
+                      >
+                        <option value="">Select Hospital/Clinic</option>
+                        {hospitals.map((item) => (
+                          <option key={item.id} value={item.id}>
+                            {item.name}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+
+                  {/* Department */}
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <FaLayerGroup className="text-gray-400" />
                     </div>
+                    <select
+                      value={department}
+                      onChange={(e) => setDepartment(e.target.value)}
+                      disabled={!hospitalId}
+                      className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent appearance-none disabled:bg-gray-50"
+                    >
+                      <option value="">Select Department</option>
+                      {departments.map((item) => (
+                        <option key={item} value={item}>
+                          {item}
+                        </option>
+                      ))}
+                    </select>
                   </div>
 
                   {/* Specialization */}
@@ -275,11 +326,11 @@ const Registration = () => {
                       className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent appearance-none"
                     >
                       <option value="">Select Specialization</option>
-                      <option value="Cardiology">Cardiology</option>
-                      <option value="Neurology">Neurology</option>
-                      <option value="Pediatrics">Pediatrics</option>
-                      <option value="Oncology">Oncology</option>
-                      <option value="Other">Other</option>
+                      {SPECIALIZATIONS.map((item) => (
+                        <option key={item} value={item}>
+                          {item}
+                        </option>
+                      ))}
                     </select>
                   </div>
 
@@ -312,36 +363,6 @@ const Registration = () => {
                     />
                   </div>
 
-                  <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
-                    {/* Password */}
-                    <div className="relative">
-                      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                        <FaLock className="text-gray-400" />
-                      </div>
-                      <input
-                        type="password"
-                        value={password}
-                        onChange={(e) => setPassword(e.target.value)}
-                        placeholder="Password"
-                        className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
-                      />
-                    </div>
-
-                    {/* Confirm Password */}
-                    <div className="relative">
-                      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                        <FaLock className="text-gray-400" />
-                      </div>
-                      <input
-                        type="password"
-                        value={confirmPassword}
-                        onChange={(e) => setConfirmPassword(e.target.value)}
-                        placeholder="Confirm Password"
-                        className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
-                      />
-                    </div>
-                  </div>
-
                   <motion.button
                     whileHover={{ scale: 1.02 }}
                     whileTap={{ scale: 0.98 }}
@@ -351,6 +372,17 @@ const Registration = () => {
                     Register Doctor
                   </motion.button>
 
+                  <p className="text-center text-sm text-gray-500">
+                    Hospital not listed? Its admin can{" "}
+                    <Link
+                      to="/hospital-register"
+                      className="text-cyan-500 hover:underline font-medium"
+                    >
+                      register it here
+                    </Link>
+                    .
+                  </p>
+
                   <p className="text-center text-gray-600 mt-4">
                     Already have an account?{" "}
                     <Link
@@ -0,0 +1,326 @@
+/* eslint-disable no-unused-vars */
+import { useState, useEffect } from "react";
+import { motion } from "framer-motion";
+import { FaCalendarWeek, FaPlane, FaTrash } from "react-icons/fa";
+import { toast } from "react-toastify";
+
+import {
+  WEEKDAYS,
+  formatUtcOffset,
+  getDayKey,
+  localUtcOffset,
+  secondsToTime,
+  timeToSeconds,
+} from "../../utils/appointments";
+
+const SLOT_LENGTHS = [10, 15, 20, 30, 45, 60];
+
+// weekly hours, capacity, slot length and leave blocks kept in AppointmentBooking; the hours are
+// saved in this browser's timezone
+const ScheduleEditor = ({ appointmentContract, licenseNumber }) => {
+  const [days, setDays] = useState([]);
+  const [capacity, setCapacity] = useState(10);
+  const [slotLength, setSlotLength] = useState(30);
+  // timezone of the published schedule, which leave days are counted in
+  const [utcOffset, setUtcOffset] = useState(0);
+  const [leaves, setLeaves] = useState([]);
+  const [leaveForm, setLeaveForm] = useState({
+    startDate: "",
+    endDate: "",
+    reason: "",
+  });
+  const [version, setVersion] = useState(0);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchSchedule = async () => {
+      try {
+        const schedule = await appointmentContract.getSchedule(licenseNumber);
+        setDays(
+          WEEKDAYS.map((name, i) => {
+            const open = Number(schedule.openTimes[i]);
+            const close = Number(schedule.closeTimes[i]);
+            return {
+              name,
+              working: open < close,
+              open: secondsToTime(open < close ? open : 9 * 3600),
+              close: secondsToTime(open < close ? close : 17 * 3600),
+            };
+          })
+        );
+        setCapacity(Number(schedule.capacity));
+        setSlotLength(Number(schedule.slotLength) / 60);
+        const offset = Number(schedule.utcOffset);
+        setUtcOffset(offset);
+
+        // leave days are midnights in the schedule's timezone; shifted so they read right in UTC
+        const list = await appointmentContract.getLeaves(licenseNumber);
+        setLeaves(
+          list.map((l) => ({
+            startDate: new Date((Number(l.startDate) + offset) * 1000),
+            endDate: new Date((Number(l.endDate) + offset) * 1000),
+            reason: l.reason,
+          }))
+        );
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    if (appointmentContract && licenseNumber) {
+      fetchSchedule();
+    }
+  }, [appointmentContract, licenseNumber, version]);
+
+  const updateDay = (index, field, value) => {
+    setDays((prev) =>
+      prev.map((day, i) => (i === index ? { ...day, [field]: value } : day))
+    );
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (days.some((day) => day.working && day.open >= day.close)) {
+      toast.error("Closing time must be after opening time.");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const tx = await appointmentContract.setSchedule(
+        licenseNumber,
+        days.map((day) => (day.working ? timeToSeconds(day.open) : 0)),
+        days.map((day) => (day.working ? timeToSeconds(day.close) : 0)),
+        capacity,
+        slotLength * 60,
+        localUtcOffset()
+      );
+      await tx.wait();
+      toast.success("Schedule saved.");
+      setVersion((v) => v + 1);
+    } catch (err) {
+      console.log(err);
+      toast.error("Unable to save the schedule.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddLeave = async (e) => {
+    e.preventDefault();
+    const { startDate, endDate, reason } = leaveForm;
+    if (!startDate || !endDate || endDate < startDate) {
+      toast.error("Please pick a valid leave period.");
+      return;
+    }
+
+    try {
+      const tx = await appointmentContract.addLeave(
+        licenseNumber,
+        getDayKey(startDate, utcOffset),
+        getDayKey(endDate, utcOffset),
+        reason
+      );
+      await tx.wait();
+      toast.success("Leave added.");
+      setLeaveForm({ startDate: "", endDate: "", reason: "" });
+      setVersion((v) => v + 1);
+    } catch (err) {
+      console.log(err);
+      toast.error("Unable to add the leave.");
+    }
+  };
+
+  const handleRemoveLeave = async (index) => {
+    try {
+      const tx = await appointmentContract.removeLeave(licenseNumber, index);
+      await tx.wait();
+      toast.success("Leave removed.");
+      setVersion((v) => v + 1);
+    } catch (err) {
+      console.log(err);
+      toast.error("Unable to remove the leave.");
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.5, delay: 0.2 }}
+      className="bg-gradient-to-br from-white to-gray-50 rounded-3xl shadow-2xl border border-gray-100 p-8 w-full max-w-7xl mx-auto mt-8"
+    >
+      <h2 className="text-2xl font-bold text-[#0a0f2c] mb-6 pb-4 border-b border-gray-200 flex items-center">
+        <FaCalendarWeek className="text-cyan-500 mr-3" />
+        Working Schedule
+      </h2>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        {/* Weekly hours */}
+        <form onSubmit={handleSave} className="space-y-3">
+          {days.map((day, index) => (
+            <div
+              key={day.name}
+              className="flex items-center gap-3 p-3 bg-gray-50 rounded-lg border border-gray-200"
+            >
+              <label className="flex items-center gap-2 w-32 font-medium text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={day.working}
+                  onChange={(e) =>
+                    updateDay(index, "working", e.target.checked)
+                  }
+                  className="h-4 w-4 accent-cyan-500"
+                />
+                {day.name}
+              </label>
+              {day.working ? (
+                <>
+                  <input
+                    type="time"
+                    step={300}
+                    value={day.open}
+                    onChange={(e) => updateDay(index, "open", e.target.value)}
+                    className="px-2 py-1 border border-gray-200 rounded-lg"
+                  />
+                  <span className="text-gray-400">to</span>
+                  <input
+                    type="time"
+                    step={300}
+                    value={day.close}
+                    onChange={(e) => updateDay(index, "close", e.target.value)}
+                    className="px-2 py-1 border border-gray-200 rounded-lg"
+                  />
+                </>
+              ) : (
+                <span className="text-sm text-gray-400">Closed</span>
+              )}
+            </div>
+          ))}
+
+          <div className="grid grid-cols-2 gap-4 pt-2">
+            <label className="flex flex-col text-sm text-gray-600">
+              Appointments per day
+              <input
+                type="number"
+                min={1}
+                value={capacity}
+                onChange={(e) => setCapacity(Number(e.target.value))}
+                className="mt-1 px-3 py-2 border border-gray-200 rounded-lg focus:ring-2 focus:ring-cyan-300"
+              />
+            </label>
+            <label className="flex flex-col text-sm text-gray-600">
+              Slot length
+              <select
+                value={slotLength}
+                onChange={(e) => setSlotLength(Number(e.target.value))}
+                className="mt-1 px-3 py-2 border border-gray-200 rounded-lg focus:ring-2 focus:ring-cyan-300"
+              >
+                {SLOT_LENGTHS.map((minutes) => (
+                  <option key={minutes} value={minutes}>
+                    {minutes} minutes
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <button
+            type="submit"
+            disabled={saving || capacity < 1}
+            className="w-full py-3 font-bold rounded-xl bg-gradient-to-r from-cyan-400 to-blue-500 text-[#0a0f2c] shadow-md hover:shadow-lg transition disabled:opacity-50"
+          >
+            {saving ? "Saving..." : "Save Schedule"}
+          </button>
+          <p className="text-xs text-gray-400 text-center">
+            Saving uses your timezone, {formatUtcOffset(localUtcOffset())}.
+            Published in {formatUtcOffset(utcOffset)}.
+          </p>
+        </form>
+
+        {/* Leave blocks */}
+        <div>
+          <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
+            <FaPlane className="text-purple-400 mr-2" />
+            Leave &amp; Holidays
+          </h3>
+          <form
+            onSubmit={handleAddLeave}
+            className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-6"
+          >
+            <input
+              type="date"
+              value={leaveForm.startDate}
+              onChange={(e) =>
+                setLeaveForm({ ...leaveForm, startDate: e.target.value })
+              }
+              className="px-3 py-2 border border-gray-200 rounded-lg"
+            />
+            <input
+              type="date"
+              value={leaveForm.endDate}
+              min={leaveForm.startDate}
+              onChange={(e) =>
+                setLeaveForm({ ...leaveForm, endDate: e.target.value })
+              }
+              className="px-3 py-2 border border-gray-200 rounded-lg"
+            />
+            <input
+              type="text"
+              placeholder="Reason (optional)"
+              value={leaveForm.reason}
+              onChange={(e) =>
+                setLeaveForm({ ...leaveForm, reason: e.target.value })
+              }
+              className="px-3 py-2 border border-gray-200 rounded-lg"
+            />
+            <button
+              type="submit"
+              className="py-2 font-semibold rounded-lg bg-[#0a0f2c] text-white hover:bg-[#1a1f3c] transition"
+            >
+              Add Leave
+            </button>
+          </form>
+
+          {leaves.length > 0 ? (
+            <ul className="space-y-3">
+              {leaves.map((leave, index) => (
+                <li
+                  key={index}
+                  className="flex items-center justify-between p-3 bg-gray-50 rounded-lg border border-gray-200"
+                >
+                  <div>
+                    <p className="font-medium text-gray-800">
+                      {leave.startDate.toLocaleDateString(undefined, {
+                        timeZone: "UTC",
+                      })}{" "}
+                      –{" "}
+                      {leave.endDate.toLocaleDateString(undefined, {
+                        timeZone: "UTC",
+                      })}
+                    </p>
+                    {leave.reason && (
+                      <p className="text-sm text-gray-500">{leave.reason}</p>
+                    )}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveLeave(index)}
+                    className="text-gray-400 hover:text-red-500 transition"
+                  >
+                    <FaTrash />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-gray-400 text-center py-6">
+              No leave scheduled.
+            </p>
+          )}
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default ScheduleEditor;
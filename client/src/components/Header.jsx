@@ -2,6 +2,8 @@ import { Link, useNavigate } from "react-router-dom";
 import { useSelector, useDispatch } from "react-redux";
 import { clearUser } from "../redux/user/userSlice";
 import { useState } from "react";
+import ProfileSwitcher from "./ProfileSwitcher";
+import { selectPatientNumber } from "../utils/delegation";
 import {
   FiMenu,
   FiX,
@@ -13,6 +15,7 @@ import {
   FiUserPlus,
   FiCalendar,
   FiGrid,
+  FiUsers,
 } from "react-icons/fi";
 
 const Header = () => {
@@ -23,6 +26,9 @@ const Header = () => {
   const isLoggedIn = useSelector((state) => state.user.isLoggedIn);
   const hhNumber = useSelector((state) => state.user.hhNumber);
   const licenseNumber = useSelector((state) => state.user.licenseNumber);
+  const pharmacyNumber = useSelector((state) => state.user.pharmacyNumber);
+  const hospitalId = useSelector((state) => state.user.hospitalId);
+  const patientNumber = useSelector(selectPatientNumber);
 
   const handleLogout = () => {
     dispatch(clearUser());
@@ -143,10 +149,37 @@ const Header = () => {
                     <></>
                   )}
                 </li>
+                {licenseNumber && !hhNumber && (
+                  <li>
+                    <Link
+                      to={`/doctor/${licenseNumber}/patients`}
+                      className="hover:text-cyan-300 transition duration-300 flex items-center gap-x-2"
+                    >
+                      <FiUsers className="text-lg" />
+                      My Patients
+                    </Link>
+                  </li>
+                )}
                 <li>
                   {hhNumber ? (
                     <Link
-                      to={`/patient/${hhNumber}`}
+                      to={`/patient/${patientNumber}`}
+                      className="hover:text-cyan-300 transition duration-300 flex items-center gap-x-2"
+                    >
+                      <FiGrid className="space-x-7 text-lg" />
+                      Dashboard
+                    </Link>
+                  ) : pharmacyNumber ? (
+                    <Link
+                      to={`/pharmacy/${pharmacyNumber}`}
+                      className="hover:text-cyan-300 transition duration-300 flex items-center gap-x-2"
+                    >
+                      <FiGrid className="space-x-7 text-lg" />
+                      Dashboard
+                    </Link>
+                  ) : hospitalId ? (
+                    <Link
+                      to={`/hospital/${hospitalId}`}
                       className="hover:text-cyan-300 transition duration-300 flex items-center gap-x-2"
                     >
                       <FiGrid className="space-x-7 text-lg" />
@@ -162,6 +195,7 @@ const Header = () => {
                     </Link>
                   )}
                 </li>
+                <ProfileSwitcher onSwitch={() => setMenuOpen(false)} />
                 <li>
                   <button
                     onClick={() => {
@@ -0,0 +1,182 @@
+/* eslint-disable no-unused-vars */
+import { useState, useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { motion } from "framer-motion";
+import { toast } from "react-toastify";
+import { FaHospital, FaCheck, FaBan, FaUserShield } from "react-icons/fa";
+
+import {
+  connectToHospital,
+  clearHospitalState,
+} from "../../redux/contract/hospitalSlice";
+
+import HospitalRegistry from "../../constants/HospitalRegistry.json";
+import { HOSPITAL_CONTRACT_ADDRESS } from "../../constants/Values";
+
+import { parseHospital } from "../../utils/directory";
+
+// the registry owner's review of hospital applications (HospitalRegistry.approveHospital)
+const Approvals = () => {
+  const dispatch = useDispatch();
+
+  const { account, contract, loading } = useSelector((state) => state.hospital);
+
+  const [owner, setOwner] = useState("");
+  const [applications, setApplications] = useState([]);
+  const [version, setVersion] = useState(0);
+  const [busy, setBusy] = useState(null);
+
+  // connect to network
+  useEffect(() => {
+    dispatch(
+      connectToHospital(HOSPITAL_CONTRACT_ADDRESS, HospitalRegistry.abi)
+    );
+  }, [dispatch]);
+
+  // clear state when component unmounts
+  useEffect(() => {
+    return () => {
+      dispatch(clearHospitalState());
+    };
+  }, [dispatch]);
+
+  useEffect(() => {
+    const getApplications = async () => {
+      try {
+        setOwner(await contract.owner());
+        const list = await contract.getPendingHospitals();
+        setApplications(list.map(parseHospital));
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    if (contract) {
+      getApplications();
+    }
+  }, [contract, version]);
+
+  const handleDecision = async (hospital, approve) => {
+    if (
+      !approve &&
+      !window.confirm(`Reject ${hospital.name}? The name becomes free again.`)
+    ) {
+      return;
+    }
+
+    try {
+      setBusy(hospital.id);
+      const tx = approve
+        ? await contract.approveHospital(hospital.id)
+        : await contract.rejectHospital(hospital.id);
+      await tx.wait();
+      toast.success(`${hospital.name} ${approve ? "approved" : "rejected"}.`);
+      setVersion((v) => v + 1);
+    } catch (err) {
+      console.log(err);
+      toast.error(err?.reason || "Unable to review the application.");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-cyan-400"></div>
+        <p className="text-lg font-medium ml-4 text-[#0a0f2c]">
+          Connecting to blockchain...
+        </p>
+      </div>
+    );
+  }
+
+  const isOwner =
+    owner && account && owner.toLowerCase() === account.toLowerCase();
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100 py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="max-w-4xl mx-auto space-y-6"
+      >
+        <div className="text-center mb-6">
+          <h1 className="text-3xl md:text-4xl font-bold text-[#0a0f2c] mb-3">
+            Hospital <span className="text-cyan-400">Applications</span>
+          </h1>
+          <p className="text-lg text-gray-600 flex items-center justify-center">
+            <FaUserShield className="mr-2 text-cyan-500" />
+            Only the registry owner can approve or reject hospitals.
+          </p>
+        </div>
+
+        <div className="bg-white bg-opacity-90 backdrop-blur-sm rounded-2xl shadow-xl p-6">
+          <div className="flex items-center justify-between mb-6 pb-4 border-b border-gray-200">
+            <h2 className="text-xl font-bold text-[#0a0f2c] flex items-center">
+              <FaHospital className="text-cyan-500 mr-3" />
+              Pending
+            </h2>
+            <span className="bg-yellow-100 text-yellow-800 text-sm font-medium px-3 py-1 rounded-full">
+              {applications.length} pending
+            </span>
+          </div>
+
+          {!isOwner && (
+            <p className="mb-4 p-3 text-sm text-orange-800 bg-orange-50 border border-orange-200 rounded-lg">
+              The connected wallet is not the registry owner.
+            </p>
+          )}
+
+          {applications.length > 0 ? (
+            <ul className="space-y-3">
+              {applications.map((hospital) => (
+                <li
+                  key={hospital.id}
+                  className="flex flex-col md:flex-row md:items-center justify-between gap-3 p-4 bg-gray-50 rounded-lg border border-gray-200"
+                >
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-800">{hospital.name}</p>
+                    <p className="text-sm text-gray-500">
+                      {hospital.location} • {hospital.departments.join(", ")}
+                    </p>
+                    <p className="text-xs text-gray-400 font-mono truncate">
+                      Admin: {hospital.admins.join(", ")}
+                    </p>
+                  </div>
+                  {isOwner && (
+                    <div className="flex gap-2 shrink-0">
+                      <button
+                        type="button"
+                        onClick={() => handleDecision(hospital, true)}
+                        disabled={busy === hospital.id}
+                        className="flex items-center px-3 py-2 text-sm font-semibold text-green-700 border border-green-200 rounded-lg hover:bg-green-50 transition disabled:opacity-50"
+                      >
+                        <FaCheck className="mr-2" />
+                        Approve
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleDecision(hospital, false)}
+                        disabled={busy === hospital.id}
+                        className="flex items-center px-3 py-2 text-sm font-semibold text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition disabled:opacity-50"
+                      >
+                        <FaBan className="mr-2" />
+                        Reject
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-gray-400 text-center py-6">
+              No applications are waiting for review.
+            </p>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default Approvals;
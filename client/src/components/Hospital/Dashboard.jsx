@@ -0,0 +1,378 @@
+/* eslint-disable no-unused-vars */
+import { useState, useEffect } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { motion } from "framer-motion";
+import { toast } from "react-toastify";
+import {
+  FaHospital,
+  FaLayerGroup,
+  FaPlus,
+  FaTimes,
+  FaUserMd,
+  FaUserCheck,
+  FaClock,
+  FaCalendarCheck,
+} from "react-icons/fa";
+
+import DoctorVerification from "./DoctorVerification";
+import DoctorRoster from "./DoctorRoster";
+import PharmacyApprovals from "./PharmacyApprovals";
+
+// Hospital Redux
+import {
+  connectToHospital,
+  clearHospitalState,
+} from "../../redux/contract/hospitalSlice";
+import {
+  connectToDoctor,
+  clearDoctorState,
+} from "../../redux/contract/doctorSlice";
+import {
+  connectToAppoint,
+  clearAppointementState,
+} from "../../redux/contract/appointmentSlice";
+import {
+  connectToPharmacy,
+  clearPharmacyState,
+} from "../../redux/contract/pharmacySlice";
+
+import HospitalRegistry from "../../constants/HospitalRegistry.json";
+import DoctorRegistration from "../../constants/DoctorRegistration.json";
+import AppointmentBooking from "../../constants/AppointmentBooking.json";
+import PharmacyRegistration from "../../constants/PharmacyRegistration.json";
+import {
+  HOSPITAL_CONTRACT_ADDRESS,
+  DOCTOR_CONTRACT_ADDRESS,
+  APPOINTMENT_CONTRACT_ADDRESS,
+  PHARMACY_CONTRACT_ADDRESS,
+} from "../../constants/Values";
+
+import {
+  VERIFICATION_STATUS,
+  fetchAllPages,
+  parseDoctor,
+  parseHospital,
+} from "../../utils/directory";
+import { getDayKey, todayIn } from "../../utils/appointments";
+
+const Dashboard = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+
+  const { hospitalId } = useParams();
+  const authId = useSelector((state) => state.user.hospitalId);
+
+  const hospitalContract = useSelector((state) => state.hospital.contract);
+  const doctorContract = useSelector((state) => state.doctor.contract);
+  const appointmentContract = useSelector(
+    (state) => state.appointment.contract
+  );
+  const pharmacyContract = useSelector((state) => state.pharmacy.contract);
+
+  const [hospital, setHospital] = useState(null);
+  const [hospitalVersion, setHospitalVersion] = useState(0);
+  const [doctors, setDoctors] = useState([]);
+  const [doctorsVersion, setDoctorsVersion] = useState(0);
+  // today's appointment count per license number
+  const [loads, setLoads] = useState({});
+  const [newDepartment, setNewDepartment] = useState("");
+  const [savingDepartment, setSavingDepartment] = useState(false);
+
+  // connect to network
+  useEffect(() => {
+    dispatch(
+      connectToHospital(HOSPITAL_CONTRACT_ADDRESS, HospitalRegistry.abi)
+    );
+    dispatch(connectToDoctor(DOCTOR_CONTRACT_ADDRESS, DoctorRegistration.abi));
+    dispatch(
+      connectToAppoint(APPOINTMENT_CONTRACT_ADDRESS, AppointmentBooking.abi)
+    );
+    dispatch(
+      connectToPharmacy(PHARMACY_CONTRACT_ADDRESS, PharmacyRegistration.abi)
+    );
+  }, [dispatch]);
+
+  // clear state on component unmount
+  useEffect(() => {
+    return () => {
+      dispatch(clearHospitalState());
+      dispatch(clearDoctorState());
+      dispatch(clearAppointementState());
+      dispatch(clearPharmacyState());
+    };
+  }, [dispatch]);
+
+  // deny unauthorized access
+  useEffect(() => {
+    if (authId !== hospitalId) {
+      navigate(`/hospital/${authId}`, { replace: true });
+    }
+  }, [hospitalId, authId, navigate]);
+
+  useEffect(() => {
+    const fetchHospital = async () => {
+      try {
+        setHospital(
+          parseHospital(await hospitalContract.getHospital(hospitalId))
+        );
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    if (hospitalContract) {
+      fetchHospital();
+    }
+  }, [hospitalContract, hospitalId, hospitalVersion]);
+
+  useEffect(() => {
+    const fetchDoctors = async () => {
+      try {
+        const rows = await fetchAllPages((offset, limit) =>
+          doctorContract.getDoctorsByHospital(hospitalId, offset, limit)
+        );
+        const approvals = await Promise.all(
+          rows.map((d) =>
+            doctorContract.emergencyAccessApproved(d.licenseNumber)
+          )
+        );
+        setDoctors(
+          rows.map((d, i) => ({
+            ...parseDoctor(d),
+            emergencyAccess: approvals[i],
+          }))
+        );
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    if (doctorContract) {
+      fetchDoctors();
+    }
+  }, [doctorContract, hospitalId, doctorsVersion]);
+
+  // today's load per doctor, today being counted in each doctor's timezone
+  useEffect(() => {
+    const fetchLoads = async () => {
+      try {
+        const counts = await Promise.all(
+          doctors.map(async (d) => {
+            const schedule = await appointmentContract.getSchedule(
+              d.licenseNumber
+            );
+            const utcOffset = Number(schedule.utcOffset);
+            return appointmentContract.getDoctorAppointmentsCount(
+              d.licenseNumber,
+              getDayKey(todayIn(utcOffset), utcOffset)
+            );
+          })
+        );
+        setLoads(
+          Object.fromEntries(
+            doctors.map((d, i) => [d.licenseNumber, Number(counts[i])])
+          )
+        );
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    if (appointmentContract && doctors.length > 0) {
+      fetchLoads();
+    }
+  }, [appointmentContract, doctors]);
+
+  const handleAddDepartment = async (e) => {
+    e.preventDefault();
+    const department = newDepartment.trim();
+    if (!department) return;
+    if (
+      hospital.departments.some(
+        (d) => d.toLowerCase() === department.toLowerCase()
+      )
+    ) {
+      toast.error("That department already exists.");
+      return;
+    }
+
+    try {
+      setSavingDepartment(true);
+      const tx = await hospitalContract.addDepartment(hospitalId, department);
+      await tx.wait();
+      setNewDepartment("");
+      setHospitalVersion((v) => v + 1);
+    } catch (err) {
+      console.log(err);
+      toast.error("Unable to add the department.");
+    } finally {
+      setSavingDepartment(false);
+    }
+  };
+
+  const handleRemoveDepartment = async (department) => {
+    const assigned = doctors.filter((d) => d.department === department).length;
+    if (
+      !window.confirm(
+        assigned > 0
+          ? `${assigned} doctor(s) are in ${department}. Remove it anyway?`
+          : `Remove ${department}?`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setSavingDepartment(true);
+      const tx = await hospitalContract.removeDepartment(
+        hospitalId,
+        department
+      );
+      await tx.wait();
+      setHospitalVersion((v) => v + 1);
+    } catch (err) {
+      console.log(err);
+      toast.error("Unable to remove the department.");
+    } finally {
+      setSavingDepartment(false);
+    }
+  };
+
+  const refreshDoctors = () => setDoctorsVersion((v) => v + 1);
+
+  const pending = doctors.filter(
+    (d) => d.status === VERIFICATION_STATUS.PENDING
+  );
+  const verified = doctors.filter(
+    (d) => d.status === VERIFICATION_STATUS.VERIFIED
+  );
+  const appointmentsToday = Object.values(loads).reduce((n, c) => n + c, 0);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100 py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="max-w-5xl mx-auto space-y-6"
+      >
+        <div className="text-center mb-6">
+          <h1 className="text-3xl md:text-4xl font-bold text-[#0a0f2c] mb-3">
+            Hospital <span className="text-cyan-400">Console</span>
+          </h1>
+          {hospital && (
+            <p className="text-lg text-gray-600 flex items-center justify-center">
+              <FaHospital className="mr-2 text-cyan-500" />
+              {hospital.name} • {hospital.location}
+            </p>
+          )}
+        </div>
+
+        {/* Stats */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {[
+            {
+              label: "Doctors",
+              value: doctors.length,
+              icon: <FaUserMd className="text-cyan-500" />,
+            },
+            {
+              label: "Verified",
+              value: verified.length,
+              icon: <FaUserCheck className="text-green-500" />,
+            },
+            {
+              label: "Pending verification",
+              value: pending.length,
+              icon: <FaClock className="text-yellow-500" />,
+            },
+            {
+              label: "Appointments today",
+              value: appointmentsToday,
+              icon: <FaCalendarCheck className="text-purple-500" />,
+            },
+          ].map((stat) => (
+            <div
+              key={stat.label}
+              className="bg-white bg-opacity-80 p-4 rounded-xl border border-gray-200 text-center"
+            >
+              <div className="flex items-center justify-center text-2xl font-bold text-[#0a0f2c] gap-2">
+                {stat.icon}
+                {stat.value}
+              </div>
+              <div className="text-sm text-gray-600">{stat.label}</div>
+            </div>
+          ))}
+        </div>
+
+        {pending.length > 0 && (
+          <DoctorVerification
+            doctorContract={doctorContract}
+            doctors={pending}
+            onChange={refreshDoctors}
+          />
+        )}
+
+        <DoctorRoster
+          doctorContract={doctorContract}
+          doctors={doctors.filter(
+            (d) => d.status !== VERIFICATION_STATUS.PENDING
+          )}
+          departments={hospital?.departments ?? []}
+          loads={loads}
+          onChange={refreshDoctors}
+        />
+
+        <PharmacyApprovals
+          pharmacyContract={pharmacyContract}
+          hospitalId={hospitalId}
+        />
+
+        {/* Departments */}
+        {hospital && (
+          <div className="bg-white bg-opacity-90 backdrop-blur-sm rounded-2xl shadow-xl p-6">
+            <h2 className="text-xl font-bold text-[#0a0f2c] flex items-center mb-4">
+              <FaLayerGroup className="text-cyan-500 mr-3" />
+              Departments
+            </h2>
+            <div className="flex flex-wrap gap-2 mb-4">
+              {hospital.departments.map((department) => (
+                <span
+                  key={department}
+                  className="inline-flex items-center bg-cyan-100 text-cyan-800 text-sm font-medium pl-3 pr-1 py-1 rounded-full"
+                >
+                  {department}
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveDepartment(department)}
+                    disabled={savingDepartment}
+                    aria-label={`Remove ${department}`}
+                    className="ml-1 p-1 rounded-full hover:bg-cyan-200 transition disabled:opacity-50"
+                  >
+                    <FaTimes className="text-xs" />
+                  </button>
+                </span>
+              ))}
+            </div>
+            <form onSubmit={handleAddDepartment} className="flex gap-3">
+              <input
+                type="text"
+                value={newDepartment}
+                onChange={(e) => setNewDepartment(e.target.value)}
+                placeholder="New department"
+                className="flex-1 px-4 py-2 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
+              />
+              <button
+                type="submit"
+                disabled={savingDepartment}
+                className="flex items-center px-4 py-2 font-semibold rounded-xl bg-gradient-to-r from-cyan-400 to-blue-500 text-[#0a0f2c] shadow-md hover:shadow-lg transition disabled:opacity-50"
+              >
+                <FaPlus className="mr-2" />
+                Add
+              </button>
+            </form>
+          </div>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default Dashboard;
@@ -0,0 +1,215 @@
+/* eslint-disable no-unused-vars */
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { toast } from "react-toastify";
+import {
+  FaUserMd,
+  FaPause,
+  FaPlay,
+  FaSave,
+  FaExclamationTriangle,
+} from "react-icons/fa";
+
+import VerificationBadge from "../VerificationBadge";
+import { VERIFICATION_STATUS } from "../../utils/directory";
+
+// the hospital's doctors with today's load; admins move them between departments
+// (DoctorRegistration.setDoctorDepartment), suspend or reinstate them and approve
+// verified ones for break-glass access (setEmergencyAccessApproval)
+const DoctorRoster = ({
+  doctorContract,
+  doctors,
+  departments,
+  loads,
+  onChange,
+}) => {
+  // department picked per license number, before it is saved
+  const [moves, setMoves] = useState({});
+  const [busy, setBusy] = useState("");
+
+  const run = async (doctor, send, message) => {
+    try {
+      setBusy(doctor.licenseNumber);
+      const tx = await send();
+      await tx.wait();
+      toast.success(message);
+      setMoves((current) => {
+        const next = { ...current };
+        delete next[doctor.licenseNumber];
+        return next;
+      });
+      onChange();
+    } catch (err) {
+      console.log(err);
+      toast.error(err?.reason || "Unable to update the doctor.");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const handleMove = (doctor) =>
+    run(
+      doctor,
+      () =>
+        doctorContract.setDoctorDepartment(
+          doctor.licenseNumber,
+          moves[doctor.licenseNumber]
+        ),
+      `Dr. ${doctor.name} moved to ${moves[doctor.licenseNumber]}.`
+    );
+
+  const handleStatus = (doctor, status) =>
+    run(
+      doctor,
+      () => doctorContract.setVerificationStatus(doctor.licenseNumber, status),
+      status === VERIFICATION_STATUS.SUSPENDED
+        ? `Dr. ${doctor.name} suspended.`
+        : `Dr. ${doctor.name} reinstated.`
+    );
+
+  const handleEmergencyAccess = (doctor) =>
+    run(
+      doctor,
+      () =>
+        doctorContract.setEmergencyAccessApproval(
+          doctor.licenseNumber,
+          !doctor.emergencyAccess
+        ),
+      doctor.emergencyAccess
+        ? `Dr. ${doctor.name} can no longer use emergency access.`
+        : `Dr. ${doctor.name} can now use emergency access.`
+    );
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white bg-opacity-90 backdrop-blur-sm rounded-2xl shadow-xl p-6"
+    >
+      <div className="flex items-center justify-between mb-6 pb-4 border-b border-gray-200">
+        <h2 className="text-xl font-bold text-[#0a0f2c] flex items-center">
+          <FaUserMd className="text-cyan-500 mr-3" />
+          Doctors
+        </h2>
+        <span className="bg-cyan-100 text-cyan-800 text-sm font-medium px-3 py-1 rounded-full">
+          {doctors.length} doctor{doctors.length !== 1 ? "s" : ""}
+        </span>
+      </div>
+
+      {doctors.length > 0 ? (
+        <ul className="space-y-3">
+          {doctors.map((doctor) => {
+            const picked = moves[doctor.licenseNumber] ?? doctor.department;
+            const options = departments.includes(doctor.department)
+              ? departments
+              : [doctor.department, ...departments];
+            return (
+              <li
+                key={doctor.licenseNumber}
+                className="flex flex-col lg:flex-row lg:items-center justify-between gap-3 p-4 bg-gray-50 rounded-lg border border-gray-200"
+              >
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-800">
+                    Dr. {doctor.name}
+                    <VerificationBadge
+                      status={doctor.status}
+                      className="ml-2"
+                    />
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    License: {doctor.licenseNumber} • {doctor.specialization} •{" "}
+                    <span className="font-medium text-gray-700">
+                      {loads[doctor.licenseNumber] ?? 0} appointment
+                      {loads[doctor.licenseNumber] !== 1 ? "s" : ""} today
+                    </span>
+                  </p>
+                </div>
+                <div className="flex flex-wrap items-center gap-2 shrink-0">
+                  <select
+                    value={picked}
+                    onChange={(e) =>
+                      setMoves({
+                        ...moves,
+                        [doctor.licenseNumber]: e.target.value,
+                      })
+                    }
+                    aria-label={`Department of Dr. ${doctor.name}`}
+                    className="px-3 py-2 text-sm border border-gray-200 rounded-lg focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
+                  >
+                    {options.map((item) => (
+                      <option key={item} value={item}>
+                        {departments.includes(item)
+                          ? item
+                          : `${item} (removed)`}
+                      </option>
+                    ))}
+                  </select>
+                  {picked !== doctor.department && (
+                    <button
+                      type="button"
+                      onClick={() => handleMove(doctor)}
+                      disabled={busy === doctor.licenseNumber}
+                      className="flex items-center px-3 py-2 text-sm font-semibold text-cyan-700 border border-cyan-200 rounded-lg hover:bg-cyan-50 transition disabled:opacity-50"
+                    >
+                      <FaSave className="mr-2" />
+                      Move
+                    </button>
+                  )}
+                  {doctor.status === VERIFICATION_STATUS.VERIFIED && (
+                    <button
+                      type="button"
+                      onClick={() => handleEmergencyAccess(doctor)}
+                      disabled={busy === doctor.licenseNumber}
+                      className={`flex items-center px-3 py-2 text-sm font-semibold border rounded-lg transition disabled:opacity-50 ${
+                        doctor.emergencyAccess
+                          ? "text-red-700 border-red-200 bg-red-50 hover:bg-red-100"
+                          : "text-gray-600 border-gray-200 hover:bg-gray-50"
+                      }`}
+                    >
+                      <FaExclamationTriangle className="mr-2" />
+                      {doctor.emergencyAccess
+                        ? "Revoke emergency access"
+                        : "Allow emergency access"}
+                    </button>
+                  )}
+                  {doctor.status === VERIFICATION_STATUS.VERIFIED && (
+                    <button
+                      type="button"
+                      onClick={() =>
+                        handleStatus(doctor, VERIFICATION_STATUS.SUSPENDED)
+                      }
+                      disabled={busy === doctor.licenseNumber}
+                      className="flex items-center px-3 py-2 text-sm font-semibold text-orange-700 border border-orange-200 rounded-lg hover:bg-orange-50 transition disabled:opacity-50"
+                    >
+                      <FaPause className="mr-2" />
+                      Suspend
+                    </button>
+                  )}
+                  {doctor.status === VERIFICATION_STATUS.SUSPENDED && (
+                    <button
+                      type="button"
+                      onClick={() =>
+                        handleStatus(doctor, VERIFICATION_STATUS.VERIFIED)
+                      }
+                      disabled={busy === doctor.licenseNumber}
+                      className="flex items-center px-3 py-2 text-sm font-semibold text-green-700 border border-green-200 rounded-lg hover:bg-green-50 transition disabled:opacity-50"
+                    >
+                      <FaPlay className="mr-2" />
+                      Reinstate
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="text-gray-400 text-center py-6">
+          No doctors have registered with this hospital yet.
+        </p>
+      )}
+    </motion.div>
+  );
+};
+
+export default DoctorRoster;
@@ -0,0 +1,128 @@
+/* eslint-disable no-unused-vars */
+import { useState } from "react";
+import { motion } from "framer-motion";
+import { toast } from "react-toastify";
+import { FaUserCheck, FaCheck, FaPause, FaBan } from "react-icons/fa";
+
+import VerificationBadge from "../VerificationBadge";
+import { VERIFICATION_STATUS } from "../../utils/directory";
+
+// pending doctors first, then verified, suspended, revoked
+const byStatus = (a, b) => a.status - b.status;
+
+// hospital admin review of the hospital's doctors (DoctorRegistration.setVerificationStatus)
+const DoctorVerification = ({ doctorContract, doctors, onChange }) => {
+  const [busy, setBusy] = useState("");
+
+  const handleStatus = async (doctor, status) => {
+    if (
+      status === VERIFICATION_STATUS.REVOKED &&
+      !window.confirm(`Revoke Dr. ${doctor.name}'s license verification?`)
+    ) {
+      return;
+    }
+
+    try {
+      setBusy(doctor.licenseNumber);
+      const tx = await doctorContract.setVerificationStatus(
+        doctor.licenseNumber,
+        status
+      );
+      await tx.wait();
+      toast.success(`Dr. ${doctor.name} updated.`);
+      onChange();
+    } catch (err) {
+      console.log(err);
+      toast.error(err?.reason || "Unable to update the doctor's status.");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const actions = [
+    {
+      status: VERIFICATION_STATUS.VERIFIED,
+      label: "Verify",
+      icon: FaCheck,
+      className: "text-green-700 border-green-200 hover:bg-green-50",
+    },
+    {
+      status: VERIFICATION_STATUS.SUSPENDED,
+      label: "Suspend",
+      icon: FaPause,
+      className: "text-orange-700 border-orange-200 hover:bg-orange-50",
+    },
+    {
+      status: VERIFICATION_STATUS.REVOKED,
+      label: "Revoke",
+      icon: FaBan,
+      className: "text-red-600 border-red-200 hover:bg-red-50",
+    },
+  ];
+
+  const pending = doctors.filter(
+    (d) => d.status === VERIFICATION_STATUS.PENDING
+  ).length;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white bg-opacity-90 backdrop-blur-sm rounded-2xl shadow-xl p-6"
+    >
+      <div className="flex items-center justify-between mb-6 pb-4 border-b border-gray-200">
+        <h2 className="text-xl font-bold text-[#0a0f2c] flex items-center">
+          <FaUserCheck className="text-cyan-500 mr-3" />
+          License Verification
+        </h2>
+        <span className="bg-yellow-100 text-yellow-800 text-sm font-medium px-3 py-1 rounded-full">
+          {pending} pending
+        </span>
+      </div>
+
+      {doctors.length > 0 ? (
+        <ul className="space-y-3">
+          {[...doctors].sort(byStatus).map((doctor) => (
+            <li
+              key={doctor.licenseNumber}
+              className="flex flex-col md:flex-row md:items-center justify-between gap-3 p-4 bg-gray-50 rounded-lg border border-gray-200"
+            >
+              <div className="min-w-0">
+                <p className="font-medium text-gray-800">
+                  Dr. {doctor.name}
+                  <VerificationBadge status={doctor.status} className="ml-2" />
+                </p>
+                <p className="text-sm text-gray-500">
+                  License: {doctor.licenseNumber} • {doctor.specialization}
+                  {doctor.department && ` • ${doctor.department}`}
+                </p>
+              </div>
+              <div className="flex gap-2 shrink-0">
+                {actions
+                  .filter((action) => action.status !== doctor.status)
+                  .map((action) => (
+                    <button
+                      key={action.status}
+                      type="button"
+                      onClick={() => handleStatus(doctor, action.status)}
+                      disabled={busy === doctor.licenseNumber}
+                      className={`flex items-center px-3 py-2 text-sm font-semibold border rounded-lg transition disabled:opacity-50 ${action.className}`}
+                    >
+                      <action.icon className="mr-2" />
+                      {action.label}
+                    </button>
+                  ))}
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-400 text-center py-6">
+          No doctors have registered with this hospital yet.
+        </p>
+      )}
+    </motion.div>
+  );
+};
+
+export default DoctorVerification;
@@ -0,0 +1,224 @@
+/* eslint-disable no-unused-vars */
+import { useState, useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate, Link } from "react-router-dom";
+import { motion } from "framer-motion";
+import { FaHospital, FaLock, FaArrowRight } from "react-icons/fa";
+import { toast } from "react-toastify";
+
+import { connectToHospital } from "../../redux/contract/hospitalSlice";
+import { setUser } from "../../redux/user/userSlice";
+import { signLoginChallenge } from "../../utils/auth";
+import { HOSPITAL_STATUS, parseHospital } from "../../utils/directory";
+
+import HospitalRegistry from "../../constants/HospitalRegistry.json";
+import { HOSPITAL_CONTRACT_ADDRESS } from "../../constants/Values";
+
+import image from "../../../public/image.png";
+
+const contractABI = HospitalRegistry.abi;
+const contractAddress = HOSPITAL_CONTRACT_ADDRESS;
+
+const Login = () => {
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+
+  const [hospitalId, setHospitalId] = useState("");
+  // hospitals the connected wallet is an admin of, or has applied for
+  const [hospitals, setHospitals] = useState([]);
+
+  const { contract, loading, account } = useSelector((state) => state.hospital);
+
+  //connect to network
+  useEffect(() => {
+    if (!account) {
+      dispatch(connectToHospital(contractAddress, contractABI));
+    }
+  }, [dispatch, account]);
+
+  useEffect(() => {
+    const getAdminHospitals = async () => {
+      try {
+        const ids = await contract.getAdminHospitals(account);
+        const list = await Promise.all(
+          ids.map(async (id) => parseHospital(await contract.getHospital(id)))
+        );
+        setHospitals(list);
+        const approved = list.find(
+          (h) => h.status === HOSPITAL_STATUS.APPROVED
+        );
+        setHospitalId(approved ? String(approved.id) : "");
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    if (contract && account) {
+      getAdminHospitals();
+    }
+  }, [contract, account]);
+
+  // handle login
+  const handleLogin = async (e) => {
+    e.preventDefault();
+
+    // contract not loaded yet
+    if (!contract) {
+      toast.error(
+        "Blockchain contract is not available yet. Please try again later."
+      );
+      return;
+    }
+
+    if (!hospitalId) {
+      toast.error(
+        hospitals.length > 0
+          ? "Your hospital is still waiting for approval."
+          : "This wallet is not an admin of any hospital."
+      );
+      return;
+    }
+
+    try {
+      if (!(await contract.isHospitalAdmin(hospitalId, account))) {
+        toast.error("Unauthorized access");
+        return;
+      }
+
+      // sign a login challenge with the wallet
+      const { nonce, signature } = await signLoginChallenge(
+        contract,
+        hospitalId
+      );
+      const isValidSignature = await contract.validateSignature(
+        hospitalId,
+        nonce,
+        signature
+      );
+      if (!isValidSignature) {
+        toast.error("Wallet signature could not be verified!");
+        return;
+      }
+
+      dispatch(setUser({ account, hospitalId }));
+      localStorage.setItem("walletAddress", account);
+      localStorage.setItem("hospitalId", hospitalId);
+      toast.success("Logged in successfully!");
+
+      navigate("/hospital/" + hospitalId);
+    } catch (err) {
+      console.log(err);
+      toast.error("Login error!");
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-cyan-400"></div>
+        <p className="text-lg font-medium ml-4 text-[#0a0f2c]">
+          Connecting to blockchain...
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100 flex items-center justify-center p-4 relative overflow-hidden">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6 }}
+        className="flex flex-col md:flex-row w-full max-w-6xl bg-white rounded-2xl shadow-2xl overflow-hidden"
+      >
+        {/* Image Section - Full Height */}
+        <div className="hidden md:block md:w-1/2 bg-gradient-to-br from-[#0a0f2c] to-[#1a1f3c] relative">
+          <img
+            src={image}
+            alt="Secure Hospital Admin Login"
+            className="absolute inset-0 w-full h-full object-cover opacity-100"
+          />
+        </div>
+
+        {/* Form Section */}
+        <div className="w-full md:w-1/2 p-8 md:p-12">
+          <div className="text-center mb-8">
+            <h1 className="text-3xl font-bold text-[#0a0f2c]">
+              Hospital Admin <span className="text-cyan-400">Login</span>
+            </h1>
+            <p className="text-gray-600 mt-2">
+              Connected as:{" "}
+              <span className="font-mono text-sm">
+                {account?.slice(0, 12)}...
+              </span>
+            </p>
+          </div>
+
+          <form onSubmit={handleLogin} className="space-y-6">
+            <div className="relative">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <FaHospital className="text-gray-400" />
+              </div>
+              <select
+                value={hospitalId}
+                onChange={(e) => setHospitalId(e.target.value)}
+                disabled={hospitals.length === 0}
+                className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent appearance-none disabled:bg-gray-50"
+              >
+                {hospitals.length === 0 && (
+                  <option value="">No hospitals for this wallet</option>
+                )}
+                {hospitals.map((hospital) => (
+                  <option
+                    key={hospital.id}
+                    value={hospital.id}
+                    disabled={hospital.status !== HOSPITAL_STATUS.APPROVED}
+                  >
+                    {hospital.name}
+                    {hospital.status === HOSPITAL_STATUS.PENDING &&
+                      " (awaiting approval)"}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <p className="text-sm text-gray-500 flex items-center">
+              <FaLock className="mr-2 text-gray-400" />
+              Your wallet will ask you to sign a one-time login challenge.
+            </p>
+
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              type="submit"
+              className="w-full py-4 bg-gradient-to-r from-cyan-400 to-blue-500 text-[#0a0f2c] font-bold rounded-xl shadow-md hover:shadow-lg transition-all flex items-center justify-center"
+            >
+              Sign in with Wallet <FaArrowRight className="ml-2" />
+            </motion.button>
+
+            <p className="text-center text-gray-600">
+              Hospital not registered yet?{" "}
+              <Link
+                to="/hospital-register"
+                className="text-cyan-500 hover:underline font-medium"
+              >
+                Register here
+              </Link>
+            </p>
+
+            <p className="text-center text-sm text-gray-500">
+              Registry owner?{" "}
+              <Link
+                to="/hospital-approvals"
+                className="text-cyan-500 hover:underline font-medium"
+              >
+                Review applications
+              </Link>
+            </p>
+          </form>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default Login;
@@ -0,0 +1,149 @@
+/* eslint-disable no-unused-vars */
+import { useState, useEffect } from "react";
+import { motion } from "framer-motion";
+import { toast } from "react-toastify";
+import { FaClinicMedical, FaCheck, FaPause } from "react-icons/fa";
+
+import { PHARMACY_STATUS, fetchAllPages } from "../../utils/directory";
+
+const STATUS_BADGES = [
+  { label: "Pending approval", className: "bg-yellow-100 text-yellow-800" },
+  { label: "Approved", className: "bg-green-100 text-green-800" },
+  { label: "Suspended", className: "bg-orange-100 text-orange-800" },
+];
+
+// pharmacies registered under the hospital; admins approve them before they can dispense
+// (PharmacyRegistration.setPharmacyStatus)
+const PharmacyApprovals = ({ pharmacyContract, hospitalId }) => {
+  const [pharmacies, setPharmacies] = useState([]);
+  const [version, setVersion] = useState(0);
+  const [busy, setBusy] = useState("");
+
+  useEffect(() => {
+    const fetchPharmacies = async () => {
+      try {
+        const rows = await fetchAllPages((offset, limit) =>
+          pharmacyContract.getPharmaciesByHospital(hospitalId, offset, limit)
+        );
+        setPharmacies(
+          rows.map((p) => ({
+            name: p.name,
+            licenseNumber: p.licenseNumber,
+            location: p.location,
+            status: Number(p.status),
+          }))
+        );
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    if (pharmacyContract) {
+      fetchPharmacies();
+    }
+  }, [pharmacyContract, hospitalId, version]);
+
+  const handleStatus = async (pharmacy, status) => {
+    try {
+      setBusy(pharmacy.licenseNumber);
+      const tx = await pharmacyContract.setPharmacyStatus(
+        pharmacy.licenseNumber,
+        status
+      );
+      await tx.wait();
+      toast.success(
+        status === PHARMACY_STATUS.APPROVED
+          ? `${pharmacy.name} approved.`
+          : `${pharmacy.name} suspended.`
+      );
+      setVersion((v) => v + 1);
+    } catch (err) {
+      console.log(err);
+      toast.error(err?.reason || "Unable to update the pharmacy.");
+    } finally {
+      setBusy("");
+    }
+  };
+
+  const pending = pharmacies.filter(
+    (p) => p.status === PHARMACY_STATUS.PENDING
+  ).length;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white bg-opacity-90 backdrop-blur-sm rounded-2xl shadow-xl p-6"
+    >
+      <div className="flex items-center justify-between mb-6 pb-4 border-b border-gray-200">
+        <h2 className="text-xl font-bold text-[#0a0f2c] flex items-center">
+          <FaClinicMedical className="text-cyan-500 mr-3" />
+          Pharmacies
+        </h2>
+        <span className="bg-yellow-100 text-yellow-800 text-sm font-medium px-3 py-1 rounded-full">
+          {pending} pending
+        </span>
+      </div>
+
+      {pharmacies.length > 0 ? (
+        <ul className="space-y-3">
+          {pharmacies.map((pharmacy) => (
+            <li
+              key={pharmacy.licenseNumber}
+              className="flex flex-col md:flex-row md:items-center justify-between gap-3 p-4 bg-gray-50 rounded-lg border border-gray-200"
+            >
+              <div className="min-w-0">
+                <p className="font-medium text-gray-800">
+                  {pharmacy.name}
+                  <span
+                    className={`ml-2 px-2 py-0.5 text-xs font-medium rounded-full ${
+                      STATUS_BADGES[pharmacy.status].className
+                    }`}
+                  >
+                    {STATUS_BADGES[pharmacy.status].label}
+                  </span>
+                </p>
+                <p className="text-sm text-gray-500">
+                  License: {pharmacy.licenseNumber} • {pharmacy.location}
+                </p>
+              </div>
+              <div className="flex gap-2 shrink-0">
+                {pharmacy.status !== PHARMACY_STATUS.APPROVED && (
+                  <button
+                    type="button"
+                    onClick={() =>
+                      handleStatus(pharmacy, PHARMACY_STATUS.APPROVED)
+                    }
+                    disabled={busy === pharmacy.licenseNumber}
+                    className="flex items-center px-3 py-2 text-sm font-semibold text-green-700 border border-green-200 rounded-lg hover:bg-green-50 transition disabled:opacity-50"
+                  >
+                    <FaCheck className="mr-2" />
+                    Approve
+                  </button>
+                )}
+                {pharmacy.status === PHARMACY_STATUS.APPROVED && (
+                  <button
+                    type="button"
+                    onClick={() =>
+                      handleStatus(pharmacy, PHARMACY_STATUS.SUSPENDED)
+                    }
+                    disabled={busy === pharmacy.licenseNumber}
+                    className="flex items-center px-3 py-2 text-sm font-semibold text-orange-700 border border-orange-200 rounded-lg hover:bg-orange-50 transition disabled:opacity-50"
+                  >
+                    <FaPause className="mr-2" />
+                    Suspend
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-400 text-center py-6">
+          No pharmacies have registered with this hospital yet.
+        </p>
+      )}
+    </motion.div>
+  );
+};
+
+export default PharmacyApprovals;
@@ -0,0 +1,264 @@
+/* eslint-disable no-unused-vars */
+import { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { motion } from "framer-motion";
+import {
+  FaHospital,
+  FaLayerGroup,
+  FaMapMarkerAlt,
+  FaShieldAlt,
+  FaUserMd,
+  FaUserShield,
+} from "react-icons/fa";
+import { toast } from "react-toastify";
+
+import {
+  connectToHospital,
+  clearHospitalState,
+} from "../../redux/contract/hospitalSlice";
+
+import HospitalRegistry from "../../constants/HospitalRegistry.json";
+import { HOSPITAL_CONTRACT_ADDRESS } from "../../constants/Values";
+
+import loginImage from "../../../public/5053643.jpg";
+
+const contractABI = HospitalRegistry.abi;
+const contractAddress = HOSPITAL_CONTRACT_ADDRESS;
+
+// "Cardiology, ER, cardiology" -> ["Cardiology", "ER"]
+const parseDepartments = (text) => {
+  const departments = [];
+  text.split(",").forEach((item) => {
+    const department = item.trim();
+    if (
+      department &&
+      !departments.some((d) => d.toLowerCase() === department.toLowerCase())
+    ) {
+      departments.push(department);
+    }
+  });
+  return departments;
+};
+
+const Registration = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+
+  // registration states
+  const [name, setName] = useState("");
+  const [location, setLocation] = useState("");
+  const [departments, setDepartments] = useState("");
+
+  const { account, contract, loading } = useSelector((state) => state.hospital);
+
+  // register loader
+  const [waiter, setWaiter] = useState(false);
+
+  // connect to network
+  useEffect(() => {
+    dispatch(connectToHospital(contractAddress, contractABI));
+  }, [dispatch]);
+
+  // clear state when component unmounts
+  useEffect(() => {
+    return () => {
+      dispatch(clearHospitalState());
+    };
+  }, [dispatch]);
+
+  // handle register
+  const handleRegister = async (e) => {
+    e.preventDefault();
+
+    if (!contract) {
+      console.log("Contract not initialized");
+      return;
+    }
+
+    const departmentList = parseDepartments(departments);
+    if (!account || !name.trim() || !location.trim()) {
+      toast.error("Please fill in all the required fields.");
+      return;
+    }
+
+    if (departmentList.length === 0) {
+      toast.error("Please add at least one department.");
+      return;
+    }
+
+    try {
+      setWaiter(true);
+      const existingId = await contract.hospitalIdByName(name.trim());
+
+      if (existingId !== 0n) {
+        toast.error("A hospital with this name is already registered");
+        return;
+      }
+
+      const tx = await contract.registerHospital(
+        name.trim(),
+        location.trim(),
+        departmentList
+      );
+      await tx.wait();
+      navigate("/hospital-login");
+      toast.success(
+        "Application submitted. The registry owner will review it shortly."
+      );
+    } catch (err) {
+      console.log(err?.message);
+      toast.error("An error occurred while registering the hospital.");
+    } finally {
+      setWaiter(false);
+    }
+  };
+
+  // contract loading
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-cyan-400"></div>
+        <p className="text-lg font-medium ml-4 text-[#0a0f2c]">
+          Connecting to blockchain...
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100 flex items-center justify-center p-4 relative overflow-hidden">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6 }}
+        className="flex flex-col md:flex-row w-full max-w-6xl bg-white rounded-2xl shadow-2xl overflow-hidden"
+      >
+        {/* Image Section - Full Height */}
+        <div className="hidden md:block md:w-1/2 bg-gradient-to-br from-[#0a0f2c] to-[#1a1f3c] relative">
+          <img
+            src={loginImage}
+            alt="Hospital Registration"
+            className="absolute inset-0 w-full h-full object-cover opacity-90 mix-blend-luminosity"
+          />
+          <div className="absolute inset-0 bg-gradient-to-t from-[#0a0f2c] to-transparent"></div>
+          <div className="relative z-10 p-12 h-full flex flex-col justify-end">
+            <h2 className="text-4xl font-bold text-white mb-4">
+              <span className="text-cyan-300">Hospital</span> Network
+            </h2>
+            <p className="text-gray-300 text-lg">
+              List your hospital so doctors can join its departments.
+            </p>
+            <div className="mt-8 space-y-4">
+              {[
+                {
+                  icon: <FaUserShield className="text-cyan-300" />,
+                  text: "This wallet becomes the admin once approved",
+                },
+                {
+                  icon: <FaUserMd className="text-purple-300" />,
+                  text: "Doctors register into your departments",
+                },
+                {
+                  icon: <FaShieldAlt className="text-blue-300" />,
+                  text: "One on-chain record per hospital",
+                },
+              ].map((item, i) => (
+                <div key={i} className="flex items-center">
+                  <span className="mr-3">{item.icon}</span>
+                  <span className="text-gray-300">{item.text}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {/* Form Section */}
+        <div className="w-full md:w-1/2 p-8 md:p-12">
+          {waiter ? (
+            <div className="h-full flex flex-col items-center justify-center">
+              <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-cyan-400 mb-4"></div>
+              <h3 className="text-xl font-semibold text-[#0a0f2c]">
+                Processing your registration
+              </h3>
+              <p className="text-gray-600 mt-2">
+                This may take a few moments...
+              </p>
+            </div>
+          ) : (
+            <>
+              <div className="text-center mb-8">
+                <h1 className="text-3xl font-bold text-[#0a0f2c]">
+                  Hospital <span className="text-cyan-400">Registration</span>
+                </h1>
+                <p className="text-gray-600 mt-2">
+                  Connected as:{" "}
+                  <span className="font-mono text-sm">
+                    {account?.slice(0, 12)}...
+                  </span>
+                </p>
+              </div>
+
+              <form onSubmit={handleRegister} className="space-y-5">
+                {[
+                  {
+                    icon: <FaHospital className="text-gray-400" />,
+                    value: name,
+                    onChange: setName,
+                    placeholder: "Hospital Name",
+                  },
+                  {
+                    icon: <FaMapMarkerAlt className="text-gray-400" />,
+                    value: location,
+                    onChange: setLocation,
+                    placeholder: "Address",
+                  },
+                  {
+                    icon: <FaLayerGroup className="text-gray-400" />,
+                    value: departments,
+                    onChange: setDepartments,
+                    placeholder: "Departments (comma separated)",
+                  },
+                ].map((field) => (
+                  <div key={field.placeholder} className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      {field.icon}
+                    </div>
+                    <input
+                      type="text"
+                      value={field.value}
+                      onChange={(e) => field.onChange(e.target.value)}
+                      placeholder={field.placeholder}
+                      className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
+                    />
+                  </div>
+                ))}
+
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  type="submit"
+                  className="w-full py-4 bg-gradient-to-r from-cyan-400 to-blue-500 text-[#0a0f2c] font-bold rounded-xl shadow-md hover:shadow-lg transition-all"
+                >
+                  Register Hospital
+                </motion.button>
+
+                <p className="text-center text-gray-600 mt-4">
+                  Already registered?{" "}
+                  <Link
+                    to="/hospital-login"
+                    className="text-cyan-500 hover:underline font-medium"
+                  >
+                    Login here
+                  </Link>
+                </p>
+              </form>
+            </>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default Registration;
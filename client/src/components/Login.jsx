@@ -5,6 +5,8 @@ const Login = () => {
     <div>
       <Link to="/patient-login">Patient</Link>
       <Link to="/doctor-login">Doctor</Link>
+      <Link to="/pharmacy-login">Pharmacy</Link>
+      <Link to="/hospital-login">Hospital</Link>
     </div>
   )
 }
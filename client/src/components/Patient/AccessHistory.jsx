@@ -0,0 +1,186 @@
+/* eslint-disable no-unused-vars */
+import { useState, useEffect } from "react";
+import { motion } from "framer-motion";
+import {
+  FaHistory,
+  FaFileMedical,
+  FaUnlock,
+  FaBan,
+  FaEye,
+  FaQuestionCircle,
+  FaCheckCircle,
+  FaExclamationTriangle,
+} from "react-icons/fa";
+
+import { durationLabel } from "../../utils/records";
+import { fetchDoctorsByWallet } from "../../utils/directory";
+
+const EVENT_STYLES = {
+  RecordAdded: {
+    icon: <FaFileMedical />,
+    color: "bg-purple-100 text-purple-600",
+  },
+  AccessGranted: { icon: <FaUnlock />, color: "bg-green-100 text-green-600" },
+  AccessRevoked: { icon: <FaBan />, color: "bg-red-100 text-red-600" },
+  RecordViewed: { icon: <FaEye />, color: "bg-cyan-100 text-cyan-600" },
+  AccessRequested: {
+    icon: <FaQuestionCircle />,
+    color: "bg-yellow-100 text-yellow-600",
+  },
+  AccessRequestDecided: {
+    icon: <FaCheckCircle />,
+    color: "bg-blue-100 text-blue-600",
+  },
+  EmergencyAccessGranted: {
+    icon: <FaExclamationTriangle />,
+    color: "bg-red-100 text-red-600",
+  },
+};
+
+// timeline of the patient's Upload events, newest first
+const AccessHistory = ({
+  uploadContract,
+  doctorContract,
+  account,
+  reports,
+  version,
+}) => {
+  const [events, setEvents] = useState([]);
+  const [doctorsByWallet, setDoctorsByWallet] = useState({});
+
+  useEffect(() => {
+    const getEvents = async () => {
+      if (!uploadContract || !doctorContract || !account) return;
+      try {
+        const { filters } = uploadContract;
+        const logs = (
+          await Promise.all([
+            uploadContract.queryFilter(filters.RecordAdded(account)),
+            uploadContract.queryFilter(filters.AccessGranted(account)),
+            uploadContract.queryFilter(filters.AccessRevoked(account)),
+            uploadContract.queryFilter(filters.RecordViewed(account)),
+            uploadContract.queryFilter(filters.AccessRequested(account)),
+            uploadContract.queryFilter(filters.AccessRequestDecided(account)),
+            uploadContract.queryFilter(filters.EmergencyAccessGranted(account)),
+          ])
+        ).flat();
+
+        logs.sort((a, b) => b.blockNumber - a.blockNumber || b.index - a.index);
+        setEvents(
+          logs.map((log) => ({
+            key: `${log.transactionHash}-${log.index}`,
+            type: log.eventName,
+            args: log.args,
+            timestamp: new Date(Number(log.args.timestamp) * 1000),
+          }))
+        );
+        setDoctorsByWallet(
+          await fetchDoctorsByWallet(
+            doctorContract,
+            logs.flatMap((log) =>
+              [log.args.uploader, log.args.viewer, log.args.doctor].filter(
+                Boolean
+              )
+            )
+          )
+        );
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    getEvents();
+  }, [uploadContract, doctorContract, account, version]);
+
+  const actorName = (address) => {
+    if (address.toLowerCase() === account?.toLowerCase()) return "You";
+    const doctor = doctorsByWallet[address.toLowerCase()];
+    return doctor ? `Dr. ${doctor.name}` : `${address.slice(0, 10)}...`;
+  };
+
+  const recordTitle = (id) =>
+    reports.find((r) => r.id === Number(id))?.title ?? `record #${id}`;
+
+  const describe = ({ type, args }) => {
+    switch (type) {
+      case "RecordAdded":
+        return `${actorName(args.uploader)} uploaded "${args.title}"`;
+      case "AccessGranted":
+        return `Access granted to ${actorName(args.viewer)} (${
+          args.allRecords ? "all records" : "selected records"
+        }${
+          Number(args.expiresAt) === 0
+            ? ", until revoked"
+            : `, until ${new Date(
+                Number(args.expiresAt) * 1000
+              ).toLocaleString()}`
+        })`;
+      case "AccessRevoked":
+        return `Access revoked for ${actorName(args.viewer)}`;
+      case "RecordViewed":
+        return `${actorName(args.viewer)} opened "${recordTitle(args.id)}"`;
+      case "AccessRequested":
+        return `${actorName(args.doctor)} requested access for ${durationLabel(
+          Number(args.duration)
+        ).toLowerCase()}${args.reason ? `: "${args.reason}"` : ""}`;
+      case "AccessRequestDecided":
+        return `You ${args.approved ? "approved" : "denied"} ${actorName(
+          args.doctor
+        )}'s access request`;
+      case "EmergencyAccessGranted":
+        return `${actorName(
+          args.doctor
+        )} used emergency access until ${new Date(
+          Number(args.expiresAt) * 1000
+        ).toLocaleString()}: "${args.reason}"`;
+      default:
+        return type;
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white bg-opacity-90 backdrop-blur-sm rounded-3xl shadow-2xl p-8"
+    >
+      <div className="flex items-center justify-between mb-6 pb-4 border-b border-gray-200">
+        <h2 className="text-2xl font-bold text-[#0a0f2c] flex items-center">
+          <FaHistory className="text-purple-400 mr-3" />
+          Access History
+        </h2>
+        <span className="bg-cyan-100 text-cyan-800 text-sm font-medium px-3 py-1 rounded-full">
+          {events.length} events
+        </span>
+      </div>
+
+      {events.length > 0 ? (
+        <ul className="max-h-96 overflow-y-auto pr-2 space-y-3">
+          {events.map((event) => (
+            <li
+              key={event.key}
+              className="flex items-center space-x-4 p-4 bg-gray-50 rounded-lg border border-gray-200"
+            >
+              <div
+                className={`p-3 rounded-lg ${EVENT_STYLES[event.type].color}`}
+              >
+                {EVENT_STYLES[event.type].icon}
+              </div>
+              <div className="min-w-0">
+                <p className="font-medium text-gray-800">{describe(event)}</p>
+                <p className="text-sm text-gray-500">
+                  {event.timestamp.toLocaleString()}
+                </p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-400 text-center py-8">
+          No activity on your records yet.
+        </p>
+      )}
+    </motion.div>
+  );
+};
+
+export default AccessHistory;
@@ -0,0 +1,191 @@
+/* eslint-disable no-unused-vars */
+import { useState, useEffect } from "react";
+import { motion } from "framer-motion";
+import { FaUserShield, FaUserMd, FaBan } from "react-icons/fa";
+
+import { revokeDoctorPermission } from "../../utils/permissions";
+import { fetchDoctorsByWallet } from "../../utils/directory";
+
+const STATUS_STYLES = {
+  Active: "bg-green-100 text-green-800",
+  Expired: "bg-yellow-100 text-yellow-800",
+  Revoked: "bg-gray-200 text-gray-600",
+};
+
+const grantStatus = (grant) => {
+  if (!grant.access) return "Revoked";
+  if (grant.expiresAt && grant.expiresAt <= new Date()) return "Expired";
+  return "Active";
+};
+
+// lists everyone the patient ever shared records with (Upload.shareAccess); a delegate with the
+// share permission passes the patient's wallet as owner and manages the grants on their behalf
+const AccessManager = ({
+  uploadContract,
+  patientContract,
+  doctorContract,
+  hhNumber,
+  owner,
+  version,
+  onChange,
+}) => {
+  const [grants, setGrants] = useState([]);
+  const [doctorsByWallet, setDoctorsByWallet] = useState({});
+  const [revoking, setRevoking] = useState("");
+
+  useEffect(() => {
+    const getGrants = async () => {
+      if (!uploadContract || !doctorContract) return;
+      try {
+        const list = owner
+          ? await uploadContract.shareAccessFor(owner)
+          : await uploadContract.shareAccess();
+        const parsed = await Promise.all(
+          list.map(async (a) => ({
+            user: a.user,
+            access: a.access,
+            grantedAt: new Date(Number(a.grantedAt) * 1000),
+            expiresAt:
+              Number(a.expiresAt) === 0
+                ? null
+                : new Date(Number(a.expiresAt) * 1000),
+            allRecords: a.allRecords,
+            sharedCount:
+              a.access && !a.allRecords
+                ? (owner
+                    ? await uploadContract.getSharedRecordsFor(owner, a.user)
+                    : await uploadContract.getSharedRecords(a.user)
+                  ).length
+                : 0,
+          }))
+        );
+        setGrants(parsed);
+        setDoctorsByWallet(
+          await fetchDoctorsByWallet(
+            doctorContract,
+            parsed.map((g) => g.user)
+          )
+        );
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    getGrants();
+  }, [uploadContract, doctorContract, owner, version]);
+
+  const handleRevoke = async (user) => {
+    if (
+      !window.confirm(
+        `Revoke this doctor's access to ${owner ? "these" : "your"} records?`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setRevoking(user);
+      const tx = owner
+        ? await uploadContract.disallowFor(owner, user)
+        : await uploadContract.disallow(user);
+      await tx.wait();
+
+      const doctor = findDoctor(user);
+      if (doctor) {
+        await revokeDoctorPermission(
+          patientContract,
+          doctorContract,
+          hhNumber,
+          doctor.licenseNumber
+        );
+      }
+      onChange();
+    } catch (err) {
+      alert("Unable to revoke access");
+      console.log(err);
+    } finally {
+      setRevoking("");
+    }
+  };
+
+  const findDoctor = (address) => doctorsByWallet[address.toLowerCase()];
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white bg-opacity-90 backdrop-blur-sm rounded-3xl shadow-2xl p-8"
+    >
+      <div className="flex items-center justify-between mb-6 pb-4 border-b border-gray-200">
+        <h2 className="text-2xl font-bold text-[#0a0f2c] flex items-center">
+          <FaUserShield className="text-cyan-500 mr-3" />
+          Who Can See {owner ? "These" : "My"} Records
+        </h2>
+        <span className="bg-cyan-100 text-cyan-800 text-sm font-medium px-3 py-1 rounded-full">
+          {grants.filter((g) => grantStatus(g) === "Active").length} active
+        </span>
+      </div>
+
+      {grants.length > 0 ? (
+        <ul className="space-y-3">
+          {grants.map((grant) => {
+            const doctor = findDoctor(grant.user);
+            const status = grantStatus(grant);
+            return (
+              <li
+                key={grant.user}
+                className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 bg-gray-50 rounded-lg border border-gray-200"
+              >
+                <div className="flex items-center space-x-4 min-w-0">
+                  <div className="p-3 bg-cyan-100 rounded-lg text-cyan-600">
+                    <FaUserMd />
+                  </div>
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-800 truncate">
+                      {doctor ? `Dr. ${doctor.name}` : "Unknown address"}
+                      <span
+                        className={`text-xs font-medium px-2 py-0.5 rounded-full ml-2 ${STATUS_STYLES[status]}`}
+                      >
+                        {status}
+                      </span>
+                    </p>
+                    <p className="text-sm text-gray-500 truncate">
+                      {doctor ? doctor.hospital : grant.user}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      Granted on {grant.grantedAt.toLocaleDateString()}
+                      {grant.expiresAt &&
+                        ` • until ${grant.expiresAt.toLocaleString()}`}
+                      {grant.access &&
+                        (grant.allRecords
+                          ? " • all records"
+                          : ` • ${grant.sharedCount} selected record(s)`)}
+                    </p>
+                  </div>
+                </div>
+                {grant.access && (
+                  <button
+                    type="button"
+                    onClick={() => handleRevoke(grant.user)}
+                    disabled={revoking === grant.user}
+                    className="flex items-center justify-center px-4 py-2 text-sm font-semibold text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition disabled:opacity-50"
+                  >
+                    <FaBan className="mr-2" />
+                    {revoking === grant.user ? "Revoking..." : "Revoke"}
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="text-gray-400 text-center py-8">
+          {owner
+            ? "These records haven't been shared with anyone yet."
+            : "You haven't shared your records with anyone yet."}
+        </p>
+      )}
+    </motion.div>
+  );
+};
+
+export default AccessManager;
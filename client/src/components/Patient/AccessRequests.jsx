@@ -0,0 +1,186 @@
+/* eslint-disable no-unused-vars */
+import { useState, useEffect } from "react";
+import { motion } from "framer-motion";
+import { FaInbox, FaUserMd, FaCheck, FaTimes } from "react-icons/fa";
+
+import { REQUEST_STATUS, durationLabel } from "../../utils/records";
+import { grantDoctorPermission } from "../../utils/permissions";
+import { fetchDoctorsByWallet } from "../../utils/directory";
+
+const DECISION_STYLES = {
+  [REQUEST_STATUS.APPROVED]: {
+    label: "Approved",
+    color: "bg-green-100 text-green-800",
+  },
+  [REQUEST_STATUS.DENIED]: {
+    label: "Denied",
+    color: "bg-red-100 text-red-800",
+  },
+};
+
+// doctors' requests to see the patient's records (Upload.getAccessRequests)
+const AccessRequests = ({
+  uploadContract,
+  patientContract,
+  doctorContract,
+  patient,
+  version,
+  onChange,
+}) => {
+  const [requests, setRequests] = useState([]);
+  const [doctorsByWallet, setDoctorsByWallet] = useState({});
+  const [deciding, setDeciding] = useState(null);
+
+  useEffect(() => {
+    const getRequests = async () => {
+      if (!uploadContract || !doctorContract) return;
+      try {
+        const list = await uploadContract.getAccessRequests();
+        setRequests(
+          list
+            .map((r) => ({
+              id: Number(r.id),
+              doctor: r.doctor,
+              reason: r.reason,
+              duration: Number(r.duration),
+              requestedAt: new Date(Number(r.requestedAt) * 1000),
+              status: Number(r.status),
+            }))
+            .reverse()
+        );
+        setDoctorsByWallet(
+          await fetchDoctorsByWallet(
+            doctorContract,
+            list.map((r) => r.doctor)
+          )
+        );
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    getRequests();
+  }, [uploadContract, doctorContract, version]);
+
+  const findDoctor = (address) => doctorsByWallet[address.toLowerCase()];
+
+  const handleDecision = async (request, approve) => {
+    try {
+      setDeciding(request.id);
+      const tx = approve
+        ? await uploadContract.approveRequest(request.id)
+        : await uploadContract.denyRequest(request.id);
+      await tx.wait();
+
+      const doctor = findDoctor(request.doctor);
+      if (approve && doctor) {
+        await grantDoctorPermission(
+          patientContract,
+          doctorContract,
+          patient,
+          doctor
+        );
+      }
+      onChange();
+    } catch (err) {
+      alert("Unable to record your decision");
+      console.log(err);
+    } finally {
+      setDeciding(null);
+    }
+  };
+
+  const pending = requests.filter((r) => r.status === REQUEST_STATUS.PENDING);
+  const decided = requests.filter((r) => r.status !== REQUEST_STATUS.PENDING);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white bg-opacity-90 backdrop-blur-sm rounded-3xl shadow-2xl p-8"
+    >
+      <div className="flex items-center justify-between mb-6 pb-4 border-b border-gray-200">
+        <h2 className="text-2xl font-bold text-[#0a0f2c] flex items-center">
+          <FaInbox className="text-cyan-500 mr-3" />
+          Access Requests
+        </h2>
+        <span className="bg-cyan-100 text-cyan-800 text-sm font-medium px-3 py-1 rounded-full">
+          {pending.length} pending
+        </span>
+      </div>
+
+      {requests.length > 0 ? (
+        <ul className="max-h-96 overflow-y-auto pr-2 space-y-3">
+          {[...pending, ...decided].map((request) => {
+            const doctor = findDoctor(request.doctor);
+            return (
+              <li
+                key={request.id}
+                className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 bg-gray-50 rounded-lg border border-gray-200"
+              >
+                <div className="flex items-center space-x-4 min-w-0">
+                  <div className="p-3 bg-cyan-100 rounded-lg text-cyan-600">
+                    <FaUserMd />
+                  </div>
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-800 truncate">
+                      {doctor ? `Dr. ${doctor.name}` : request.doctor}
+                      {doctor && (
+                        <span className="text-sm text-gray-500 font-normal">
+                          {" "}
+                          • {doctor.hospital}
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      {request.reason || "No reason given"}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      Asked for {durationLabel(request.duration).toLowerCase()}{" "}
+                      on {request.requestedAt.toLocaleDateString()}
+                    </p>
+                  </div>
+                </div>
+                {request.status === REQUEST_STATUS.PENDING ? (
+                  <div className="flex gap-2">
+                    <button
+                      type="button"
+                      onClick={() => handleDecision(request, true)}
+                      disabled={deciding === request.id}
+                      className="flex items-center px-4 py-2 text-sm font-semibold text-green-700 border border-green-200 rounded-lg hover:bg-green-50 transition disabled:opacity-50"
+                    >
+                      <FaCheck className="mr-2" />
+                      Approve
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDecision(request, false)}
+                      disabled={deciding === request.id}
+                      className="flex items-center px-4 py-2 text-sm font-semibold text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition disabled:opacity-50"
+                    >
+                      <FaTimes className="mr-2" />
+                      Deny
+                    </button>
+                  </div>
+                ) : (
+                  <span
+                    className={`self-start sm:self-center text-xs font-medium px-3 py-1 rounded-full ${
+                      DECISION_STYLES[request.status].color
+                    }`}
+                  >
+                    {DECISION_STYLES[request.status].label}
+                  </span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="text-gray-400 text-center py-8">
+          No doctor has asked to see your records.
+        </p>
+      )}
+    </motion.div>
+  );
+};
+
+export default AccessRequests;
@@ -20,20 +20,56 @@ import {
   FaFolderOpen,
   FaFileAlt,
   FaChevronRight,
+  FaShareAlt,
+  FaEdit,
+  FaUserFriends,
 } from "react-icons/fa";
 import axios from "axios";
 
+import AccessManager from "./AccessManager";
+import AccessRequests from "./AccessRequests";
+import ProfileEditor from "../ProfileEditor";
+import AccountRecovery from "../AccountRecovery";
+import AccessHistory from "./AccessHistory";
+import EmergencyAlert from "./EmergencyAlert";
+import DelegateManager from "./DelegateManager";
+import ShareDoctorPicker from "./ShareDoctorPicker";
+
+import {
+  RECORD_CATEGORIES,
+  formatFileSize,
+  parseRecords,
+  recordUrl,
+} from "../../utils/records";
+import { grantDoctorPermission } from "../../utils/permissions";
+import {
+  DELEGATE_ROLE_LABELS,
+  PERMISSION,
+  canAct,
+  fetchDelegations,
+} from "../../utils/delegation";
+
 // redux methods
 import { connectToBlockchain } from "../../redux/contract/blockchainSlice";
 import { connectToUpload } from "../../redux/contract/uploadSlice";
+import { connectToDoctor } from "../../redux/contract/doctorSlice";
+import { connectToHospital } from "../../redux/contract/hospitalSlice";
+import {
+  clearUser,
+  setDelegations,
+  switchProfile,
+} from "../../redux/user/userSlice";
 
 // contract data
 import PatientRegistration from "../../constants/PatientRegistration.json";
 import Upload from "../../constants/Upload.json";
+import DoctorRegistration from "../../constants/DoctorRegistration.json";
+import HospitalRegistry from "../../constants/HospitalRegistry.json";
 import {
   PATIENT_CONTRACT_ADDRESS,
   UPLOAD_CONTRACT_ADDRESS,
-  PRIVATE_KEY,
+  DOCTOR_CONTRACT_ADDRESS,
+  HOSPITAL_CONTRACT_ADDRESS,
 } from "../../constants/Values";
 
 //image
@@ -42,11 +78,17 @@ import patientLogo from "../../../public/DJV MAR 1012-04.jpg";
 // set up constants
 const contractABI = PatientRegistration.abi;
 const contractAddress = PATIENT_CONTRACT_ADDRESS;
-const privateKey = PRIVATE_KEY;
 
 const uploadABI = Upload.abi;
 const uploadAddress = UPLOAD_CONTRACT_ADDRESS;
 
+// how long a selective share stays open (seconds, 0 = until revoked)
+const SHARE_WINDOWS = [
+  { value: 7 * 24 * 60 * 60, label: "7 days" },
+  { value: 30 * 24 * 60 * 60, label: "30 days" },
+  { value: 0, label: "Until revoked" },
+];
+
 const Dashboard = () => {
   const dispatch = useDispatch();
   const navigate = useNavigate();
@@ -57,42 +99,55 @@ const Dashboard = () => {
   const account = useSelector((state) => state.blockchain.account);
   const uploadContract = useSelector((state) => state.upload.contract);
   const uploadLoading = useSelector((state) => state.upload.loading);
+  const doctorContract = useSelector((state) => state.doctor.contract);
+  const hospitalContract = useSelector((state) => state.hospital.contract);
+  const profile = useSelector((state) => state.user.profile);
 
   // get patient id from url and localStorage
   const { hhNumber } = useParams();
   const numberStorage = localStorage.getItem("hhNumber");
 
+  // a guardian / caregiver viewing the patient they switched to in the header
+  const acting = profile?.hhNumber === hhNumber ? profile : null;
+  const owner = acting ? acting.walletAddress : account;
+  const canView = canAct(acting, PERMISSION.VIEW);
+  const canUpload = canAct(acting, PERMISSION.UPLOAD);
+  const canShare = canAct(acting, PERMISSION.SHARE);
+
   // deny unauthorized access
   useEffect(() => {
-    if (numberStorage !== hhNumber) {
+    if (numberStorage !== hhNumber && !acting) {
       navigate("/patient/" + numberStorage, { replace: true });
     }
-  }, [hhNumber, numberStorage, navigate]);
+  }, [hhNumber, numberStorage, acting, navigate]);
 
   // upload states
   const [file, setFile] = useState(null);
   const [fileName, setFileName] = useState("no file selected");
   const [reports, setReports] = useState([]);
+  const [reportsVersion, setReportsVersion] = useState(0);
+  const [title, setTitle] = useState("");
+  const [category, setCategory] = useState(RECORD_CATEGORIES[0]);
+
+  // selective sharing states
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [shareDoctor, setShareDoctor] = useState(null);
+  const [shareWindow, setShareWindow] = useState(SHARE_WINDOWS[0].value);
+  const [accessVersion, setAccessVersion] = useState(0);
 
   // patient state
   const [patientDetails, setPatientDetails] = useState("");
-
-  // fetch access list
-  // useEffect(() => {
-  //   const accessList = async () => {
-  //     const fetchedAddressList = await uploadContract.shareAccess();
-  //     setAddressList(fetchedAddressList);
-  //   };
-
-  //   if (uploadContract) {
-  //     accessList();
-  //   }
-  // }, [uploadContract]);
+  const [profileVersion, setProfileVersion] = useState(0);
+  const [editingProfile, setEditingProfile] = useState(false);
 
   // connect to blockchain
   useEffect(() => {
-    dispatch(connectToBlockchain(privateKey, contractAddress, contractABI));
-    dispatch(connectToUpload(privateKey, uploadAddress, uploadABI));
+    dispatch(connectToBlockchain(contractAddress, contractABI));
+    dispatch(connectToUpload(uploadAddress, uploadABI));
+    dispatch(connectToDoctor(DOCTOR_CONTRACT_ADDRESS, DoctorRegistration.abi));
+    dispatch(
+      connectToHospital(HOSPITAL_CONTRACT_ADDRESS, HospitalRegistry.abi)
+    );
   }, [dispatch]);
 
   // get patient details
@@ -115,110 +170,168 @@ const Dashboard = () => {
     };
 
     getDetails();
-  }, [contract, hhNumber]);
+  }, [contract, hhNumber, profileVersion]);
+
+  // keep the header's profile switcher in step with delegations granted or revoked since login
+  useEffect(() => {
+    const getDelegations = async () => {
+      if (!contract || !numberStorage) return;
+      try {
+        dispatch(
+          setDelegations(await fetchDelegations(contract, numberStorage))
+        );
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    getDelegations();
+  }, [contract, numberStorage, dispatch]);
+
+  // only name, email and address can change after registration
+  const handleProfileSave = async (values) => {
+    const tx = await contract.updatePatientProfile(
+      hhNumber,
+      values.name,
+      values.email,
+      values.homeAddress
+    );
+    await tx.wait();
+    setEditingProfile(false);
+    setProfileVersion((v) => v + 1);
+  };
 
   // get file data
   useEffect(() => {
     const getData = async () => {
       //check first if contract available yet
-      if (!uploadContract || !account) {
+      if (!uploadContract || !owner) {
         // console.log("Upload contract or account is not available yet.");
         return;
       }
+      if (!canView) {
+        setReports([]);
+        return;
+      }
 
-      let response;
       try {
-        response = await uploadContract.display(account);
+        const response = await uploadContract.display(owner);
+        setReports(parseRecords(response));
       } catch (err) {
         console.log(err);
       }
-
-      let isEmpty;
-      if (response !== undefined) {
-        isEmpty = Object.keys(response).length === 0;
-      }
-
-      if (!response || Object.keys(response).length === 0) {
-        alert("No file to display");
-        return;
-      }
-
-      if (!isEmpty) {
-        const str = response.toString();
-        const str_array = str.split(",");
-
-        const images = str_array.map((item, i) => {
-          return (
-            <a href={item} key={i} target="_blank">
-              {item.endsWith(".pdf") ? (
-                <object
-                  key={i}
-                  data={`https://gateway.pinata.cloud/ipfs/${item.substring(
-                    6
-                  )}`}
-                  type="application/pdf"
-                  width="100%"
-                  height="500px"
-                >
-                  <p>Your browser does not support PDFs.</p>
-                </object>
-              ) : (
-                <img
-                  key={i}
-                  src={`https://gateway.pinata.cloud/ipfs/${item.substring(6)}`}
-                  alt="Content"
-                  className="image-list"
-                />
-              )}
-            </a>
-          );
-        });
-        setReports(images);
-      } else {
-        alert("No file to display");
-      }
     };
     getData();
-  }, [account, uploadContract]);
+  }, [owner, canView, uploadContract, reportsVersion]);
 
   // upload file
   const handleSubmitFile = async (e) => {
     e.preventDefault();
-    if (file) {
-      try {
-        const formData = new FormData();
-        formData.append("file", file);
-
-        const resFile = await axios({
-          method: "post",
-          url: "https://api.pinata.cloud/pinning/pinFileToIPFS",
-          data: formData,
-          headers: {
-            pinata_api_key: `027578a6b7e5b3cd1d59`,
-            pinata_secret_api_key: `5e4c9c2919ca0505261900535439c2cea75bf9c874acc061d509250537467b50`,
-            "Content-Type": "multipart/form-data",
-          },
-        });
-        const imgHash = `https://gateway.pinata.cloud/ipfs/${resFile.data.IpfsHash}`;
-
-        if (!uploadContract) {
-          console.log(
-            "Blockchain contract is not available yet. Please try again later."
-          );
-        }
+    if (!file) {
+      return;
+    }
 
-        uploadContract.add(account, imgHash);
-        alert("Image uploaded successfully");
-        setFileName("no file selected");
-        setFile(null);
-      } catch (err) {
-        alert("Unable to connect to pinata");
-        console.log(err);
-      }
+    if (!uploadContract) {
+      alert(
+        "Blockchain contract is not available yet. Please try again later."
+      );
+      return;
+    }
+
+    try {
+      const formData = new FormData();
+      formData.append("file", file);
+
+      const resFile = await axios({
+        method: "post",
+        url: "https://api.pinata.cloud/pinning/pinFileToIPFS",
+        data: formData,
+        headers: {
+          pinata_api_key: `027578a6b7e5b3cd1d59`,
+          pinata_secret_api_key: `5e4c9c2919ca0505261900535439c2cea75bf9c874acc061d509250537467b50`,
+          "Content-Type": "multipart/form-data",
+        },
+      });
+
+      const tx = await uploadContract.add(
+        owner,
+        resFile.data.IpfsHash,
+        title || file.name,
+        category,
+        file.type || "application/octet-stream",
+        file.size
+      );
+      await tx.wait();
+      alert("File uploaded successfully");
+      setFileName("No file selected");
+      setFile(null);
+      setTitle("");
+      setReportsVersion((v) => v + 1);
+    } catch (err) {
+      alert("Unable to upload the report");
+      console.log(err);
     }
-    alert("File uploaded successfully");
-    setFileName("No file selected");
-    setFile(null);
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds((ids) =>
+      ids.includes(id) ? ids.filter((item) => item !== id) : [...ids, id]
+    );
+  };
+
+  // share only the checked reports with one doctor
+  const handleShareSelected = async () => {
+    if (!uploadContract || !shareDoctor || selectedIds.length === 0) {
+      return;
+    }
+
+    try {
+      // the directory leaves wallets out; Upload shares by wallet
+      const { walletAddress } = await doctorContract.getDoctorDetails(
+        shareDoctor.licenseNumber
+      );
+      const expiresAt =
+        shareWindow === 0 ? 0 : Math.floor(Date.now() / 1000) + shareWindow;
+      const tx = acting
+        ? await uploadContract.allowRecordsFor(
+            owner,
+            walletAddress,
+            selectedIds,
+            expiresAt,
+            0
+          )
+        : await uploadContract.allowRecords(
+            walletAddress,
+            selectedIds,
+            expiresAt,
+            0
+          );
+      await tx.wait();
+
+      await grantDoctorPermission(
+        contract,
+        doctorContract,
+        { hhNumber, name: patientDetails.name },
+        shareDoctor
+      );
+      alert(`Shared ${selectedIds.length} report(s) with the doctor`);
+      setSelectedIds([]);
+      setAccessVersion((v) => v + 1);
+    } catch (err) {
+      alert("Unable to share the selected reports");
+      console.log(err);
+    }
+  };
+
+  const handleBackToSelf = () => {
+    dispatch(switchProfile(null));
+    navigate("/patient/" + numberStorage);
+  };
+
+  // the old wallet's session is over once the account moves
+  const handleWalletRotated = () => {
+    dispatch(clearUser());
+    localStorage.clear();
+    navigate("/patient-login");
   };
 
   // get uploaded files
@@ -240,6 +353,29 @@ const Dashboard = () => {
   return (
     <>
       <div className="min-h-screen w-full p-6 bg-gradient-to-br from-blue-50 via-cyan-50 to-purple-50">
+        {acting ? (
+          <div className="mb-6 p-4 bg-cyan-50 border border-cyan-200 rounded-2xl flex flex-wrap items-center justify-between gap-3">
+            <p className="text-cyan-900 flex items-center">
+              <FaUserFriends className="mr-3 text-cyan-600" />
+              You are managing {acting.name}&apos;s records as their{" "}
+              {DELEGATE_ROLE_LABELS[acting.role].toLowerCase()}.
+            </p>
+            <button
+              type="button"
+              onClick={handleBackToSelf}
+              className="px-4 py-2 text-sm font-semibold text-cyan-700 border border-cyan-300 rounded-lg hover:bg-cyan-100 transition"
+            >
+              Back to my profile
+            </button>
+          </div>
+        ) : (
+          <EmergencyAlert
+            uploadContract={uploadContract}
+            doctorContract={doctorContract}
+            version={accessVersion}
+            onChange={() => setAccessVersion((v) => v + 1)}
+          />
+        )}
         <div className="w-full grid grid-cols-1 lg:grid-cols-2 gap-6 items-stretch">
           {/* LEFT: Patient Dashboard */}
           <motion.div
@@ -264,246 +400,438 @@ const Dashboard = () => {
                 Patient <span className="text-cyan-300">Profile</span>
               </h2>
               <div className="mt-2 h-1 w-20 bg-cyan-400 mx-auto rounded-full"></div>
+              {!editingProfile && !acting && (
+                <button
+                  type="button"
+                  onClick={() => setEditingProfile(true)}
+                  className="mt-4 inline-flex items-center px-4 py-2 text-sm font-semibold text-cyan-300 border border-cyan-300/40 rounded-lg hover:bg-cyan-300/10 transition"
+                >
+                  <FaEdit className="mr-2" />
+                  Edit Profile
+                </button>
+              )}
             </div>
 
             {/* Information Grid */}
-            <div className="mt-8 grid grid-cols-1 sm:grid-cols-2 gap-6">
-              {[
-                {
-                  label: "Wallet Address",
-                  value: patientDetails.walletAddress,
-                  icon: <FaWallet className="text-cyan-500 text-2xl" />,
-                  gradient: "from-cyan-50 to-cyan-100",
-                  border: "border-cyan-200",
-                },
-                {
-                  label: "Full Name",
-                  value: patientDetails.name,
-                  icon: <FaUser className="text-purple-500 text-2xl" />,
-                  gradient: "from-purple-50 to-purple-100",
-                  border: "border-purple-200",
-                },
-                {
-                  label: "Date of Birth",
-                  value: patientDetails.dateOfBirth,
-                  icon: <FaCalendarAlt className="text-blue-500 text-2xl" />,
-                  gradient: "from-blue-50 to-blue-100",
-                  border: "border-blue-200",
-                },
-                {
-                  label: "Gender",
-                  value: patientDetails.gender,
-                  icon: <FaVenusMars className="text-pink-500 text-2xl" />,
-                  gradient: "from-pink-50 to-pink-100",
-                  border: "border-pink-200",
-                },
-                {
-                  label: "Physical Address",
-                  value: patientDetails.homeAddress,
-                  icon: <FaHome className="text-green-500 text-2xl" />,
-                  gradient: "from-green-50 to-green-100",
-                  border: "border-green-200",
-                },
-                {
-                  label: "Blood Group",
-                  value: patientDetails.bloodGroup,
-                  icon: <FaTint className="text-red-500 text-2xl" />,
-                  gradient: "from-red-50 to-red-100",
-                  border: "border-red-200",
-                },
-                {
-                  label: "Email Address",
-                  value: patientDetails.email,
-                  icon: <FaEnvelope className="text-yellow-500 text-2xl" />,
-                  gradient: "from-yellow-50 to-yellow-100",
-                  border: "border-yellow-200",
-                },
-              ].map((item, index) => (
-                <motion.div
-                  key={index}
-                  whileHover={{
-                    y: -5,
-                    boxShadow: "0 15px 30px -10px rgba(0, 0, 0, 0.1)",
-                  }}
-                  className={`bg-gradient-to-br ${item.gradient} rounded-xl p-6 border ${item.border} shadow-md transition-all duration-300`}
-                >
-                  <div className="flex items-start space-x-5">
-                    <div
-                      className={`p-4 bg-white rounded-lg shadow-md ${item.border}`}
-                    >
-                      {item.icon}
-                    </div>
-                    <div className="flex-1">
-                      <p className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-2">
-                        {item.label}
-                      </p>
-                      <p
-                        className={`text-lg font-semibold ${
-                          item.label === "Wallet Address"
-                            ? "text-cyan-700 font-mono text-sm"
-                            : "text-gray-800"
-                        } break-all`}
+            {editingProfile ? (
+              <ProfileEditor
+                fields={[
+                  { name: "name", label: "Full Name" },
+                  { name: "email", label: "Email Address", type: "email" },
+                  { name: "homeAddress", label: "Physical Address" },
+                ]}
+                initialValues={{
+                  name: patientDetails.name,
+                  email: patientDetails.email,
+                  homeAddress: patientDetails.homeAddress,
+                }}
+                onSave={handleProfileSave}
+                onCancel={() => setEditingProfile(false)}
+              />
+            ) : (
+              <div className="mt-8 grid grid-cols-1 sm:grid-cols-2 gap-6">
+                {[
+                  {
+                    label: "Wallet Address",
+                    value: patientDetails.walletAddress,
+                    icon: <FaWallet className="text-cyan-500 text-2xl" />,
+                    gradient: "from-cyan-50 to-cyan-100",
+                    border: "border-cyan-200",
+                  },
+                  {
+                    label: "Full Name",
+                    value: patientDetails.name,
+                    icon: <FaUser className="text-purple-500 text-2xl" />,
+                    gradient: "from-purple-50 to-purple-100",
+                    border: "border-purple-200",
+                  },
+                  {
+                    label: "Date of Birth",
+                    value: patientDetails.dateOfBirth,
+                    icon: <FaCalendarAlt className="text-blue-500 text-2xl" />,
+                    gradient: "from-blue-50 to-blue-100",
+                    border: "border-blue-200",
+                  },
+                  {
+                    label: "Gender",
+                    value: patientDetails.gender,
+                    icon: <FaVenusMars className="text-pink-500 text-2xl" />,
+                    gradient: "from-pink-50 to-pink-100",
+                    border: "border-pink-200",
+                  },
+                  {
+                    label: "Physical Address",
+                    value: patientDetails.homeAddress,
+                    icon: <FaHome className="text-green-500 text-2xl" />,
+                    gradient: "from-green-50 to-green-100",
+                    border: "border-green-200",
+                  },
+                  {
+                    label: "Blood Group",
+                    value: patientDetails.bloodGroup,
+                    icon: <FaTint className="text-red-500 text-2xl" />,
+                    gradient: "from-red-50 to-red-100",
+                    border: "border-red-200",
+                  },
+                  {
+                    label: "Email Address",
+                    value: patientDetails.email,
+                    icon: <FaEnvelope className="text-yellow-500 text-2xl" />,
+                    gradient: "from-yellow-50 to-yellow-100",
+                    border: "border-yellow-200",
+                  },
+                ].map((item, index) => (
+                  <motion.div
+                    key={index}
+                    whileHover={{
+                      y: -5,
+                      boxShadow: "0 15px 30px -10px rgba(0, 0, 0, 0.1)",
+                    }}
+                    className={`bg-gradient-to-br ${item.gradient} rounded-xl p-6 border ${item.border} shadow-md transition-all duration-300`}
+                  >
+                    <div className="flex items-start space-x-5">
+                      <div
+                        className={`p-4 bg-white rounded-lg shadow-md ${item.border}`}
                       >
-                        {item.value || (
-                          <span className="text-gray-400">Not specified</span>
-                        )}
-                      </p>
+                        {item.icon}
+                      </div>
+                      <div className="flex-1">
+                        <p className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-2">
+                          {item.label}
+                        </p>
+                        <p
+                          className={`text-lg font-semibold ${
+                            item.label === "Wallet Address"
+                              ? "text-cyan-700 font-mono text-sm"
+                              : "text-gray-800"
+                          } break-all`}
+                        >
+                          {item.value || (
+                            <span className="text-gray-400">Not specified</span>
+                          )}
+                        </p>
+                      </div>
                     </div>
-                  </div>
-                </motion.div>
-              ))}
-            </div>
+                  </motion.div>
+                ))}
+              </div>
+            )}
           </motion.div>
 
           {/* RIGHT: Upload + Reports */}
           <div className="flex flex-col flex-1 gap-8">
             {/* Upload Section */}
-            <motion.div
-              initial={{ opacity: 0, x: 20 }}
-              animate={{ opacity: 1, x: 0 }}
-              className="bg-white bg-opacity-90 backdrop-blur-sm rounded-3xl shadow-2xl p-8 flex-1"
-            >
-              <h2 className="text-2xl font-bold text-[#0a0f2c] mb-6 pb-4 border-b border-gray-200 flex items-center">
-                <FaCloudUploadAlt className="text-cyan-500 mr-3" />
-                Upload Medical Report
-              </h2>
+            {canUpload && (
+              <motion.div
+                initial={{ opacity: 0, x: 20 }}
+                animate={{ opacity: 1, x: 0 }}
+                className="bg-white bg-opacity-90 backdrop-blur-sm rounded-3xl shadow-2xl p-8 flex-1"
+              >
+                <h2 className="text-2xl font-bold text-[#0a0f2c] mb-6 pb-4 border-b border-gray-200 flex items-center">
+                  <FaCloudUploadAlt className="text-cyan-500 mr-3" />
+                  Upload Medical Report
+                </h2>
 
-              {/* File Upload Logic */}
-              {uploadLoading ? (
-                <div className="flex flex-col items-center justify-center py-12">
-                  <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-cyan-400 mb-4"></div>
-                  <p className="text-lg font-medium text-gray-700">
-                    Encrypting and uploading your report...
-                  </p>
-                  <p className="text-sm text-gray-500 mt-2">
-                    This may take a few moments
-                  </p>
-                </div>
-              ) : (
-                <form onSubmit={handleSubmitFile} className="space-y-6">
-                  <label
-                    htmlFor="file-upload"
-                    className="group relative flex flex-col items-center justify-center p-8 border-2 border-dashed border-cyan-300 rounded-xl cursor-pointer hover:bg-cyan-50 transition"
-                  >
-                    <div className="p-4 mb-3 bg-cyan-100 rounded-full group-hover:bg-cyan-200 transition">
-                      <FaFileMedical className="text-cyan-500 text-3xl" />
-                    </div>
-                    <p className="text-lg text-gray-700 mb-1">
-                      Drag & drop files here
+                {/* File Upload Logic */}
+                {uploadLoading ? (
+                  <div className="flex flex-col items-center justify-center py-12">
+                    <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-cyan-400 mb-4"></div>
+                    <p className="text-lg font-medium text-gray-700">
+                      Encrypting and uploading your report...
                     </p>
-                    <p className="text-sm text-gray-500">
-                      or click to browse (PDF, JPG, PNG)
+                    <p className="text-sm text-gray-500 mt-2">
+                      This may take a few moments
                     </p>
-                    <input
-                      id="file-upload"
-                      type="file"
-                      disabled={uploadLoading}
-                      onChange={retrieveFile}
-                      className="hidden"
-                    />
-                  </label>
-
-                  {fileName && (
-                    <div className="bg-gray-50 p-4 rounded-lg flex items-center justify-between border border-gray-200">
-                      <div className="flex items-center space-x-3">
-                        <FaFilePdf className="text-red-500 text-xl" />
-                        <span className="font-medium text-gray-800 truncate max-w-xs">
-                          {fileName}
-                        </span>
+                  </div>
+                ) : (
+                  <form onSubmit={handleSubmitFile} className="space-y-6">
+                    <label
+                      htmlFor="file-upload"
+                      className="group relative flex flex-col items-center justify-center p-8 border-2 border-dashed border-cyan-300 rounded-xl cursor-pointer hover:bg-cyan-50 transition"
+                    >
+                      <div className="p-4 mb-3 bg-cyan-100 rounded-full group-hover:bg-cyan-200 transition">
+                        <FaFileMedical className="text-cyan-500 text-3xl" />
+                      </div>
+                      <p className="text-lg text-gray-700 mb-1">
+                        Drag & drop files here
+                      </p>
+                      <p className="text-sm text-gray-500">
+                        or click to browse (PDF, JPG, PNG)
+                      </p>
+                      <input
+                        id="file-upload"
+                        type="file"
+                        disabled={uploadLoading}
+                        onChange={retrieveFile}
+                        className="hidden"
+                      />
+                    </label>
+
+                    {fileName && (
+                      <div className="bg-gray-50 p-4 rounded-lg flex items-center justify-between border border-gray-200">
+                        <div className="flex items-center space-x-3">
+                          <FaFilePdf className="text-red-500 text-xl" />
+                          <span className="font-medium text-gray-800 truncate max-w-xs">
+                            {fileName}
+                          </span>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => {
+                            setFile(null);
+                            setFileName("");
+                          }}
+                          className="text-gray-400 hover:text-red-500 transition"
+                        >
+                          <FaTimes />
+                        </button>
                       </div>
-                      <button
-                        type="button"
-                        onClick={() => {
-                          setFile(null);
-                          setFileName("");
-                        }}
-                        className="text-gray-400 hover:text-red-500 transition"
+                    )}
+
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                      <input
+                        type="text"
+                        value={title}
+                        onChange={(e) => setTitle(e.target.value)}
+                        placeholder="Report title (defaults to file name)"
+                        className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
+                      />
+                      <select
+                        value={category}
+                        onChange={(e) => setCategory(e.target.value)}
+                        className="w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
                       >
-                        <FaTimes />
-                      </button>
+                        {RECORD_CATEGORIES.map((item) => (
+                          <option key={item} value={item}>
+                            {item}
+                          </option>
+                        ))}
+                      </select>
                     </div>
-                  )}
 
-                  <motion.button
-                    whileHover={{ scale: 1.02 }}
-                    whileTap={{ scale: 0.98 }}
-                    type="submit"
-                    disabled={!file}
-                    className={`w-full py-4 text-lg font-bold rounded-xl transition-all ${
-                      file
-                        ? "bg-gradient-to-r from-cyan-400 to-blue-500 text-[#0a0f2c] shadow-md hover:shadow-lg"
-                        : "bg-gray-200 text-gray-400 cursor-not-allowed"
-                    }`}
-                  >
-                    <FaLock className="inline mr-2" />
-                    Secure Upload
-                  </motion.button>
-                </form>
-              )}
-            </motion.div>
+                    <motion.button
+                      whileHover={{ scale: 1.02 }}
+                      whileTap={{ scale: 0.98 }}
+                      type="submit"
+                      disabled={!file}
+                      className={`w-full py-4 text-lg font-bold rounded-xl transition-all ${
+                        file
+                          ? "bg-gradient-to-r from-cyan-400 to-blue-500 text-[#0a0f2c] shadow-md hover:shadow-lg"
+                          : "bg-gray-200 text-gray-400 cursor-not-allowed"
+                      }`}
+                    >
+                      <FaLock className="inline mr-2" />
+                      Secure Upload
+                    </motion.button>
+                  </form>
+                )}
+              </motion.div>
+            )}
 
             {/* Uploaded Reports */}
-            <motion.div
-              initial={{ opacity: 0, x: 20 }}
-              animate={{ opacity: 1, x: 0 }}
-              className="bg-white bg-opacity-90 backdrop-blur-sm rounded-3xl shadow-2xl p-8 flex-1"
-            >
-              <div className="flex items-center justify-between mb-6 pb-4 border-b border-gray-200">
-                <h2 className="text-2xl font-bold text-[#0a0f2c] flex items-center">
-                  <FaFolderOpen className="text-purple-400 mr-3" />
-                  Medical Reports
-                </h2>
-                <span className="bg-cyan-100 text-cyan-800 text-sm font-medium px-3 py-1 rounded-full">
-                  {reports.length} files
-                </span>
-              </div>
+            {canView && (
+              <motion.div
+                initial={{ opacity: 0, x: 20 }}
+                animate={{ opacity: 1, x: 0 }}
+                className="bg-white bg-opacity-90 backdrop-blur-sm rounded-3xl shadow-2xl p-8 flex-1"
+              >
+                <div className="flex items-center justify-between mb-6 pb-4 border-b border-gray-200">
+                  <h2 className="text-2xl font-bold text-[#0a0f2c] flex items-center">
+                    <FaFolderOpen className="text-purple-400 mr-3" />
+                    Medical Reports
+                  </h2>
+                  <span className="bg-cyan-100 text-cyan-800 text-sm font-medium px-3 py-1 rounded-full">
+                    {reports.length} files
+                  </span>
+                </div>
 
-              <div className="h-96 overflow-y-auto pr-2">
-                {reports.length > 0 ? (
-                  <ul className="space-y-3">
-                    {reports.map((report, index) => (
-                      <motion.li
-                        key={index}
-                        whileHover={{ x: 5 }}
-                        className="group"
-                      >
-                        <div className="flex items-center justify-between p-4 bg-gray-50 hover:bg-gray-100 rounded-lg border border-gray-200 transition cursor-pointer">
-                          <div className="flex items-center space-x-4">
-                            <div className="p-3 bg-purple-100 rounded-lg text-purple-600">
-                              <FaFileAlt />
-                            </div>
-                            <div>
-                              <p className="font-medium text-gray-800">
-                                {report}
-                              </p>
-                              <p className="text-sm text-gray-500">
-                                Uploaded on {new Date().toLocaleDateString()}
-                              </p>
-                            </div>
-                          </div>
-                          <button className="text-gray-400 group-hover:text-cyan-500 transition">
-                            <FaChevronRight />
-                          </button>
-                        </div>
-                      </motion.li>
-                    ))}
-                  </ul>
-                ) : (
-                  <div className="flex flex-col items-center justify-center h-64 text-center">
-                    <FaFolderOpen className="text-gray-300 text-5xl mb-4" />
-                    <h3 className="text-xl font-medium text-gray-500 mb-2">
-                      No reports yet
-                    </h3>
-                    <p className="text-gray-400 max-w-md">
-                      Upload your first medical report to get started. All files
-                      are securely stored on the blockchain.
-                    </p>
+                {reports.length > 0 && canShare && (
+                  <div className="mb-4 grid grid-cols-1 sm:grid-cols-3 items-start gap-3">
+                    <ShareDoctorPicker
+                      doctorContract={doctorContract}
+                      hospitalContract={hospitalContract}
+                      value={shareDoctor}
+                      onChange={setShareDoctor}
+                    />
+                    <select
+                      value={shareWindow}
+                      onChange={(e) => setShareWindow(Number(e.target.value))}
+                      className="px-3 py-2 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
+                    >
+                      {SHARE_WINDOWS.map((item) => (
+                        <option key={item.value} value={item.value}>
+                          {item.label}
+                        </option>
+                      ))}
+                    </select>
+                    <button
+                      type="button"
+                      onClick={handleShareSelected}
+                      disabled={!shareDoctor || selectedIds.length === 0}
+                      className={`flex items-center justify-center px-3 py-2 font-semibold rounded-xl transition ${
+                        shareDoctor && selectedIds.length > 0
+                          ? "bg-gradient-to-r from-cyan-400 to-blue-500 text-[#0a0f2c] shadow-md hover:shadow-lg"
+                          : "bg-gray-200 text-gray-400 cursor-not-allowed"
+                      }`}
+                    >
+                      <FaShareAlt className="mr-2" />
+                      Share selected ({selectedIds.length})
+                    </button>
                   </div>
                 )}
-              </div>
-            </motion.div>
+
+                <div className="h-96 overflow-y-auto pr-2">
+                  {reports.length > 0 ? (
+                    <ul className="space-y-3">
+                      {reports.map((report) => (
+                        <motion.li
+                          key={report.id}
+                          whileHover={{ x: 5 }}
+                          className="group flex items-center gap-3"
+                        >
+                          {canShare && (
+                            <input
+                              type="checkbox"
+                              checked={selectedIds.includes(report.id)}
+                              onChange={() => toggleSelected(report.id)}
+                              aria-label={`Select ${report.title}`}
+                              className="h-5 w-5 accent-cyan-500 cursor-pointer"
+                            />
+                          )}
+                          <a
+                            href={recordUrl(report.cid)}
+                            target="_blank"
+                            rel="noreferrer"
+                            className="flex-1 min-w-0 flex items-center justify-between p-4 bg-gray-50 hover:bg-gray-100 rounded-lg border border-gray-200 transition cursor-pointer"
+                          >
+                            <div className="flex items-center space-x-4 min-w-0">
+                              <div className="p-3 bg-purple-100 rounded-lg text-purple-600">
+                                {report.mimeType === "application/pdf" ? (
+                                  <FaFilePdf />
+                                ) : (
+                                  <FaFileAlt />
+                                )}
+                              </div>
+                              <div className="min-w-0">
+                                <p className="font-medium text-gray-800 truncate">
+                                  {report.title}
+                                </p>
+                                <p className="text-sm text-gray-500">
+                                  <span className="bg-cyan-100 text-cyan-800 text-xs font-medium px-2 py-0.5 rounded-full mr-2">
+                                    {report.category}
+                                  </span>
+                                  {report.mimeType} •{" "}
+                                  {formatFileSize(report.size)}
+                                </p>
+                                <p className="text-sm text-gray-500">
+                                  Uploaded on{" "}
+                                  {report.uploadedAt.toLocaleDateString()}
+                                  {report.uploader.toLowerCase() !==
+                                    owner?.toLowerCase() && (
+                                    <span className="font-mono text-xs ml-2">
+                                      by {report.uploader.slice(0, 10)}...
+                                    </span>
+                                  )}
+                                </p>
+                              </div>
+                            </div>
+                            <span className="text-gray-400 group-hover:text-cyan-500 transition">
+                              <FaChevronRight />
+                            </span>
+                          </a>
+                        </motion.li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <div className="flex flex-col items-center justify-center h-64 text-center">
+                      <FaFolderOpen className="text-gray-300 text-5xl mb-4" />
+                      <h3 className="text-xl font-medium text-gray-500 mb-2">
+                        No reports yet
+                      </h3>
+                      <p className="text-gray-400 max-w-md">
+                        Upload your first medical report to get started. All
+                        files are securely stored on the blockchain.
+                      </p>
+                    </div>
+                  )}
+                </div>
+              </motion.div>
+            )}
           </div>
         </div>
+
+        {/* Access management - the patient's own; a delegate sees the history and, with the
+            share permission, manages who the records are shared with */}
+        {acting ? (
+          <>
+            {canShare && (
+              <div className="mt-6">
+                <AccessManager
+                  uploadContract={uploadContract}
+                  patientContract={contract}
+                  doctorContract={doctorContract}
+                  hhNumber={hhNumber}
+                  owner={owner}
+                  version={accessVersion}
+                  onChange={() => setAccessVersion((v) => v + 1)}
+                />
+              </div>
+            )}
+            {canView && (
+              <div className="mt-6">
+                <AccessHistory
+                  uploadContract={uploadContract}
+                  doctorContract={doctorContract}
+                  account={owner}
+                  reports={reports}
+                  version={reportsVersion + accessVersion}
+                />
+              </div>
+            )}
+          </>
+        ) : (
+          <>
+            <div className="mt-6">
+              <AccessRequests
+                uploadContract={uploadContract}
+                patientContract={contract}
+                doctorContract={doctorContract}
+                patient={{ hhNumber, name: patientDetails.name }}
+                version={accessVersion}
+                onChange={() => setAccessVersion((v) => v + 1)}
+              />
+            </div>
+            <div className="mt-6 grid grid-cols-1 lg:grid-cols-2 gap-6 items-start">
+              <AccessManager
+                uploadContract={uploadContract}
+                patientContract={contract}
+                doctorContract={doctorContract}
+                hhNumber={hhNumber}
+                version={accessVersion}
+                onChange={() => setAccessVersion((v) => v + 1)}
+              />
+              <AccessHistory
+                uploadContract={uploadContract}
+                doctorContract={doctorContract}
+                account={account}
+                reports={reports}
+                version={reportsVersion + accessVersion}
+              />
+            </div>
+            <div className="mt-6">
+              <AccountRecovery
+                registryContract={contract}
+                uploadContract={uploadContract}
+                number={hhNumber}
+                account={account}
+                onRotated={handleWalletRotated}
+              />
+            </div>
+            <div className="mt-6">
+              <DelegateManager patientContract={contract} hhNumber={hhNumber} />
+            </div>
+          </>
+        )}
       </div>
     </>
   );
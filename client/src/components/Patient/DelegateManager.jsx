@@ -0,0 +1,250 @@
+/* eslint-disable no-unused-vars */
+import { useState, useEffect } from "react";
+import { motion } from "framer-motion";
+import { FaUsers, FaUserFriends, FaTrash, FaEdit } from "react-icons/fa";
+
+import {
+  DELEGATE_ROLE,
+  DELEGATE_ROLE_LABELS,
+  PERMISSION_LABELS,
+  ROLE_DEFAULT_PERMISSIONS,
+  parseDelegate,
+} from "../../utils/delegation";
+
+const inputClass =
+  "w-full px-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent";
+
+// guardians / caregivers who can act for the patient (PatientRegistration.setDelegate)
+const DelegateManager = ({ patientContract, hhNumber }) => {
+  const [delegates, setDelegates] = useState([]);
+  const [version, setVersion] = useState(0);
+  const [delegateNumber, setDelegateNumber] = useState("");
+  const [role, setRole] = useState(DELEGATE_ROLE.GUARDIAN);
+  const [permissions, setPermissions] = useState(
+    ROLE_DEFAULT_PERMISSIONS[DELEGATE_ROLE.GUARDIAN]
+  );
+  const [saving, setSaving] = useState(false);
+  const [removing, setRemoving] = useState("");
+
+  useEffect(() => {
+    const getDelegates = async () => {
+      if (!patientContract || !hhNumber) return;
+      try {
+        const list = await patientContract.getDelegates(hhNumber);
+        setDelegates(
+          await Promise.all(
+            list.map(async (d) => {
+              const delegate = parseDelegate(d);
+              const details = await patientContract.getPatientDetails(
+                delegate.delegateNumber
+              );
+              return { ...delegate, name: details.name };
+            })
+          )
+        );
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    getDelegates();
+  }, [patientContract, hhNumber, version]);
+
+  const handleRoleChange = (value) => {
+    setRole(value);
+    setPermissions(ROLE_DEFAULT_PERMISSIONS[value]);
+  };
+
+  const togglePermission = (bit) => setPermissions((p) => p ^ bit);
+
+  const handleEdit = (delegate) => {
+    setDelegateNumber(delegate.delegateNumber);
+    setRole(delegate.role);
+    setPermissions(delegate.permissions);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!/^\d+$/.test(delegateNumber)) {
+      alert("Enter the delegate's health number");
+      return;
+    }
+    if (permissions === 0) {
+      alert("Pick at least one thing the delegate can do");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      if (!(await patientContract.isRegisteredPatient(delegateNumber))) {
+        alert("The delegate needs to register as a patient first");
+        return;
+      }
+      const tx = await patientContract.setDelegate(
+        hhNumber,
+        delegateNumber,
+        role,
+        permissions
+      );
+      await tx.wait();
+      setDelegateNumber("");
+      handleRoleChange(DELEGATE_ROLE.GUARDIAN);
+      setVersion((v) => v + 1);
+    } catch (err) {
+      alert("Unable to save the delegate");
+      console.log(err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (delegate) => {
+    if (!window.confirm(`Stop ${delegate.name} from acting for you?`)) {
+      return;
+    }
+
+    try {
+      setRemoving(delegate.delegateNumber);
+      const tx = await patientContract.removeDelegate(
+        hhNumber,
+        delegate.delegateNumber
+      );
+      await tx.wait();
+      setVersion((v) => v + 1);
+    } catch (err) {
+      alert("Unable to remove the delegate");
+      console.log(err);
+    } finally {
+      setRemoving("");
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="bg-white bg-opacity-90 backdrop-blur-sm rounded-3xl shadow-2xl p-8"
+    >
+      <div className="flex items-center justify-between mb-6 pb-4 border-b border-gray-200">
+        <h2 className="text-2xl font-bold text-[#0a0f2c] flex items-center">
+          <FaUsers className="text-cyan-500 mr-3" />
+          Guardians &amp; Caregivers
+        </h2>
+        <span className="bg-cyan-100 text-cyan-800 text-sm font-medium px-3 py-1 rounded-full">
+          {delegates.length} delegate{delegates.length !== 1 ? "s" : ""}
+        </span>
+      </div>
+
+      {delegates.length > 0 ? (
+        <ul className="space-y-3 mb-6">
+          {delegates.map((delegate) => (
+            <li
+              key={delegate.delegateNumber}
+              className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 bg-gray-50 rounded-lg border border-gray-200"
+            >
+              <div className="flex items-center space-x-4 min-w-0">
+                <div className="p-3 bg-cyan-100 rounded-lg text-cyan-600">
+                  <FaUserFriends />
+                </div>
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-800 truncate">
+                    {delegate.name}
+                    <span className="text-xs font-medium px-2 py-0.5 rounded-full ml-2 bg-purple-100 text-purple-800">
+                      {DELEGATE_ROLE_LABELS[delegate.role]}
+                    </span>
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    Health No: {delegate.delegateNumber} • since{" "}
+                    {delegate.grantedAt.toLocaleDateString()}
+                  </p>
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {PERMISSION_LABELS.filter(
+                      (p) => delegate.permissions & p.value
+                    ).map((p) => (
+                      <span
+                        key={p.value}
+                        className="bg-cyan-100 text-cyan-800 text-xs font-medium px-2 py-0.5 rounded-full"
+                      >
+                        {p.label}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              </div>
+              <div className="flex gap-2 shrink-0">
+                <button
+                  type="button"
+                  onClick={() => handleEdit(delegate)}
+                  className="flex items-center justify-center px-4 py-2 text-sm font-semibold text-cyan-700 border border-cyan-200 rounded-lg hover:bg-cyan-50 transition"
+                >
+                  <FaEdit className="mr-2" />
+                  Edit
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(delegate)}
+                  disabled={removing === delegate.delegateNumber}
+                  className="flex items-center justify-center px-4 py-2 text-sm font-semibold text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition disabled:opacity-50"
+                >
+                  <FaTrash className="mr-2" />
+                  {removing === delegate.delegateNumber
+                    ? "Removing..."
+                    : "Remove"}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-gray-400 text-center pb-6">
+          No one can act for you yet. Add a parent, guardian or caregiver who
+          has their own patient account.
+        </p>
+      )}
+
+      <form onSubmit={handleSave} className="space-y-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <input
+            type="text"
+            value={delegateNumber}
+            onChange={(e) => setDelegateNumber(e.target.value.trim())}
+            placeholder="Delegate's health number"
+            className={inputClass}
+          />
+          <select
+            value={role}
+            onChange={(e) => handleRoleChange(Number(e.target.value))}
+            className={inputClass}
+          >
+            <option value={DELEGATE_ROLE.GUARDIAN}>Guardian</option>
+            <option value={DELEGATE_ROLE.CAREGIVER}>Caregiver</option>
+          </select>
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          {PERMISSION_LABELS.map((p) => (
+            <label
+              key={p.value}
+              className="flex items-center gap-2 text-sm text-gray-700"
+            >
+              <input
+                type="checkbox"
+                checked={(permissions & p.value) !== 0}
+                onChange={() => togglePermission(p.value)}
+                className="h-4 w-4 accent-cyan-500"
+              />
+              {p.label}
+            </label>
+          ))}
+        </div>
+        <button
+          type="submit"
+          disabled={saving}
+          className="w-full py-3 font-bold rounded-xl bg-gradient-to-r from-cyan-400 to-blue-500 text-[#0a0f2c] shadow-md hover:shadow-lg transition disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save Delegate"}
+        </button>
+      </form>
+    </motion.div>
+  );
+};
+
+export default DelegateManager;
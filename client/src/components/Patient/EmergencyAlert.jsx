@@ -0,0 +1,136 @@
+/* eslint-disable no-unused-vars */
+import { useState, useEffect } from "react";
+import { motion } from "framer-motion";
+import { toast } from "react-toastify";
+import { FaExclamationTriangle, FaBan, FaCheck } from "react-icons/fa";
+
+import { fetchDoctorsByWallet } from "../../utils/directory";
+
+// break-glass accesses the patient hasn't dismissed yet (Upload.getEmergencyAccesses)
+const EmergencyAlert = ({
+  uploadContract,
+  doctorContract,
+  version,
+  onChange,
+}) => {
+  const [alerts, setAlerts] = useState([]);
+  const [doctorsByWallet, setDoctorsByWallet] = useState({});
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    const getAlerts = async () => {
+      if (!uploadContract || !doctorContract) return;
+      try {
+        const list = await uploadContract.getEmergencyAccesses();
+        setAlerts(
+          list
+            .filter((a) => !a.acknowledged)
+            .map((a) => ({
+              id: Number(a.id),
+              doctor: a.doctor,
+              reason: a.reason,
+              grantedAt: new Date(Number(a.grantedAt) * 1000),
+              expiresAt: new Date(Number(a.expiresAt) * 1000),
+            }))
+            .reverse()
+        );
+        setDoctorsByWallet(
+          await fetchDoctorsByWallet(
+            doctorContract,
+            list.map((a) => a.doctor)
+          )
+        );
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    getAlerts();
+  }, [uploadContract, doctorContract, version]);
+
+  const doctorName = (address) => {
+    const doctor = doctorsByWallet[address.toLowerCase()];
+    return doctor ? `Dr. ${doctor.name} (${doctor.hospital})` : address;
+  };
+
+  const handleDismiss = async (alert, revoke) => {
+    try {
+      setBusy(alert.id);
+      if (revoke) {
+        const tx = await uploadContract.disallow(alert.doctor);
+        await tx.wait();
+      }
+      const tx = await uploadContract.acknowledgeEmergencyAccess(alert.id);
+      await tx.wait();
+      toast.success(revoke ? "Emergency access revoked." : "Alert dismissed.");
+      onChange();
+    } catch (err) {
+      console.log(err);
+      toast.error("Unable to update the emergency access.");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (alerts.length === 0) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="mb-6 p-6 bg-red-50 border-2 border-red-300 rounded-3xl shadow-xl space-y-4"
+    >
+      <h2 className="text-xl font-bold text-red-700 flex items-center">
+        <FaExclamationTriangle className="mr-3" />
+        Emergency access to your records
+      </h2>
+      {alerts.map((alert) => {
+        const active = alert.expiresAt > new Date();
+        return (
+          <div
+            key={alert.id}
+            className="flex flex-col md:flex-row md:items-center justify-between gap-3 p-4 bg-white rounded-xl border border-red-200"
+          >
+            <div className="min-w-0">
+              <p className="font-medium text-gray-800 break-all">
+                {doctorName(alert.doctor)}
+              </p>
+              <p className="text-sm text-gray-700">
+                &ldquo;{alert.reason}&rdquo;
+              </p>
+              <p className="text-sm text-gray-500">
+                Opened {alert.grantedAt.toLocaleString()} •{" "}
+                {active
+                  ? `access ends ${alert.expiresAt.toLocaleString()}`
+                  : "access has ended"}
+              </p>
+            </div>
+            <div className="flex gap-2 shrink-0">
+              {active && (
+                <button
+                  type="button"
+                  onClick={() => handleDismiss(alert, true)}
+                  disabled={busy === alert.id}
+                  className="flex items-center px-4 py-2 text-sm font-semibold text-white bg-red-600 rounded-lg hover:bg-red-700 transition disabled:opacity-50"
+                >
+                  <FaBan className="mr-2" />
+                  Revoke Now
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => handleDismiss(alert, false)}
+                disabled={busy === alert.id}
+                className="flex items-center px-4 py-2 text-sm font-semibold text-gray-700 border border-gray-200 rounded-lg hover:bg-gray-50 transition disabled:opacity-50"
+              >
+                <FaCheck className="mr-2" />
+                Dismiss
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </motion.div>
+  );
+};
+
+export default EmergencyAlert;
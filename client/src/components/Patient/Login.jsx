@@ -12,18 +12,19 @@ import {
 
 //redux
 import { connectToBlockchain } from "../../redux/contract/blockchainSlice";
-import { setUser } from "../../redux/user/userSlice";
+import { setUser, setDelegations } from "../../redux/user/userSlice";
+import { signLoginChallenge } from "../../utils/auth";
+import { fetchDelegations } from "../../utils/delegation";
 
 // contract
 import PatientRegistration from "../../constants/PatientRegistration.json";
-import { PATIENT_CONTRACT_ADDRESS, PRIVATE_KEY } from "../../constants/Values";
+import { PATIENT_CONTRACT_ADDRESS } from "../../constants/Values";
 
 import reception from "../../../public/reception.jpg";
 
 // setting up constants
 const contractABI = PatientRegistration.abi;
 const contractAddress = PATIENT_CONTRACT_ADDRESS;
-const privateKey = PRIVATE_KEY;
 
 // 0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d
 // 0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266
@@ -34,7 +35,6 @@ const Login = () => {
 
   //login credential states
   const [hhNumber, setHHNumber] = useState("");
-  const [password, setPassword] = useState("");
 
   // redux store
   const contract = useSelector((state) => state.blockchain.contract);
@@ -44,7 +44,7 @@ const Login = () => {
   //coonect to network
   useEffect(() => {
     if (!account) {
-      dispatch(connectToBlockchain(privateKey, contractAddress, contractABI));
+      dispatch(connectToBlockchain(contractAddress, contractABI));
     }
   }, [dispatch, account]);
 
@@ -60,7 +60,7 @@ const Login = () => {
       return;
     }
 
-    if (!hhNumber.trim() || !password.trim()) {
+    if (!hhNumber.trim()) {
       alert("Please fill out all fields");
       return;
     }
@@ -74,8 +74,6 @@ const Login = () => {
       const isRegPat = await contract.isRegisteredPatient(hhNumber);
 
       if (isRegPat) {
-        const isValidPass = await contract.validatePassword(hhNumber, password);
-
         //validate address
         const isValidAddress = await contract.validateAddress(
           account,
@@ -87,12 +85,25 @@ const Login = () => {
           return;
         }
 
-        //validate password
-        if (!isValidPass) {
-          alert("Incorrect password!");
+        // sign a login challenge with the wallet
+        const { nonce, signature } = await signLoginChallenge(
+          contract,
+          hhNumber
+        );
+        const isValidSignature = await contract.validateSignature(
+          hhNumber,
+          nonce,
+          signature
+        );
+
+        //validate signature
+        if (!isValidSignature) {
+          alert("Wallet signature could not be verified!");
         } else {
           // setup user login state
           dispatch(setUser({ account, hhNumber }));
+          // profiles this patient can switch to as a guardian / caregiver
+          dispatch(setDelegations(await fetchDelegations(contract, hhNumber)));
 
           //save user data to local storage
           localStorage.setItem("walletAddress", account);
@@ -207,19 +218,10 @@ const Login = () => {
                 />
               </div>
 
-              {/* Password Field */}
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <FaLock className="text-gray-400" />
-                </div>
-                <input
-                  type="password"
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  placeholder="Password"
-                  className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
-                />
-              </div>
+              <p className="text-sm text-gray-500 flex items-center">
+                <FaLock className="mr-2 text-gray-400" />
+                Your wallet will ask you to sign a one-time login challenge.
+              </p>
 
               <motion.button
                 whileHover={{ scale: 1.02 }}
@@ -227,7 +229,7 @@ const Login = () => {
                 type="submit"
                 className="w-full py-4 bg-gradient-to-r from-cyan-400 to-blue-500 text-[#0a0f2c] font-bold rounded-xl shadow-md hover:shadow-lg transition-all flex items-center justify-center"
               >
-                Login <FaArrowRight className="ml-2" />
+                Sign in with Wallet <FaArrowRight className="ml-2" />
               </motion.button>
 
               <div className="text-center">
@@ -240,12 +242,15 @@ const Login = () => {
                     Register here
                   </Link>
                 </p>
-                <Link
-                  to="/forgot-password"
-                  className="text-sm text-gray-500 hover:text-cyan-500 mt-2 inline-block"
-                >
-                  Forgot password?
-                </Link>
+                <p className="text-gray-600 mt-2">
+                  Lost your wallet?{" "}
+                  <Link
+                    to="/recover"
+                    className="text-cyan-500 hover:underline font-medium"
+                  >
+                    Recover your account
+                  </Link>
+                </p>
               </div>
             </form>
           </div>
@@ -24,13 +24,13 @@ import {
 import PatientRegistration from "../../constants/PatientRegistration.json";
 import { useDispatch, useSelector } from "react-redux";
 
-import { PATIENT_CONTRACT_ADDRESS, PRIVATE_KEY } from "../../constants/Values";
+import { PATIENT_CONTRACT_ADDRESS } from "../../constants/Values";
+import { EMAIL_REGEX } from "../../utils/validation";
 
 import loginImage from "../../../public/5053643.jpg";
 
 const contractABI = PatientRegistration.abi;
 const contractAddress = PATIENT_CONTRACT_ADDRESS;
-const privateKey = PRIVATE_KEY;
 
 const Registration = () => {
   const dispatch = useDispatch();
@@ -42,8 +42,6 @@ const Registration = () => {
   const [bloodGroup, setBloodGroup] = useState("");
   const [gender, setGender] = useState("");
   const [address, setAddress] = useState("");
-  const [password, setPassword] = useState("");
-  const [confirmPassword, setConfirmPassword] = useState("");
   const [email, setEmail] = useState("");
   const [hhNumber, setHHNumber] = useState("");
 
@@ -56,7 +54,7 @@ const Registration = () => {
 
   // connect to network
   useEffect(() => {
-    dispatch(connectToBlockchain(privateKey, contractAddress, contractABI));
+    dispatch(connectToBlockchain(contractAddress, contractABI));
   }, [dispatch]);
 
   // clear state when component unmounts
@@ -82,10 +80,8 @@ const Registration = () => {
       !bloodGroup ||
       !gender ||
       !address ||
-      !password ||
       !email ||
-      !hhNumber ||
-      !confirmPassword
+      !hhNumber
     ) {
       toast.error("Please fill in all the required fields.");
       // alert(
@@ -101,25 +97,13 @@ const Registration = () => {
       return;
     }
 
-    if (password.length < 8) {
-      toast.error(
-        "You have entered a weak password. Please enter a password with at least 8 characters"
-      );
-      return;
-    }
-    if (password !== confirmPassword) {
-      toast.error("Passwords do not match. Please try again.");
-      return;
-    }
-
     const datePattern = /^\d{4}-\d{2}-\d{2}$/;
     if (!datePattern.test(dob)) {
       toast.error("Please enter Date of Birth in the format dd/mm/yyyy");
       return;
     }
 
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
+    if (!EMAIL_REGEX.test(email)) {
       toast.error("Please enter a valid email address.");
       return;
     }
@@ -142,8 +126,7 @@ const Registration = () => {
         bloodGroup,
         address,
         email,
-        hhNumber,
-        password
+        hhNumber
       );
       await tx.wait();
       navigate("/patient-login");
@@ -353,36 +336,6 @@ const Registration = () => {
                     />
                   </div>
 
-                  <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
-                    {/* Password */}
-                    <div className="relative">
-                      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                        <FaLock className="text-gray-400" />
-                      </div>
-                      <input
-                        type="password"
-                        value={password}
-                        onChange={(e) => setPassword(e.target.value)}
-                        placeholder="Password"
-                        className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
-                      />
-                    </div>
-
-                    {/* Confirm Password */}
-                    <div className="relative">
-                      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                        <FaLock className="text-gray-400" />
-                      </div>
-                      <input
-                        type="password"
-                        value={confirmPassword}
-                        onChange={(e) => setConfirmPassword(e.target.value)}
-                        placeholder="Confirm Password"
-                        className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
-                      />
-                    </div>
-                  </div>
-
                   {/* Address */}
                   <div className="relative">
                     <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
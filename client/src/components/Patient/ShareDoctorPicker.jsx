@@ -0,0 +1,130 @@
+import { useState, useEffect } from "react";
+
+import { fetchHospitals, parseDoctor } from "../../utils/directory";
+
+// doctors offered per page of the picker
+const PAGE_SIZE = 20;
+
+// pick a hospital, then one of its verified doctors; the contract filters and pages the list
+const ShareDoctorPicker = ({
+  doctorContract,
+  hospitalContract,
+  value,
+  onChange,
+}) => {
+  const [hospitals, setHospitals] = useState([]);
+  const [hospitalId, setHospitalId] = useState("");
+  const [doctors, setDoctors] = useState([]);
+  const [page, setPage] = useState(0);
+  const [total, setTotal] = useState(0);
+
+  useEffect(() => {
+    const getHospitals = async () => {
+      if (!hospitalContract) return;
+      try {
+        setHospitals(await fetchHospitals(hospitalContract));
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    getHospitals();
+  }, [hospitalContract]);
+
+  useEffect(() => {
+    const getDoctors = async () => {
+      if (!doctorContract || !hospitalId) {
+        setDoctors([]);
+        setTotal(0);
+        return;
+      }
+      try {
+        const [rows, count] = await doctorContract.getVerifiedDoctorsByHospital(
+          hospitalId,
+          "",
+          page * PAGE_SIZE,
+          PAGE_SIZE
+        );
+        setDoctors(rows.map(parseDoctor));
+        setTotal(Number(count));
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    getDoctors();
+  }, [doctorContract, hospitalId, page]);
+
+  const pages = Math.ceil(total / PAGE_SIZE);
+
+  const handleHospital = (id) => {
+    setHospitalId(id);
+    setPage(0);
+    onChange(null);
+  };
+
+  const handlePage = (next) => {
+    setPage(next);
+    onChange(null);
+  };
+
+  return (
+    <div className="space-y-2">
+      <select
+        value={hospitalId}
+        onChange={(e) => handleHospital(e.target.value)}
+        className="w-full px-3 py-2 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
+      >
+        <option value="">Select hospital</option>
+        {hospitals.map((hospital) => (
+          <option key={hospital.id} value={hospital.id}>
+            {hospital.name}
+          </option>
+        ))}
+      </select>
+      <select
+        value={value?.licenseNumber || ""}
+        onChange={(e) =>
+          onChange(
+            doctors.find((d) => d.licenseNumber === e.target.value) || null
+          )
+        }
+        disabled={!hospitalId}
+        className="w-full px-3 py-2 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent disabled:bg-gray-100"
+      >
+        <option value="">
+          {hospitalId && total === 0 ? "No verified doctors" : "Select doctor"}
+        </option>
+        {doctors.map((doctor) => (
+          <option key={doctor.licenseNumber} value={doctor.licenseNumber}>
+            Dr. {doctor.name} ({doctor.specialization}, {doctor.department})
+          </option>
+        ))}
+      </select>
+      {pages > 1 && (
+        <div className="flex items-center justify-between text-xs text-gray-600">
+          <button
+            type="button"
+            onClick={() => handlePage(page - 1)}
+            disabled={page === 0}
+            className="px-2 py-1 rounded-lg border border-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <span>
+            Doctors {page * PAGE_SIZE + 1}-
+            {Math.min((page + 1) * PAGE_SIZE, total)} of {total}
+          </span>
+          <button
+            type="button"
+            onClick={() => handlePage(page + 1)}
+            disabled={page + 1 >= pages}
+            className="px-2 py-1 rounded-lg border border-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShareDoctorPicker;
@@ -0,0 +1,376 @@
+/* eslint-disable no-unused-vars */
+import { useCallback, useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate, useParams } from "react-router-dom";
+import { motion } from "framer-motion";
+import { toast } from "react-toastify";
+import {
+  FaClinicMedical,
+  FaSearch,
+  FaQrcode,
+  FaCheckCircle,
+  FaExclamationTriangle,
+  FaHistory,
+} from "react-icons/fa";
+
+import PrescriptionCard from "../PrescriptionCard";
+import QrScanner from "./QrScanner";
+import {
+  FILL_STATUS,
+  parseDispensings,
+  parsePrescription,
+  parsePrescriptionQr,
+} from "../../utils/prescriptions";
+
+// Pharmacy Redux
+import {
+  connectToPharmacy,
+  clearPharmacyState,
+} from "../../redux/contract/pharmacySlice";
+
+// Doctor Redux
+import {
+  connectToDoctor,
+  clearDoctorState,
+} from "../../redux/contract/doctorSlice";
+
+// Prescription Redux
+import {
+  connectToPrescription,
+  clearPrescriptionState,
+} from "../../redux/contract/prescriptionSlice";
+
+// Contract Addresses
+import {
+  DOCTOR_CONTRACT_ADDRESS,
+  PHARMACY_CONTRACT_ADDRESS,
+  PRESCRIPTION_CONTRACT_ADDRESS,
+} from "../../constants/Values";
+
+// Contracts JSON imports
+import DoctorRegistration from "../../constants/DoctorRegistration.json";
+import PharmacyRegistration from "../../constants/PharmacyRegistration.json";
+import PrescriptionContract from "../../constants/Prescription.json";
+
+// look a prescription up by number or QR code, check it was signed by a wallet registered to the prescriber,
+// and dispense it in full or in part
+const Dashboard = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+
+  const { licenseNumber } = useParams();
+  const authNumber = useSelector((state) => state.user.pharmacyNumber);
+
+  const pharmacyContract = useSelector((state) => state.pharmacy.contract);
+  const doctorContract = useSelector((state) => state.doctor.contract);
+  const prescriptionContract = useSelector(
+    (state) => state.prescription.contract
+  );
+
+  const [pharmacy, setPharmacy] = useState(null);
+  const [query, setQuery] = useState("");
+  const [lookupId, setLookupId] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [prescription, setPrescription] = useState(null);
+  const [doctor, setDoctor] = useState(null);
+  const [signedByPrescriber, setSignedByPrescriber] = useState(true);
+  const [dispensings, setDispensings] = useState([]);
+  const [quantities, setQuantities] = useState([]);
+  const [version, setVersion] = useState(0);
+  const [dispensing, setDispensing] = useState(false);
+
+  // connect to network
+  useEffect(() => {
+    dispatch(
+      connectToPharmacy(PHARMACY_CONTRACT_ADDRESS, PharmacyRegistration.abi)
+    );
+    dispatch(connectToDoctor(DOCTOR_CONTRACT_ADDRESS, DoctorRegistration.abi));
+    dispatch(
+      connectToPrescription(
+        PRESCRIPTION_CONTRACT_ADDRESS,
+        PrescriptionContract.abi
+      )
+    );
+  }, [dispatch]);
+
+  // clear state on component unmount
+  useEffect(() => {
+    return () => {
+      dispatch(clearPharmacyState());
+      dispatch(clearDoctorState());
+      dispatch(clearPrescriptionState());
+    };
+  }, [dispatch]);
+
+  // deny unauthorized access
+  useEffect(() => {
+    if (authNumber !== licenseNumber) {
+      navigate(`/pharmacy/${authNumber}`, { replace: true });
+    }
+  }, [licenseNumber, authNumber, navigate]);
+
+  useEffect(() => {
+    const fetchPharmacy = async () => {
+      try {
+        setPharmacy(await pharmacyContract.getPharmacyDetails(licenseNumber));
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    if (pharmacyContract && licenseNumber) {
+      fetchPharmacy();
+    }
+  }, [pharmacyContract, licenseNumber]);
+
+  // the looked-up prescription with its prescriber and what has been handed out so far; the issuing
+  // wallet must be the doctor's current wallet or one they rotated away from since
+  useEffect(() => {
+    const fetchPrescription = async () => {
+      try {
+        const found = parsePrescription(
+          await prescriptionContract.getPrescription(lookupId)
+        );
+        const details = await doctorContract.getDoctorDetails(
+          found.doctorLicenseNumber
+        );
+        const current = await doctorContract.validateAddress(
+          found.issuer,
+          found.doctorLicenseNumber
+        );
+        const previous = await doctorContract.getWalletHistory(
+          found.doctorLicenseNumber
+        );
+        const history = await prescriptionContract.getDispensings(lookupId);
+
+        setPrescription(found);
+        setDoctor({ name: details.name, hospital: details.hospital });
+        setSignedByPrescriber(
+          current ||
+            previous.some(
+              (wallet) => wallet.toLowerCase() === found.issuer.toLowerCase()
+            )
+        );
+        setDispensings(parseDispensings(history).reverse());
+        setQuantities(
+          found.medications.map((m, i) => m.quantity - found.dispensed[i])
+        );
+      } catch (err) {
+        console.log(err);
+        setPrescription(null);
+        toast.error("No prescription found with that number.");
+      }
+    };
+    if (prescriptionContract && doctorContract && lookupId !== null) {
+      fetchPrescription();
+    }
+  }, [prescriptionContract, doctorContract, lookupId, version]);
+
+  // typed number or scanned QR text -> the prescription shown below
+  const showPrescription = useCallback((text) => {
+    const id = parsePrescriptionQr(text);
+    if (id === null) {
+      toast.error("Enter a prescription number or scan its QR code.");
+      return;
+    }
+    setLookupId(id);
+    setVersion((v) => v + 1);
+  }, []);
+
+  const handleLookup = (e) => {
+    e.preventDefault();
+    showPrescription(query);
+  };
+
+  const handleScan = useCallback(
+    (text) => {
+      setScanning(false);
+      setQuery(text);
+      showPrescription(text);
+    },
+    [showPrescription]
+  );
+
+  const closeScanner = useCallback(() => setScanning(false), []);
+
+  const handleDispense = async (e) => {
+    e.preventDefault();
+    const remaining = prescription.medications.map(
+      (m, i) => m.quantity - prescription.dispensed[i]
+    );
+    const amounts = quantities.map(Number);
+    if (
+      amounts.some((q, i) => !Number.isInteger(q) || q < 0 || q > remaining[i])
+    ) {
+      toast.error(
+        "Quantities must be whole numbers no larger than what is left."
+      );
+      return;
+    }
+    if (amounts.every((q) => q === 0)) {
+      toast.error("Enter a quantity for at least one medication.");
+      return;
+    }
+
+    try {
+      setDispensing(true);
+      const tx = await prescriptionContract.dispense(prescription.id, amounts);
+      await tx.wait();
+      toast.success(
+        amounts.every((q, i) => q === remaining[i])
+          ? "Prescription filled."
+          : "Partial fill recorded."
+      );
+      setVersion((v) => v + 1);
+    } catch (err) {
+      console.log(err);
+      toast.error("Error dispensing the prescription.");
+    } finally {
+      setDispensing(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100 py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="max-w-4xl mx-auto space-y-6"
+      >
+        <div className="text-center mb-6">
+          <h1 className="text-3xl md:text-4xl font-bold text-[#0a0f2c] mb-3">
+            Pharmacy <span className="text-cyan-400">Dashboard</span>
+          </h1>
+          {pharmacy && (
+            <p className="text-lg text-gray-600 flex items-center justify-center">
+              <FaClinicMedical className="mr-2 text-cyan-500" />
+              {pharmacy.name} • {pharmacy.location}
+            </p>
+          )}
+        </div>
+
+        {/* Lookup */}
+        <div className="bg-white bg-opacity-90 backdrop-blur-sm rounded-2xl shadow-xl p-6 space-y-4">
+          <form onSubmit={handleLookup} className="flex flex-wrap gap-3">
+            <div className="relative flex-1 min-w-[200px]">
+              <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+              <input
+                type="text"
+                placeholder="Prescription number"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
+              />
+            </div>
+            <button
+              type="submit"
+              className="px-6 py-3 font-semibold rounded-xl bg-gradient-to-r from-cyan-400 to-blue-500 text-[#0a0f2c] shadow-md hover:shadow-lg transition"
+            >
+              Look Up
+            </button>
+            <button
+              type="button"
+              onClick={() => setScanning(!scanning)}
+              className="px-6 py-3 font-semibold rounded-xl border border-gray-200 text-gray-700 hover:bg-gray-50 transition flex items-center"
+            >
+              <FaQrcode className="mr-2" />
+              Scan QR
+            </button>
+          </form>
+          {scanning && <QrScanner onScan={handleScan} onClose={closeScanner} />}
+        </div>
+
+        {prescription && (
+          <div className="bg-white bg-opacity-90 backdrop-blur-sm rounded-2xl shadow-xl p-6 space-y-5">
+            {signedByPrescriber ? (
+              <p className="text-sm text-green-700 flex items-center">
+                <FaCheckCircle className="mr-2" />
+                Issued on-chain by Dr. {doctor?.name} (license{" "}
+                {prescription.doctorLicenseNumber}
+                {doctor?.hospital && `, ${doctor.hospital}`}) for patient{" "}
+                {prescription.patientHHNumber}
+              </p>
+            ) : (
+              <p className="p-3 text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg flex items-center">
+                <FaExclamationTriangle className="mr-2 shrink-0" />
+                Signed by {prescription.issuer}, which is not a wallet
+                registered to Dr. {doctor?.name} (license{" "}
+                {prescription.doctorLicenseNumber}
+                ). Check with the prescriber before dispensing.
+              </p>
+            )}
+
+            <PrescriptionCard prescription={prescription} doctor={doctor} />
+
+            {prescription.fillStatus !== FILL_STATUS.FILLED && (
+              <form onSubmit={handleDispense} className="space-y-3">
+                <p className="text-sm font-semibold text-gray-500 uppercase tracking-wider">
+                  Dispense now
+                </p>
+                {prescription.medications.map((medication, index) => (
+                  <label
+                    key={index}
+                    className="flex items-center justify-between gap-3 text-sm text-gray-700"
+                  >
+                    <span>
+                      {medication.drug} {medication.dosage}{" "}
+                      <span className="text-gray-500">
+                        ({medication.quantity - prescription.dispensed[index]}{" "}
+                        left)
+                      </span>
+                    </span>
+                    <input
+                      type="number"
+                      min="0"
+                      max={medication.quantity - prescription.dispensed[index]}
+                      value={quantities[index] ?? 0}
+                      onChange={(e) =>
+                        setQuantities(
+                          quantities.map((q, i) =>
+                            i === index ? e.target.value : q
+                          )
+                        )
+                      }
+                      className="w-24 px-3 py-2 border border-gray-200 rounded-lg focus:ring-2 focus:ring-cyan-300"
+                    />
+                  </label>
+                ))}
+                <button
+                  type="submit"
+                  disabled={dispensing}
+                  className="w-full py-3 font-bold rounded-xl bg-gradient-to-r from-cyan-400 to-blue-500 text-[#0a0f2c] shadow-md hover:shadow-lg transition disabled:opacity-50"
+                >
+                  {dispensing ? "Recording..." : "Dispense"}
+                </button>
+              </form>
+            )}
+
+            {dispensings.length > 0 && (
+              <div>
+                <p className="text-sm font-semibold text-gray-500 uppercase tracking-wider flex items-center mb-2">
+                  <FaHistory className="mr-2" />
+                  Dispensing history
+                </p>
+                <ul className="space-y-2">
+                  {dispensings.map((entry, index) => (
+                    <li
+                      key={index}
+                      className="p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-700"
+                    >
+                      {entry.dispensedAt.toLocaleString()} • pharmacy{" "}
+                      {entry.pharmacyLicenseNumber}:{" "}
+                      {prescription.medications
+                        .map((m, i) => `${entry.quantities[i]} × ${m.drug}`)
+                        .join(", ")}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default Dashboard;
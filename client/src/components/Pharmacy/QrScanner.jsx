@@ -0,0 +1,89 @@
+import { useEffect, useRef } from "react";
+
+// browsers without the BarcodeDetector API fall back to typing the number
+const supported = typeof window !== "undefined" && "BarcodeDetector" in window;
+
+// camera preview that reports the first QR code it reads through onScan(text)
+const QrScanner = ({ onScan, onClose }) => {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    if (!supported) return;
+
+    const detector = new window.BarcodeDetector({ formats: ["qr_code"] });
+    let stream = null;
+    let frame = null;
+    let stopped = false;
+    let logged = false;
+
+    const scan = async () => {
+      if (stopped) return;
+      // the first frames arrive before the video has any data
+      if (videoRef.current.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA) {
+        try {
+          const codes = await detector.detect(videoRef.current);
+          if (codes.length > 0) {
+            onScan(codes[0].rawValue);
+            return;
+          }
+        } catch (err) {
+          // a failing detector fails on every frame; report it once
+          if (!logged) {
+            console.log(err);
+            logged = true;
+          }
+        }
+      }
+      frame = requestAnimationFrame(scan);
+    };
+
+    const start = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: "environment" },
+        });
+        if (stopped) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        scan();
+      } catch (err) {
+        console.log(err);
+        onClose();
+      }
+    };
+    start();
+
+    return () => {
+      stopped = true;
+      cancelAnimationFrame(frame);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, [onScan, onClose]);
+
+  return (
+    <div className="p-4 bg-gray-50 border border-gray-200 rounded-xl">
+      {supported ? (
+        <video
+          ref={videoRef}
+          muted
+          playsInline
+          className="w-full max-h-72 rounded-lg bg-black object-cover"
+        />
+      ) : (
+        <p className="text-sm text-gray-600 text-center">
+          This browser can&apos;t read QR codes. Type the prescription number
+          instead.
+        </p>
+      )}
+      <button
+        type="button"
+        onClick={onClose}
+        className="mt-3 w-full py-2 text-sm font-semibold rounded-lg border border-gray-200 text-gray-600 hover:bg-white transition"
+      >
+        Close Scanner
+      </button>
+    </div>
+  );
+};
+
+export default QrScanner;
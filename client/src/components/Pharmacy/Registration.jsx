@@ -0,0 +1,328 @@
+/* eslint-disable no-unused-vars */
+import { useEffect, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+import { motion } from "framer-motion";
+import {
+  FaClinicMedical,
+  FaEnvelope,
+  FaHospital,
+  FaIdCard,
+  FaMapMarkerAlt,
+  FaPrescriptionBottleAlt,
+  FaQrcode,
+  FaShieldAlt,
+} from "react-icons/fa";
+import { toast } from "react-toastify";
+
+import {
+  connectToPharmacy,
+  clearPharmacyState,
+} from "../../redux/contract/pharmacySlice";
+import {
+  connectToHospital,
+  clearHospitalState,
+} from "../../redux/contract/hospitalSlice";
+
+import PharmacyRegistration from "../../constants/PharmacyRegistration.json";
+import HospitalRegistry from "../../constants/HospitalRegistry.json";
+import {
+  PHARMACY_CONTRACT_ADDRESS,
+  HOSPITAL_CONTRACT_ADDRESS,
+} from "../../constants/Values";
+import { EMAIL_REGEX } from "../../utils/validation";
+import { fetchHospitals } from "../../utils/directory";
+
+import loginImage from "../../../public/5053643.jpg";
+
+const contractABI = PharmacyRegistration.abi;
+const contractAddress = PHARMACY_CONTRACT_ADDRESS;
+
+const Registration = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+
+  // registration states
+  const [name, setName] = useState("");
+  const [licenseNumber, setLicenseNumber] = useState("");
+  const [email, setEmail] = useState("");
+  const [location, setLocation] = useState("");
+  const [hospitalId, setHospitalId] = useState("");
+
+  const { account, contract, loading } = useSelector((state) => state.pharmacy);
+  const hospitalContract = useSelector((state) => state.hospital.contract);
+
+  // approved hospitals to register under; their admins approve the pharmacy
+  const [hospitals, setHospitals] = useState([]);
+
+  // register loader
+  const [waiter, setWaiter] = useState(false);
+
+  // connect to network
+  useEffect(() => {
+    dispatch(connectToPharmacy(contractAddress, contractABI));
+    dispatch(
+      connectToHospital(HOSPITAL_CONTRACT_ADDRESS, HospitalRegistry.abi)
+    );
+  }, [dispatch]);
+
+  // clear state when component unmounts
+  useEffect(() => {
+    return () => {
+      dispatch(clearPharmacyState());
+      dispatch(clearHospitalState());
+    };
+  }, [dispatch]);
+
+  // fetch the hospital list
+  useEffect(() => {
+    const getHospitals = async () => {
+      try {
+        setHospitals(await fetchHospitals(hospitalContract));
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    if (hospitalContract) {
+      getHospitals();
+    }
+  }, [hospitalContract]);
+
+  // handle register
+  const handleRegister = async (e) => {
+    e.preventDefault();
+
+    if (!contract) {
+      console.log("Contract not initialized");
+      return;
+    }
+
+    if (
+      !account ||
+      !name ||
+      !licenseNumber ||
+      !email ||
+      !location ||
+      !hospitalId
+    ) {
+      toast.error("Please fill in all the required fields.");
+      return;
+    }
+
+    if (!/^\d{6}$/.test(licenseNumber)) {
+      toast.error("Please enter a 6-digit pharmacy license number.");
+      return;
+    }
+
+    if (!EMAIL_REGEX.test(email)) {
+      toast.error("Please enter a valid email address.");
+      return;
+    }
+
+    try {
+      setWaiter(true);
+      const isRegistered = await contract.isPharmacyRegistered(licenseNumber);
+
+      if (isRegistered) {
+        toast.error("Pharmacy already exists");
+        return;
+      }
+
+      const tx = await contract.registerPharmacy(
+        account,
+        name,
+        licenseNumber,
+        email,
+        location,
+        hospitalId
+      );
+      await tx.wait();
+      navigate("/pharmacy-login");
+      toast.success(
+        "Pharmacy registered. You can log in once the hospital approves it."
+      );
+    } catch (err) {
+      console.log(err?.message);
+      toast.error("An error occurred while registering the pharmacy.");
+    } finally {
+      setWaiter(false);
+    }
+  };
+
+  // contract loading
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-cyan-400"></div>
+        <p className="text-lg font-medium ml-4 text-[#0a0f2c]">
+          Connecting to blockchain...
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100 flex items-center justify-center p-4 relative overflow-hidden">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6 }}
+        className="flex flex-col md:flex-row w-full max-w-6xl bg-white rounded-2xl shadow-2xl overflow-hidden"
+      >
+        {/* Image Section - Full Height */}
+        <div className="hidden md:block md:w-1/2 bg-gradient-to-br from-[#0a0f2c] to-[#1a1f3c] relative">
+          <img
+            src={loginImage}
+            alt="Pharmacy Registration"
+            className="absolute inset-0 w-full h-full object-cover opacity-90 mix-blend-luminosity"
+          />
+          <div className="absolute inset-0 bg-gradient-to-t from-[#0a0f2c] to-transparent"></div>
+          <div className="relative z-10 p-12 h-full flex flex-col justify-end">
+            <h2 className="text-4xl font-bold text-white mb-4">
+              <span className="text-cyan-300">Pharmacy</span> Partners
+            </h2>
+            <p className="text-gray-300 text-lg">
+              Verify prescriptions on-chain before you dispense.
+            </p>
+            <div className="mt-8 space-y-4">
+              {[
+                {
+                  icon: <FaQrcode className="text-cyan-300" />,
+                  text: "Look up prescriptions by QR code",
+                },
+                {
+                  icon: <FaShieldAlt className="text-purple-300" />,
+                  text: "Signed by the prescribing doctor",
+                },
+                {
+                  icon: <FaPrescriptionBottleAlt className="text-blue-300" />,
+                  text: "No prescription filled twice",
+                },
+              ].map((item, i) => (
+                <div key={i} className="flex items-center">
+                  <span className="mr-3">{item.icon}</span>
+                  <span className="text-gray-300">{item.text}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {/* Form Section */}
+        <div className="w-full md:w-1/2 p-8 md:p-12">
+          {waiter ? (
+            <div className="h-full flex flex-col items-center justify-center">
+              <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-cyan-400 mb-4"></div>
+              <h3 className="text-xl font-semibold text-[#0a0f2c]">
+                Processing your registration
+              </h3>
+              <p className="text-gray-600 mt-2">
+                This may take a few moments...
+              </p>
+            </div>
+          ) : (
+            <>
+              <div className="text-center mb-8">
+                <h1 className="text-3xl font-bold text-[#0a0f2c]">
+                  Pharmacy <span className="text-cyan-400">Registration</span>
+                </h1>
+                <p className="text-gray-600 mt-2">
+                  Connected as:{" "}
+                  <span className="font-mono text-sm">
+                    {account?.slice(0, 12)}...
+                  </span>
+                </p>
+              </div>
+
+              <form onSubmit={handleRegister} className="space-y-5">
+                {[
+                  {
+                    icon: <FaClinicMedical className="text-gray-400" />,
+                    value: name,
+                    onChange: setName,
+                    placeholder: "Pharmacy Name",
+                  },
+                  {
+                    icon: <FaIdCard className="text-gray-400" />,
+                    value: licenseNumber,
+                    onChange: setLicenseNumber,
+                    placeholder: "License Number (6 digits)",
+                    maxLength: 6,
+                  },
+                  {
+                    icon: <FaEnvelope className="text-gray-400" />,
+                    value: email,
+                    onChange: setEmail,
+                    placeholder: "Email Address",
+                    type: "email",
+                  },
+                  {
+                    icon: <FaMapMarkerAlt className="text-gray-400" />,
+                    value: location,
+                    onChange: setLocation,
+                    placeholder: "Address",
+                  },
+                ].map((field) => (
+                  <div key={field.placeholder} className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      {field.icon}
+                    </div>
+                    <input
+                      type={field.type || "text"}
+                      maxLength={field.maxLength}
+                      value={field.value}
+                      onChange={(e) => field.onChange(e.target.value)}
+                      placeholder={field.placeholder}
+                      className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
+                    />
+                  </div>
+                ))}
+
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaHospital className="text-gray-400" />
+                  </div>
+                  <select
+                    value={hospitalId}
+                    onChange={(e) => setHospitalId(e.target.value)}
+                    className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent appearance-none"
+                  >
+                    <option value="">
+                      Hospital that approves this pharmacy
+                    </option>
+                    {hospitals.map((item) => (
+                      <option key={item.id} value={item.id}>
+                        {item.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <motion.button
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  type="submit"
+                  className="w-full py-4 bg-gradient-to-r from-cyan-400 to-blue-500 text-[#0a0f2c] font-bold rounded-xl shadow-md hover:shadow-lg transition-all"
+                >
+                  Register Pharmacy
+                </motion.button>
+
+                <p className="text-center text-gray-600 mt-4">
+                  Already have an account?{" "}
+                  <Link
+                    to="/pharmacy-login"
+                    className="text-cyan-500 hover:underline font-medium"
+                  >
+                    Login here
+                  </Link>
+                </p>
+              </form>
+            </>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default Registration;
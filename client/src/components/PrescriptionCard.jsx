@@ -0,0 +1,89 @@
+import { QRCodeSVG } from "qrcode.react";
+import { FaPrescriptionBottleAlt } from "react-icons/fa";
+
+import {
+  FILL_STATUS,
+  FILL_STATUS_LABELS,
+  FILL_STATUS_STYLES,
+  prescriptionQrValue,
+} from "../utils/prescriptions";
+
+// one parsed Prescription.Prescript; doctor is the issuing doctor's directory entry when known,
+// showQr adds the code a pharmacy scans to look the prescription up
+const PrescriptionCard = ({ prescription, doctor, showQr }) => (
+  <div className="p-4 bg-white border border-gray-200 rounded-lg shadow-xs">
+    <div className="flex flex-wrap items-start justify-between gap-2 mb-3">
+      <div className="flex items-center space-x-3">
+        <div className="p-2.5 bg-cyan-100 rounded-lg text-cyan-600">
+          <FaPrescriptionBottleAlt />
+        </div>
+        <div>
+          <h3 className="text-base font-medium text-gray-800">
+            Prescription #{prescription.id}
+          </h3>
+          <p className="text-sm text-gray-500">
+            Issued {prescription.issuedAt.toLocaleDateString()}
+            {doctor && ` by Dr. ${doctor.name}`}
+          </p>
+          <p
+            className="font-mono text-xs text-gray-400 break-all"
+            title="Signing wallet"
+          >
+            Signed by {prescription.issuer}
+          </p>
+        </div>
+      </div>
+      <span
+        className={`text-xs font-medium px-3 py-1 rounded-full ${
+          FILL_STATUS_STYLES[prescription.fillStatus]
+        }`}
+      >
+        {FILL_STATUS_LABELS[prescription.fillStatus]}
+      </span>
+    </div>
+
+    <div className="flex flex-col sm:flex-row gap-4">
+      <ul className="flex-1 divide-y divide-gray-100 border border-gray-100 rounded-lg">
+        {prescription.medications.map((medication, index) => (
+          <li key={index} className="p-3">
+            <p className="font-medium text-[#0a0f2c]">
+              {medication.drug}{" "}
+              <span className="text-sm font-normal text-gray-500">
+                {medication.dosage}
+              </span>
+            </p>
+            <p className="text-sm text-gray-600">
+              {medication.frequency} for {medication.durationDays} day
+              {medication.durationDays !== 1 ? "s" : ""} • Qty{" "}
+              {medication.quantity}
+              {prescription.fillStatus !== FILL_STATUS.UNFILLED &&
+                ` • ${prescription.dispensed[index]} dispensed`}
+            </p>
+            {medication.instructions && (
+              <p className="text-sm text-gray-500 italic">
+                {medication.instructions}
+              </p>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {showQr && prescription.fillStatus !== FILL_STATUS.FILLED && (
+        <div className="flex flex-col items-center self-center sm:self-start">
+          <QRCodeSVG value={prescriptionQrValue(prescription.id)} size={112} />
+          <span className="mt-1 text-xs text-gray-500">
+            Show at the pharmacy
+          </span>
+        </div>
+      )}
+    </div>
+
+    {prescription.notes && (
+      <p className="mt-3 text-sm text-gray-600">
+        <span className="font-medium">Notes:</span> {prescription.notes}
+      </p>
+    )}
+  </div>
+);
+
+export default PrescriptionCard;
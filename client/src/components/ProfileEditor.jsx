@@ -0,0 +1,104 @@
+import { useState } from "react";
+import { toast } from "react-toastify";
+
+import { validateProfile } from "../utils/validation";
+
+// select options as { value, label }; a field's options may depend on the other values
+const optionsOf = (field, values) => {
+  const options =
+    typeof field.options === "function" ? field.options(values) : field.options;
+  return options?.map((option) =>
+    typeof option === "string" ? { value: option, label: option } : option
+  );
+};
+
+// edit form for the changeable profile fields; onSave(values) sends the update
+const ProfileEditor = ({ fields, initialValues, onSave, onCancel }) => {
+  const [values, setValues] = useState(initialValues);
+  const [saving, setSaving] = useState(false);
+
+  // a select whose options no longer hold its value falls back to the first one
+  const handleChange = (name, value) => {
+    const next = { ...values, [name]: value };
+    fields.forEach((field) => {
+      const options = optionsOf(field, next);
+      if (options && !options.some((o) => o.value === next[field.name])) {
+        next[field.name] = options[0]?.value ?? "";
+      }
+    });
+    setValues(next);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const error = validateProfile(values);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await onSave(values);
+      toast.success("Profile updated.");
+    } catch (err) {
+      console.log(err);
+      toast.error("An error occurred while updating the profile.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-8 space-y-4">
+      {fields.map((field) => (
+        <label
+          key={field.name}
+          className="flex flex-col text-sm font-semibold text-gray-500 uppercase tracking-wider"
+        >
+          {field.label}
+          {field.options ? (
+            <select
+              value={values[field.name]}
+              onChange={(e) => handleChange(field.name, e.target.value)}
+              className="mt-2 px-4 py-3 border border-gray-200 rounded-xl text-base font-normal normal-case tracking-normal text-gray-800 focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
+            >
+              {optionsOf(field, values).map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type={field.type || "text"}
+              value={values[field.name]}
+              onChange={(e) => handleChange(field.name, e.target.value)}
+              className="mt-2 px-4 py-3 border border-gray-200 rounded-xl text-base font-normal normal-case tracking-normal text-gray-800 focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
+            />
+          )}
+        </label>
+      ))}
+
+      <div className="flex gap-3 pt-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex-1 py-3 font-bold rounded-xl bg-gradient-to-r from-cyan-400 to-blue-500 text-[#0a0f2c] shadow-md hover:shadow-lg transition disabled:opacity-50"
+        >
+          {saving ? "Saving..." : "Save Changes"}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={saving}
+          className="px-6 py-3 font-semibold rounded-xl border border-gray-200 text-gray-600 hover:bg-gray-50 transition disabled:opacity-50"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ProfileEditor;
@@ -0,0 +1,50 @@
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate } from "react-router-dom";
+import { FiUsers } from "react-icons/fi";
+
+import { switchProfile } from "../redux/user/userSlice";
+import { DELEGATE_ROLE_LABELS } from "../utils/delegation";
+
+// lets a guardian / caregiver flip the patient pages between their own profile and the patients they act for
+const ProfileSwitcher = ({ onSwitch }) => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+
+  const hhNumber = useSelector((state) => state.user.hhNumber);
+  const delegations = useSelector((state) => state.user.delegations);
+  const profile = useSelector((state) => state.user.profile);
+
+  if (!hhNumber || delegations.length === 0) {
+    return null;
+  }
+
+  const handleChange = (e) => {
+    const next = delegations.find((d) => d.hhNumber === e.target.value);
+    dispatch(switchProfile(next ?? null));
+    navigate(`/patient/${next ? next.hhNumber : hhNumber}`);
+    onSwitch();
+  };
+
+  return (
+    <li>
+      <label className="flex items-center gap-2">
+        <FiUsers className="text-lg" />
+        <select
+          value={profile?.hhNumber ?? ""}
+          onChange={handleChange}
+          aria-label="Switch profile"
+          className="bg-[#1a1f3c] text-white text-sm rounded-md px-2 py-1 border border-cyan-300/30 focus:ring-2 focus:ring-cyan-300"
+        >
+          <option value="">My profile</option>
+          {delegations.map((d) => (
+            <option key={d.hhNumber} value={d.hhNumber}>
+              {d.name} ({DELEGATE_ROLE_LABELS[d.role]})
+            </option>
+          ))}
+        </select>
+      </label>
+    </li>
+  );
+};
+
+export default ProfileSwitcher;
@@ -1,6 +1,6 @@
 /* eslint-disable no-unused-vars */
 import { Link } from "react-router-dom";
-import { FaUserInjured, FaUserMd, FaShieldAlt, FaLock, FaGlobe } from "react-icons/fa";
+import { FaUserInjured, FaUserMd, FaClinicMedical, FaHospital, FaShieldAlt, FaLock, FaGlobe } from "react-icons/fa";
 import { motion } from "framer-motion";
 
 const Register = () => {
@@ -51,7 +51,7 @@ const Register = () => {
       </div>
 
       {/* Registration Cards */}
-      <div className="grid gap-8 md:gap-12 md:grid-cols-2 max-w-5xl px-4">
+      <div className="grid gap-8 md:gap-12 md:grid-cols-2 lg:grid-cols-4 max-w-6xl px-4">
         {/* Patient Card */}
         <motion.div
           initial={{ opacity: 0, x: -20 }}
@@ -107,6 +107,62 @@ const Register = () => {
             <div className="absolute bottom-0 left-0 right-0 h-1 bg-gradient-to-r from-purple-400 to-indigo-400"></div>
           </Link>
         </motion.div>
+
+        {/* Pharmacy Card */}
+        <motion.div
+          initial={{ opacity: 0, x: 20 }}
+          animate={{ opacity: 1, x: 0 }}
+          transition={{ duration: 0.6, delay: 0.4 }}
+          whileHover={{ y: -10 }}
+          className="relative group"
+        >
+          <div className="absolute inset-0 bg-blue-400 rounded-2xl opacity-0 group-hover:opacity-10 transition-opacity duration-300"></div>
+          <Link
+            to="/pharmacy-register"
+            className="relative bg-white rounded-2xl shadow-xl hover:shadow-2xl transition-all duration-300 p-8 flex flex-col items-center border border-gray-100 overflow-hidden"
+          >
+            <div className="relative mb-6">
+              <div className="absolute -inset-2 bg-blue-400 rounded-full opacity-20 blur-md"></div>
+              <FaClinicMedical className="relative text-5xl text-blue-400 z-10" />
+            </div>
+            <h2 className="text-2xl font-bold text-[#0a0f2c] mb-3">Pharmacy</h2>
+            <p className="text-center text-gray-600 mb-6">
+              Verify and dispense prescriptions signed on the blockchain.
+            </p>
+            <div className="px-8 py-3 bg-gradient-to-r from-blue-400 to-cyan-400 text-[#0a0f2c] rounded-lg font-semibold shadow-md hover:shadow-lg transition-all group-hover:scale-105">
+              Get Started
+            </div>
+            <div className="absolute bottom-0 left-0 right-0 h-1 bg-gradient-to-r from-blue-400 to-cyan-400"></div>
+          </Link>
+        </motion.div>
+
+        {/* Hospital Card */}
+        <motion.div
+          initial={{ opacity: 0, x: 20 }}
+          animate={{ opacity: 1, x: 0 }}
+          transition={{ duration: 0.6, delay: 0.5 }}
+          whileHover={{ y: -10 }}
+          className="relative group"
+        >
+          <div className="absolute inset-0 bg-indigo-400 rounded-2xl opacity-0 group-hover:opacity-10 transition-opacity duration-300"></div>
+          <Link
+            to="/hospital-register"
+            className="relative bg-white rounded-2xl shadow-xl hover:shadow-2xl transition-all duration-300 p-8 flex flex-col items-center border border-gray-100 overflow-hidden"
+          >
+            <div className="relative mb-6">
+              <div className="absolute -inset-2 bg-indigo-400 rounded-full opacity-20 blur-md"></div>
+              <FaHospital className="relative text-5xl text-indigo-400 z-10" />
+            </div>
+            <h2 className="text-2xl font-bold text-[#0a0f2c] mb-3">Hospital</h2>
+            <p className="text-center text-gray-600 mb-6">
+              Run your facility: verify doctors and manage departments.
+            </p>
+            <div className="px-8 py-3 bg-gradient-to-r from-indigo-400 to-purple-400 text-[#0a0f2c] rounded-lg font-semibold shadow-md hover:shadow-lg transition-all group-hover:scale-105">
+              Get Started
+            </div>
+            <div className="absolute bottom-0 left-0 right-0 h-1 bg-gradient-to-r from-indigo-400 to-purple-400"></div>
+          </Link>
+        </motion.div>
       </div>
 
       {/* Trust Badges */}
@@ -0,0 +1,172 @@
+import { useEffect, useState } from "react";
+
+import {
+  formatSlot,
+  formatUtcOffset,
+  getDayKey,
+  toInputDate,
+} from "../utils/appointments";
+
+// visit lengths a patient can book, in slots of the doctor's slot length
+const SLOT_COUNTS = [1, 2];
+
+// date + free slot chooser for one doctor; onConfirm(date, startTime, duration) books it
+const SlotPicker = ({
+  appointmentContract,
+  doctorNumber,
+  onConfirm,
+  confirmLabel,
+}) => {
+  const [bookingDate, setBookingDate] = useState(toInputDate(new Date()));
+  const [slotCount, setSlotCount] = useState(SLOT_COUNTS[0]);
+  const [slotLength, setSlotLength] = useState(0);
+  // the doctor's timezone, which their days are counted in
+  const [utcOffset, setUtcOffset] = useState(0);
+  const [slots, setSlots] = useState([]);
+  const [selectedSlot, setSelectedSlot] = useState(null);
+  const [slotsVersion, setSlotsVersion] = useState(0);
+  const [submitting, setSubmitting] = useState(false);
+
+  const duration = slotCount * slotLength;
+
+  // the doctor's slot length decides the visit lengths on offer
+  useEffect(() => {
+    const fetchSchedule = async () => {
+      try {
+        const schedule = await appointmentContract.getSchedule(doctorNumber);
+        setSlotLength(Number(schedule.slotLength));
+        setUtcOffset(Number(schedule.utcOffset));
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    if (appointmentContract && doctorNumber) {
+      fetchSchedule();
+    }
+  }, [appointmentContract, doctorNumber]);
+
+  // free slots of the doctor for the chosen day
+  useEffect(() => {
+    const fetchSlots = async () => {
+      try {
+        const appointmentDate = getDayKey(bookingDate, utcOffset);
+        const free = (
+          await appointmentContract.getAvailableSlots(
+            doctorNumber,
+            appointmentDate
+          )
+        ).map(Number);
+
+        // a start time only fits if every slot the visit covers is free and not past
+        const now = Date.now() / 1000;
+        setSlots(
+          free.filter((start) => {
+            if (start <= now) return false;
+            for (let i = 1; i < slotCount; i++) {
+              if (!free.includes(start + i * slotLength)) return false;
+            }
+            return true;
+          })
+        );
+      } catch (err) {
+        console.log(err);
+        setSlots([]);
+      }
+    };
+
+    setSelectedSlot(null);
+    if (appointmentContract && doctorNumber && slotLength) {
+      fetchSlots();
+    }
+  }, [
+    appointmentContract,
+    doctorNumber,
+    bookingDate,
+    slotCount,
+    slotLength,
+    utcOffset,
+    slotsVersion,
+  ]);
+
+  const handleConfirm = async () => {
+    setSubmitting(true);
+    try {
+      await onConfirm(
+        getDayKey(bookingDate, utcOffset),
+        selectedSlot,
+        duration
+      );
+    } finally {
+      setSubmitting(false);
+      setSlotsVersion((v) => v + 1);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-4">
+        <label className="flex flex-col text-sm text-gray-600">
+          Date
+          <input
+            type="date"
+            value={bookingDate}
+            min={toInputDate(new Date())}
+            onChange={(e) => setBookingDate(e.target.value)}
+            className="mt-1 px-3 py-2 border border-gray-200 rounded-lg focus:ring-2 focus:ring-cyan-300"
+          />
+        </label>
+        <label className="flex flex-col text-sm text-gray-600">
+          Duration
+          <select
+            value={slotCount}
+            onChange={(e) => setSlotCount(Number(e.target.value))}
+            className="mt-1 px-3 py-2 border border-gray-200 rounded-lg focus:ring-2 focus:ring-cyan-300"
+          >
+            {SLOT_COUNTS.map((count) => (
+              <option key={count} value={count}>
+                {(count * slotLength) / 60} minutes
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <p className="text-xs text-gray-400">
+        Days follow the doctor&apos;s timezone ({formatUtcOffset(utcOffset)});
+        times are shown in yours.
+      </p>
+
+      {slots.length > 0 ? (
+        <div className="flex flex-wrap gap-2">
+          {slots.map((start) => (
+            <button
+              key={start}
+              type="button"
+              onClick={() => setSelectedSlot(start)}
+              className={`px-3 py-1.5 text-sm rounded-full border transition ${
+                selectedSlot === start
+                  ? "bg-cyan-500 border-cyan-500 text-white"
+                  : "border-cyan-200 text-cyan-700 hover:bg-cyan-50"
+              }`}
+            >
+              {formatSlot(start, duration)}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">No free slots on this day.</p>
+      )}
+
+      <button
+        type="button"
+        onClick={handleConfirm}
+        disabled={!selectedSlot || submitting}
+        className="px-4 py-2 text-sm font-medium rounded-full text-white bg-gradient-to-r from-cyan-600 to-cyan-500 hover:from-cyan-700 hover:to-cyan-600 transition disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {submitting ? "Please wait..." : confirmLabel}
+      </button>
+    </div>
+  );
+};
+
+export default SlotPicker;
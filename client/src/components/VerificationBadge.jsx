@@ -0,0 +1,26 @@
+import { FaCheckCircle, FaClock, FaBan, FaPauseCircle } from "react-icons/fa";
+
+import { VERIFICATION_LABELS } from "../utils/directory";
+
+// indexed by DoctorRegistration.VerificationStatus
+const STYLES = [
+  { icon: FaClock, className: "bg-yellow-100 text-yellow-800" },
+  { icon: FaCheckCircle, className: "bg-green-100 text-green-800" },
+  { icon: FaPauseCircle, className: "bg-orange-100 text-orange-800" },
+  { icon: FaBan, className: "bg-red-100 text-red-800" },
+];
+
+// license verification status of a doctor
+const VerificationBadge = ({ status, className = "" }) => {
+  const { icon: Icon, className: colors } = STYLES[status] ?? STYLES[0];
+  return (
+    <span
+      className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${colors} ${className}`}
+    >
+      <Icon className="mr-1" />
+      {VERIFICATION_LABELS[status] ?? VERIFICATION_LABELS[0]}
+    </span>
+  );
+};
+
+export default VerificationBadge;
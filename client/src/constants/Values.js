@@ -1,27 +1,30 @@
-export const APPOINTMENT_CONTRACT_ADDRESS = "0x5FbDB2315678afecb367f032d93F642f64180aa3"
-export const UPLOAD_CONTRACT_ADDRESS = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512"
-export const PATIENT_CONTRACT_ADDRESS = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512"
-export const DOCTOR_CONTRACT_ADDRESS = "0x5FbDB2315678afecb367f032d93F642f64180aa3"
-export const PRIVATE_KEY = "0x689af8efa8c651a91ad287602527f3af2fe9f6501a7ac4b061667b5a93e037fd"
+// Addresses on a fresh `npx hardhat node` after the README deploy steps, in order;
+// redeploying on a running node or in another order moves them - check
+// contracts/ignition/deployments/chain-31337/deployed_addresses.json
+export const PATIENT_CONTRACT_ADDRESS = "0x5FbDB2315678afecb367f032d93F642f64180aa3"
+export const HOSPITAL_CONTRACT_ADDRESS = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512"
+export const DOCTOR_CONTRACT_ADDRESS = "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0"
+export const UPLOAD_CONTRACT_ADDRESS = "0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9"
+export const APPOINTMENT_CONTRACT_ADDRESS = "0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9"
+export const PHARMACY_CONTRACT_ADDRESS = "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707"
+export const PRESCRIPTION_CONTRACT_ADDRESS = "0x0165878A594ca255338adfa4d48449f69242Eb8F"
+
+// Local dev fallback when no browser wallet is injected - `npx hardhat node`
+// Pick another account per browser with localStorage.setItem("devAccountIndex", "13")
+export const DEV_RPC_URL = "http://127.0.0.1:8545"
+export const DEV_ACCOUNT_INDEX = 17
 
 // Account #13: 0x1CBd3b2770909D4e10f157cABC84C7264073C9Ec (10000 ETH)
-// Private Key: 0x47c99abed3324a2707c28affff1267e45918ec8c3f20b8aa892e8b065d2942dd
 
 // Account #14: 0xdF3e18d64BC6A983f673Ab319CCaE4f1a57C7097 (10000 ETH)
-// Private Key: 0xc526ee95bf44d8fc405a158bb884d9d1238d99f0612e9f33d006bb0789009aaa
 
 // Account #15: 0xcd3B766CCDd6AE721141F452C550Ca635964ce71 (10000 ETH)
-// Private Key: 0x8166f546bab6da521a8369cab06c5d2b9e46670292d85c875ee9ec20e84ffb61
 
 // Account #16: 0x2546BcD3c84621e976D8185a91A922aE77ECEc30 (10000 ETH)
-// Private Key: 0xea6c44ac03bff858b476bba40716402b03e41b8e97e276d1baec7c37d42484a0
 
 // Account #17: 0xbDA5747bFD65F08deb54cb465eB87D40e51B197E (10000 ETH)
-// Private Key: 0x689af8efa8c651a91ad287602527f3af2fe9f6501a7ac4b061667b5a93e037fd
 
 // Account #18: 0xdD2FD4581271e230360230F9337D5c0430Bf44C0 (10000 ETH)
-// Private Key: 0xde9be858da4a475276426320d5e9262ecfc3ba460bfac56360bfa6c4c28b4ee0
 
 // Account #19: 0x8626f6940E2eb28930eFb4CeF49B2d1F2C9C1199 (10000 ETH)
-// Private Key: 0xdf57089febbacf7ba0bc227dafbffa9fc08a93fdc68e1e42411a14efcf23656e
 
@@ -4,7 +4,23 @@ import { useDispatch, useSelector } from "react-redux";
 import { useNavigate } from "react-router-dom";
 import { toast } from "react-toastify";
 import { motion } from "framer-motion";
-import { FaUserInjured, FaCalendarAlt, FaChevronRight } from "react-icons/fa";
+import { FaUserInjured, FaCalendarAlt, FaChevronRight, FaClock, FaTimesCircle, FaCheckCircle, FaSignInAlt, FaUserSlash, FaKey } from "react-icons/fa";
+
+import {
+  APPOINTMENT_STATUS,
+  STATUS_LABELS,
+  STATUS_STYLES,
+  PAGE_SIZE,
+  getDayKey,
+  inputToDateKey,
+  parseAppointments,
+  statusMask,
+  toInputDate,
+  todayIn,
+} from "../utils/appointments";
+import { ACCESS_DURATIONS } from "../utils/records";
+import SlotPicker from "../components/SlotPicker";
+import Pagination from "../components/Pagination";
 
 // Appointment Redux
 import {
@@ -18,22 +34,28 @@ import {
   clearBlockchainState,
 } from "../redux/contract/blockchainSlice";
 
+// Upload Redux
+import {
+  connectToUpload,
+  clearUploadState,
+} from "../redux/contract/uploadSlice";
+
 // Contract Addresses
 import {
   APPOINTMENT_CONTRACT_ADDRESS,
   PATIENT_CONTRACT_ADDRESS,
-  PRIVATE_KEY,
+  UPLOAD_CONTRACT_ADDRESS,
 } from "../constants/Values";
 
 // Contracts JSON imports
 import AppointmentBooking from "../constants/AppointmentBooking.json";
 import PatientRegistration from "../constants/PatientRegistration.json";
+import Upload from "../constants/Upload.json";
 
 const contractABI = AppointmentBooking.abi;
 const contractAddress = APPOINTMENT_CONTRACT_ADDRESS;
 const patientContractABI = PatientRegistration.abi;
 const patientContractAddress = PATIENT_CONTRACT_ADDRESS;
-const privateKey = PRIVATE_KEY;
 
 const AppointmentDoctor = () => {
   const dispatch = useDispatch();
@@ -41,15 +63,29 @@ const AppointmentDoctor = () => {
 
   const [count, setCount] = useState("");
   const [appointments, setAppointments] = useState([]);
+  const [appointmentsVersion, setAppointmentsVersion] = useState(0);
+  const [rescheduling, setRescheduling] = useState(null);
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [fromDate, setFromDate] = useState(toInputDate(new Date()));
+  const [toDate, setToDate] = useState(toInputDate(new Date()));
+  const [page, setPage] = useState(0);
+  const [total, setTotal] = useState(0);
+  // timezone of the doctor's schedule, which the day keys are counted in
+  const [utcOffset, setUtcOffset] = useState(0);
+  const [requesting, setRequesting] = useState(null);
+  const [requestReason, setRequestReason] = useState("");
+  const [requestDuration, setRequestDuration] = useState(ACCESS_DURATIONS[0].value);
 
   const { contract, loading: appointmentLoading } = useSelector((state) => state.appointment);
   const { licenseNumber } = useSelector((state) => state.user);
   const { contract: patientContract, loading: patientLoading } = useSelector((state) => state.blockchain);
+  const { contract: uploadContract, account } = useSelector((state) => state.upload);
 
   // connect to network
   useEffect(() => {
-    dispatch(connectToAppoint(privateKey, contractAddress, contractABI));
-    dispatch(connectToBlockchain(privateKey, patientContractAddress, patientContractABI));
+    dispatch(connectToAppoint(contractAddress, contractABI));
+    dispatch(connectToBlockchain(patientContractAddress, patientContractABI));
+    dispatch(connectToUpload(UPLOAD_CONTRACT_ADDRESS, Upload.abi));
   }, [dispatch]);
 
   // clear state on component unmount
@@ -57,20 +93,28 @@ const AppointmentDoctor = () => {
     return () => {
       dispatch(clearAppointementState());
       dispatch(clearBlockchainState());
+      dispatch(clearUploadState());
     };
   }, [dispatch]);
 
-  function getDateTimestamp(date) {
-    const midnight = new Date(date);
-    midnight.setHours(0, 0, 0, 0);
-    return Math.floor(midnight.getTime() / 1000);
-  }
+  useEffect(() => {
+    const fetchSchedule = async () => {
+      try {
+        const schedule = await contract.getSchedule(licenseNumber);
+        setUtcOffset(Number(schedule.utcOffset));
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    if (contract) {
+      fetchSchedule();
+    }
+  }, [contract, licenseNumber]);
 
   // fetch the count of appointments for doctor
   useEffect(() => {
     const fetchCountAppointments = async () => {
-      const selectedDate = new Date();
-      const appointmentDate = getDateTimestamp(selectedDate);
+      const appointmentDate = getDayKey(todayIn(utcOffset), utcOffset);
 
       try {
         const tx = await contract.getDoctorAppointmentsCount(
@@ -85,38 +129,42 @@ const AppointmentDoctor = () => {
     if (contract) {
       fetchCountAppointments();
     }
-  }, [contract, licenseNumber]);
+  }, [contract, licenseNumber, utcOffset, appointmentsVersion]);
 
   // fetch the appointments
   useEffect(() => {
     const fetchAppointments = async () => {
       try {
-        const tx = await contract.getAppointments();
-
-        const parsedAppointments = tx
-          .map((item) => ({
-            patientId: item[0],
-            doctorId: item[1],
-            timestamp: Number(item[2]),
-          }))
-          .filter((appointment) => appointment.doctorId === licenseNumber);
-
-        const dx = await patientContract.getAllPatients();
-        const patients = dx.map((d) => ({
-          walletAddress: d[0],
-          name: d[1],
-          dateOfBirth: d[2],
-          hhNumber: d[7],
-        }));
+        const [rows, matches] = await contract.getDoctorAppointments(
+          licenseNumber,
+          inputToDateKey(fromDate, utcOffset),
+          inputToDateKey(toDate, utcOffset),
+          statusFilter === "all" ? statusMask() : statusMask(Number(statusFilter)),
+          page * PAGE_SIZE,
+          PAGE_SIZE
+        );
+        setTotal(Number(matches));
 
-        const mergedData = parsedAppointments
-          .map((appointment) => {
-            const patient = patients.find(
-              (p) => p.hhNumber === appointment.patientId
-            );
-            return patient ? { ...appointment, ...patient } : null;
+        const parsedAppointments = parseAppointments(rows);
+
+        // details of just the patients on this page
+        const patientIds = [...new Set(parsedAppointments.map((a) => a.patientId))];
+        const patients = await Promise.all(
+          patientIds.map(async (hhNumber) => {
+            const d = await patientContract.getPatientDetails(hhNumber);
+            return {
+              walletAddress: d.walletAddress,
+              name: d.name,
+              dateOfBirth: d.dateOfBirth,
+              hhNumber,
+            };
           })
-          .filter(Boolean);
+        );
+
+        const mergedData = parsedAppointments.map((appointment) => ({
+          ...appointment,
+          ...patients.find((p) => p.hhNumber === appointment.patientId),
+        }));
 
         setAppointments(mergedData);
         toast.success("Appointments fetched successfully.");
@@ -128,7 +176,7 @@ const AppointmentDoctor = () => {
     if (contract && patientContract) {
       fetchAppointments();
     }
-  }, [contract, patientContract, licenseNumber]);
+  }, [contract, patientContract, licenseNumber, fromDate, toDate, statusFilter, utcOffset, page, appointmentsVersion]);
 
   const formatDate = (timestamp) => {
     const date = new Date(timestamp * 1000);
@@ -152,6 +200,70 @@ const AppointmentDoctor = () => {
     return age;
   };
 
+  const handleCancel = async (appointment) => {
+    if (!window.confirm(`Cancel the appointment with ${appointment.name}?`)) {
+      return;
+    }
+
+    try {
+      const tx = await contract.cancelAppointment(appointment.id);
+      await tx.wait();
+      toast.success("Appointment cancelled.");
+      setAppointmentsVersion((v) => v + 1);
+    } catch (err) {
+      console.log(err);
+      toast.error("Error cancelling the appointment.");
+    }
+  };
+
+  const handleReschedule = async (appointment, date, startTime, duration) => {
+    try {
+      const tx = await contract.rescheduleAppointment(appointment.id, date, startTime, duration);
+      await tx.wait();
+      toast.success("Appointment rescheduled.");
+      setRescheduling(null);
+      setAppointmentsVersion((v) => v + 1);
+    } catch (err) {
+      console.log(err);
+      toast.error("Error rescheduling the appointment.");
+    }
+  };
+
+  // check-in, completion and no-show are recorded on-chain by the doctor
+  const handleStatus = async (appointment, action, message) => {
+    try {
+      const tx = await contract[action](appointment.id);
+      await tx.wait();
+      toast.success(message);
+      setAppointmentsVersion((v) => v + 1);
+    } catch (err) {
+      console.log(err);
+      toast.error("Error updating the appointment.");
+    }
+  };
+
+  // ask the patient to open their records; they approve or deny from their dashboard
+  const handleRequestAccess = async (appointment) => {
+    try {
+      if (await uploadContract.isRequestPending(appointment.walletAddress, account)) {
+        toast.info("You already have a request waiting on this patient.");
+        return;
+      }
+      const tx = await uploadContract.requestAccess(appointment.walletAddress, requestReason.trim(), requestDuration);
+      await tx.wait();
+      toast.success(`Access requested from ${appointment.name}.`);
+      setRequesting(null);
+      setRequestReason("");
+    } catch (err) {
+      console.log(err);
+      toast.error(err?.reason || "Error requesting access.");
+    }
+  };
+
+  // only upcoming appointments can still be moved or cancelled
+  const isChangeable = (appointment) =>
+    appointment.status === APPOINTMENT_STATUS.BOOKED && appointment.startTime * 1000 > Date.now();
+
   const handleViewPatient = (walletAddress) => {
     navigate(`/prescribe/${walletAddress}`);
   };
@@ -193,9 +305,47 @@ const AppointmentDoctor = () => {
           {/* Header with count */}
           <div className="p-6 bg-gradient-to-r from-[#0a0f2c] to-[#1a1f3c]">
             <div className="flex justify-between items-center">
-              <h2 className="text-xl font-semibold text-white">Today's Appointments</h2>
-              <div className="bg-cyan-500 text-white px-4 py-2 rounded-lg">
-                {count} appointment{count !== 1 ? "s" : ""}
+              <h2 className="text-xl font-semibold text-white">Appointments</h2>
+              <div className="flex flex-wrap items-center gap-3">
+                <input
+                  type="date"
+                  aria-label="From date"
+                  value={fromDate}
+                  onChange={(e) => {
+                    setFromDate(e.target.value);
+                    setPage(0);
+                  }}
+                  className="px-3 py-2 rounded-lg bg-white text-sm text-gray-800"
+                />
+                <input
+                  type="date"
+                  aria-label="To date"
+                  value={toDate}
+                  min={fromDate}
+                  onChange={(e) => {
+                    setToDate(e.target.value);
+                    setPage(0);
+                  }}
+                  className="px-3 py-2 rounded-lg bg-white text-sm text-gray-800"
+                />
+                <select
+                  value={statusFilter}
+                  onChange={(e) => {
+                    setStatusFilter(e.target.value);
+                    setPage(0);
+                  }}
+                  className="px-3 py-2 rounded-lg bg-white text-sm text-gray-800"
+                >
+                  <option value="all">All Statuses</option>
+                  {STATUS_LABELS.map((label, status) => (
+                    <option key={status} value={status}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <div className="bg-cyan-500 text-white px-4 py-2 rounded-lg">
+                  {count} appointment{count !== 1 ? "s" : ""}
+                </div>
               </div>
             </div>
           </div>
@@ -203,9 +353,9 @@ const AppointmentDoctor = () => {
           {/* Appointments list */}
           <div className="divide-y divide-gray-200">
             {appointments.length > 0 ? (
-              appointments.map((appointment, index) => (
+              appointments.map((appointment) => (
                 <motion.div
-                  key={index}
+                  key={appointment.id}
                   whileHover={{ y: -3 }}
                   whileTap={{ scale: 0.98 }}
                   onClick={() => handleViewPatient(appointment.walletAddress)}
@@ -229,13 +379,116 @@ const AppointmentDoctor = () => {
                           </p>
                         </div>
                         <div className="flex items-center">
+                          <div className={`px-3 py-1 rounded-full text-xs font-medium mr-2 ${STATUS_STYLES[appointment.status]}`}>
+                            {STATUS_LABELS[appointment.status]}
+                          </div>
                           <div className="bg-purple-100 text-purple-800 px-3 py-1 rounded-full text-xs font-medium flex items-center">
                             <FaCalendarAlt className="mr-1" />
-                            {formatDate(appointment.timestamp)}
+                            {formatDate(appointment.startTime)}
                           </div>
                           <FaChevronRight className="text-gray-400 ml-2" />
                         </div>
                       </div>
+
+                      <div className="flex justify-end gap-2 mt-3" onClick={(e) => e.stopPropagation()}>
+                        {appointment.status === APPOINTMENT_STATUS.BOOKED && (
+                          <button
+                            onClick={() => handleStatus(appointment, "checkIn", "Patient checked in.")}
+                            className="flex items-center px-3 py-1.5 text-sm text-yellow-700 border border-yellow-200 rounded-lg hover:bg-yellow-50 transition"
+                          >
+                            <FaSignInAlt className="mr-1" />
+                            Check In
+                          </button>
+                        )}
+                        {appointment.status === APPOINTMENT_STATUS.CHECKED_IN && (
+                          <button
+                            onClick={() => handleStatus(appointment, "completeAppointment", "Visit completed.")}
+                            className="flex items-center px-3 py-1.5 text-sm text-green-700 border border-green-200 rounded-lg hover:bg-green-50 transition"
+                          >
+                            <FaCheckCircle className="mr-1" />
+                            Complete
+                          </button>
+                        )}
+                        {appointment.status === APPOINTMENT_STATUS.BOOKED && appointment.startTime * 1000 <= Date.now() && (
+                          <button
+                            onClick={() => handleStatus(appointment, "markNoShow", "Marked as no-show.")}
+                            className="flex items-center px-3 py-1.5 text-sm text-gray-700 border border-gray-200 rounded-lg hover:bg-gray-50 transition"
+                          >
+                            <FaUserSlash className="mr-1" />
+                            No Show
+                          </button>
+                        )}
+                        {isChangeable(appointment) && (
+                          <>
+                            <button
+                              onClick={() => setRescheduling((current) => (current === appointment.id ? null : appointment.id))}
+                              className="flex items-center px-3 py-1.5 text-sm text-cyan-700 border border-cyan-200 rounded-lg hover:bg-cyan-50 transition"
+                            >
+                              <FaClock className="mr-1" />
+                              Reschedule
+                            </button>
+                            <button
+                              onClick={() => handleCancel(appointment)}
+                              className="flex items-center px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition"
+                            >
+                              <FaTimesCircle className="mr-1" />
+                              Cancel
+                            </button>
+                          </>
+                        )}
+                        {appointment.status !== APPOINTMENT_STATUS.CANCELLED && (
+                          <button
+                            onClick={() => setRequesting((current) => (current === appointment.id ? null : appointment.id))}
+                            className="flex items-center px-3 py-1.5 text-sm text-purple-700 border border-purple-200 rounded-lg hover:bg-purple-50 transition"
+                          >
+                            <FaKey className="mr-1" />
+                            Request Access
+                          </button>
+                        )}
+                      </div>
+
+                      {requesting === appointment.id && (
+                        <div className="mt-4 pt-4 border-t border-gray-100 cursor-default flex flex-wrap gap-3" onClick={(e) => e.stopPropagation()}>
+                          <input
+                            type="text"
+                            placeholder="Reason for access"
+                            value={requestReason}
+                            onChange={(e) => setRequestReason(e.target.value)}
+                            className="flex-1 min-w-[200px] px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-cyan-300"
+                          />
+                          <select
+                            value={requestDuration}
+                            onChange={(e) => setRequestDuration(Number(e.target.value))}
+                            className="px-3 py-2 border border-gray-200 rounded-lg text-sm focus:ring-2 focus:ring-cyan-300"
+                          >
+                            {ACCESS_DURATIONS.map((option) => (
+                              <option key={option.value} value={option.value}>
+                                {option.label}
+                              </option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={() => handleRequestAccess(appointment)}
+                            disabled={!requestReason.trim()}
+                            className="px-4 py-2 text-sm font-medium rounded-lg text-white bg-gradient-to-r from-cyan-600 to-cyan-500 hover:from-cyan-700 hover:to-cyan-600 transition disabled:opacity-50 disabled:cursor-not-allowed"
+                          >
+                            Send Request
+                          </button>
+                        </div>
+                      )}
+
+                      {rescheduling === appointment.id && (
+                        <div className="mt-4 pt-4 border-t border-gray-100 cursor-default" onClick={(e) => e.stopPropagation()}>
+                          <SlotPicker
+                            appointmentContract={contract}
+                            doctorNumber={licenseNumber}
+                            confirmLabel="Move Appointment"
+                            onConfirm={(date, startTime, duration) =>
+                              handleReschedule(appointment, date, startTime, duration)
+                            }
+                          />
+                        </div>
+                      )}
                     </div>
                   </div>
                 </motion.div>
@@ -249,11 +502,15 @@ const AppointmentDoctor = () => {
                   No appointments scheduled
                 </h3>
                 <p className="text-gray-500 max-w-md mx-auto">
-                  You don't have any appointments for today
+                  You don't have any appointments in this period
                 </p>
               </div>
             )}
           </div>
+
+          {total > PAGE_SIZE && (
+            <Pagination page={page} pageSize={PAGE_SIZE} total={total} onChange={setPage} />
+          )}
         </div>
 
         {/* Stats Section */}
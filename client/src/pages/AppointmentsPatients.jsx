@@ -8,8 +8,26 @@ import {
   FiFilter,
   FiShare2,
   FiFileText,
+  FiXCircle,
+  FiClock,
 } from "react-icons/fi";
 
+import {
+  APPOINTMENT_STATUS,
+  PAGE_SIZE,
+  STATUS_LABELS,
+  STATUS_STYLES,
+  formatSlot,
+  inputToDateKey,
+  localUtcOffset,
+  parseAppointments,
+  statusMask,
+} from "../utils/appointments";
+import { PERMISSION, canAct, selectPatientNumber } from "../utils/delegation";
+import { grantDoctorPermission } from "../utils/permissions";
+import SlotPicker from "../components/SlotPicker";
+import Pagination from "../components/Pagination";
+
 // Appointment Redux
 import {
   connectToAppoint,
@@ -25,18 +43,22 @@ import {
 // Upload Redux
 import { connectToUpload } from "../redux/contract/uploadSlice";
 
+// Patient Redux
+import { connectToBlockchain } from "../redux/contract/blockchainSlice";
+
 // Contract Addresses
 import {
   APPOINTMENT_CONTRACT_ADDRESS,
   DOCTOR_CONTRACT_ADDRESS,
+  PATIENT_CONTRACT_ADDRESS,
   UPLOAD_CONTRACT_ADDRESS,
-  PRIVATE_KEY,
 } from "../constants/Values";
 
 // Contracts JSON imports
 import AppointmentBooking from "../constants/AppointmentBooking.json";
 import DoctorRegistration from "../constants/DoctorRegistration.json";
 import Upload from "../constants/Upload.json";
+import PatientRegistration from "../constants/PatientRegistration.json";
 
 const contractAbi = AppointmentBooking.abi;
 const contractAddress = APPOINTMENT_CONTRACT_ADDRESS;
@@ -44,7 +66,20 @@ const doctorContractAbi = DoctorRegistration.abi;
 const doctorContractAddress = DOCTOR_CONTRACT_ADDRESS;
 const uploadContractAbi = Upload.abi;
 const uploadContractAddress = UPLOAD_CONTRACT_ADDRESS;
-const privateKey = PRIVATE_KEY;
+const patientContractAbi = PatientRegistration.abi;
+const patientContractAddress = PATIENT_CONTRACT_ADDRESS;
+
+const DAY = 24 * 60 * 60;
+
+// how long a doctor keeps access to the patient's reports after sharing
+const SHARE_WINDOWS = [
+  { value: "appointment", label: "Appointment day only" },
+  { value: "week", label: "Until 7 days after visit" },
+  { value: "month", label: "Until 30 days after visit" },
+  { value: "open", label: "Until I revoke it" },
+];
+
+const shareKey = (record) => record.id;
 
 const Appointments = () => {
   const dispatch = useDispatch();
@@ -55,9 +90,18 @@ const Appointments = () => {
   const [filteredAppointments, setFilteredAppointments] = useState([]);
   const [searchTerm, setSearchTerm] = useState("");
   const [sortOrder, setSortOrder] = useState("newest");
+  const [statusFilter, setStatusFilter] = useState("all");
+  const [shareWindows, setShareWindows] = useState({});
+  const [appointmentsVersion, setAppointmentsVersion] = useState(0);
+  const [rescheduling, setRescheduling] = useState(null);
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  const [page, setPage] = useState(0);
+  const [total, setTotal] = useState(0);
 
   // access states
-  const hhNumber = useSelector((state) => state.user.hhNumber);
+  const hhNumber = useSelector(selectPatientNumber);
+  const profile = useSelector((state) => state.user.profile);
 
   // appointment contract
   const { contract } = useSelector((state) => state.appointment);
@@ -68,15 +112,15 @@ const Appointments = () => {
   // upload contract
   const uploadContract = useSelector((state) => state.upload.contract);
 
+  // patient contract
+  const patientContract = useSelector((state) => state.blockchain.contract);
+
   // connect to network
   useEffect(() => {
-    dispatch(connectToAppoint(privateKey, contractAddress, contractAbi));
-    dispatch(
-      connectToDoctor(privateKey, doctorContractAddress, doctorContractAbi)
-    );
-    dispatch(
-      connectToUpload(privateKey, uploadContractAddress, uploadContractAbi)
-    );
+    dispatch(connectToAppoint(contractAddress, contractAbi));
+    dispatch(connectToDoctor(doctorContractAddress, doctorContractAbi));
+    dispatch(connectToUpload(uploadContractAddress, uploadContractAbi));
+    dispatch(connectToBlockchain(patientContractAddress, patientContractAbi));
   }, [dispatch]);
 
   // clear state on component unmount
@@ -91,43 +135,47 @@ const Appointments = () => {
   useEffect(() => {
     const fetchAppointments = async () => {
       try {
-        const tx = await contract.getAppointments();
+        // the bounds are the patient's midnights; each appointment's day is its doctor's
+        const [rows, count] = await contract.getPatientAppointments(
+          hhNumber,
+          inputToDateKey(fromDate, localUtcOffset()),
+          inputToDateKey(toDate, localUtcOffset()),
+          statusFilter === "all"
+            ? statusMask()
+            : statusMask(Number(statusFilter)),
+          page * PAGE_SIZE,
+          PAGE_SIZE
+        );
+        setTotal(Number(count));
 
         // proxy to json
-        const parsedAppointments = tx
-          .map((item) => ({
-            patientId: item[0],
-            doctorId: item[1],
-            timestamp: Number(item[2]),
-          }))
-          .filter((appointment) => appointment.patientId === hhNumber);
-
-        // doctors with appointments
-        const dx = await doctorContract.getAllDoctors();
-        const doctorList = dx.map((d) => ({
-          walletAddress: d[0],
-          name: d[1],
-          specialization: d[2],
-          licenseNumber: d[3],
-          email: d[4],
-          hospital: d[5],
-        }));
-
-        const combined = parsedAppointments
-          ?.map((appointment) => {
-            const doctor = doctorList?.find(
-              (doc) => String(doc.licenseNumber) === appointment.doctorId
-            );
-            if (doctor) {
-              return {
-                ...appointment,
-                doctor: doctor,
-                date: new Date(appointment.timestamp * 1000),
-              };
-            }
-            return null;
+        const parsedAppointments = parseAppointments(rows);
+
+        // details of just the doctors on this page
+        const doctorIds = [
+          ...new Set(parsedAppointments.map((a) => a.doctorId)),
+        ];
+        const doctorList = await Promise.all(
+          doctorIds.map(async (licenseNumber) => {
+            const d = await doctorContract.getDoctorDetails(licenseNumber);
+            return {
+              walletAddress: d.walletAddress,
+              name: d.name,
+              specialization: d.specialization,
+              licenseNumber,
+              email: d.email,
+              hospital: d.hospital,
+            };
           })
-          .filter((item) => item !== null);
+        );
+
+        const combined = parsedAppointments.map((appointment) => ({
+          ...appointment,
+          doctor: doctorList.find(
+            (doc) => doc.licenseNumber === appointment.doctorId
+          ),
+          date: new Date(appointment.startTime * 1000),
+        }));
 
         setAppointments(combined);
         setFilteredAppointments(combined);
@@ -140,9 +188,18 @@ const Appointments = () => {
     if (contract && doctorContract) {
       fetchAppointments();
     }
-  }, [contract, doctorContract, hhNumber]);
-
-  // Filter and sort appointments
+  }, [
+    contract,
+    doctorContract,
+    hhNumber,
+    fromDate,
+    toDate,
+    statusFilter,
+    page,
+    appointmentsVersion,
+  ]);
+
+  // Filter and sort the appointments on this page; the date and status filters run before paging
   useEffect(() => {
     let results = appointments;
 
@@ -165,18 +222,102 @@ const Appointments = () => {
     setFilteredAppointments(results);
   }, [searchTerm, sortOrder, appointments]);
 
-  // handle provide access
-  const handleShare = async (address) => {
+  // handle provide access - defaults to the day of the appointment
+  const handleShare = async (record, shareWindow = "appointment") => {
+    const endOfVisit = record.timestamp + DAY;
+    let expiresAt = 0;
+    let appointmentDate = 0;
+    if (shareWindow === "appointment") {
+      expiresAt = endOfVisit;
+      appointmentDate = record.timestamp;
+    } else if (shareWindow === "week") {
+      expiresAt = endOfVisit + 7 * DAY;
+    } else if (shareWindow === "month") {
+      expiresAt = endOfVisit + 30 * DAY;
+    }
+
+    if (expiresAt !== 0 && expiresAt * 1000 <= Date.now()) {
+      toast.error("This sharing window has already passed.");
+      return;
+    }
+
     try {
-      const txn = await uploadContract.allow(address);
+      // a guardian / caregiver shares the patient's records, not their own
+      const txn = profile
+        ? await uploadContract.allowFor(
+            profile.walletAddress,
+            record.doctor.walletAddress,
+            expiresAt,
+            appointmentDate
+          )
+        : await uploadContract.allow(
+            record.doctor.walletAddress,
+            expiresAt,
+            appointmentDate
+          );
       await txn.wait();
-      toast.success(`Shared access to ${address}`);
+
+      // list the doctor on both registries, as sharing from the dashboard does
+      const { name } = await patientContract.getPatientDetails(hhNumber);
+      await grantDoctorPermission(
+        patientContract,
+        doctorContract,
+        { hhNumber, name },
+        record.doctor
+      );
+      toast.success(
+        expiresAt === 0
+          ? `Shared access to ${record.doctor.name} until revoked`
+          : `Shared access to ${record.doctor.name} until ${new Date(
+              expiresAt * 1000
+            ).toLocaleString()}`
+      );
     } catch (err) {
       console.log(err);
       toast.error("Error in sharing access!");
     }
   };
 
+  const handleCancel = async (record) => {
+    if (!window.confirm("Cancel this appointment?")) {
+      return;
+    }
+
+    try {
+      const tx = await contract.cancelAppointment(record.id);
+      await tx.wait();
+      toast.success("Appointment cancelled.");
+      setAppointmentsVersion((v) => v + 1);
+    } catch (err) {
+      console.log(err);
+      toast.error("Error cancelling the appointment.");
+    }
+  };
+
+  const handleReschedule = async (record, date, startTime, duration) => {
+    try {
+      const tx = await contract.rescheduleAppointment(
+        record.id,
+        date,
+        startTime,
+        duration
+      );
+      await tx.wait();
+      toast.success("Appointment rescheduled.");
+      setRescheduling(null);
+      setAppointmentsVersion((v) => v + 1);
+    } catch (err) {
+      console.log(err);
+      toast.error("Error rescheduling the appointment.");
+    }
+  };
+
+  // only upcoming appointments can still be moved or cancelled
+  const isChangeable = (record) =>
+    canAct(profile, PERMISSION.BOOK) &&
+    record.status === APPOINTMENT_STATUS.BOOKED &&
+    record.startTime * 1000 > Date.now();
+
   // navigate to prescription based on appointment
   const handlePresriptionNavigate = (doctorWallet) => {
     navigate(`/prescription/${doctorWallet}`);
@@ -186,7 +327,7 @@ const Appointments = () => {
     <div className="max-w-6xl mx-auto p-6">
       <div className="bg-gradient-to-r from-[#0a0f2c] to-[#1a1f3c] p-6 rounded-xl flex flex-col md:flex-row justify-between items-start md:items-center mb-8 gap-4">
         <h1 className="text-3xl font-bold text-gray-100">
-          Your Appointment Records
+          {profile ? `${profile.name}'s` : "Your"} Appointment Records
         </h1>
 
         <div className="flex flex-col sm:flex-row gap-3 w-full md:w-auto">
@@ -196,21 +337,64 @@ const Appointments = () => {
             </div>
             <input
               type="text"
-              placeholder="Search by doctor name..."
+              placeholder="Search this page by doctor name..."
               className="pl-10 pr-4 py-2 w-full bg-white text-gray-900 rounded-lg border border-gray-300 focus:ring-2 shadow-md transition-all outline-none"
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
             />
           </div>
 
+          <input
+            type="date"
+            aria-label="From date"
+            value={fromDate}
+            onChange={(e) => {
+              setFromDate(e.target.value);
+              setPage(0);
+            }}
+            className="px-3 py-2 rounded-lg border border-gray-300 bg-white shadow-md"
+          />
+          <input
+            type="date"
+            aria-label="To date"
+            value={toDate}
+            min={fromDate}
+            onChange={(e) => {
+              setToDate(e.target.value);
+              setPage(0);
+            }}
+            className="px-3 py-2 rounded-lg border border-gray-300 bg-white shadow-md"
+          />
+
+          <div className="relative">
+            <select
+              className="appearance-none pl-3 pr-10 py-2 rounded-lg border border-gray-300 focus:ring-2 shadow-md transition-all bg-white"
+              value={statusFilter}
+              onChange={(e) => {
+                setStatusFilter(e.target.value);
+                setPage(0);
+              }}
+            >
+              <option value="all">All Statuses</option>
+              {STATUS_LABELS.map((label, status) => (
+                <option key={status} value={status}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <div className="absolute inset-y-0 right-0 flex items-center pr-3 pointer-events-none">
+              <FiFilter className="text-gray-400" />
+            </div>
+          </div>
+
           <div className="relative">
             <select
               className="appearance-none pl-3 pr-10 py-2 rounded-lg border border-gray-300 focus:ring-2 shadow-md transition-all bg-white"
               value={sortOrder}
               onChange={(e) => setSortOrder(e.target.value)}
             >
-              <option value="newest">Newest First</option>
-              <option value="oldest">Oldest First</option>
+              <option value="newest">Newest First on this page</option>
+              <option value="oldest">Oldest First on this page</option>
             </select>
             <div className="absolute inset-y-0 right-0 flex items-center pr-3 pointer-events-none">
               <FiFilter className="text-gray-400" />
@@ -219,19 +403,27 @@ const Appointments = () => {
         </div>
       </div>
 
+      {total > PAGE_SIZE && (
+        <p className="text-sm text-gray-500 mb-4">
+          Search and sort only cover the {appointments.length} appointments on
+          this page of {total}. Use the dates and status to narrow down the full
+          list.
+        </p>
+      )}
+
       {filteredAppointments.length === 0 ? (
         <div className="bg-white rounded-xl shadow-lg p-8 text-center">
           <p className="text-gray-500 text-lg">
             {appointments.length === 0
               ? "You don't have any appointments yet."
-              : "No appointments match your search."}
+              : "No appointments on this page match your search."}
           </p>
         </div>
       ) : (
         <div className="space-y-6">
-          {filteredAppointments.map((record, index) => (
+          {filteredAppointments.map((record) => (
             <div
-              key={index}
+              key={record.id}
               className="bg-gradient-to-br from-gray-50 to-white rounded-xl shadow-lg overflow-hidden border border-gray-100 hover:shadow-2xl transition-shadow duration-300"
             >
               <div className="p-6">
@@ -250,16 +442,22 @@ const Appointments = () => {
                         })}
                       </p>
                       <p className="text-sm text-gray-500">
-                        {record.date.toLocaleTimeString("en-US", {
-                          hour: "2-digit",
-                          minute: "2-digit",
-                        })}
+                        {formatSlot(record.startTime, record.duration)}
                       </p>
                     </div>
                   </div>
-                  <span className="bg-blue-100 text-blue-800 text-xs font-medium px-3 py-1 rounded-full shadow-sm">
-                    Wallet: {record.doctor.walletAddress}
-                  </span>
+                  <div className="flex items-center gap-2">
+                    <span
+                      className={`text-xs font-medium px-3 py-1 rounded-full shadow-sm ${
+                        STATUS_STYLES[record.status]
+                      }`}
+                    >
+                      {STATUS_LABELS[record.status]}
+                    </span>
+                    <span className="bg-blue-100 text-blue-800 text-xs font-medium px-3 py-1 rounded-full shadow-sm">
+                      Wallet: {record.doctor.walletAddress}
+                    </span>
+                  </div>
                 </div>
 
                 <div className="border-t border-gray-100 pt-6">
@@ -308,28 +506,96 @@ const Appointments = () => {
 
                 {/* Action buttons section */}
                 <div className="border-t border-gray-100 pt-6 mt-6 flex flex-wrap justify-end gap-3">
-                  <button
-                    onClick={() => handleShare(record.doctor.walletAddress)}
-                    className="flex items-center gap-2 px-4 py-2  text-white rounded-md shadow-sm bg-blue-950 hover:bg-blue-900 cursor-pointer transition-all duration-200"
-                  >
-                    <FiShare2 size={16} />
-                    Share Access
-                  </button>
-                  <button
-                    onClick={() =>
-                      handlePresriptionNavigate(record.doctor.walletAddress)
-                    }
-                    className="flex items-center gap-2 px-4 py-2  text-white rounded-md shadow-sm bg-zinc-900 hover:bg-zinc-700 transition-all duration-200 cursor-pointer"
-                  >
-                    <FiFileText size={16} />
-                    View Prescriptions
-                  </button>
+                  {canAct(profile, PERMISSION.SHARE) && (
+                    <>
+                      <select
+                        value={shareWindows[shareKey(record)] || "appointment"}
+                        onChange={(e) =>
+                          setShareWindows((prev) => ({
+                            ...prev,
+                            [shareKey(record)]: e.target.value,
+                          }))
+                        }
+                        className="px-3 py-2 rounded-md border border-gray-300 bg-white text-sm shadow-sm"
+                      >
+                        {SHARE_WINDOWS.map((option) => (
+                          <option key={option.value} value={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() =>
+                          handleShare(record, shareWindows[shareKey(record)])
+                        }
+                        className="flex items-center gap-2 px-4 py-2  text-white rounded-md shadow-sm bg-blue-950 hover:bg-blue-900 cursor-pointer transition-all duration-200"
+                      >
+                        <FiShare2 size={16} />
+                        Share Access
+                      </button>
+                    </>
+                  )}
+                  {record.status === APPOINTMENT_STATUS.COMPLETED && (
+                    <button
+                      onClick={() =>
+                        handlePresriptionNavigate(record.doctor.walletAddress)
+                      }
+                      className="flex items-center gap-2 px-4 py-2  text-white rounded-md shadow-sm bg-zinc-900 hover:bg-zinc-700 transition-all duration-200 cursor-pointer"
+                    >
+                      <FiFileText size={16} />
+                      View Prescriptions
+                    </button>
+                  )}
+                  {isChangeable(record) && (
+                    <>
+                      <button
+                        onClick={() =>
+                          setRescheduling((current) =>
+                            current === record.id ? null : record.id
+                          )
+                        }
+                        className="flex items-center gap-2 px-4 py-2 text-blue-950 rounded-md shadow-sm border border-blue-200 hover:bg-blue-50 cursor-pointer transition-all duration-200"
+                      >
+                        <FiClock size={16} />
+                        Reschedule
+                      </button>
+                      <button
+                        onClick={() => handleCancel(record)}
+                        className="flex items-center gap-2 px-4 py-2 text-red-600 rounded-md shadow-sm border border-red-200 hover:bg-red-50 cursor-pointer transition-all duration-200"
+                      >
+                        <FiXCircle size={16} />
+                        Cancel
+                      </button>
+                    </>
+                  )}
                 </div>
+
+                {rescheduling === record.id && (
+                  <div className="border-t border-gray-100 pt-6 mt-6">
+                    <SlotPicker
+                      appointmentContract={contract}
+                      doctorNumber={record.doctorId}
+                      confirmLabel="Move Appointment"
+                      onConfirm={(date, startTime, duration) =>
+                        handleReschedule(record, date, startTime, duration)
+                      }
+                    />
+                  </div>
+                )}
               </div>
             </div>
           ))}
         </div>
       )}
+
+      {total > PAGE_SIZE && (
+        <Pagination
+          page={page}
+          pageSize={PAGE_SIZE}
+          total={total}
+          onChange={setPage}
+        />
+      )}
     </div>
   );
 };
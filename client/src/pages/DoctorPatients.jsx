@@ -0,0 +1,275 @@
+/* eslint-disable no-unused-vars */
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { useNavigate, useParams } from "react-router-dom";
+import { toast } from "react-toastify";
+import { motion } from "framer-motion";
+import {
+  FaUserInjured,
+  FaSearch,
+  FaCalendarCheck,
+  FaChevronRight,
+  FaExclamationTriangle,
+} from "react-icons/fa";
+
+// Patient Redux
+import {
+  connectToBlockchain,
+  clearBlockchainState,
+} from "../redux/contract/blockchainSlice";
+
+// Appointment Redux
+import {
+  connectToAppoint,
+  clearAppointementState,
+} from "../redux/contract/appointmentSlice";
+
+// Contract Addresses
+import {
+  APPOINTMENT_CONTRACT_ADDRESS,
+  PATIENT_CONTRACT_ADDRESS,
+} from "../constants/Values";
+
+// Contracts JSON imports
+import AppointmentBooking from "../constants/AppointmentBooking.json";
+import PatientRegistration from "../constants/PatientRegistration.json";
+
+// every patient who granted this doctor access (PatientRegistration.getPatientList)
+const DoctorPatients = () => {
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+
+  const { licenseNumber } = useParams();
+  const authNumber = useSelector((state) => state.user.licenseNumber);
+
+  const { contract: patientContract, loading: patientLoading } = useSelector(
+    (state) => state.blockchain
+  );
+  const { contract: appointmentContract, loading: appointmentLoading } =
+    useSelector((state) => state.appointment);
+
+  const [patients, setPatients] = useState([]);
+  const [search, setSearch] = useState("");
+  const [emergencyNumber, setEmergencyNumber] = useState("");
+
+  // connect to network
+  useEffect(() => {
+    dispatch(
+      connectToBlockchain(PATIENT_CONTRACT_ADDRESS, PatientRegistration.abi)
+    );
+    dispatch(
+      connectToAppoint(APPOINTMENT_CONTRACT_ADDRESS, AppointmentBooking.abi)
+    );
+  }, [dispatch]);
+
+  // clear state on component unmount
+  useEffect(() => {
+    return () => {
+      dispatch(clearBlockchainState());
+      dispatch(clearAppointementState());
+    };
+  }, [dispatch]);
+
+  // deny unauthorized access
+  useEffect(() => {
+    if (authNumber !== licenseNumber) {
+      navigate(`/doctor/${authNumber}/patients`, { replace: true });
+    }
+  }, [licenseNumber, authNumber, navigate]);
+
+  // fetch the permitted patients with their last completed visit
+  useEffect(() => {
+    const fetchPatients = async () => {
+      try {
+        const list = await patientContract.getPatientList(licenseNumber);
+        const rows = await Promise.all(
+          list.map(async (p) => {
+            const [details, lastVisit] = await Promise.all([
+              patientContract.getPatientDetails(p.patient_number),
+              appointmentContract.getLastVisit(p.patient_number, licenseNumber),
+            ]);
+            return {
+              hhNumber: p.patient_number,
+              name: details.name,
+              walletAddress: details.walletAddress,
+              email: details.email,
+              lastVisit:
+                Number(lastVisit) === 0
+                  ? null
+                  : new Date(Number(lastVisit) * 1000),
+            };
+          })
+        );
+        setPatients(rows);
+      } catch (err) {
+        console.log(err);
+        toast.error("Error fetching your patients.");
+      }
+    };
+    if (patientContract && appointmentContract && licenseNumber) {
+      fetchPatients();
+    }
+  }, [patientContract, appointmentContract, licenseNumber]);
+
+  // patients who haven't shared with this doctor can still be opened via break-glass on /prescribe
+  const handleEmergencyLookup = async (e) => {
+    e.preventDefault();
+    if (!/^\d+$/.test(emergencyNumber)) {
+      toast.error("Health number must be numeric");
+      return;
+    }
+    try {
+      if (!(await patientContract.isPatientRegistered(emergencyNumber))) {
+        toast.error("No patient found with that health number.");
+        return;
+      }
+      const details = await patientContract.getPatientDetails(emergencyNumber);
+      navigate(`/prescribe/${details.walletAddress}`);
+    } catch (err) {
+      console.log(err);
+      toast.error("Error looking up the patient.");
+    }
+  };
+
+  const query = search.trim().toLowerCase();
+  const filteredPatients = patients.filter(
+    (patient) =>
+      patient.name.toLowerCase().includes(query) ||
+      patient.hhNumber.toLowerCase().includes(query)
+  );
+
+  if (patientLoading || appointmentLoading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-cyan-400"></div>
+        <p className="text-lg font-medium ml-4 text-[#0a0f2c]">
+          Connecting to blockchain...
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100 py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="max-w-4xl mx-auto"
+      >
+        <div className="text-center mb-12">
+          <h1 className="text-3xl md:text-4xl font-bold text-[#0a0f2c] mb-3">
+            My <span className="text-cyan-400">Patients</span>
+          </h1>
+          <p className="text-lg text-gray-600 max-w-2xl mx-auto">
+            Patients who have given you access to their records
+          </p>
+        </div>
+
+        <div className="bg-white bg-opacity-90 backdrop-blur-sm rounded-2xl shadow-xl overflow-hidden">
+          {/* Header with search */}
+          <div className="p-6 bg-gradient-to-r from-[#0a0f2c] to-[#1a1f3c]">
+            <div className="flex flex-wrap justify-between items-center gap-3">
+              <div className="relative flex-1 min-w-[200px]">
+                <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                <input
+                  type="text"
+                  placeholder="Search by name or health number"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  className="w-full pl-10 pr-4 py-2 rounded-lg bg-white text-sm text-gray-800"
+                />
+              </div>
+              <div className="bg-cyan-500 text-white px-4 py-2 rounded-lg">
+                {patients.length} patient{patients.length !== 1 ? "s" : ""}
+              </div>
+            </div>
+          </div>
+
+          {/* Patient list */}
+          <div className="divide-y divide-gray-200">
+            {filteredPatients.length > 0 ? (
+              filteredPatients.map((patient) => (
+                <motion.div
+                  key={patient.hhNumber}
+                  whileHover={{ y: -3 }}
+                  whileTap={{ scale: 0.98 }}
+                  onClick={() =>
+                    navigate(`/prescribe/${patient.walletAddress}`)
+                  }
+                  className="p-5 hover:bg-gray-50 transition-colors duration-200 cursor-pointer"
+                >
+                  <div className="flex items-center">
+                    <div className="bg-cyan-100 p-3 rounded-lg mr-4">
+                      <FaUserInjured className="text-cyan-500 text-xl" />
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <h3 className="text-lg font-semibold text-[#0a0f2c]">
+                        {patient.name}
+                      </h3>
+                      <p className="text-sm text-gray-500">
+                        <span className="font-medium">Health No:</span>{" "}
+                        {patient.hhNumber}
+                      </p>
+                      <p className="text-sm text-gray-500 truncate">
+                        <span className="font-medium">Email:</span>{" "}
+                        {patient.email}
+                      </p>
+                    </div>
+                    <div className="bg-purple-100 text-purple-800 px-3 py-1 rounded-full text-xs font-medium flex items-center">
+                      <FaCalendarCheck className="mr-1" />
+                      {patient.lastVisit
+                        ? `Last visit ${patient.lastVisit.toLocaleDateString()}`
+                        : "No visits yet"}
+                    </div>
+                    <FaChevronRight className="text-gray-400 ml-2" />
+                  </div>
+                </motion.div>
+              ))
+            ) : (
+              <div className="p-8 text-center">
+                <FaUserInjured className="mx-auto text-4xl text-gray-300 mb-4" />
+                <h3 className="text-lg font-medium text-gray-500">
+                  {patients.length > 0
+                    ? "No patients match your search"
+                    : "No patients have shared their records with you yet"}
+                </h3>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Emergency lookup */}
+        <form
+          onSubmit={handleEmergencyLookup}
+          className="mt-6 p-6 bg-red-50 border border-red-200 rounded-2xl shadow-xl"
+        >
+          <h2 className="text-lg font-bold text-red-700 flex items-center mb-1">
+            <FaExclamationTriangle className="mr-2" />
+            Emergency lookup
+          </h2>
+          <p className="text-sm text-gray-600 mb-3">
+            Open a patient who hasn&apos;t shared their records with you. Access
+            requires a recorded justification.
+          </p>
+          <div className="flex flex-wrap gap-3">
+            <input
+              type="text"
+              placeholder="Patient health number"
+              value={emergencyNumber}
+              onChange={(e) => setEmergencyNumber(e.target.value.trim())}
+              className="flex-1 min-w-[200px] px-4 py-2 border border-red-200 rounded-lg text-sm focus:ring-2 focus:ring-red-300"
+            />
+            <button
+              type="submit"
+              className="px-6 py-2 font-semibold rounded-lg bg-red-600 text-white hover:bg-red-700 transition"
+            >
+              Open Patient
+            </button>
+          </div>
+        </form>
+      </motion.div>
+    </div>
+  );
+};
+
+export default DoctorPatients;
@@ -14,6 +14,11 @@ import {
   clearAppointementState,
 } from "../redux/contract/appointmentSlice";
 
+import {
+  connectToHospital,
+  clearHospitalState,
+} from "../redux/contract/hospitalSlice";
+
 // import {
 //   connectToBlockchain,
 //   clearBlockchainState,
@@ -21,17 +26,25 @@ import {
 
 import DoctorRegistration from "../constants/DoctorRegistration.json";
 import AppointmentBooking from "../constants/AppointmentBooking.json";
+import HospitalRegistry from "../constants/HospitalRegistry.json";
 // import PatientRegistration from "../constants/PatientRegistration.json";
 import { useDispatch, useSelector } from "react-redux";
 
 import {
   DOCTOR_CONTRACT_ADDRESS,
-  PRIVATE_KEY,
   APPOINTMENT_CONTRACT_ADDRESS,
+  HOSPITAL_CONTRACT_ADDRESS,
   // PATIENT_CONTRACT_ADDRESS,
 } from "../constants/Values";
 import { useParams } from "react-router-dom";
 
+import SlotPicker from "../components/SlotPicker";
+import Pagination from "../components/Pagination";
+import VerificationBadge from "../components/VerificationBadge";
+import DoctorVerification from "../components/Hospital/DoctorVerification";
+import { fetchAllPages, parseDoctor, parseHospital } from "../utils/directory";
+import { PERMISSION, canAct, selectPatientNumber } from "../utils/delegation";
+
 const contractABI = DoctorRegistration.abi;
 const appointmentContractABI = AppointmentBooking.abi;
 //const patientContractABI = PatientRegistration.abi;
@@ -40,14 +53,15 @@ const appointmentContractAddress = APPOINTMENT_CONTRACT_ADDRESS;
 const contractAddress = DOCTOR_CONTRACT_ADDRESS;
 //const patientContractAddress = PATIENT_CONTRACT_ADDRESS;
 
-const privateKey = PRIVATE_KEY;
+const DOCTORS_PER_PAGE = 10;
 
 const Doctors = () => {
   // doctor slice
-  const { contract, loading } = useSelector((state) => state.doctor);
+  const { contract, account, loading } = useSelector((state) => state.doctor);
   // user slice
   const isLoggedIn = useSelector((state) => state.user.isLoggedIn);
-  const hhNumber = useSelector((state) => state.user.hhNumber);
+  const hhNumber = useSelector(selectPatientNumber);
+  const profile = useSelector((state) => state.user.profile);
 
   // // patient slice
   // const patientContract = useSelector((state) => state.blockchain.contract);
@@ -59,15 +73,30 @@ const Doctors = () => {
   );
   // const appointmentLoading = useSelector((state) => state.appointment.loading);
   // const appointmentAccount = useSelector((state) => state.appointment.account);
+  // hospital slice
+  const hospitalContract = useSelector((state) => state.hospital.contract);
 
-  const { hospitalName } = useParams();
+  const { hospitalId } = useParams();
 
   const dispatch = useDispatch();
 
   const [doctors, setDoctors] = useState([]);
+  // every doctor of the hospital, for its admins' review
+  const [hospitalDoctors, setHospitalDoctors] = useState([]);
   const [searchTerm, setSearchTerm] = useState("");
+  const [hospital, setHospital] = useState(null);
+  const [department, setDepartment] = useState("");
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [doctorsVersion, setDoctorsVersion] = useState(0);
+
+  // doctor whose slot picker is open
+  const [bookingDoctor, setBookingDoctor] = useState(null);
 
-  // filtering array for searching
+  // directory paging
+  const [page, setPage] = useState(0);
+  const [total, setTotal] = useState(0);
+
+  // the search covers the page on screen
   const filteredDoctors = doctors.filter((doctor) => {
     const searchLower = searchTerm.toLowerCase();
     return (
@@ -79,12 +108,11 @@ const Doctors = () => {
   // connect to network
   useEffect(() => {
     // doctor dispatch
-    dispatch(connectToDoctor(privateKey, contractAddress, contractABI));
+    dispatch(connectToDoctor(contractAddress, contractABI));
 
     // patient dispatch
     // dispatch(
     //   connectToBlockchain(
-    //     privateKey,
     //     patientContractAddress,
     //     patientContractABI
     //   )
@@ -92,11 +120,12 @@ const Doctors = () => {
 
     // appointment dispatch
     dispatch(
-      connectToAppoint(
-        privateKey,
-        appointmentContractAddress,
-        appointmentContractABI
-      )
+      connectToAppoint(appointmentContractAddress, appointmentContractABI)
+    );
+
+    // hospital dispatch
+    dispatch(
+      connectToHospital(HOSPITAL_CONTRACT_ADDRESS, HospitalRegistry.abi)
     );
   }, [dispatch]);
 
@@ -109,30 +138,58 @@ const Doctors = () => {
       //dispatch(clearBlockchainState());
       // appointment
       dispatch(clearAppointementState());
+      // hospital
+      dispatch(clearHospitalState());
     };
   }, [dispatch]);
 
-  // fetch the doctors list
+  // fetch the hospital's name and departments
+  useEffect(() => {
+    const fetchHospital = async () => {
+      try {
+        setHospital(
+          parseHospital(await hospitalContract.getHospital(hospitalId))
+        );
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    if (hospitalContract) {
+      fetchHospital();
+    }
+  }, [hospitalContract, hospitalId]);
+
+  // admins of this hospital review the doctors' licenses here
+  useEffect(() => {
+    const checkAdmin = async () => {
+      try {
+        setIsAdmin(await hospitalContract.isHospitalAdmin(hospitalId, account));
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    if (hospitalContract && account) {
+      checkAdmin();
+    }
+  }, [hospitalContract, hospitalId, account]);
+
+  // fetch one page of the hospital's verified doctors, the only ones who can be booked
   useEffect(() => {
     const fetchHospitals = async () => {
       try {
-        const tx = await contract.getAllDoctors();
-        const allDoctors = tx.map((d) => ({
-          walletAddress: d[0],
-          name: d[1],
-          specialization: d[2],
-          hhNumber: d[3],
-          email: d[4],
-          hospital: d[5],
-          password: d[6],
-        }));
-
-        console.log(allDoctors);
-
-        const filterDoc = allDoctors.filter(
-          (doc) => doc.hospital === hospitalName
+        const [rows, count] = await contract.getVerifiedDoctorsByHospital(
+          hospitalId,
+          department,
+          page * DOCTORS_PER_PAGE,
+          DOCTORS_PER_PAGE
+        );
+        setDoctors(
+          rows.map((d) => {
+            const doctor = parseDoctor(d);
+            return { ...doctor, hhNumber: doctor.licenseNumber };
+          })
         );
-        setDoctors(filterDoc);
+        setTotal(Number(count));
       } catch (err) {
         console.log(err);
       }
@@ -140,27 +197,50 @@ const Doctors = () => {
     if (contract) {
       fetchHospitals();
     }
-  }, [contract, hospitalName]);
+  }, [contract, hospitalId, department, page, doctorsVersion]);
 
-  // date conversion
-  function getDateTimestamp(date) {
-    const midnight = new Date(date);
-    midnight.setHours(0, 0, 0, 0); // Set time to 00:00:00
-    return Math.floor(midnight.getTime() / 1000); // Convert milliseconds to seconds
-  }
+  // admins also see the doctors waiting for review
+  useEffect(() => {
+    const fetchHospitalDoctors = async () => {
+      try {
+        const rows = await fetchAllPages((offset, limit) =>
+          contract.getDoctorsByHospital(hospitalId, offset, limit)
+        );
+        setHospitalDoctors(rows.map(parseDoctor));
+      } catch (err) {
+        console.log(err);
+      }
+    };
+    if (contract && isAdmin) {
+      fetchHospitalDoctors();
+    }
+  }, [contract, hospitalId, isAdmin, doctorsVersion]);
 
-  const handleBooking = async (doctorNumber) => {
+  const toggleBooking = (doctorNumber) => {
     if (!isLoggedIn) {
       toast.error("You need to login first!");
       return;
     }
+    if (!canAct(profile, PERMISSION.BOOK)) {
+      toast.error(`You can't book appointments for ${profile.name}.`);
+      return;
+    }
+    setBookingDoctor((current) =>
+      current === doctorNumber ? null : doctorNumber
+    );
+  };
+
+  const handleBooking = async (
+    doctorNumber,
+    appointmentDate,
+    startTime,
+    duration
+  ) => {
     if (!appointmentContract) {
       toast.error("Contract unavailable please wait.");
       return;
     }
 
-    const selectedDate = new Date();
-    const appointmentDate = getDateTimestamp(selectedDate);
     try {
       const isBooked = await appointmentContract.isAlreadyBooked(
         hhNumber,
@@ -176,10 +256,16 @@ const Doctors = () => {
       const tx = await appointmentContract.bookAppointment(
         hhNumber,
         doctorNumber,
-        appointmentDate
+        appointmentDate,
+        startTime,
+        duration
       );
       await tx.wait();
-      toast.success("Appointment booked!");
+      toast.success(
+        profile
+          ? `Appointment booked for ${profile.name}!`
+          : "Appointment booked!"
+      );
     } catch (err) {
       console.log(err);
       toast.error("Error making an appointment.");
@@ -198,7 +284,9 @@ const Doctors = () => {
           Doctors <span className="text-cyan-400">Available</span>
         </h1>
         <p className="text-lg text-gray-600 max-w-2xl mx-auto">
-          View and book appointment with doctors for your medical needs
+          {hospital
+            ? `${hospital.name} • ${hospital.location}`
+            : "View and book appointment with doctors for your medical needs"}
         </p>
       </div>
       <div className="max-w-4xl mx-auto bg-white bg-opacity-90 backdrop-blur-sm rounded-2xl shadow-xl overflow-hidden">
@@ -220,7 +308,7 @@ const Doctors = () => {
               <input
                 type="text"
                 className="block w-full pl-5 pr-12 py-4 text-lg border-0 rounded-xl shadow-sm focus:ring-4 focus:ring-cyan-200 focus:ring-opacity-50 bg-gray-50"
-                placeholder="Search by name, specialization, or condition..."
+                placeholder="Search this page by name or specialization..."
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
               />
@@ -240,6 +328,29 @@ const Doctors = () => {
             </div>
           </div>
 
+          {/* Department filter */}
+          {hospital?.departments.length > 0 && (
+            <div className="flex flex-wrap gap-2 mb-6">
+              {["", ...hospital.departments].map((item) => (
+                <button
+                  key={item}
+                  type="button"
+                  onClick={() => {
+                    setDepartment(item);
+                    setPage(0);
+                  }}
+                  className={`px-4 py-1.5 text-sm font-medium rounded-full border transition ${
+                    department === item
+                      ? "bg-cyan-500 text-white border-cyan-500"
+                      : "bg-white text-gray-600 border-gray-200 hover:bg-cyan-50"
+                  }`}
+                >
+                  {item || "All departments"}
+                </button>
+              ))}
+            </div>
+          )}
+
           {/* Doctors List */}
           {filteredDoctors.length > 0 ? (
             <ul className="space-y-6">
@@ -268,21 +379,13 @@ const Doctors = () => {
                           <span className="ml-3 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-purple-100 text-purple-800">
                             {doctor.specialization}
                           </span>
+                          <VerificationBadge
+                            status={doctor.status}
+                            className="ml-2"
+                          />
                         </div>
 
                         <div className="flex flex-wrap gap-2 text-sm">
-                          <div className="flex items-center text-gray-600">
-                            <svg
-                              className="h-4 w-4 mr-1 text-cyan-500"
-                              fill="currentColor"
-                              viewBox="0 0 20 20"
-                            >
-                              <path d="M2.003 5.884L10 9.882l7.997-3.998A2 2 0 0016 4H4a2 2 0 00-1.997 1.884z" />
-                              <path d="M18 8.118l-8 4-8-4V14a2 2 0 002 2h12a2 2 0 002-2V8.118z" />
-                            </svg>
-                            {doctor.email}
-                          </div>
-
                           <div className="flex items-center text-gray-600">
                             <svg
                               className="h-4 w-4 mr-1 text-cyan-500"
@@ -296,6 +399,7 @@ const Doctors = () => {
                               />
                             </svg>
                             {doctor.hospital || "City Hospital"}
+                            {doctor.department && ` • ${doctor.department}`}
                           </div>
                         </div>
 
@@ -312,7 +416,7 @@ const Doctors = () => {
                             />
                           </svg>
                           <span className="truncate">
-                            Wallet: {doctor.walletAddress}
+                            License: {doctor.licenseNumber}
                           </span>
                         </div>
                       </div>
@@ -320,13 +424,34 @@ const Doctors = () => {
                       {/* Action Button */}
                       <div className="flex flex-col items-end space-y-3">
                         <button
-                          onClick={() => handleBooking(doctor.hhNumber)}
+                          onClick={() => toggleBooking(doctor.hhNumber)}
                           className="inline-flex items-center px-4 py-2 border border-transparent text-base font-medium rounded-full shadow-sm text-white bg-gradient-to-r from-cyan-600 to-cyan-500 hover:from-cyan-700 hover:to-cyan-600 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-cyan-500 transition-all duration-200 cursor-pointer"
                         >
-                          Book Appointment
+                          {bookingDoctor === doctor.hhNumber
+                            ? "Close"
+                            : "Book Appointment"}
                         </button>
                       </div>
                     </div>
+
+                    {/* Slot picker */}
+                    {bookingDoctor === doctor.hhNumber && (
+                      <div className="mt-5 pt-5 border-t border-gray-100">
+                        <SlotPicker
+                          appointmentContract={appointmentContract}
+                          doctorNumber={doctor.hhNumber}
+                          confirmLabel="Confirm Booking"
+                          onConfirm={(date, startTime, duration) =>
+                            handleBooking(
+                              doctor.hhNumber,
+                              date,
+                              startTime,
+                              duration
+                            )
+                          }
+                        />
+                      </div>
+                    )}
                   </div>
                 </motion.li>
               ))}
@@ -346,8 +471,27 @@ const Doctors = () => {
               </p>
             </div>
           )}
+
+          {total > DOCTORS_PER_PAGE && (
+            <Pagination
+              page={page}
+              pageSize={DOCTORS_PER_PAGE}
+              total={total}
+              onChange={setPage}
+            />
+          )}
         </div>
       </div>
+
+      {isAdmin && (
+        <div className="max-w-4xl mx-auto mt-8 mb-12">
+          <DoctorVerification
+            doctorContract={contract}
+            doctors={hospitalDoctors}
+            onChange={() => setDoctorsVersion((v) => v + 1)}
+          />
+        </div>
+      )}
     </>
   );
 };
@@ -1,23 +1,23 @@
 /* eslint-disable no-unused-vars */
 import { useEffect, useState } from "react";
-import { useNavigate } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
 import { FaHospital, FaSearch, FaChevronRight } from "react-icons/fa";
 import { motion } from "framer-motion";
 //import { toast } from "react-toastify";
 
 import {
-  connectToDoctor,
-  clearDoctorState,
-} from "../redux/contract/doctorSlice";
+  connectToHospital,
+  clearHospitalState,
+} from "../redux/contract/hospitalSlice";
 
-import DoctorRegistration from "../constants/DoctorRegistration.json";
+import HospitalRegistry from "../constants/HospitalRegistry.json";
 
-import { DOCTOR_CONTRACT_ADDRESS, PRIVATE_KEY } from "../constants/Values";
+import { HOSPITAL_CONTRACT_ADDRESS } from "../constants/Values";
+import { fetchHospitals } from "../utils/directory";
 
-const contractABI = DoctorRegistration.abi;
-const contractAddress = DOCTOR_CONTRACT_ADDRESS;
-const privateKey = PRIVATE_KEY;
+const contractABI = HospitalRegistry.abi;
+const contractAddress = HOSPITAL_CONTRACT_ADDRESS;
 
 const Hospital = () => {
   const dispatch = useDispatch();
@@ -25,44 +25,46 @@ const Hospital = () => {
 
   const [hospitals, setHospitals] = useState([]);
 
-  const { contract, loading } = useSelector((state) => state.doctor);
+  const { contract, loading } = useSelector((state) => state.hospital);
 
   const [searchTerm, setSearchTerm] = useState("");
-  const filteredHospitals = hospitals.filter((hospital) =>
-    hospital.toLowerCase().includes(searchTerm.toLowerCase())
-  );
+  const filteredHospitals = hospitals.filter((hospital) => {
+    const searchLower = searchTerm.toLowerCase();
+    return (
+      hospital.name.toLowerCase().includes(searchLower) ||
+      hospital.location.toLowerCase().includes(searchLower) ||
+      hospital.departments.some((d) => d.toLowerCase().includes(searchLower))
+    );
+  });
 
   // connect to network
   useEffect(() => {
-    dispatch(connectToDoctor(privateKey, contractAddress, contractABI));
+    dispatch(connectToHospital(contractAddress, contractABI));
   }, [dispatch]);
 
   // clear state when component unmounts
   useEffect(() => {
     return () => {
-      dispatch(clearDoctorState());
+      dispatch(clearHospitalState());
     };
   }, [dispatch]);
 
   // fetch the hospital list
   useEffect(() => {
-    const fetchHospitals = async () => {
+    const getHospitals = async () => {
       try {
-        const tx = await contract.getAllDoctors();
-        const hospitalsList = tx.map((d) => d.hospital);
-        setHospitals(hospitalsList);
-        console.log(hospitalsList);
+        setHospitals(await fetchHospitals(contract));
       } catch (err) {
         console.log(err);
       }
     };
     if (contract) {
-      fetchHospitals();
+      getHospitals();
     }
   }, [contract]);
 
-  const handleClick = (hospitalName) => {
-    navigate(`/doctor-list/${encodeURIComponent(hospitalName)}`);
+  const handleClick = (hospitalId) => {
+    navigate(`/doctor-list/${hospitalId}`);
   };
 
   // contract loading
@@ -105,6 +107,22 @@ const Hospital = () => {
             <p className="text-lg text-gray-600 max-w-2xl mx-auto">
               Browse hospitals and their medical professionals
             </p>
+            <p className="text-sm text-gray-500 mt-2">
+              Running a hospital?{" "}
+              <Link
+                to="/hospital-register"
+                className="text-cyan-500 hover:underline font-medium"
+              >
+                Register it here
+              </Link>{" "}
+              or{" "}
+              <Link
+                to="/hospital-login"
+                className="text-cyan-500 hover:underline font-medium"
+              >
+                log in as an admin
+              </Link>
+            </p>
           </div>
 
           <div className="bg-white bg-opacity-90 backdrop-blur-sm rounded-2xl shadow-xl overflow-hidden">
@@ -128,12 +146,12 @@ const Hospital = () => {
             <div className="p-6">
               {filteredHospitals.length > 0 ? (
                 <motion.ul className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                  {filteredHospitals.map((hospital, index) => (
+                  {filteredHospitals.map((hospital) => (
                     <motion.li
-                      key={index}
+                      key={hospital.id}
                       whileHover={{ y: -3 }}
                       whileTap={{ scale: 0.98 }}
-                      onClick={() => handleClick(hospital)}
+                      onClick={() => handleClick(hospital.id)}
                       className="bg-gradient-to-br from-gray-50 to-gray-100 border border-gray-200 rounded-xl overflow-hidden hover:shadow-md transition-all cursor-pointer"
                     >
                       <div className="p-5 flex items-center">
@@ -142,9 +160,14 @@ const Hospital = () => {
                         </div>
                         <div className="flex-1">
                           <h3 className="font-semibold text-lg text-[#0a0f2c]">
-                            {hospital}
+                            {hospital.name}
                           </h3>
                           <p className="text-sm text-gray-500">
+                            {hospital.location}
+                          </p>
+                          <p className="text-xs text-gray-400 mt-1">
+                            {hospital.departments.length} department
+                            {hospital.departments.length !== 1 ? "s" : ""} •
                             View medical professionals
                           </p>
                         </div>
@@ -181,7 +204,7 @@ const Hospital = () => {
             </div>
             <div className="bg-white bg-opacity-80 p-4 rounded-xl border border-gray-200 text-center">
               <div className="text-2xl font-bold text-purple-500">
-                {hospitals.length * 5}+
+                {hospitals.reduce((n, h) => n + h.departments.length, 0)}
               </div>
               <div className="text-sm text-gray-600">Departments</div>
             </div>
@@ -7,6 +7,23 @@ import { FaHospital, FaSearch, FaChevronRight } from "react-icons/fa";
 import { toast } from "react-toastify";
 import axios from "axios";
 
+import {
+  RECORD_CATEGORIES,
+  formatFileSize,
+  parseRecords,
+  recordUrl,
+} from "../utils/records";
+import {
+  APPOINTMENT_STATUS,
+  parseAppointments,
+  statusMask,
+} from "../utils/appointments";
+import { fetchAllPages } from "../utils/directory";
+import { parsePrescriptions } from "../utils/prescriptions";
+import PrescriptionForm from "../components/Doctor/PrescriptionForm";
+import PrescriptionCard from "../components/PrescriptionCard";
+import EmergencyAccess from "../components/Doctor/EmergencyAccess";
+
 // Patient Redux
 import {
   connectToBlockchain,
@@ -16,15 +33,30 @@ import {
 // Upload Redux
 import { connectToUpload } from "../redux/contract/uploadSlice";
 
+// Appointment Redux
+import {
+  connectToAppoint,
+  clearAppointementState,
+} from "../redux/contract/appointmentSlice";
+
+// Prescription Redux
+import {
+  connectToPrescription,
+  clearPrescriptionState,
+} from "../redux/contract/prescriptionSlice";
+
 // Contract Addresses
 import {
+  APPOINTMENT_CONTRACT_ADDRESS,
   PATIENT_CONTRACT_ADDRESS,
+  PRESCRIPTION_CONTRACT_ADDRESS,
   UPLOAD_CONTRACT_ADDRESS,
-  PRIVATE_KEY,
 } from "../constants/Values";
 
 // Contracts JSON imports
+import AppointmentBooking from "../constants/AppointmentBooking.json";
 import PatientRegistration from "../constants/PatientRegistration.json";
+import PrescriptionContract from "../constants/Prescription.json";
 import Upload from "../constants/Upload.json";
 
 // constants setup
@@ -34,8 +66,6 @@ const contractAddress = PATIENT_CONTRACT_ADDRESS;
 const uploadContractABI = Upload.abi;
 const uploadContractAddress = UPLOAD_CONTRACT_ADDRESS;
 
-const privateKey = PRIVATE_KEY;
-
 const Prescribe = () => {
   const { patientWallet } = useParams();
   const dispatch = useDispatch();
@@ -44,17 +74,37 @@ const Prescribe = () => {
   const [reports, setReports] = useState([]);
   const [file, setFile] = useState(null);
   const [fileName, setFileName] = useState("No file selected!");
-
-  const { account } = useSelector((state) => state.user);
+  const [title, setTitle] = useState("");
+  const [category, setCategory] = useState("Prescription");
+  const [visits, setVisits] = useState([]);
+  const [prescriptions, setPrescriptions] = useState([]);
+  const [prescriptionVersion, setPrescriptionVersion] = useState(0);
+  const [canView, setCanView] = useState(true);
+  const [reportsVersion, setReportsVersion] = useState(0);
+
+  const { account, licenseNumber } = useSelector((state) => state.user);
   const { contract } = useSelector((state) => state.blockchain);
   const uploadContract = useSelector((state) => state.upload.contract);
   const uploadLoading = useSelector((state) => state.upload.loading);
+  const appointmentContract = useSelector(
+    (state) => state.appointment.contract
+  );
+  const prescriptionContract = useSelector(
+    (state) => state.prescription.contract
+  );
 
   // connect to network
   useEffect(() => {
-    dispatch(connectToBlockchain(privateKey, contractAddress, contractABI));
+    dispatch(connectToBlockchain(contractAddress, contractABI));
+    dispatch(connectToUpload(uploadContractAddress, uploadContractABI));
     dispatch(
-      connectToUpload(privateKey, uploadContractAddress, uploadContractABI)
+      connectToAppoint(APPOINTMENT_CONTRACT_ADDRESS, AppointmentBooking.abi)
+    );
+    dispatch(
+      connectToPrescription(
+        PRESCRIPTION_CONTRACT_ADDRESS,
+        PrescriptionContract.abi
+      )
     );
   }, [dispatch]);
 
@@ -62,6 +112,8 @@ const Prescribe = () => {
   useEffect(() => {
     return () => {
       dispatch(clearBlockchainState());
+      dispatch(clearAppointementState());
+      dispatch(clearPrescriptionState());
     };
   }, [dispatch]);
 
@@ -69,22 +121,17 @@ const Prescribe = () => {
   useEffect(() => {
     const fetchPatients = async () => {
       try {
-        const tx = await contract.getAllPatients();
-        const patients = tx.map((d) => ({
-          walletAddress: d[0],
-          name: d[1],
-          dateOfBirth: d[2],
-          gender: d[3],
-          bloodGroup: d[4],
-          email: d[6],
-          // hhNumber: d[7],
-        }));
-
-        const matchedPatients = patients.filter(
-          (patient) =>
-            patient.walletAddress.toLowerCase() === patientWallet.toLowerCase()
-        );
-        setPatient(matchedPatients[0]);
+        const hhNumber = await contract.getPatientNumber(patientWallet);
+        const d = await contract.getPatientDetails(hhNumber);
+        setPatient({
+          walletAddress: d.walletAddress,
+          name: d.name,
+          dateOfBirth: d.dateOfBirth,
+          gender: d.gender,
+          bloodGroup: d.bloodGroup,
+          email: d.email,
+          hhNumber,
+        });
       } catch (err) {
         console.log(err);
         toast.error("Error getting patient details.");
@@ -98,63 +145,88 @@ const Prescribe = () => {
   // get patient uploaded reports
   useEffect(() => {
     const getData = async () => {
-      let response;
       try {
-        response = await uploadContract.display(patientWallet);
+        // without a grant display() reverts; offer break-glass instead
+        const allowed = await uploadContract.hasAccess(patientWallet, account);
+        setCanView(allowed);
+        if (!allowed) {
+          setReports([]);
+          return;
+        }
+        const response = await uploadContract.display(patientWallet);
+        setReports(parseRecords(response));
       } catch (err) {
         console.log(err);
+        toast.error("Unable to load the patient's reports.");
       }
+    };
 
-      let isEmpty;
-      if (response !== undefined) {
-        isEmpty = Object.keys(response).length === 0;
-      }
+    if (uploadContract && account) {
+      getData();
+    }
+  }, [uploadContract, patientWallet, account, reportsVersion]);
 
-      if (!response || Object.keys(response).length === 0) {
-        toast.error("No files to dislay (inner).");
-        return;
-      }
+  // visits with this doctor a prescription can be written for, and the ones already issued
+  useEffect(() => {
+    const getPrescriptions = async () => {
+      try {
+        const rows = await fetchAllPages((offset, limit) =>
+          appointmentContract.getPatientAppointments(
+            patient.hhNumber,
+            0,
+            0,
+            statusMask(
+              APPOINTMENT_STATUS.CHECKED_IN,
+              APPOINTMENT_STATUS.COMPLETED
+            ),
+            offset,
+            limit
+          )
+        );
+        setVisits(
+          parseAppointments(rows)
+            .filter((a) => a.doctorId === licenseNumber)
+            .reverse()
+        );
 
-      if (!isEmpty) {
-        const str = response.toString();
-        const str_array = str.split(",");
-
-        const images = str_array.map((item, i) => {
-          return (
-            <a href={item} key={i} target="_blank">
-              {item.endsWith(".pdf") ? (
-                <object
-                  key={i}
-                  data={`https://gateway.pinata.cloud/ipfs/${item.substring(
-                    6
-                  )}`}
-                  type="application/pdf"
-                  width="100%"
-                  height="500px"
-                >
-                  <p>Your browser does not support PDFs.</p>
-                </object>
-              ) : (
-                <img
-                  key={i}
-                  src={`https://gateway.pinata.cloud/ipfs/${item.substring(6)}`}
-                  alt="Report"
-                  className="image-list"
-                />
-              )}
-            </a>
-          );
-        });
-        setReports(images);
-      } else {
-        toast.error("No file to display.");
+        const issued = await prescriptionContract.getPatientPrescriptions(
+          patient.hhNumber
+        );
+        setPrescriptions(
+          parsePrescriptions(issued).filter(
+            (p) => p.doctorLicenseNumber === licenseNumber
+          )
+        );
+      } catch (err) {
+        console.log(err);
+        toast.error("Unable to load prescriptions.");
       }
     };
-
-    if (uploadContract) {
-      getData();
+    if (appointmentContract && prescriptionContract && patient.hhNumber) {
+      getPrescriptions();
+    }
+  }, [
+    appointmentContract,
+    prescriptionContract,
+    patient.hhNumber,
+    licenseNumber,
+    prescriptionVersion,
+  ]);
+
+  // open a report through Upload.viewRecord so the read lands in the patient's history
+  const handleOpenReport = async (report) => {
+    // opened before the transaction so the popup isn't blocked
+    const reportWindow = window.open("", "_blank");
+    try {
+      const tx = await uploadContract.viewRecord(patientWallet, report.id);
+      await tx.wait();
+      reportWindow.location.href = recordUrl(report.cid);
+    } catch (err) {
+      reportWindow.close();
+      console.log(err);
+      toast.error("Unable to open the report.");
     }
-  }, [uploadContract, patientWallet]);
+  };
 
   // get uploaded files on site - helper function
   const retrieveFile = (e) => {
@@ -171,43 +243,56 @@ const Prescribe = () => {
   // upload file
   const handleSubmitFile = async (e) => {
     e.preventDefault();
-    if (file) {
-      try {
-        const formData = new FormData();
-        formData.append("file", file);
-
-        const resFile = await axios({
-          method: "post",
-          url: "https://api.pinata.cloud/pinning/pinFileToIPFS",
-          data: formData,
-          headers: {
-            pinata_api_key: `027578a6b7e5b3cd1d59`,
-            pinata_secret_api_key: `5e4c9c2919ca0505261900535439c2cea75bf9c874acc061d509250537467b50`,
-            "Content-Type": "multipart/form-data",
-          },
-        });
-        const imgHash = `https://gateway.pinata.cloud/ipfs/${resFile.data.IpfsHash}`;
+    if (!file) {
+      return;
+    }
 
-        if (!uploadContract) {
-          console.log(
-            "Blockchain contract is not available yet. Please try again later."
-          );
-        }
+    if (!uploadContract) {
+      toast.error(
+        "Blockchain contract is not available yet. Please try again later."
+      );
+      return;
+    }
 
-        uploadContract.add(account, imgHash);
-        alert("Image uploaded successfully");
-        setFileName("No file selected");
-        setFile(null);
-      } catch (err) {
-        console.log(err);
-      }
+    try {
+      const formData = new FormData();
+      formData.append("file", file);
+
+      const resFile = await axios({
+        method: "post",
+        url: "https://api.pinata.cloud/pinning/pinFileToIPFS",
+        data: formData,
+        headers: {
+          pinata_api_key: `027578a6b7e5b3cd1d59`,
+          pinata_secret_api_key: `5e4c9c2919ca0505261900535439c2cea75bf9c874acc061d509250537467b50`,
+          "Content-Type": "multipart/form-data",
+        },
+      });
+
+      const tx = await uploadContract.add(
+        account,
+        resFile.data.IpfsHash,
+        title || file.name,
+        category,
+        file.type || "application/octet-stream",
+        file.size
+      );
+      await tx.wait();
+      toast.success("Report uploaded successfully");
+      setFileName("No file selected");
+      setFile(null);
+      setTitle("");
+    } catch (err) {
+      console.log(err);
+      toast.error("Error uploading the report.");
     }
   };
 
   // provide access
   const handleShare = async (patientWallet) => {
     try {
-      const tx = await uploadContract.allow(patientWallet);
+      // prescriptions stay visible to the patient until revoked
+      const tx = await uploadContract.allow(patientWallet, 0, 0);
       await tx.wait();
       toast.success(`Shared access to ${patient.name}`);
     } catch (err) {
@@ -352,28 +437,36 @@ const Prescribe = () => {
                 <div className="h-full overflow-y-auto space-y-4 pr-2">
                   {reports.length > 0 ? (
                     <ul className="space-y-3">
-                      {Array.isArray(reports) &&
-                        reports.map((report, index) => (
-                          <motion.li
-                            key={index}
-                            whileHover={{ y: -3 }}
-                            whileTap={{ scale: 0.98 }}
-                            className="flex items-center justify-between p-4 bg-gradient-to-br from-gray-50 to-gray-100 border border-gray-200 rounded-xl hover:shadow-md transition-all duration-300 hover:border-cyan-200 cursor-pointer"
-                            onClick={() =>
-                              console.log("Report clicked:", report)
-                            }
-                          >
-                            <div className="flex items-center space-x-4">
-                              <span className="text-2xl text-cyan-500">📄</span>
-                              <div>
-                                <span className="text-lg font-medium text-[#0a0f2c] block">
-                                  {report}
+                      {reports.map((report) => (
+                        <motion.li
+                          key={report.id}
+                          whileHover={{ y: -3 }}
+                          whileTap={{ scale: 0.98 }}
+                          className="flex items-center justify-between p-4 bg-gradient-to-br from-gray-50 to-gray-100 border border-gray-200 rounded-xl hover:shadow-md transition-all duration-300 hover:border-cyan-200 cursor-pointer"
+                          onClick={() => handleOpenReport(report)}
+                        >
+                          <div className="flex items-center space-x-4 min-w-0">
+                            <span className="text-2xl text-cyan-500">📄</span>
+                            <div className="min-w-0">
+                              <span className="text-lg font-medium text-[#0a0f2c] block truncate">
+                                {report.title}
+                              </span>
+                              <span className="text-sm text-gray-500 block">
+                                {report.category} • {report.mimeType} •{" "}
+                                {formatFileSize(report.size)}
+                              </span>
+                              <span className="text-xs text-gray-400 block">
+                                Uploaded{" "}
+                                {report.uploadedAt.toLocaleDateString()} by{" "}
+                                <span className="font-mono">
+                                  {report.uploader.slice(0, 10)}...
                                 </span>
-                              </div>
+                              </span>
                             </div>
-                            <FaChevronRight className="text-gray-400" />
-                          </motion.li>
-                        ))}
+                          </div>
+                          <FaChevronRight className="text-gray-400" />
+                        </motion.li>
+                      ))}
                     </ul>
                   ) : (
                     <div className="flex flex-col items-center justify-center h-full py-12">
@@ -405,6 +498,35 @@ const Prescribe = () => {
           </div>
         </div>
 
+        {!canView && (
+          <EmergencyAccess
+            uploadContract={uploadContract}
+            patientWallet={patientWallet}
+            onGranted={() => setReportsVersion((v) => v + 1)}
+          />
+        )}
+
+        {/* Structured prescription */}
+        <PrescriptionForm
+          prescriptionContract={prescriptionContract}
+          appointments={visits}
+          onIssued={() => setPrescriptionVersion((v) => v + 1)}
+        />
+
+        {prescriptions.length > 0 && (
+          <div className="space-y-3">
+            <h2 className="text-xl font-bold text-[#0a0f2c]">
+              Issued Prescriptions
+            </h2>
+            {prescriptions.map((prescription) => (
+              <PrescriptionCard
+                key={prescription.id}
+                prescription={prescription}
+              />
+            ))}
+          </div>
+        )}
+
         {/* Bottom Section - Upload Card */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -522,8 +644,8 @@ const Prescribe = () => {
                           {fileName}
                         </p>
                         <p className="text-xs text-gray-500">
-                          {Math.floor(Math.random() * 5 + 1).toFixed(1)} MB •
-                          Ready to upload
+                          {file ? formatFileSize(file.size) : "0 B"} • Ready to
+                          upload
                         </p>
                       </div>
                     </div>
@@ -553,6 +675,28 @@ const Prescribe = () => {
                   </motion.div>
                 )}
 
+                {/* Report Details */}
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <input
+                    type="text"
+                    value={title}
+                    onChange={(e) => setTitle(e.target.value)}
+                    placeholder="Report title (defaults to file name)"
+                    className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
+                  />
+                  <select
+                    value={category}
+                    onChange={(e) => setCategory(e.target.value)}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
+                  >
+                    {RECORD_CATEGORIES.map((item) => (
+                      <option key={item} value={item}>
+                        {item}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
                 {/* Upload Button - Theme Matching */}
                 <button
                   type="submit"
@@ -3,87 +3,113 @@ import { useDispatch, useSelector } from "react-redux";
 import { useParams } from "react-router-dom";
 import { toast } from "react-toastify";
 
+import { formatFileSize, parseRecords, recordUrl } from "../utils/records";
+import { parsePrescriptions } from "../utils/prescriptions";
+import { selectPatientNumber } from "../utils/delegation";
+import PrescriptionCard from "../components/PrescriptionCard";
+
 // Upload Redux
 import { connectToUpload } from "../redux/contract/uploadSlice";
 
+// Doctor Redux
+import {
+  connectToDoctor,
+  clearDoctorState,
+} from "../redux/contract/doctorSlice";
+
+// Prescription Redux
+import {
+  connectToPrescription,
+  clearPrescriptionState,
+} from "../redux/contract/prescriptionSlice";
+
 // Contract Addresses
-import { UPLOAD_CONTRACT_ADDRESS, PRIVATE_KEY } from "../constants/Values";
+import {
+  DOCTOR_CONTRACT_ADDRESS,
+  PRESCRIPTION_CONTRACT_ADDRESS,
+  UPLOAD_CONTRACT_ADDRESS,
+} from "../constants/Values";
 
 // Contracts JSON imports
+import DoctorRegistration from "../constants/DoctorRegistration.json";
+import PrescriptionContract from "../constants/Prescription.json";
 import Upload from "../constants/Upload.json";
 
 // constants setup
 const contractABI = Upload.abi;
 const contractAddress = UPLOAD_CONTRACT_ADDRESS;
 
-const privateKey = PRIVATE_KEY;
-
 const Prescription = () => {
   const { doctorWallet } = useParams();
   const dispatch = useDispatch();
 
   const [reports, setReports] = useState([]);
+  const [doctor, setDoctor] = useState(null);
+  const [prescriptions, setPrescriptions] = useState([]);
 
   const { contract } = useSelector((state) => state.upload);
+  const hhNumber = useSelector(selectPatientNumber);
+  const doctorContract = useSelector((state) => state.doctor.contract);
+  const prescriptionContract = useSelector(
+    (state) => state.prescription.contract
+  );
 
   // connect to network
   useEffect(() => {
-    dispatch(connectToUpload(privateKey, contractAddress, contractABI));
+    dispatch(connectToUpload(contractAddress, contractABI));
+    dispatch(connectToDoctor(DOCTOR_CONTRACT_ADDRESS, DoctorRegistration.abi));
+    dispatch(
+      connectToPrescription(
+        PRESCRIPTION_CONTRACT_ADDRESS,
+        PrescriptionContract.abi
+      )
+    );
   }, [dispatch]);
 
-  // get doctor uploaded prespcription
+  // clear state on component unmount
   useEffect(() => {
-    const getData = async () => {
-      let response;
+    return () => {
+      dispatch(clearDoctorState());
+      dispatch(clearPrescriptionState());
+    };
+  }, [dispatch]);
+
+  // structured prescriptions this doctor issued to the patient, matched by
+  // license number so ones signed from an earlier doctor wallet still show
+  useEffect(() => {
+    const getPrescriptions = async () => {
       try {
-        response = await contract.display(doctorWallet);
+        const licenseNumber =
+          await doctorContract.getDoctorNumber(doctorWallet);
+        const details = await doctorContract.getDoctorDetails(licenseNumber);
+        setDoctor({ licenseNumber, name: details.name });
+
+        const response =
+          await prescriptionContract.getPatientPrescriptions(hhNumber);
+        setPrescriptions(
+          parsePrescriptions(response).filter(
+            (p) => p.doctorLicenseNumber === licenseNumber
+          )
+        );
       } catch (err) {
         console.log(err);
+        toast.error("Unable to load prescriptions.");
       }
+    };
+    if (doctorContract && prescriptionContract && hhNumber) {
+      getPrescriptions();
+    }
+  }, [doctorContract, prescriptionContract, hhNumber, doctorWallet]);
 
-      let isEmpty;
-      if (response !== undefined) {
-        isEmpty = Object.keys(response).length === 0;
-      }
-
-      if (!response || Object.keys(response).length === 0) {
-        toast.error("No files to dislay (inner).");
-        return;
-      }
-
-      if (!isEmpty) {
-        const str = response.toString();
-        const str_array = str.split(",");
-
-        const images = str_array.map((item, i) => {
-          return (
-            <a href={item} key={i} target="_blank">
-              {item.endsWith(".pdf") ? (
-                <object
-                  key={i}
-                  data={`https://gateway.pinata.cloud/ipfs/${item.substring(
-                    6
-                  )}`}
-                  type="application/pdf"
-                  width="100%"
-                  height="500px"
-                >
-                  <p>Your browser does not support PDFs.</p>
-                </object>
-              ) : (
-                <img
-                  key={i}
-                  src={`https://gateway.pinata.cloud/ipfs/${item.substring(6)}`}
-                  alt="Report"
-                  className="image-list"
-                />
-              )}
-            </a>
-          );
-        });
-        setReports(images);
-      } else {
-        toast.error("No file to display.");
+  // get doctor uploaded prespcription
+  useEffect(() => {
+    const getData = async () => {
+      try {
+        const response = await contract.display(doctorWallet);
+        setReports(parseRecords(response));
+      } catch (err) {
+        console.log(err);
+        toast.error("Unable to load prescriptions.");
       }
     };
     if (contract) {
@@ -93,7 +119,38 @@ const Prescription = () => {
 
   return (
     <>
-      <div className="flex-1 min-w-0 max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex-1 min-w-0 max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        {/* Structured prescriptions */}
+        <div className="bg-white rounded-xl shadow-sm overflow-hidden border border-gray-200">
+          <div className="bg-gradient-to-r from-[#0a0f2c] to-[#1a1f3c] p-6 sm:px-8 text-white">
+            <h2 className="text-xl sm:text-2xl font-bold tracking-tight">
+              Prescriptions{doctor && ` from Dr. ${doctor.name}`}
+            </h2>
+            <p className="mt-1 opacity-90 text-blue-100 text-sm sm:text-base">
+              Total:{" "}
+              <span className="font-semibold text-white">
+                {prescriptions.length}
+              </span>
+            </p>
+          </div>
+          <div className="p-4 sm:p-6 space-y-4">
+            {prescriptions.length > 0 ? (
+              prescriptions.map((prescription) => (
+                <PrescriptionCard
+                  key={prescription.id}
+                  prescription={prescription}
+                  doctor={doctor}
+                  showQr
+                />
+              ))
+            ) : (
+              <p className="py-8 text-center text-gray-500">
+                No prescriptions issued yet
+              </p>
+            )}
+          </div>
+        </div>
+
         {/* Main card container */}
         <div className="bg-white rounded-xl shadow-sm overflow-hidden border border-gray-200 transition-all duration-200 hover:shadow-md">
           {/* Header with gradient background */}
@@ -133,11 +190,13 @@ const Prescription = () => {
           <div className="p-4 sm:p-6">
             {reports.length > 0 ? (
               <div className="space-y-3">
-                {reports.map((report, index) => (
-                  <div
-                    key={index}
+                {reports.map((report) => (
+                  <a
+                    key={report.id}
+                    href={recordUrl(report.cid)}
+                    target="_blank"
+                    rel="noreferrer"
                     className="group flex items-center justify-between p-4 bg-white border border-gray-100 rounded-lg hover:border-blue-200 hover:bg-blue-50 transition-all duration-200 cursor-pointer shadow-xs hover:shadow-sm"
-                    onClick={() => console.log("Report clicked:", report)}
                   >
                     <div className="flex items-center space-x-4 min-w-0">
                       <div className="p-2.5 bg-blue-100 rounded-lg group-hover:bg-blue-200 transition-colors duration-200 flex-shrink-0">
@@ -158,8 +217,12 @@ const Prescription = () => {
                       </div>
                       <div className="min-w-0">
                         <h3 className="text-base font-medium text-gray-800 truncate">
-                          {report}
+                          {report.title}
                         </h3>
+                        <p className="text-sm text-gray-500">
+                          {report.category} • {formatFileSize(report.size)} •
+                          Issued {report.uploadedAt.toLocaleDateString()}
+                        </p>
                       </div>
                     </div>
                     <svg
@@ -176,7 +239,7 @@ const Prescription = () => {
                         d="M9 5l7 7-7 7"
                       />
                     </svg>
-                  </div>
+                  </a>
                 ))}
               </div>
             ) : (
@@ -0,0 +1,175 @@
+/* eslint-disable no-unused-vars */
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+import { motion } from "framer-motion";
+import { isAddress } from "ethers";
+import { toast } from "react-toastify";
+import { FaLifeRing, FaIdCard, FaWallet } from "react-icons/fa";
+
+import {
+  connectToBlockchain,
+  clearBlockchainState,
+} from "../redux/contract/blockchainSlice";
+import {
+  connectToDoctor,
+  clearDoctorState,
+} from "../redux/contract/doctorSlice";
+
+import PatientRegistration from "../constants/PatientRegistration.json";
+import DoctorRegistration from "../constants/DoctorRegistration.json";
+import {
+  PATIENT_CONTRACT_ADDRESS,
+  DOCTOR_CONTRACT_ADDRESS,
+} from "../constants/Values";
+
+// signed by the recovery address: moves a patient or doctor onto a new wallet
+const RecoverAccount = () => {
+  const dispatch = useDispatch();
+
+  const patientContract = useSelector((state) => state.blockchain.contract);
+  const doctorContract = useSelector((state) => state.doctor.contract);
+  const account = useSelector((state) => state.blockchain.account);
+
+  const [role, setRole] = useState("patient");
+  const [number, setNumber] = useState("");
+  const [newWallet, setNewWallet] = useState("");
+  const [waiter, setWaiter] = useState(false);
+
+  useEffect(() => {
+    dispatch(
+      connectToBlockchain(PATIENT_CONTRACT_ADDRESS, PatientRegistration.abi)
+    );
+    dispatch(connectToDoctor(DOCTOR_CONTRACT_ADDRESS, DoctorRegistration.abi));
+  }, [dispatch]);
+
+  useEffect(() => {
+    return () => {
+      dispatch(clearBlockchainState());
+      dispatch(clearDoctorState());
+    };
+  }, [dispatch]);
+
+  const handleRecover = async (e) => {
+    e.preventDefault();
+    if (!number || !newWallet) {
+      toast.error("Please fill in all the required fields.");
+      return;
+    }
+    if (!isAddress(newWallet)) {
+      toast.error("Please enter a valid wallet address.");
+      return;
+    }
+
+    const contract = role === "patient" ? patientContract : doctorContract;
+    try {
+      setWaiter(true);
+      const recovery = await contract.recoveryAddress(number);
+      if (recovery.toLowerCase() !== account?.toLowerCase()) {
+        toast.error(
+          "This wallet is not the recovery address for that account."
+        );
+        return;
+      }
+
+      const tx = await contract.changeWallet(number, newWallet);
+      await tx.wait();
+      toast.success(
+        "Account moved. Log in with the new wallet to bring the records over."
+      );
+      setNumber("");
+      setNewWallet("");
+    } catch (err) {
+      console.log(err);
+      toast.error("An error occurred while recovering the account.");
+    } finally {
+      setWaiter(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100 flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="w-full max-w-lg bg-white rounded-2xl shadow-2xl p-8"
+      >
+        <div className="text-center mb-8">
+          <FaLifeRing className="mx-auto text-4xl text-cyan-400 mb-3" />
+          <h1 className="text-3xl font-bold text-[#0a0f2c]">
+            Recover <span className="text-cyan-400">Account</span>
+          </h1>
+          <p className="text-gray-600 mt-2">
+            Connect the recovery wallet that was set on the dashboard, then
+            choose the wallet the account should move to.
+          </p>
+        </div>
+
+        <form onSubmit={handleRecover} className="space-y-5">
+          <div className="grid grid-cols-2 gap-2 p-1 bg-gray-100 rounded-xl">
+            {["patient", "doctor"].map((item) => (
+              <button
+                key={item}
+                type="button"
+                onClick={() => setRole(item)}
+                className={`py-2 rounded-lg font-medium capitalize transition ${
+                  role === item
+                    ? "bg-white shadow text-[#0a0f2c]"
+                    : "text-gray-500"
+                }`}
+              >
+                {item}
+              </button>
+            ))}
+          </div>
+
+          <div className="relative">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <FaIdCard className="text-gray-400" />
+            </div>
+            <input
+              type="text"
+              value={number}
+              onChange={(e) => setNumber(e.target.value.trim())}
+              placeholder={role === "patient" ? "HH Number" : "License Number"}
+              className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
+            />
+          </div>
+
+          <div className="relative">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <FaWallet className="text-gray-400" />
+            </div>
+            <input
+              type="text"
+              value={newWallet}
+              onChange={(e) => setNewWallet(e.target.value.trim())}
+              placeholder="New wallet address"
+              className="w-full pl-10 pr-4 py-3 border border-gray-200 rounded-xl font-mono text-sm focus:ring-2 focus:ring-cyan-300 focus:border-transparent"
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={waiter}
+            className="w-full py-4 bg-gradient-to-r from-cyan-400 to-blue-500 text-[#0a0f2c] font-bold rounded-xl shadow-md hover:shadow-lg transition-all disabled:opacity-50"
+          >
+            {waiter ? "Recovering..." : "Move Account"}
+          </button>
+
+          <p className="text-center text-gray-600">
+            Still have your wallet?{" "}
+            <Link
+              to={role === "patient" ? "/patient-login" : "/doctor-login"}
+              className="text-cyan-500 hover:underline font-medium"
+            >
+              Log in
+            </Link>
+          </p>
+        </form>
+      </motion.div>
+    </div>
+  );
+};
+
+export default RecoverAccount;
@@ -1,6 +1,8 @@
 import { createSlice } from "@reduxjs/toolkit";
 import { ethers } from "ethers";
 
+import { getSigner } from "./wallet";
+
 const initialState = {
   contract: null,
   account: null,
@@ -31,21 +33,20 @@ export const { setAppointmentState, clearAppointementState } =
   appointmentSlice.actions;
 
   export const connectToAppoint =
-  (privateKey, contractAddress, contractABI) => async (dispatch) => {
+  (contractAddress, contractABI) => async (dispatch) => {
     try {
-      const provider = new ethers.JsonRpcProvider("http://127.0.0.1:8545");
-      const wallet = new ethers.Wallet(privateKey, provider);
+      const signer = await getSigner();
       const contract = new ethers.Contract(
         contractAddress,
         contractABI,
-        wallet
+        signer
       );
 
       dispatch(
         setAppointmentState({
           contract,
-          account: wallet.address,
-          provider,
+          account: signer.address,
+          provider: signer.provider,
         })
       );
     } catch (err) {
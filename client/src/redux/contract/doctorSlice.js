@@ -1,6 +1,8 @@
 import { createSlice } from "@reduxjs/toolkit";
 import { ethers } from "ethers";
 
+import { getSigner } from "./wallet";
+
 const initialState = {
   contract: null,
   account: null,
@@ -29,21 +31,20 @@ const doctorSlice = createSlice({
 
 export const { setDoctorState, clearDoctorState } = doctorSlice.actions;
 
-export const connectToDoctor = (privateKey, contractAddress, contractABI) => async (dispatch) => {
+export const connectToDoctor = (contractAddress, contractABI) => async (dispatch) => {
     try {
-        const provider = new ethers.JsonRpcProvider("http://127.0.0.1:8545");
-        const wallet = new ethers.Wallet(privateKey, provider);
+        const signer = await getSigner();
         const contract = new ethers.Contract(
             contractAddress,
             contractABI,
-            wallet
+            signer
         );
 
         dispatch(
             setDoctorState({
                 contract,
-                account: wallet.address,
-                provider,
+                account: signer.address,
+                provider: signer.provider,
             })
         )
     } catch (err) {
@@ -0,0 +1,56 @@
+import { createSlice } from "@reduxjs/toolkit";
+import { ethers } from "ethers";
+
+import { getSigner } from "./wallet";
+
+const initialState = {
+  contract: null,
+  account: null,
+  provider: null,
+  loading: true,
+};
+
+const hospitalSlice = createSlice({
+  name: "hospital",
+  initialState,
+  reducers: {
+    setHospitalState: (state, action) => {
+      state.contract = action.payload.contract;
+      state.account = action.payload.account;
+      state.provider = action.payload.provider;
+      state.loading = false;
+    },
+    clearHospitalState: (state) => {
+      state.contract = null;
+      state.account = null;
+      state.provider = null;
+      state.loading = true;
+    },
+  },
+});
+
+export const { setHospitalState, clearHospitalState } = hospitalSlice.actions;
+
+export const connectToHospital =
+  (contractAddress, contractABI) => async (dispatch) => {
+    try {
+      const signer = await getSigner();
+      const contract = new ethers.Contract(
+        contractAddress,
+        contractABI,
+        signer
+      );
+
+      dispatch(
+        setHospitalState({
+          contract,
+          account: signer.address,
+          provider: signer.provider,
+        })
+      );
+    } catch (err) {
+      console.log(err);
+    }
+  };
+
+export default hospitalSlice.reducer;
@@ -0,0 +1,57 @@
+import { createSlice } from "@reduxjs/toolkit";
+import { ethers } from "ethers";
+
+import { getSigner } from "./wallet";
+
+const initialState = {
+  contract: null,
+  account: null,
+  provider: null,
+  loading: true,
+};
+
+const prescriptionSlice = createSlice({
+  name: "prescription",
+  initialState,
+  reducers: {
+    setPrescriptionState: (state, action) => {
+      state.contract = action.payload.contract;
+      state.account = action.payload.account;
+      state.provider = action.payload.provider;
+      state.loading = false;
+    },
+    clearPrescriptionState: (state) => {
+      state.contract = null;
+      state.account = null;
+      state.provider = null;
+      state.loading = true;
+    },
+  },
+});
+
+export const { setPrescriptionState, clearPrescriptionState } =
+  prescriptionSlice.actions;
+
+export const connectToPrescription =
+  (contractAddress, contractABI) => async (dispatch) => {
+    try {
+      const signer = await getSigner();
+      const contract = new ethers.Contract(
+        contractAddress,
+        contractABI,
+        signer
+      );
+
+      dispatch(
+        setPrescriptionState({
+          contract,
+          account: signer.address,
+          provider: signer.provider,
+        })
+      );
+    } catch (err) {
+      console.log(err);
+    }
+  };
+
+export default prescriptionSlice.reducer;
@@ -1,6 +1,8 @@
 import { createSlice } from "@reduxjs/toolkit";
 import { ethers } from "ethers";
 
+import { getSigner } from "./wallet";
+
 const initialState = {
   contract: null,
   account: null,
@@ -30,21 +32,20 @@ const uploadSlice = createSlice({
 export const { setUploadState, clearUploadState } = uploadSlice.actions;
 
 export const connectToUpload =
-  (privateKey, contractAddress, contractABI) => async (dispatch) => {
+  (contractAddress, contractABI) => async (dispatch) => {
     try {
-      const provider = new ethers.JsonRpcProvider("http://127.0.0.1:8545");
-      const wallet = new ethers.Wallet(privateKey, provider);
+      const signer = await getSigner();
       const contract = new ethers.Contract(
         contractAddress,
         contractABI,
-        wallet
+        signer
       );
 
       dispatch(
         setUploadState({
           contract,
-          account: wallet.address,
-          provider,
+          account: signer.address,
+          provider: signer.provider,
         })
       );
     } catch (err) {
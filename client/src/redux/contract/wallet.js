@@ -0,0 +1,44 @@
+import { ethers } from "ethers";
+
+import { DEV_RPC_URL, DEV_ACCOUNT_INDEX } from "../../constants/Values";
+
+// shared between every contract thunk so the wallet is only prompted once
+let signerPromise = null;
+
+const resolveSigner = async () => {
+  // browser wallet (MetaMask etc.) - each user signs with their own key
+  if (window.ethereum) {
+    const provider = new ethers.BrowserProvider(window.ethereum);
+    await provider.send("eth_requestAccounts", []);
+    return provider.getSigner();
+  }
+
+  // local dev fallback - unlocked accounts of `npx hardhat node`
+  const provider = new ethers.JsonRpcProvider(DEV_RPC_URL);
+  const index = Number(
+    localStorage.getItem("devAccountIndex") ?? DEV_ACCOUNT_INDEX
+  );
+  return provider.getSigner(index);
+};
+
+export const getSigner = () => {
+  if (!signerPromise) {
+    signerPromise = resolveSigner().catch((err) => {
+      signerPromise = null;
+      throw err;
+    });
+  }
+  return signerPromise;
+};
+
+// switching wallet account or network invalidates the logged in session
+if (window.ethereum?.on) {
+  window.ethereum.on("accountsChanged", () => {
+    signerPromise = null;
+    localStorage.clear();
+    window.location.reload();
+  });
+  window.ethereum.on("chainChanged", () => {
+    window.location.reload();
+  });
+}
@@ -16,6 +16,9 @@ import blockchainReducer from "./contract/blockchainSlice";
 import uploadReducer from "./contract/uploadSlice";
 import doctorReducer from "./contract/doctorSlice";
 import appointmentReducer from "./contract/appointmentSlice";
+import prescriptionReducer from "./contract/prescriptionSlice";
+import pharmacyReducer from "./contract/pharmacySlice";
+import hospitalReducer from "./contract/hospitalSlice";
 
 const persistConfig = {
   key: "root",
@@ -33,6 +36,9 @@ const store = configureStore({
     upload: uploadReducer,
     doctor: doctorReducer,
     appointment: appointmentReducer,
+    prescription: prescriptionReducer,
+    pharmacy: pharmacyReducer,
+    hospital: hospitalReducer,
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
@@ -42,6 +48,9 @@ const store = configureStore({
           "doctor/setDoctorState",
           "upload/setUploadState",
           "appointment/setAppointmentState",
+          "prescription/setPrescriptionState",
+          "pharmacy/setPharmacyState",
+          "hospital/setHospitalState",
           FLUSH,
           REHYDRATE,
           PAUSE,
@@ -62,6 +71,15 @@ const store = configureStore({
           "upload.contract",
           "upload.provider",
           "upload.account",
+          "prescription.contract",
+          "prescription.provider",
+          "prescription.account",
+          "pharmacy.contract",
+          "pharmacy.provider",
+          "pharmacy.account",
+          "hospital.contract",
+          "hospital.provider",
+          "hospital.account",
         ],
       },
     }),
@@ -4,7 +4,13 @@ const initialState = {
   account: null,
   hhNumber: null,
   licenseNumber: null,
+  pharmacyNumber: null,
+  // hospital the admin console is logged in to
+  hospitalId: null,
   isLoggedIn: false,
+  // patients this user can act for as guardian / caregiver, and the one switched to (null = self)
+  delegations: [],
+  profile: null,
 };
 
 const userSlice = createSlice({
@@ -15,17 +21,43 @@ const userSlice = createSlice({
       state.account = action.payload.account;
       state.hhNumber = action.payload.hhNumber;
       state.licenseNumber = action.payload.licenseNumber;
+      state.pharmacyNumber = action.payload.pharmacyNumber;
+      state.hospitalId = action.payload.hospitalId;
       state.isLoggedIn = true;
+      state.delegations = [];
+      state.profile = null;
+    },
+    setDelegations: (state, action) => {
+      state.delegations = action.payload;
+      // a revoked delegation drops the user back to their own profile
+      if (
+        state.profile &&
+        !action.payload.some((d) => d.hhNumber === state.profile.hhNumber)
+      ) {
+        state.profile = null;
+      } else if (state.profile) {
+        state.profile = action.payload.find(
+          (d) => d.hhNumber === state.profile.hhNumber
+        );
+      }
+    },
+    switchProfile: (state, action) => {
+      state.profile = action.payload;
     },
     clearUser: (state) => {
       state.account = null;
       state.hhNumber = null;
       state.licenseNumber = null;
+      state.pharmacyNumber = null;
+      state.hospitalId = null;
       state.isLoggedIn = false;
+      state.delegations = [];
+      state.profile = null;
     },
   },
 });
 
-export const { setUser, clearUser } = userSlice.actions;
+export const { setUser, clearUser, setDelegations, switchProfile } =
+  userSlice.actions;
 
 export default userSlice.reducer; // export the reducer
@@ -0,0 +1,110 @@
+// AppointmentBooking.Status, in enum order
+export const APPOINTMENT_STATUS = {
+  BOOKED: 0,
+  CHECKED_IN: 1,
+  COMPLETED: 2,
+  NO_SHOW: 3,
+  CANCELLED: 4,
+};
+
+export const STATUS_LABELS = [
+  "Booked",
+  "Checked In",
+  "Completed",
+  "No Show",
+  "Cancelled",
+];
+
+export const STATUS_STYLES = [
+  "bg-blue-100 text-blue-800",
+  "bg-yellow-100 text-yellow-800",
+  "bg-green-100 text-green-800",
+  "bg-gray-200 text-gray-700",
+  "bg-red-100 text-red-800",
+];
+
+// AppointmentBooking appointment page proxy -> plain appointment objects
+export const parseAppointments = (response) =>
+  response.map((a) => ({
+    id: Number(a.id),
+    patientId: a.patientHHNumber,
+    doctorId: a.doctorHHNumber,
+    timestamp: Number(a.date),
+    startTime: Number(a.startTime),
+    duration: Number(a.duration),
+    status: Number(a.status),
+  }));
+
+// the browser's timezone in seconds east of UTC, as a doctor's schedule stores it
+export const localUtcOffset = () => -new Date().getTimezoneOffset() * 60;
+
+// 19800 -> "UTC+05:30"
+export const formatUtcOffset = (utcOffset) => {
+  const minutes = Math.abs(utcOffset) / 60;
+  const hours = String(Math.floor(minutes / 60)).padStart(2, "0");
+  return `UTC${utcOffset < 0 ? "-" : "+"}${hours}:${String(
+    minutes % 60
+  ).padStart(2, "0")}`;
+};
+
+// "yyyy-mm-dd" -> midnight of that day in a timezone, in seconds - appointments are stored under
+// the midnight of the doctor's timezone (AppointmentBooking.Schedule.utcOffset)
+export const getDayKey = (value, utcOffset) => {
+  const [year, month, day] = value.split("-").map(Number);
+  return Date.UTC(year, month - 1, day) / 1000 - utcOffset;
+};
+
+// today's "yyyy-mm-dd" in a timezone
+export const todayIn = (utcOffset) =>
+  new Date(Date.now() + utcOffset * 1000).toISOString().slice(0, 10);
+
+export const formatSlot = (startTime, duration) => {
+  const options = { hour: "2-digit", minute: "2-digit" };
+  const start = new Date(startTime * 1000).toLocaleTimeString("en-US", options);
+  if (!duration) return start;
+  const end = new Date((startTime + duration) * 1000).toLocaleTimeString(
+    "en-US",
+    options
+  );
+  return `${start} - ${end}`;
+};
+
+// AppointmentBooking.Schedule day order
+export const WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+// seconds after midnight <-> "HH:MM" for <input type="time">
+export const secondsToTime = (seconds) => {
+  const hours = String(Math.floor(seconds / 3600)).padStart(2, "0");
+  const minutes = String(Math.floor((seconds % 3600) / 60)).padStart(2, "0");
+  return `${hours}:${minutes}`;
+};
+
+export const timeToSeconds = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 3600 + minutes * 60;
+};
+
+// statuses -> the getters' status filter (bit 1 << status); none = any status
+export const statusMask = (...statuses) =>
+  statuses.reduce((mask, status) => mask | (1 << status), 0);
+
+// rows fetched per call to the paginated appointment getters
+export const PAGE_SIZE = 10;
+
+// yyyy-mm-dd of a date in local time, for <input type="date">
+export const toInputDate = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+};
+
+// "yyyy-mm-dd" from a date input -> day key, 0 when empty (no bound)
+export const inputToDateKey = (value, utcOffset) =>
+  value ? getDayKey(value, utcOffset) : 0;
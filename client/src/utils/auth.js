@@ -0,0 +1,14 @@
+import { ethers } from "ethers";
+
+// one-off nonce for a login challenge
+export const generateNonce = () => ethers.hexlify(ethers.randomBytes(16));
+
+// ask the connected wallet to sign the contract's login challenge for an id
+export const signLoginChallenge = async (contract, id) => {
+  const nonce = generateNonce();
+  const challenge = await contract.getLoginChallenge(id, nonce);
+  const signature = await contract.runner.signMessage(
+    ethers.getBytes(challenge)
+  );
+  return { nonce, signature };
+};
@@ -0,0 +1,66 @@
+// PatientRegistration.DelegateRole, in enum order (0 = None)
+export const DELEGATE_ROLE = {
+  GUARDIAN: 1,
+  CAREGIVER: 2,
+};
+
+export const DELEGATE_ROLE_LABELS = ["", "Guardian", "Caregiver"];
+
+// PatientRegistration permission bits
+export const PERMISSION = {
+  BOOK: 1,
+  UPLOAD: 2,
+  SHARE: 4,
+  VIEW: 8,
+};
+
+export const PERMISSION_LABELS = [
+  { value: PERMISSION.VIEW, label: "View records" },
+  { value: PERMISSION.BOOK, label: "Book appointments" },
+  { value: PERMISSION.UPLOAD, label: "Upload records" },
+  { value: PERMISSION.SHARE, label: "Share with doctors" },
+];
+
+// what the form pre-selects for each role; the patient can change it
+export const ROLE_DEFAULT_PERMISSIONS = {
+  [DELEGATE_ROLE.GUARDIAN]:
+    PERMISSION.VIEW | PERMISSION.BOOK | PERMISSION.UPLOAD | PERMISSION.SHARE,
+  [DELEGATE_ROLE.CAREGIVER]: PERMISSION.VIEW | PERMISSION.BOOK,
+};
+
+// no profile = the user's own account, where everything is allowed
+export const canAct = (profile, permission) =>
+  !profile || (profile.permissions & permission) === permission;
+
+// the patient pages act for: the switched-to profile, else the logged in patient
+export const selectPatientNumber = (state) =>
+  state.user.profile?.hhNumber ?? state.user.hhNumber;
+
+// PatientRegistration.Delegate proxy -> plain object
+export const parseDelegate = (d) => ({
+  patientNumber: d.patientNumber,
+  delegateNumber: d.delegateNumber,
+  role: Number(d.role),
+  permissions: Number(d.permissions),
+  grantedAt: new Date(Number(d.grantedAt) * 1000),
+});
+
+// patients the delegate can switch to, with the name and wallet their pages need
+export const fetchDelegations = async (patientContract, hhNumber) => {
+  const list = await patientContract.getDelegations(hhNumber);
+  return Promise.all(
+    list.map(async (d) => {
+      const delegation = parseDelegate(d);
+      const details = await patientContract.getPatientDetails(
+        delegation.patientNumber
+      );
+      return {
+        hhNumber: delegation.patientNumber,
+        name: details.name,
+        walletAddress: details.walletAddress,
+        role: delegation.role,
+        permissions: delegation.permissions,
+      };
+    })
+  );
+};
@@ -0,0 +1,92 @@
+// rows requested per call when walking a whole directory
+export const DIRECTORY_PAGE_SIZE = 50;
+
+// DoctorRegistration.VerificationStatus, in enum order
+export const VERIFICATION_STATUS = {
+  PENDING: 0,
+  VERIFIED: 1,
+  SUSPENDED: 2,
+  REVOKED: 3,
+};
+
+export const VERIFICATION_LABELS = [
+  "Pending verification",
+  "Verified",
+  "Suspended",
+  "Revoked",
+];
+
+// HospitalRegistry.HospitalStatus, in enum order
+export const HOSPITAL_STATUS = {
+  PENDING: 0,
+  APPROVED: 1,
+  REJECTED: 2,
+};
+
+// PharmacyRegistration.PharmacyStatus, in enum order
+export const PHARMACY_STATUS = {
+  PENDING: 0,
+  APPROVED: 1,
+  SUSPENDED: 2,
+};
+
+// DoctorRegistration.DoctorSummary proxy -> plain object
+export const parseDoctor = (d) => ({
+  name: d.name,
+  specialization: d.specialization,
+  licenseNumber: d.licenseNumber,
+  hospital: d.hospital,
+  hospitalId: Number(d.hospitalId),
+  department: d.department,
+  status: Number(d.status),
+});
+
+// lower-cased wallet -> doctor for the addresses that belong to registered doctors;
+// the directory leaves wallets out, so each one is looked up by getDoctorNumber
+export const fetchDoctorsByWallet = async (doctorContract, addresses) => {
+  const wallets = [...new Set(addresses.map((a) => a.toLowerCase()))];
+  const entries = await Promise.all(
+    wallets.map(async (wallet) => {
+      if (!(await doctorContract.isDoctorRegisteredAddress(wallet))) {
+        return null;
+      }
+      const licenseNumber = await doctorContract.getDoctorNumber(wallet);
+      const d = await doctorContract.getDoctorDetails(licenseNumber);
+      return [wallet, { ...parseDoctor(d), licenseNumber }];
+    })
+  );
+  return Object.fromEntries(entries.filter(Boolean));
+};
+
+// HospitalRegistry.Hospital proxy -> plain object
+export const parseHospital = (h) => ({
+  id: Number(h.id),
+  name: h.name,
+  location: h.location,
+  departments: Array.from(h.departments),
+  admins: Array.from(h.admins),
+  registeredAt: new Date(Number(h.registeredAt) * 1000),
+  status: Number(h.status),
+});
+
+// walk an (offset, limit) => [rows, total] getter until every row is fetched
+export const fetchAllPages = async (getPage) => {
+  let rows = [];
+  let total = 0;
+  let offset = 0;
+  do {
+    const [page, count] = await getPage(offset, DIRECTORY_PAGE_SIZE);
+    rows = rows.concat(Array.from(page));
+    total = Number(count);
+    offset += DIRECTORY_PAGE_SIZE;
+  } while (offset < total);
+  return rows;
+};
+
+// every approved hospital, for the directory and the hospital pickers
+export const fetchHospitals = async (hospitalContract) => {
+  const rows = await fetchAllPages((offset, limit) =>
+    hospitalContract.getHospitals(offset, limit)
+  );
+  return rows.map(parseHospital);
+};
@@ -0,0 +1,51 @@
+// add the doctor to the registries' patient/doctor lists (patient wallet only)
+export const grantDoctorPermission = async (
+  patientContract,
+  doctorContract,
+  patient,
+  doctor
+) => {
+  if (
+    !(await patientContract.isPermissionGranted(
+      patient.hhNumber,
+      doctor.licenseNumber
+    ))
+  ) {
+    const tx = await patientContract.grantPermission(
+      patient.hhNumber,
+      doctor.licenseNumber,
+      patient.name
+    );
+    await tx.wait();
+  }
+  if (
+    !(await doctorContract.isPermissionGranted(
+      doctor.licenseNumber,
+      patient.hhNumber
+    ))
+  ) {
+    const tx = await doctorContract.grantPermission(
+      doctor.licenseNumber,
+      patient.hhNumber,
+      doctor.name
+    );
+    await tx.wait();
+  }
+};
+
+// take the doctor off both lists again, skipping whichever was never granted
+export const revokeDoctorPermission = async (
+  patientContract,
+  doctorContract,
+  hhNumber,
+  licenseNumber
+) => {
+  if (await patientContract.isPermissionGranted(hhNumber, licenseNumber)) {
+    const tx = await patientContract.revokePermission(hhNumber, licenseNumber);
+    await tx.wait();
+  }
+  if (await doctorContract.isPermissionGranted(licenseNumber, hhNumber)) {
+    const tx = await doctorContract.revokePermission(licenseNumber, hhNumber);
+    await tx.wait();
+  }
+};
@@ -0,0 +1,111 @@
+export const FREQUENCIES = [
+  "Once a day",
+  "Twice a day",
+  "Three times a day",
+  "Four times a day",
+  "Every other day",
+  "Once a week",
+  "As needed",
+];
+
+// Prescription.FillStatus, in enum order
+export const FILL_STATUS = {
+  UNFILLED: 0,
+  PARTIALLY_FILLED: 1,
+  FILLED: 2,
+};
+
+export const FILL_STATUS_LABELS = [
+  "Not dispensed",
+  "Partially filled",
+  "Filled",
+];
+
+export const FILL_STATUS_STYLES = [
+  "bg-blue-100 text-blue-800",
+  "bg-yellow-100 text-yellow-800",
+  "bg-green-100 text-green-800",
+];
+
+// what a prescription's QR code carries; pharmacies scan it back into an id
+const QR_PREFIX = "lifeledger-prescription:";
+
+export const prescriptionQrValue = (id) => `${QR_PREFIX}${id}`;
+
+// scanned QR text or a typed id -> prescription id, or null when it is neither
+export const parsePrescriptionQr = (text) => {
+  const value = text.trim();
+  const id = value.startsWith(QR_PREFIX)
+    ? value.slice(QR_PREFIX.length)
+    : value;
+  return /^\d+$/.test(id) ? Number(id) : null;
+};
+
+export const EMPTY_MEDICATION = {
+  drug: "",
+  dosage: "",
+  frequency: FREQUENCIES[0],
+  durationDays: "",
+  quantity: "",
+  instructions: "",
+};
+
+// Prescription.Prescript proxy -> plain object
+export const parsePrescription = (p) => ({
+  id: Number(p.id),
+  appointmentId: Number(p.appointmentId),
+  patientHHNumber: p.patientHHNumber,
+  doctorLicenseNumber: p.doctorLicenseNumber,
+  issuer: p.issuer,
+  issuedAt: new Date(Number(p.issuedAt) * 1000),
+  notes: p.notes,
+  medications: p.medications.map((m) => ({
+    drug: m.drug,
+    dosage: m.dosage,
+    frequency: m.frequency,
+    durationDays: Number(m.durationDays),
+    quantity: Number(m.quantity),
+    instructions: m.instructions,
+  })),
+  dispensed: p.dispensed.map(Number),
+  fillStatus: Number(p.fillStatus),
+});
+
+// Prescription.Prescript proxies -> plain objects, newest first
+export const parsePrescriptions = (response) =>
+  Array.from(response).map(parsePrescription).reverse();
+
+// Prescription.Dispensing proxies -> plain objects, oldest first
+export const parseDispensings = (response) =>
+  response.map((d) => ({
+    pharmacyLicenseNumber: d.pharmacyLicenseNumber,
+    pharmacist: d.pharmacist,
+    quantities: d.quantities.map(Number),
+    dispensedAt: new Date(Number(d.dispensedAt) * 1000),
+  }));
+
+const isCount = (value) => Number.isInteger(Number(value)) && Number(value) > 0;
+
+// first problem with the medication rows, or null when they can be issued
+export const validateMedications = (rows) => {
+  for (const row of rows) {
+    if (!row.drug.trim() || !row.dosage.trim()) {
+      return "Every medication needs a drug name and dosage.";
+    }
+    if (!isCount(row.durationDays) || !isCount(row.quantity)) {
+      return "Duration and quantity must be whole numbers above zero.";
+    }
+  }
+  return null;
+};
+
+// form rows -> Prescription.Medication tuples
+export const toMedications = (rows) =>
+  rows.map((row) => ({
+    drug: row.drug.trim(),
+    dosage: row.dosage.trim(),
+    frequency: row.frequency,
+    durationDays: Number(row.durationDays),
+    quantity: Number(row.quantity),
+    instructions: row.instructions.trim(),
+  }));
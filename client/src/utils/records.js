@@ -0,0 +1,46 @@
+export const IPFS_GATEWAY = "https://gateway.pinata.cloud/ipfs/";
+
+export const RECORD_CATEGORIES = [
+  "Lab Report",
+  "Imaging",
+  "Prescription",
+  "Discharge Summary",
+  "Other",
+];
+
+// gateway link for a record's content hash
+export const recordUrl = (cid) => `${IPFS_GATEWAY}${cid}`;
+
+// Upload.display proxy -> plain record objects
+export const parseRecords = (response) =>
+  response.map((r) => ({
+    id: Number(r.id),
+    cid: r.cid,
+    title: r.title,
+    category: r.category,
+    mimeType: r.mimeType,
+    size: Number(r.size),
+    uploadedAt: new Date(Number(r.uploadedAt) * 1000),
+    uploader: r.uploader,
+  }));
+
+export const formatFileSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// windows a doctor can ask to see the records for (seconds, 0 = until revoked)
+export const ACCESS_DURATIONS = [
+  { value: 24 * 60 * 60, label: "1 day" },
+  { value: 7 * 24 * 60 * 60, label: "7 days" },
+  { value: 30 * 24 * 60 * 60, label: "30 days" },
+  { value: 0, label: "Until revoked" },
+];
+
+export const durationLabel = (seconds) =>
+  ACCESS_DURATIONS.find((d) => d.value === seconds)?.label ??
+  `${Math.round(seconds / (24 * 60 * 60))} days`;
+
+// Upload.RequestStatus
+export const REQUEST_STATUS = { PENDING: 0, APPROVED: 1, DENIED: 2 };
@@ -0,0 +1,20 @@
+export const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const SPECIALIZATIONS = [
+  "Cardiology",
+  "Neurology",
+  "Pediatrics",
+  "Oncology",
+  "Other",
+];
+
+// first problem with a profile form, or "" when it can be saved
+export const validateProfile = (fields) => {
+  if (Object.values(fields).some((value) => !value.trim())) {
+    return "Please fill in all the required fields.";
+  }
+  if ("email" in fields && !EMAIL_REGEX.test(fields.email)) {
+    return "Please enter a valid email address.";
+  }
+  return "";
+};
@@ -1,13 +1,50 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.26;
 
+interface IPatientRegistry {
+    function validateAddress(address _walletAddress, string memory _hhNumber) external view returns (bool);
+    function isDelegate(string memory _hhNumber, address _wallet, uint8 _permission) external view returns (bool);
+}
+
+interface IDoctorRegistry {
+    function validateAddress(address _walletAddress, string memory _licenseNumber) external view returns (bool);
+    function isDoctorVerified(string memory _licenseNumber) external view returns (bool);
+}
+
 contract AppointmentBooking {
+    enum Status { Booked, CheckedIn, Completed, NoShow, Cancelled }
+
     struct Appointment {
+        uint256 id; // index in appointments
         string patientHHNumber;
         string doctorHHNumber;
         uint256 date; // Represented as a simple uint (e.g., day number or timestamp's day)
+        uint256 startTime; // unix timestamp the visit starts at
+        uint256 duration; // seconds, a whole number of slots
+        Status status;
+    }
+
+    // Weekly hours are seconds after midnight in the doctor's timezone, indexed Sunday = 0; open == close means
+    // closed that day
+    struct Schedule {
+        bool configured;
+        uint256[7] openTimes;
+        uint256[7] closeTimes;
+        uint256 capacity; // appointments per day
+        uint256 slotLength; // seconds, a multiple of BOOKING_UNIT
+        int256 utcOffset; // seconds east of UTC; the doctor's day keys are midnights in this timezone
+    }
+
+    // Inclusive range of day keys the doctor takes no bookings on
+    struct Leave {
+        uint256 startDate;
+        uint256 endDate;
+        string reason;
     }
 
+    IPatientRegistry public patientRegistry;
+    IDoctorRegistry public doctorRegistry;
+
     // doctorHHNumber => date => patient count
     mapping(string => mapping(uint256 => uint256)) public doctorAppointmentsPerDay;
 
@@ -17,39 +54,434 @@ contract AppointmentBooking {
     // List of appointments
     Appointment[] public appointments;
 
+    // hhNumber / licenseNumber => ids of their appointments, in booking order
+    mapping(string => uint256[]) private patientAppointmentIds;
+    mapping(string => uint256[]) private doctorAppointmentIds;
+
+    // doctorHHNumber => booking unit index since the epoch => taken
+    mapping(string => mapping(uint256 => bool)) public slotBooked;
+
+    // licenseNumber => published schedule and leave blocks
+    mapping(string => Schedule) private schedules;
+    mapping(string => Leave[]) private leaves;
+
+    // Defaults for doctors who haven't published a schedule
     uint256 public constant MAX_APPOINTMENTS_PER_DAY = 10;
+    uint256 public constant SLOT_DURATION = 30 minutes;
+    uint256 public constant OPENING_HOUR = 9;
+    uint256 public constant CLOSING_HOUR = 17;
 
-    event AppointmentBooked(string patientHHNumber, string doctorHHNumber, uint256 date);
+    // Bookings are tracked in absolute 5 minute units (_startTime / BOOKING_UNIT), so a doctor can change
+    // slot length or timezone without clashing with existing appointments
+    uint256 public constant BOOKING_UNIT = 5 minutes;
 
-    function bookAppointment(string memory _patientHHNumber, string memory _doctorHHNumber, uint256 _date) external {
-        // Check if the patient has already booked an appointment with the doctor for this day
-        require(!hasBookedAppointment[_patientHHNumber][_doctorHHNumber][_date], "Already booked for today with this doctor");
+    // PatientRegistration.PERMISSION_BOOK - guardians / caregivers allowed to book for the patient
+    uint8 private constant PERMISSION_BOOK = 1;
+
+    event AppointmentBooked(string patientHHNumber, string doctorHHNumber, uint256 date, uint256 startTime, uint256 duration);
+    event AppointmentCancelled(uint256 indexed id, address cancelledBy);
+    event AppointmentRescheduled(uint256 indexed id, uint256 date, uint256 startTime, uint256 duration);
+    event AppointmentStatusChanged(uint256 indexed id, Status status);
+    event ScheduleUpdated(string licenseNumber);
+    event LeaveAdded(string licenseNumber, uint256 startDate, uint256 endDate);
+    event LeaveRemoved(string licenseNumber, uint256 startDate, uint256 endDate);
+
+    constructor(address _patientRegistry, address _doctorRegistry) {
+        patientRegistry = IPatientRegistry(_patientRegistry);
+        doctorRegistry = IDoctorRegistry(_doctorRegistry);
+    }
+
+    // Only the patient (or a delegate allowed to book), or the doctor of an appointment may change it
+    modifier onlyParticipant(uint256 _id) {
+        require(_id < appointments.length, "Appointment does not exist");
+        Appointment storage appointment = appointments[_id];
+        require(
+            isPatientOrDelegate(appointment.patientHHNumber) ||
+                doctorRegistry.validateAddress(msg.sender, appointment.doctorHHNumber),
+            "Only the patient or doctor can change this appointment"
+        );
+        require(appointment.status == Status.Booked, "Appointment can no longer be changed");
+        require(appointment.startTime > block.timestamp, "Appointment has already started");
+        _;
+    }
+
+    modifier onlyScheduleOwner(string memory _licenseNumber) {
+        require(doctorRegistry.validateAddress(msg.sender, _licenseNumber), "Only the doctor can edit this schedule");
+        _;
+    }
+
+    // Visit progress is recorded by the appointment's doctor only
+    modifier onlyDoctor(uint256 _id) {
+        require(_id < appointments.length, "Appointment does not exist");
+        require(doctorRegistry.validateAddress(msg.sender, appointments[_id].doctorHHNumber), "Only the doctor can update this appointment");
+        _;
+    }
 
-        // Check if the doctor has slots available
-        require(doctorAppointmentsPerDay[_doctorHHNumber][_date] < MAX_APPOINTMENTS_PER_DAY, "Doctor has reached daily appointment limit");
+    function bookAppointment(
+        string memory _patientHHNumber,
+        string memory _doctorHHNumber,
+        uint256 _date,
+        uint256 _startTime,
+        uint256 _duration
+    ) external {
+        require(isPatientOrDelegate(_patientHHNumber), "Only the patient or their delegate can book");
+        reserve(_patientHHNumber, _doctorHHNumber, _date, _startTime, _duration);
 
         // Book the appointment
+        uint256 id = appointments.length;
+        patientAppointmentIds[_patientHHNumber].push(id);
+        doctorAppointmentIds[_doctorHHNumber].push(id);
         appointments.push(Appointment({
+            id: id,
             patientHHNumber: _patientHHNumber,
             doctorHHNumber: _doctorHHNumber,
-            date: _date
+            date: _date,
+            startTime: _startTime,
+            duration: _duration,
+            status: Status.Booked
         }));
 
+        emit AppointmentBooked(_patientHHNumber, _doctorHHNumber, _date, _startTime, _duration);
+    }
+
+    function cancelAppointment(uint256 _id) external onlyParticipant(_id) {
+        Appointment storage appointment = appointments[_id];
+        release(appointment);
+        appointment.status = Status.Cancelled;
+
+        emit AppointmentCancelled(_id, msg.sender);
+        emit AppointmentStatusChanged(_id, Status.Cancelled);
+    }
+
+    function checkIn(uint256 _id) external onlyDoctor(_id) {
+        require(appointments[_id].status == Status.Booked, "Only booked appointments can be checked in");
+        setStatus(_id, Status.CheckedIn);
+    }
+
+    function completeAppointment(uint256 _id) external onlyDoctor(_id) {
+        require(appointments[_id].status == Status.CheckedIn, "Patient has not checked in");
+        setStatus(_id, Status.Completed);
+    }
+
+    function markNoShow(uint256 _id) external onlyDoctor(_id) {
+        require(appointments[_id].status == Status.Booked, "Only booked appointments can be marked as no-show");
+        require(block.timestamp >= appointments[_id].startTime, "Appointment has not started yet");
+        setStatus(_id, Status.NoShow);
+    }
+
+    // Moves an appointment to a new slot; the old slot is freed first so it can be moved within the same day
+    function rescheduleAppointment(uint256 _id, uint256 _date, uint256 _startTime, uint256 _duration) external onlyParticipant(_id) {
+        Appointment storage appointment = appointments[_id];
+        release(appointment);
+        reserve(appointment.patientHHNumber, appointment.doctorHHNumber, _date, _startTime, _duration);
+
+        appointment.date = _date;
+        appointment.startTime = _startTime;
+        appointment.duration = _duration;
+
+        emit AppointmentRescheduled(_id, _date, _startTime, _duration);
+    }
+
+    function setSchedule(
+        string memory _licenseNumber,
+        uint256[7] memory _openTimes,
+        uint256[7] memory _closeTimes,
+        uint256 _capacity,
+        uint256 _slotLength,
+        int256 _utcOffset
+    ) external onlyScheduleOwner(_licenseNumber) {
+        require(_capacity > 0, "Capacity must be at least one");
+        require(_utcOffset >= -12 hours && _utcOffset <= 14 hours, "Invalid timezone offset");
+        require(_utcOffset % int256(BOOKING_UNIT) == 0, "Timezone offset must be a multiple of 5 minutes");
+        require(_slotLength > 0 && _slotLength % BOOKING_UNIT == 0, "Slot length must be a multiple of 5 minutes");
+        for (uint256 i = 0; i < 7; i++) {
+            require(_openTimes[i] <= _closeTimes[i] && _closeTimes[i] <= 1 days, "Invalid working hours");
+            require(_openTimes[i] % BOOKING_UNIT == 0, "Opening time must be a multiple of 5 minutes");
+        }
+
+        schedules[_licenseNumber] = Schedule({
+            configured: true,
+            openTimes: _openTimes,
+            closeTimes: _closeTimes,
+            capacity: _capacity,
+            slotLength: _slotLength,
+            utcOffset: _utcOffset
+        });
+
+        emit ScheduleUpdated(_licenseNumber);
+    }
+
+    // The doctor's schedule, or the defaults (in UTC) if none has been published
+    function getSchedule(string memory _licenseNumber) public view returns (Schedule memory) {
+        if (schedules[_licenseNumber].configured) {
+            return schedules[_licenseNumber];
+        }
+
+        Schedule memory schedule;
+        for (uint256 i = 0; i < 7; i++) {
+            schedule.openTimes[i] = OPENING_HOUR * 1 hours;
+            schedule.closeTimes[i] = CLOSING_HOUR * 1 hours;
+        }
+        schedule.capacity = MAX_APPOINTMENTS_PER_DAY;
+        schedule.slotLength = SLOT_DURATION;
+        return schedule;
+    }
+
+    function addLeave(string memory _licenseNumber, uint256 _startDate, uint256 _endDate, string memory _reason)
+        external
+        onlyScheduleOwner(_licenseNumber)
+    {
+        require(_startDate <= _endDate, "Leave must end on or after its start");
+        leaves[_licenseNumber].push(Leave(_startDate, _endDate, _reason));
+
+        emit LeaveAdded(_licenseNumber, _startDate, _endDate);
+    }
+
+    function removeLeave(string memory _licenseNumber, uint256 _index) external onlyScheduleOwner(_licenseNumber) {
+        Leave[] storage list = leaves[_licenseNumber];
+        require(_index < list.length, "Leave does not exist");
+        Leave memory removed = list[_index];
+        list[_index] = list[list.length - 1];
+        list.pop();
+
+        emit LeaveRemoved(_licenseNumber, removed.startDate, removed.endDate);
+    }
+
+    function getLeaves(string memory _licenseNumber) external view returns (Leave[] memory) {
+        return leaves[_licenseNumber];
+    }
+
+    function isOnLeave(string memory _licenseNumber, uint256 _date) public view returns (bool) {
+        Leave[] storage list = leaves[_licenseNumber];
+        for (uint256 i = 0; i < list.length; i++) {
+            if (_date >= list[i].startDate && _date <= list[i].endDate) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Day of the week of a day key in a timezone _utcOffset seconds east of UTC; 1 Jan 1970 was a Thursday
+    function weekday(uint256 _date, int256 _utcOffset) public pure returns (uint256) {
+        return (uint256(int256(_date) + _utcOffset) / 1 days + 4) % 7;
+    }
+
+    function setStatus(uint256 _id, Status _status) private {
+        appointments[_id].status = _status;
+        emit AppointmentStatusChanged(_id, _status);
+    }
+
+    // Checks a booking request and takes the doctor's capacity and slots for it; booking and rescheduling both
+    // need a doctor who is still verified
+    function reserve(
+        string memory _patientHHNumber,
+        string memory _doctorHHNumber,
+        uint256 _date,
+        uint256 _startTime,
+        uint256 _duration
+    ) private {
+        require(doctorRegistry.isDoctorVerified(_doctorHHNumber), "Doctor is not verified");
+
+        // The day key is the one midnight in the doctor's timezone before the start time, so the
+        // daily limits below can't be dodged by shifting it
+        Schedule memory schedule = getSchedule(_doctorHHNumber);
+        require(isDayKey(_date, schedule.utcOffset), "Date must be a midnight in the doctor's timezone");
+        require(_startTime >= _date && _startTime < _date + 1 days, "Start time must fall on the booked day");
+
+        // Check if the patient has already booked an appointment with the doctor for this day
+        require(!hasBookedAppointment[_patientHHNumber][_doctorHHNumber][_date], "Already booked for today with this doctor");
+
+        uint256 day = weekday(_date, schedule.utcOffset);
+        uint256 opensAt = _date + schedule.openTimes[day];
+        uint256 closesAt = _date + schedule.closeTimes[day];
+
+        // Check if the doctor is working that day and has slots available
+        require(!isOnLeave(_doctorHHNumber, _date), "Doctor is on leave that day");
+        require(doctorAppointmentsPerDay[_doctorHHNumber][_date] < schedule.capacity, "Doctor has reached daily appointment limit");
+
+        // Check the requested time fits the doctor's free slots
+        require(_startTime > block.timestamp, "Appointment time has already passed");
+        require(_duration > 0 && _duration % schedule.slotLength == 0, "Duration must be a whole number of slots");
+        require(
+            _startTime >= opensAt && _startTime + _duration <= closesAt,
+            "Appointment must be within opening hours"
+        );
+        require((_startTime - opensAt) % schedule.slotLength == 0, "Start time must be on a slot boundary");
+        require(isSlotAvailable(_doctorHHNumber, _startTime, _duration), "Slot is already booked");
+
         // Update mappings
         hasBookedAppointment[_patientHHNumber][_doctorHHNumber][_date] = true;
         doctorAppointmentsPerDay[_doctorHHNumber][_date] += 1;
+        setSlots(_doctorHHNumber, _startTime, _duration, true);
+    }
+
+    function isDayKey(uint256 _date, int256 _utcOffset) private pure returns (bool) {
+        return (int256(_date) + _utcOffset) % 1 days == 0;
+    }
 
-        emit AppointmentBooked(_patientHHNumber, _doctorHHNumber, _date);
+    function isPatientOrDelegate(string memory _patientHHNumber) private view returns (bool) {
+        return patientRegistry.validateAddress(msg.sender, _patientHHNumber) ||
+            patientRegistry.isDelegate(_patientHHNumber, msg.sender, PERMISSION_BOOK);
     }
 
-    function getAppointments() external view returns (Appointment[] memory) {
-        return appointments;
+    // Gives back the capacity and slots an appointment was holding
+    function release(Appointment storage _appointment) private {
+        hasBookedAppointment[_appointment.patientHHNumber][_appointment.doctorHHNumber][_appointment.date] = false;
+        doctorAppointmentsPerDay[_appointment.doctorHHNumber][_appointment.date] -= 1;
+        setSlots(_appointment.doctorHHNumber, _appointment.startTime, _appointment.duration, false);
+    }
+
+    function setSlots(string memory _doctorHHNumber, uint256 _startTime, uint256 _duration, bool _booked) private {
+        uint256 firstUnit = _startTime / BOOKING_UNIT;
+        for (uint256 i = 0; i < _duration / BOOKING_UNIT; i++) {
+            slotBooked[_doctorHHNumber][firstUnit + i] = _booked;
+        }
+    }
+
+    function isSlotAvailable(string memory _doctorHHNumber, uint256 _startTime, uint256 _duration) public view returns (bool) {
+        if (_duration == 0) {
+            return false;
+        }
+        uint256 firstUnit = _startTime / BOOKING_UNIT;
+        uint256 lastUnit = (_startTime + _duration - 1) / BOOKING_UNIT;
+        for (uint256 unit = firstUnit; unit <= lastUnit; unit++) {
+            if (slotBooked[_doctorHHNumber][unit]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Start times of the free slots within the doctor's hours for a day; none on leave days, once the day is full
+    // or when _date isn't a day key of the doctor
+    function getAvailableSlots(string memory _doctorHHNumber, uint256 _date) external view returns (uint256[] memory) {
+        Schedule memory schedule = getSchedule(_doctorHHNumber);
+        if (
+            !isDayKey(_date, schedule.utcOffset) ||
+            isOnLeave(_doctorHHNumber, _date) ||
+            doctorAppointmentsPerDay[_doctorHHNumber][_date] >= schedule.capacity
+        ) {
+            return new uint256[](0);
+        }
+
+        uint256 day = weekday(_date, schedule.utcOffset);
+        uint256 opensAt = _date + schedule.openTimes[day];
+        uint256 closesAt = _date + schedule.closeTimes[day];
+
+        uint256 count = 0;
+        for (uint256 start = opensAt; start + schedule.slotLength <= closesAt; start += schedule.slotLength) {
+            if (isSlotAvailable(_doctorHHNumber, start, schedule.slotLength)) {
+                count++;
+            }
+        }
+
+        uint256[] memory slots = new uint256[](count);
+        uint256 index = 0;
+        for (uint256 start = opensAt; start + schedule.slotLength <= closesAt; start += schedule.slotLength) {
+            if (isSlotAvailable(_doctorHHNumber, start, schedule.slotLength)) {
+                slots[index++] = start;
+            }
+        }
+        return slots;
+    }
+
+    // A page of the patient's appointments whose day falls in [_fromDate, _toDate] (_toDate = 0: no upper bound)
+    // and whose status is in _statuses (bit 1 << Status; 0: any status), plus the total number of matches for paging
+    function getPatientAppointments(
+        string memory _patientHHNumber,
+        uint256 _fromDate,
+        uint256 _toDate,
+        uint256 _statuses,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (Appointment[] memory, uint256) {
+        return pageOf(patientAppointmentIds[_patientHHNumber], _fromDate, _toDate, _statuses, _offset, _limit);
+    }
+
+    function getDoctorAppointments(
+        string memory _doctorHHNumber,
+        uint256 _fromDate,
+        uint256 _toDate,
+        uint256 _statuses,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (Appointment[] memory, uint256) {
+        return pageOf(doctorAppointmentIds[_doctorHHNumber], _fromDate, _toDate, _statuses, _offset, _limit);
+    }
+
+    function pageOf(
+        uint256[] storage _ids,
+        uint256 _fromDate,
+        uint256 _toDate,
+        uint256 _statuses,
+        uint256 _offset,
+        uint256 _limit
+    ) private view returns (Appointment[] memory, uint256) {
+        uint256 total = 0;
+        for (uint256 i = 0; i < _ids.length; i++) {
+            if (matches(appointments[_ids[i]], _fromDate, _toDate, _statuses)) {
+                total++;
+            }
+        }
+
+        uint256 size = 0;
+        if (_offset < total) {
+            size = total - _offset < _limit ? total - _offset : _limit;
+        }
+
+        Appointment[] memory page = new Appointment[](size);
+        uint256 matched = 0;
+        uint256 index = 0;
+        for (uint256 i = 0; i < _ids.length && index < size; i++) {
+            Appointment storage appointment = appointments[_ids[i]];
+            if (!matches(appointment, _fromDate, _toDate, _statuses)) {
+                continue;
+            }
+            if (matched >= _offset) {
+                page[index++] = appointment;
+            }
+            matched++;
+        }
+        return (page, total);
+    }
+
+    function matches(Appointment storage _appointment, uint256 _fromDate, uint256 _toDate, uint256 _statuses)
+        private
+        view
+        returns (bool)
+    {
+        return _appointment.date >= _fromDate &&
+            (_toDate == 0 || _appointment.date <= _toDate) &&
+            (_statuses == 0 || _statuses & (1 << uint256(_appointment.status)) != 0);
     }
 
     function getDoctorAppointmentsCount(string memory _doctorHHNumber, uint256 _date) external view returns (uint256) {
         return doctorAppointmentsPerDay[_doctorHHNumber][_date];
     }
 
+    // Appointment ids run from 0 to this count - 1
+    function getAppointmentCount() external view returns (uint256) {
+        return appointments.length;
+    }
+
+    // Start time of the latest completed visit between a patient and a doctor, 0 if they never met
+    function getLastVisit(string memory _patientHHNumber, string memory _doctorHHNumber) external view returns (uint256) {
+        uint256[] storage ids = patientAppointmentIds[_patientHHNumber];
+        bytes32 doctor = keccak256(abi.encodePacked(_doctorHHNumber));
+        uint256 last = 0;
+        for (uint256 i = 0; i < ids.length; i++) {
+            Appointment storage appointment = appointments[ids[i]];
+            if (
+                appointment.status == Status.Completed &&
+                appointment.startTime > last &&
+                keccak256(abi.encodePacked(appointment.doctorHHNumber)) == doctor
+            ) {
+                last = appointment.startTime;
+            }
+        }
+        return last;
+    }
+
     function isAlreadyBooked(string memory _patientHHNumber, string memory _doctorHHNumber, uint256 _date) external view returns (bool) {
         return hasBookedAppointment[_patientHHNumber][_doctorHHNumber][_date];
     }
@@ -1,7 +1,25 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.26;
 
+import "./EmailValidator.sol";
+import "./SignatureVerifier.sol";
+
+interface IPatientRegistry {
+    function validateAddress(address _walletAddress, string memory _hhNumber) external view returns (bool);
+    function isDelegate(string memory _hhNumber, address _wallet, uint8 _permission) external view returns (bool);
+}
+
+interface IHospitalRegistry {
+    function hasDepartment(uint256 _hospitalId, string memory _department) external view returns (bool);
+    function getHospitalName(uint256 _hospitalId) external view returns (string memory);
+    function isHospitalAdmin(uint256 _hospitalId, address _wallet) external view returns (bool);
+}
+
 contract DoctorRegistration {
+    // Registering or moving hospital is a request to join it; an admin of that hospital accepts the doctor
+    // by verifying the license. Only verified doctors can be booked or shared with
+    enum VerificationStatus { Pending, Verified, Suspended, Revoked }
+
     struct Doctor {
         address walletAddress;
         string name;
@@ -11,8 +29,22 @@ contract DoctorRegistration {
         string specialization;
         string licenseNumber; // string licenseNumber
         string email;
+        string hospital; // name from the HospitalRegistry, kept for display
+        uint256 hospitalId;
+        string department;
+        VerificationStatus status;
+    }
+
+    // Directory entry - keeps listings short. The wallet and email are not hidden: getDoctorDetails returns
+    // them for any license number, since sharing records needs the doctor's wallet
+    struct DoctorSummary {
+        string name;
+        string specialization;
+        string licenseNumber;
         string hospital;
-        string password; // for simple login
+        uint256 hospitalId;
+        string department;
+        VerificationStatus status;
     }
 
     // Preeti Code
@@ -23,14 +55,71 @@ contract DoctorRegistration {
 
     mapping(string => bool) public isDoctorRegistered;
     mapping(address => bool) public isDoctorRegisteredAddress;
-    mapping(string => Doctor) public doctors;
+    mapping(string => Doctor) private doctors;
     string[] public registeredDoctorNumbers; // << ADDED: track reg numbers
+    mapping(address => string) private doctorNumberByWallet;
+    mapping(uint256 => string[]) private hospitalDoctorNumbers;
+    mapping(uint256 => string[]) private verifiedDoctorNumbers; // the hospital's public directory
+    mapping(string => bool) public emergencyAccessApproved; // set by the hospital's admins
+    // Wallet rotation / recovery
+    mapping(string => address) public recoveryAddress;
+    mapping(string => address[]) private previousWallets;
+    mapping(address => address) public successorOf;
     // Preeti Code
     mapping(string => DoctorList[]) private Ppermission;
     mapping(string => mapping(string => bool)) public patientPermissions;
+    IPatientRegistry public patientRegistry;
+    IHospitalRegistry public hospitalRegistry;
 
     // Preeti Code
     event DoctorRegistered(string licenseNumber, string name, address walletAddress);
+    event PermissionGranted(string doctorNumber, string patientNumber);
+    event PermissionRevoked(string doctorNumber, string patientNumber);
+    event DoctorProfileUpdated(string licenseNumber, string name, string specialization, string email, uint256 hospitalId, string department);
+    event RecoveryAddressSet(string licenseNumber, address recoveryAddress);
+    event WalletChanged(string licenseNumber, address oldWallet, address newWallet);
+    event VerificationStatusChanged(string licenseNumber, VerificationStatus status, address admin);
+    event DoctorDepartmentChanged(string licenseNumber, string department, address admin);
+    event EmergencyAccessApprovalChanged(string licenseNumber, bool approved, address admin);
+
+    constructor(address _patientRegistry, address _hospitalRegistry) {
+        patientRegistry = IPatientRegistry(_patientRegistry);
+        hospitalRegistry = IHospitalRegistry(_hospitalRegistry);
+    }
+
+    // PatientRegistration.PERMISSION_SHARE
+    uint8 private constant PERMISSION_SHARE = 4;
+
+    // Only the wallet registered to the patient, or a delegate allowed to share, may change who sees their data
+    modifier onlyPatient(string memory _patientNumber) {
+        require(
+            patientRegistry.validateAddress(msg.sender, _patientNumber) ||
+                patientRegistry.isDelegate(_patientNumber, msg.sender, PERMISSION_SHARE),
+            "Caller is not the patient"
+        );
+        _;
+    }
+
+    modifier onlyDoctor(string memory _licenseNumber) {
+        require(isDoctorRegistered[_licenseNumber], "Doctor not registered");
+        require(msg.sender == doctors[_licenseNumber].walletAddress, "Caller is not the doctor");
+        _;
+    }
+
+    modifier onlyHospitalAdmin(string memory _licenseNumber) {
+        require(isDoctorRegistered[_licenseNumber], "Doctor not registered");
+        require(
+            hospitalRegistry.isHospitalAdmin(doctors[_licenseNumber].hospitalId, msg.sender),
+            "Caller is not an admin of the doctor's hospital"
+        );
+        _;
+    }
+
+    // The department must exist in the registered hospital; returns the hospital's name
+    function hospitalNameOf(uint256 _hospitalId, string memory _department) private view returns (string memory) {
+        require(hospitalRegistry.hasDepartment(_hospitalId, _department), "Department not found in hospital");
+        return hospitalRegistry.getHospitalName(_hospitalId);
+    }
 
     function registerDoctor(
         address _walletAddress,
@@ -41,9 +130,10 @@ contract DoctorRegistration {
         string memory _specialization,
         string memory _licenseNumber, //licenseNumber
         string memory _email,
-        string memory _hospital,
-        string memory _password
+        uint256 _hospitalId,
+        string memory _department
     ) external {
+        require(msg.sender == _walletAddress, "Register from the wallet being registered");
         require(!isDoctorRegistered[_licenseNumber], "Doctor already registered with this license number");
         require(!isDoctorRegisteredAddress[_walletAddress], "Doctor already registered with this address");
 
@@ -56,14 +146,18 @@ contract DoctorRegistration {
             specialization: _specialization,
             licenseNumber: _licenseNumber, // licenseNumber
             email: _email,
-            hospital: _hospital,
-            password: _password
+            hospital: hospitalNameOf(_hospitalId, _department),
+            hospitalId: _hospitalId,
+            department: _department,
+            status: VerificationStatus.Pending
         });
 
         doctors[_licenseNumber] = newDoctor; // licenseNumber
         isDoctorRegistered[_licenseNumber] = true; // licenseNumber
         isDoctorRegisteredAddress[_walletAddress] = true;
         registeredDoctorNumbers.push(_licenseNumber); // << push license number
+        doctorNumberByWallet[_walletAddress] = _licenseNumber;
+        hospitalDoctorNumbers[_hospitalId].push(_licenseNumber);
 
         emit DoctorRegistered(_licenseNumber, _name, _walletAddress); // licenseNumber
     }
@@ -73,25 +167,238 @@ contract DoctorRegistration {
         return isDoctorRegistered[_licenseNumber]; // licenseNumber
     }
 
-    function validatePassword(string memory _licenseNumber, string memory _password) external view returns (bool) {
+    // Challenge the doctor's wallet signs to log in
+    function getLoginChallenge(string memory _licenseNumber, string memory _nonce) external view returns (bytes32) {
+        return SignatureVerifier.loginChallenge(address(this), _licenseNumber, _nonce);
+    }
+
+    // Validate a signed login challenge against the doctor's registered wallet
+    function validateSignature(string memory _licenseNumber, string memory _nonce, bytes memory _signature) external view returns (bool) {
         require(isDoctorRegistered[_licenseNumber], "Doctor not registered");
-        return keccak256(abi.encodePacked(_password)) == keccak256(abi.encodePacked(doctors[_licenseNumber].password));
-    } // hhNumber -> licenseNumber
+        bytes32 challenge = SignatureVerifier.loginChallenge(address(this), _licenseNumber, _nonce);
+        return SignatureVerifier.recoverSigner(challenge, _signature) == doctors[_licenseNumber].walletAddress;
+    }
 
     function validateAddress(address _walletAddress, string memory _licenseNumber) external view returns (bool) {
         require(isDoctorRegistered[_licenseNumber], "Doctor not registered");
         return _walletAddress == doctors[_licenseNumber].walletAddress;
     }
 
-    function getAllDoctors() external view returns (Doctor[] memory) {
-        uint count = registeredDoctorNumbers.length;
-        Doctor[] memory doctorList = new Doctor[](count);
+    // A page of the doctor directory plus the total number of doctors
+    function getDoctors(uint256 _offset, uint256 _limit) external view returns (DoctorSummary[] memory, uint256) {
+        return (pageOf(registeredDoctorNumbers, _offset, _limit), registeredDoctorNumbers.length);
+    }
+
+    // Every doctor who asked to join the hospital, whatever their status - for its admins
+    function getDoctorsByHospital(uint256 _hospitalId, uint256 _offset, uint256 _limit) external view returns (DoctorSummary[] memory, uint256) {
+        string[] storage numbers = hospitalDoctorNumbers[_hospitalId];
+        return (pageOf(numbers, _offset, _limit), numbers.length);
+    }
+
+    // A page of the hospital's verified doctors in _department ("" = every department), plus the number of matches
+    function getVerifiedDoctorsByHospital(uint256 _hospitalId, string memory _department, uint256 _offset, uint256 _limit)
+        external
+        view
+        returns (DoctorSummary[] memory, uint256)
+    {
+        string[] storage numbers = verifiedDoctorNumbers[_hospitalId];
+        if (bytes(_department).length == 0) {
+            return (pageOf(numbers, _offset, _limit), numbers.length);
+        }
+
+        bytes32 department = keccak256(bytes(_department));
+        uint256 total = 0;
+        for (uint256 i = 0; i < numbers.length; i++) {
+            if (keccak256(bytes(doctors[numbers[i]].department)) == department) {
+                total++;
+            }
+        }
+
+        uint256 size = 0;
+        if (_offset < total) {
+            size = total - _offset < _limit ? total - _offset : _limit;
+        }
+
+        DoctorSummary[] memory page = new DoctorSummary[](size);
+        uint256 matched = 0;
+        uint256 index = 0;
+        for (uint256 i = 0; i < numbers.length && index < size; i++) {
+            if (keccak256(bytes(doctors[numbers[i]].department)) != department) {
+                continue;
+            }
+            if (matched >= _offset) {
+                page[index++] = summaryOf(numbers[i]);
+            }
+            matched++;
+        }
+        return (page, total);
+    }
+
+    // License number registered to a wallet
+    function getDoctorNumber(address _walletAddress) external view returns (string memory) {
+        require(isDoctorRegisteredAddress[_walletAddress], "Doctor not registered");
+        return doctorNumberByWallet[_walletAddress];
+    }
+
+    function pageOf(string[] storage _numbers, uint256 _offset, uint256 _limit) private view returns (DoctorSummary[] memory) {
+        uint256 size = 0;
+        if (_offset < _numbers.length) {
+            size = _numbers.length - _offset < _limit ? _numbers.length - _offset : _limit;
+        }
+
+        DoctorSummary[] memory page = new DoctorSummary[](size);
+        for (uint256 i = 0; i < size; i++) {
+            page[i] = summaryOf(_numbers[_offset + i]);
+        }
+        return page;
+    }
+
+    function summaryOf(string storage _licenseNumber) private view returns (DoctorSummary memory) {
+        Doctor storage doctor = doctors[_licenseNumber];
+        return DoctorSummary(
+            doctor.name,
+            doctor.specialization,
+            doctor.licenseNumber,
+            doctor.hospital,
+            doctor.hospitalId,
+            doctor.department,
+            doctor.status
+        );
+    }
+
+    // Drops a number from a list (order is not kept)
+    function removeNumber(string[] storage _list, string memory _number) private {
+        for (uint i = 0; i < _list.length; i++) {
+            if (keccak256(bytes(_list[i])) == keccak256(bytes(_number))) {
+                _list[i] = _list[_list.length - 1];
+                _list.pop();
+                break;
+            }
+        }
+    }
+
+    function updateDoctorProfile(
+        string memory _licenseNumber,
+        string memory _name,
+        string memory _specialization,
+        string memory _email,
+        uint256 _hospitalId,
+        string memory _department
+    ) external onlyDoctor(_licenseNumber) {
+        require(
+            bytes(_name).length > 0 && bytes(_specialization).length > 0 && bytes(_email).length > 0,
+            "Profile fields cannot be empty"
+        );
+        require(EmailValidator.isValidEmail(_email), "Invalid email address");
+        string memory hospitalName = hospitalNameOf(_hospitalId, _department);
 
-        for (uint i = 0; i < count; i++) {
-            doctorList[i] = doctors[registeredDoctorNumbers[i]];
+        Doctor storage doctor = doctors[_licenseNumber];
+        if (doctor.hospitalId != _hospitalId) {
+            // Move the doctor to the new hospital's list
+            removeNumber(hospitalDoctorNumbers[doctor.hospitalId], _licenseNumber);
+            hospitalDoctorNumbers[_hospitalId].push(_licenseNumber);
+            // The new hospital verifies the license and approves emergency access again;
+            // a suspension or revocation stays
+            if (emergencyAccessApproved[_licenseNumber]) {
+                emergencyAccessApproved[_licenseNumber] = false;
+                emit EmergencyAccessApprovalChanged(_licenseNumber, false, msg.sender);
+            }
+            if (doctor.status == VerificationStatus.Verified) {
+                removeNumber(verifiedDoctorNumbers[doctor.hospitalId], _licenseNumber);
+                doctor.status = VerificationStatus.Pending;
+                emit VerificationStatusChanged(_licenseNumber, VerificationStatus.Pending, msg.sender);
+            }
         }
+        doctor.name = _name;
+        doctor.specialization = _specialization;
+        doctor.email = _email;
+        doctor.hospital = hospitalName;
+        doctor.hospitalId = _hospitalId;
+        doctor.department = _department;
+
+        emit DoctorProfileUpdated(_licenseNumber, _name, _specialization, _email, _hospitalId, _department);
+    }
+
+    function setVerificationStatus(string memory _licenseNumber, VerificationStatus _status) external onlyHospitalAdmin(_licenseNumber) {
+        Doctor storage doctor = doctors[_licenseNumber];
+        require(_status != VerificationStatus.Pending, "Invalid verification status");
+        require(doctor.status != _status, "Status unchanged");
+
+        if (doctor.status == VerificationStatus.Verified) {
+            removeNumber(verifiedDoctorNumbers[doctor.hospitalId], _licenseNumber);
+        } else if (_status == VerificationStatus.Verified) {
+            verifiedDoctorNumbers[doctor.hospitalId].push(_licenseNumber);
+        }
+        doctor.status = _status;
+        emit VerificationStatusChanged(_licenseNumber, _status, msg.sender);
+    }
+
+    // Moves the doctor to another department of the same hospital
+    function setDoctorDepartment(string memory _licenseNumber, string memory _department) external onlyHospitalAdmin(_licenseNumber) {
+        Doctor storage doctor = doctors[_licenseNumber];
+        require(hospitalRegistry.hasDepartment(doctor.hospitalId, _department), "Department not found in hospital");
+
+        doctor.department = _department;
+        emit DoctorDepartmentChanged(_licenseNumber, _department, msg.sender);
+    }
+
+    // Lets the doctor use break-glass access in Upload; only verified doctors can be approved
+    function setEmergencyAccessApproval(string memory _licenseNumber, bool _approved) external onlyHospitalAdmin(_licenseNumber) {
+        require(!_approved || isDoctorVerified(_licenseNumber), "Doctor is not verified");
+        require(emergencyAccessApproved[_licenseNumber] != _approved, "Approval unchanged");
 
-        return doctorList;
+        emergencyAccessApproved[_licenseNumber] = _approved;
+        emit EmergencyAccessApprovalChanged(_licenseNumber, _approved, msg.sender);
+    }
+
+    // A suspension or revocation also pauses the approval
+    function canUseEmergencyAccess(address _walletAddress) external view returns (bool) {
+        string memory licenseNumber = doctorNumberByWallet[_walletAddress];
+        return isDoctorRegisteredAddress[_walletAddress] && isDoctorVerified(licenseNumber) && emergencyAccessApproved[licenseNumber];
+    }
+
+    function isDoctorVerified(string memory _licenseNumber) public view returns (bool) {
+        return isDoctorRegistered[_licenseNumber] && doctors[_licenseNumber].status == VerificationStatus.Verified;
+    }
+
+    function isVerifiedDoctorAddress(address _walletAddress) external view returns (bool) {
+        return isDoctorRegisteredAddress[_walletAddress] && isDoctorVerified(doctorNumberByWallet[_walletAddress]);
+    }
+
+    // A second wallet that can move the doctor to a new wallet if this key is lost
+    function setRecoveryAddress(string memory _licenseNumber, address _recoveryAddress) external onlyDoctor(_licenseNumber) {
+        require(_recoveryAddress != msg.sender, "Recovery address must differ from the wallet");
+        recoveryAddress[_licenseNumber] = _recoveryAddress;
+        emit RecoveryAddressSet(_licenseNumber, _recoveryAddress);
+    }
+
+    // Rotation by the current wallet or recovery by the recovery address; Upload.migrateAccount moves the records after
+    function changeWallet(string memory _licenseNumber, address _newWallet) external {
+        require(isDoctorRegistered[_licenseNumber], "Doctor not registered");
+        Doctor storage doctor = doctors[_licenseNumber];
+        require(
+            msg.sender == doctor.walletAddress ||
+                (recoveryAddress[_licenseNumber] != address(0) && msg.sender == recoveryAddress[_licenseNumber]),
+            "Caller cannot change this wallet"
+        );
+        require(_newWallet != address(0) && !isDoctorRegisteredAddress[_newWallet], "Wallet already registered");
+        // A retired wallet never comes back, so successor chains cannot loop
+        require(successorOf[_newWallet] == address(0), "Wallet was retired");
+
+        address oldWallet = doctor.walletAddress;
+        isDoctorRegisteredAddress[oldWallet] = false;
+        delete doctorNumberByWallet[oldWallet];
+        isDoctorRegisteredAddress[_newWallet] = true;
+        doctorNumberByWallet[_newWallet] = _licenseNumber;
+        doctor.walletAddress = _newWallet;
+        previousWallets[_licenseNumber].push(oldWallet);
+        successorOf[oldWallet] = _newWallet;
+
+        emit WalletChanged(_licenseNumber, oldWallet, _newWallet);
+    }
+
+    function getWalletHistory(string memory _licenseNumber) external view returns (address[] memory) {
+        return previousWallets[_licenseNumber];
     }
 
     // Preeti Code
@@ -103,7 +410,10 @@ contract DoctorRegistration {
         // string memory bloodGroup,
         string memory specialization,
         string memory email,
-        string memory hospital
+        string memory hospital,
+        uint256 hospitalId,
+        string memory department,
+        VerificationStatus status
     ) {
         require(isDoctorRegistered[_licenseNumber], "Doctor not registered");
         Doctor memory doctor = doctors[_licenseNumber];
@@ -115,7 +425,10 @@ contract DoctorRegistration {
             //doctor.bloodGroup,
             doctor.specialization,
             doctor.email,
-            doctor.hospital
+            doctor.hospital,
+            doctor.hospitalId,
+            doctor.department,
+            doctor.status
         );
     }
 
@@ -123,7 +436,8 @@ contract DoctorRegistration {
         string memory _doctorNumber,
         string memory _patientNumber,
         string memory _doctorName
-    ) external {
+    ) external onlyPatient(_patientNumber) {
+        require(isDoctorRegistered[_doctorNumber], "Doctor not registered");
         require(!patientPermissions[_doctorNumber][_patientNumber], "Access already granted to patient!");
 
         bool exists = false;
@@ -142,6 +456,25 @@ contract DoctorRegistration {
             Ppermission[_patientNumber].push(newRecord);
         }
         patientPermissions[_doctorNumber][_patientNumber] = true;
+
+        emit PermissionGranted(_doctorNumber, _patientNumber);
+    }
+
+    function revokePermission(string memory _doctorNumber, string memory _patientNumber) external onlyPatient(_patientNumber) {
+        require(patientPermissions[_doctorNumber][_patientNumber], "Access not granted to patient!");
+
+        // Drop the doctor from the patient's list (order is not kept)
+        DoctorList[] storage list = Ppermission[_patientNumber];
+        for (uint i = 0; i < list.length; i++) {
+            if (keccak256(abi.encodePacked(list[i].doctorNumber)) == keccak256(abi.encodePacked(_doctorNumber))) {
+                list[i] = list[list.length - 1];
+                list.pop();
+                break;
+            }
+        }
+        patientPermissions[_doctorNumber][_patientNumber] = false;
+
+        emit PermissionRevoked(_doctorNumber, _patientNumber);
     }
 
     function isPermissionGranted(string memory _doctorNumber, string memory _patientNumber) external view returns (bool) {
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+library EmailValidator {
+    // Same shape the client checks (EMAIL_REGEX): one "@", no whitespace, and a dot inside the domain
+    function isValidEmail(string memory _email) internal pure returns (bool) {
+        bytes memory email = bytes(_email);
+        bool seenAt = false;
+        bool domainDot = false;
+        uint256 at = 0;
+
+        for (uint256 i = 0; i < email.length; i++) {
+            bytes1 c = email[i];
+            if (c == " " || c == "\t" || c == "\n" || c == "\r" || c == 0x0b || c == 0x0c) {
+                return false;
+            }
+            if (c == "@") {
+                if (seenAt || i == 0) {
+                    return false;
+                }
+                seenAt = true;
+                at = i;
+            } else if (c == "." && seenAt && i > at + 1 && i < email.length - 1) {
+                domainDot = true;
+            }
+        }
+        return domainDot;
+    }
+}
@@ -0,0 +1,248 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "./SignatureVerifier.sol";
+
+contract HospitalRegistry {
+    // A registration is an application; the registry owner approves it before the hospital is listed
+    // or its admins can act
+    enum HospitalStatus { Pending, Approved, Rejected }
+
+    struct Hospital {
+        uint256 id; // ids start at 1, 0 means no hospital
+        string name;
+        string location;
+        string[] departments;
+        address[] admins;
+        uint256 registeredAt;
+        HospitalStatus status;
+    }
+
+    address public owner;
+    mapping(uint256 => Hospital) private hospitals;
+    uint256 public hospitalCount;
+    uint256[] private approvedHospitalIds;
+    uint256[] private pendingHospitalIds;
+    mapping(string => uint256) public hospitalIdByName;
+    mapping(uint256 => mapping(address => bool)) public isHospitalAdmin;
+    mapping(uint256 => mapping(string => bool)) public hasDepartment;
+    mapping(address => uint256[]) private adminHospitalIds;
+
+    event HospitalRegistered(uint256 hospitalId, string name, address admin);
+    event HospitalApproved(uint256 hospitalId);
+    event HospitalRejected(uint256 hospitalId);
+    event HospitalLocationUpdated(uint256 hospitalId, string location);
+    event DepartmentAdded(uint256 hospitalId, string department);
+    event DepartmentRemoved(uint256 hospitalId, string department);
+    event AdminAdded(uint256 hospitalId, address admin);
+    event AdminRemoved(uint256 hospitalId, address admin);
+
+    constructor() {
+        owner = msg.sender;
+    }
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Caller is not the registry owner");
+        _;
+    }
+
+    modifier onlyHospitalAdmin(uint256 _hospitalId) {
+        require(isHospital(_hospitalId), "Hospital not approved");
+        require(isHospitalAdmin[_hospitalId][msg.sender], "Caller is not a hospital admin");
+        _;
+    }
+
+    // The caller becomes the hospital's first admin once it is approved; names are unique and never change
+    function registerHospital(string memory _name, string memory _location, string[] memory _departments) external returns (uint256) {
+        require(bytes(_name).length > 0 && bytes(_location).length > 0, "Name and address are required");
+        require(hospitalIdByName[_name] == 0, "Hospital already registered with this name");
+
+        uint256 hospitalId = ++hospitalCount;
+        Hospital storage hospital = hospitals[hospitalId];
+        hospital.id = hospitalId;
+        hospital.name = _name;
+        hospital.location = _location;
+        hospital.registeredAt = block.timestamp;
+        hospitalIdByName[_name] = hospitalId;
+        pendingHospitalIds.push(hospitalId);
+
+        for (uint i = 0; i < _departments.length; i++) {
+            addDepartmentTo(hospitalId, _departments[i]);
+        }
+        addAdminTo(hospitalId, msg.sender);
+
+        emit HospitalRegistered(hospitalId, _name, msg.sender);
+        return hospitalId;
+    }
+
+    function approveHospital(uint256 _hospitalId) external onlyOwner {
+        decide(_hospitalId, HospitalStatus.Approved);
+        approvedHospitalIds.push(_hospitalId);
+        emit HospitalApproved(_hospitalId);
+    }
+
+    // Frees the name for another application; the applicant is no longer listed as an admin
+    function rejectHospital(uint256 _hospitalId) external onlyOwner {
+        decide(_hospitalId, HospitalStatus.Rejected);
+        Hospital storage hospital = hospitals[_hospitalId];
+        delete hospitalIdByName[hospital.name];
+        for (uint i = 0; i < hospital.admins.length; i++) {
+            dropAdminHospital(hospital.admins[i], _hospitalId);
+            isHospitalAdmin[_hospitalId][hospital.admins[i]] = false;
+        }
+        emit HospitalRejected(_hospitalId);
+    }
+
+    function decide(uint256 _hospitalId, HospitalStatus _status) private {
+        require(_hospitalId != 0 && _hospitalId <= hospitalCount, "Hospital not registered");
+        Hospital storage hospital = hospitals[_hospitalId];
+        require(hospital.status == HospitalStatus.Pending, "Hospital already reviewed");
+        hospital.status = _status;
+
+        // Order is not kept
+        for (uint i = 0; i < pendingHospitalIds.length; i++) {
+            if (pendingHospitalIds[i] == _hospitalId) {
+                pendingHospitalIds[i] = pendingHospitalIds[pendingHospitalIds.length - 1];
+                pendingHospitalIds.pop();
+                break;
+            }
+        }
+    }
+
+    function updateLocation(uint256 _hospitalId, string memory _location) external onlyHospitalAdmin(_hospitalId) {
+        require(bytes(_location).length > 0, "Address cannot be empty");
+        hospitals[_hospitalId].location = _location;
+        emit HospitalLocationUpdated(_hospitalId, _location);
+    }
+
+    function addDepartment(uint256 _hospitalId, string memory _department) external onlyHospitalAdmin(_hospitalId) {
+        addDepartmentTo(_hospitalId, _department);
+    }
+
+    // Doctors already in the department keep it on their profile until they are moved
+    function removeDepartment(uint256 _hospitalId, string memory _department) external onlyHospitalAdmin(_hospitalId) {
+        require(hasDepartment[_hospitalId][_department], "Department not found");
+
+        // Order is not kept
+        string[] storage departments = hospitals[_hospitalId].departments;
+        for (uint i = 0; i < departments.length; i++) {
+            if (keccak256(abi.encodePacked(departments[i])) == keccak256(abi.encodePacked(_department))) {
+                departments[i] = departments[departments.length - 1];
+                departments.pop();
+                break;
+            }
+        }
+        hasDepartment[_hospitalId][_department] = false;
+
+        emit DepartmentRemoved(_hospitalId, _department);
+    }
+
+    function addAdmin(uint256 _hospitalId, address _admin) external onlyHospitalAdmin(_hospitalId) {
+        addAdminTo(_hospitalId, _admin);
+    }
+
+    function removeAdmin(uint256 _hospitalId, address _admin) external onlyHospitalAdmin(_hospitalId) {
+        require(isHospitalAdmin[_hospitalId][_admin], "Not a hospital admin");
+        address[] storage admins = hospitals[_hospitalId].admins;
+        require(admins.length > 1, "A hospital needs at least one admin");
+
+        // Order is not kept
+        for (uint i = 0; i < admins.length; i++) {
+            if (admins[i] == _admin) {
+                admins[i] = admins[admins.length - 1];
+                admins.pop();
+                break;
+            }
+        }
+        dropAdminHospital(_admin, _hospitalId);
+        isHospitalAdmin[_hospitalId][_admin] = false;
+
+        emit AdminRemoved(_hospitalId, _admin);
+    }
+
+    // Challenge an admin wallet signs to log in to the hospital console
+    function getLoginChallenge(uint256 _hospitalId, string memory _nonce) external view returns (bytes32) {
+        return SignatureVerifier.loginChallenge(address(this), _hospitalId, _nonce);
+    }
+
+    // Validate a signed login challenge against the hospital's admin wallets
+    function validateSignature(uint256 _hospitalId, string memory _nonce, bytes memory _signature) external view returns (bool) {
+        require(isHospital(_hospitalId), "Hospital not registered");
+        bytes32 challenge = SignatureVerifier.loginChallenge(address(this), _hospitalId, _nonce);
+        return isHospitalAdmin[_hospitalId][SignatureVerifier.recoverSigner(challenge, _signature)];
+    }
+
+    // Approved hospitals only
+    function isHospital(uint256 _hospitalId) public view returns (bool) {
+        return hospitals[_hospitalId].status == HospitalStatus.Approved;
+    }
+
+    // Any application, whatever its status
+    function getHospital(uint256 _hospitalId) external view returns (Hospital memory) {
+        require(_hospitalId != 0 && _hospitalId <= hospitalCount, "Hospital not registered");
+        return hospitals[_hospitalId];
+    }
+
+    function getHospitalName(uint256 _hospitalId) external view returns (string memory) {
+        require(isHospital(_hospitalId), "Hospital not registered");
+        return hospitals[_hospitalId].name;
+    }
+
+    // A page of the hospital directory plus the total number of approved hospitals
+    function getHospitals(uint256 _offset, uint256 _limit) external view returns (Hospital[] memory, uint256) {
+        uint256 total = approvedHospitalIds.length;
+        uint256 size = 0;
+        if (_offset < total) {
+            size = total - _offset < _limit ? total - _offset : _limit;
+        }
+
+        Hospital[] memory page = new Hospital[](size);
+        for (uint256 i = 0; i < size; i++) {
+            page[i] = hospitals[approvedHospitalIds[_offset + i]];
+        }
+        return (page, total);
+    }
+
+    // Applications waiting for the registry owner
+    function getPendingHospitals() external view returns (Hospital[] memory) {
+        Hospital[] memory list = new Hospital[](pendingHospitalIds.length);
+        for (uint256 i = 0; i < pendingHospitalIds.length; i++) {
+            list[i] = hospitals[pendingHospitalIds[i]];
+        }
+        return list;
+    }
+
+    // Hospitals the wallet administers or has applied for
+    function getAdminHospitals(address _admin) external view returns (uint256[] memory) {
+        return adminHospitalIds[_admin];
+    }
+
+    function addDepartmentTo(uint256 _hospitalId, string memory _department) private {
+        require(bytes(_department).length > 0, "Department name cannot be empty");
+        require(!hasDepartment[_hospitalId][_department], "Department already exists");
+        hospitals[_hospitalId].departments.push(_department);
+        hasDepartment[_hospitalId][_department] = true;
+        emit DepartmentAdded(_hospitalId, _department);
+    }
+
+    function dropAdminHospital(address _admin, uint256 _hospitalId) private {
+        // Order is not kept
+        uint256[] storage ids = adminHospitalIds[_admin];
+        for (uint i = 0; i < ids.length; i++) {
+            if (ids[i] == _hospitalId) {
+                ids[i] = ids[ids.length - 1];
+                ids.pop();
+                break;
+            }
+        }
+    }
+
+    function addAdminTo(uint256 _hospitalId, address _admin) private {
+        require(_admin != address(0), "Invalid admin address");
+        require(!isHospitalAdmin[_hospitalId][_admin], "Already a hospital admin");
+        hospitals[_hospitalId].admins.push(_admin);
+        isHospitalAdmin[_hospitalId][_admin] = true;
+        adminHospitalIds[_admin].push(_hospitalId);
+        emit AdminAdded(_hospitalId, _admin);
+    }
+}
@@ -1,6 +1,9 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.26;
 
+import "./EmailValidator.sol";
+import "./SignatureVerifier.sol";
+
 contract PatientRegistration {
     struct Patient {
         address walletAddress;
@@ -11,7 +14,13 @@ contract PatientRegistration {
         string homeAddress;
         string email;
         string hhNumber;
-        string password;
+    }
+
+    // Directory entry - leaves out contact and medical details
+    struct PatientSummary {
+        address walletAddress;
+        string name;
+        string hhNumber;
     }
 
     struct PatientList{
@@ -19,14 +28,65 @@ contract PatientRegistration {
         string patient_name;
     }
 
+    // The role is a label for the relationship; what a delegate may do is set by the permission bits
+    enum DelegateRole { None, Guardian, Caregiver }
+
+    struct Delegate {
+        string patientNumber;
+        string delegateNumber; // the delegate's own hhNumber, so wallet changes on either side keep it
+        DelegateRole role;
+        uint8 permissions;
+        uint256 grantedAt;
+    }
+
     mapping(string => bool) public isPatientRegistered;
     mapping(address => bool) public isPatientRegisteredAddress;
     mapping(string => Patient) public patients;
     mapping(string => PatientList[]) private Dpermission;
     mapping(string => mapping(string => bool)) public doctorPermissions;
     string[] public registeredPatientsNumbers;
+    mapping(address => string) private patientNumberByWallet;
+    // Wallet rotation / recovery
+    mapping(string => address) public recoveryAddress;
+    mapping(string => address[]) private previousWallets;
+    mapping(address => address) public successorOf;
+    // Guardians / caregivers acting for a patient
+    mapping(string => mapping(string => Delegate)) private delegations;
+    mapping(string => string[]) private delegateNumbers;
+    mapping(string => string[]) private delegatedPatients;
+
+    // Delegate permission bits, checked here and by AppointmentBooking, Upload and DoctorRegistration
+    uint8 public constant PERMISSION_BOOK = 1;
+    uint8 public constant PERMISSION_UPLOAD = 2;
+    uint8 public constant PERMISSION_SHARE = 4;
+    uint8 public constant PERMISSION_VIEW = 8;
+    uint8 public constant ALL_PERMISSIONS = 15;
 
     event PatientRegistered(string hhNumber, string name, address walletAddress);
+    event PermissionGranted(string patientNumber, string doctorNumber);
+    event PermissionRevoked(string patientNumber, string doctorNumber);
+    event PatientProfileUpdated(string hhNumber, string name, string email, string homeAddress);
+    event RecoveryAddressSet(string hhNumber, address recoveryAddress);
+    event WalletChanged(string hhNumber, address oldWallet, address newWallet);
+    event DelegateSet(string hhNumber, string delegateNumber, DelegateRole role, uint8 permissions);
+    event DelegateRemoved(string hhNumber, string delegateNumber);
+
+    // Only the wallet registered to the patient may change their profile or who sees their data
+    modifier onlyPatient(string memory _hhNumber) {
+        require(isPatientRegistered[_hhNumber], "Patient not registered");
+        require(msg.sender == patients[_hhNumber].walletAddress, "Caller is not the patient");
+        _;
+    }
+
+    // The patient, or one of their delegates holding _permission
+    modifier onlyPatientOrDelegate(string memory _hhNumber, uint8 _permission) {
+        require(isPatientRegistered[_hhNumber], "Patient not registered");
+        require(
+            msg.sender == patients[_hhNumber].walletAddress || isDelegate(_hhNumber, msg.sender, _permission),
+            "Caller is not the patient"
+        );
+        _;
+    }
 
     function registerPatient(
         address _walletAddress,
@@ -36,10 +96,9 @@ contract PatientRegistration {
         string memory _bloodGroup,
         string memory _homeAddress,
         string memory _email,
-        string memory _hhNumber,
-        string memory _password
-
+        string memory _hhNumber
     ) external {
+        require(msg.sender == _walletAddress, "Register from the wallet being registered");
         require(!isPatientRegistered[_hhNumber], "Patient already registered");
         require(!isPatientRegisteredAddress[_walletAddress], "Patient already registered");
 
@@ -51,36 +110,55 @@ contract PatientRegistration {
             bloodGroup: _bloodGroup,
             homeAddress: _homeAddress,
             email: _email,    
-            hhNumber: _hhNumber,        
-            password: _password // Store password in the struct
+            hhNumber: _hhNumber
         });
 
         patients[_hhNumber] = newPatient;
         isPatientRegisteredAddress[_walletAddress] = true;
         isPatientRegistered[_hhNumber] = true;
         registeredPatientsNumbers.push(_hhNumber); // << push license number
+        patientNumberByWallet[_walletAddress] = _hhNumber;
 
         emit PatientRegistered(_hhNumber, _name, _walletAddress);
     }
 
-    function getAllPatients() external view returns (Patient[] memory) {
-    uint256 count = registeredPatientsNumbers.length;
-    Patient[] memory result = new Patient[](count);
-    for (uint256 i = 0; i < count; i++) {
-        result[i] = patients[registeredPatientsNumbers[i]];
+    // A page of the patient directory plus the total number of patients
+    function getPatients(uint256 _offset, uint256 _limit) external view returns (PatientSummary[] memory, uint256) {
+        uint256 total = registeredPatientsNumbers.length;
+        uint256 size = 0;
+        if (_offset < total) {
+            size = total - _offset < _limit ? total - _offset : _limit;
+        }
+
+        PatientSummary[] memory page = new PatientSummary[](size);
+        for (uint256 i = 0; i < size; i++) {
+            Patient storage patient = patients[registeredPatientsNumbers[_offset + i]];
+            page[i] = PatientSummary(patient.walletAddress, patient.name, patient.hhNumber);
+        }
+        return (page, total);
+    }
+
+    // Health number registered to a wallet
+    function getPatientNumber(address _walletAddress) external view returns (string memory) {
+        require(isPatientRegisteredAddress[_walletAddress], "Patient not registered");
+        return patientNumberByWallet[_walletAddress];
     }
-    return result;
-}
 
 
     function isRegisteredPatient(string memory _hhNumber) external view returns (bool) {
         return isPatientRegistered[_hhNumber];
     }
     
-    // Add a function to validate patient's password
-    function validatePassword(string memory _hhNumber, string memory _password) external view returns (bool) {
+    // Challenge the patient's wallet signs to log in
+    function getLoginChallenge(string memory _hhNumber, string memory _nonce) external view returns (bytes32) {
+        return SignatureVerifier.loginChallenge(address(this), _hhNumber, _nonce);
+    }
+
+    // Validate a signed login challenge against the patient's registered wallet
+    function validateSignature(string memory _hhNumber, string memory _nonce, bytes memory _signature) external view returns (bool) {
         require(isPatientRegistered[_hhNumber], "Patient not registered");
-        return keccak256(abi.encodePacked(_password)) == keccak256(abi.encodePacked(patients[_hhNumber].password));
+        bytes32 challenge = SignatureVerifier.loginChallenge(address(this), _hhNumber, _nonce);
+        return SignatureVerifier.recoverSigner(challenge, _signature) == patients[_hhNumber].walletAddress;
     }
 
     // Add a funtion to validate user address
@@ -103,11 +181,151 @@ contract PatientRegistration {
         return (patient.walletAddress, patient.name, patient.dateOfBirth, patient.gender, patient.bloodGroup, patient.homeAddress, patient.email);
     }
 
+    function updatePatientProfile(
+        string memory _hhNumber,
+        string memory _name,
+        string memory _email,
+        string memory _homeAddress
+    ) external onlyPatient(_hhNumber) {
+        require(bytes(_name).length > 0 && bytes(_email).length > 0 && bytes(_homeAddress).length > 0, "Profile fields cannot be empty");
+        require(EmailValidator.isValidEmail(_email), "Invalid email address");
+
+        Patient storage patient = patients[_hhNumber];
+        patient.name = _name;
+        patient.email = _email;
+        patient.homeAddress = _homeAddress;
+
+        emit PatientProfileUpdated(_hhNumber, _name, _email, _homeAddress);
+    }
+
+    // A second wallet that can move the patient to a new wallet if this key is lost
+    function setRecoveryAddress(string memory _hhNumber, address _recoveryAddress) external onlyPatient(_hhNumber) {
+        require(_recoveryAddress != msg.sender, "Recovery address must differ from the wallet");
+        recoveryAddress[_hhNumber] = _recoveryAddress;
+        emit RecoveryAddressSet(_hhNumber, _recoveryAddress);
+    }
+
+    // Rotation by the current wallet or recovery by the recovery address; Upload.migrateAccount moves the records after
+    function changeWallet(string memory _hhNumber, address _newWallet) external {
+        require(isPatientRegistered[_hhNumber], "Patient not registered");
+        Patient storage patient = patients[_hhNumber];
+        require(
+            msg.sender == patient.walletAddress ||
+                (recoveryAddress[_hhNumber] != address(0) && msg.sender == recoveryAddress[_hhNumber]),
+            "Caller cannot change this wallet"
+        );
+        require(_newWallet != address(0) && !isPatientRegisteredAddress[_newWallet], "Wallet already registered");
+        // A retired wallet never comes back, so successor chains cannot loop
+        require(successorOf[_newWallet] == address(0), "Wallet was retired");
+
+        address oldWallet = patient.walletAddress;
+        isPatientRegisteredAddress[oldWallet] = false;
+        delete patientNumberByWallet[oldWallet];
+        isPatientRegisteredAddress[_newWallet] = true;
+        patientNumberByWallet[_newWallet] = _hhNumber;
+        patient.walletAddress = _newWallet;
+        previousWallets[_hhNumber].push(oldWallet);
+        successorOf[oldWallet] = _newWallet;
+
+        emit WalletChanged(_hhNumber, oldWallet, _newWallet);
+    }
+
+    function getWalletHistory(string memory _hhNumber) external view returns (address[] memory) {
+        return previousWallets[_hhNumber];
+    }
+
+    // Adds or updates a guardian / caregiver; the delegate must be a registered patient
+    function setDelegate(
+        string memory _hhNumber,
+        string memory _delegateNumber,
+        DelegateRole _role,
+        uint8 _permissions
+    ) external onlyPatient(_hhNumber) {
+        require(isPatientRegistered[_delegateNumber], "Delegate not registered");
+        require(keccak256(bytes(_delegateNumber)) != keccak256(bytes(_hhNumber)), "Cannot delegate to yourself");
+        require(_role != DelegateRole.None, "Invalid delegate role");
+        require(_permissions != 0 && _permissions <= ALL_PERMISSIONS, "Invalid permissions");
+
+        Delegate storage delegation = delegations[_hhNumber][_delegateNumber];
+        if (delegation.role == DelegateRole.None) {
+            delegateNumbers[_hhNumber].push(_delegateNumber);
+            delegatedPatients[_delegateNumber].push(_hhNumber);
+            delegation.patientNumber = _hhNumber;
+            delegation.delegateNumber = _delegateNumber;
+            delegation.grantedAt = block.timestamp;
+        }
+        delegation.role = _role;
+        delegation.permissions = _permissions;
+
+        emit DelegateSet(_hhNumber, _delegateNumber, _role, _permissions);
+    }
+
+    function removeDelegate(string memory _hhNumber, string memory _delegateNumber) external onlyPatient(_hhNumber) {
+        require(delegations[_hhNumber][_delegateNumber].role != DelegateRole.None, "Not a delegate");
+
+        removeNumber(delegateNumbers[_hhNumber], _delegateNumber);
+        removeNumber(delegatedPatients[_delegateNumber], _hhNumber);
+        delete delegations[_hhNumber][_delegateNumber];
+
+        emit DelegateRemoved(_hhNumber, _delegateNumber);
+    }
+
+    // Drops a number from a list (order is not kept)
+    function removeNumber(string[] storage _list, string memory _number) private {
+        for (uint i = 0; i < _list.length; i++) {
+            if (keccak256(bytes(_list[i])) == keccak256(bytes(_number))) {
+                _list[i] = _list[_list.length - 1];
+                _list.pop();
+                break;
+            }
+        }
+    }
+
+    // Whether the wallet belongs to a delegate of the patient holding every bit of _permission
+    function isDelegate(string memory _hhNumber, address _wallet, uint8 _permission) public view returns (bool) {
+        if (!isPatientRegisteredAddress[_wallet]) {
+            return false;
+        }
+        Delegate storage delegation = delegations[_hhNumber][patientNumberByWallet[_wallet]];
+        return delegation.role != DelegateRole.None && delegation.permissions & _permission == _permission;
+    }
+
+    // Same check by the patient's wallet, for contracts that key records by address (Upload)
+    function canActFor(address _patientWallet, address _wallet, uint8 _permission) external view returns (bool) {
+        if (_patientWallet == _wallet) {
+            return true;
+        }
+        if (!isPatientRegisteredAddress[_patientWallet]) {
+            return false;
+        }
+        return isDelegate(patientNumberByWallet[_patientWallet], _wallet, _permission);
+    }
+
+    // Who may act for the patient
+    function getDelegates(string memory _hhNumber) external view returns (Delegate[] memory) {
+        string[] storage numbers = delegateNumbers[_hhNumber];
+        Delegate[] memory list = new Delegate[](numbers.length);
+        for (uint i = 0; i < numbers.length; i++) {
+            list[i] = delegations[_hhNumber][numbers[i]];
+        }
+        return list;
+    }
+
+    // Patients the delegate may act for - the profiles they can switch to
+    function getDelegations(string memory _delegateNumber) external view returns (Delegate[] memory) {
+        string[] storage numbers = delegatedPatients[_delegateNumber];
+        Delegate[] memory list = new Delegate[](numbers.length);
+        for (uint i = 0; i < numbers.length; i++) {
+            list[i] = delegations[numbers[i]][_delegateNumber];
+        }
+        return list;
+    }
+
     function grantPermission(
         string memory _patientNumber,
         string memory _doctorNumber,
         string memory _patientName
-    ) external {
+    ) external onlyPatientOrDelegate(_patientNumber, PERMISSION_SHARE) {
         require(!doctorPermissions[_patientNumber][_doctorNumber], "View Access already given to the Doctor!");
         // Check if the patient number already exists in the list
         bool exists = false;
@@ -127,6 +345,25 @@ contract PatientRegistration {
             Dpermission[_doctorNumber].push(newRecord);
         }
         doctorPermissions[_patientNumber][_doctorNumber] = true;
+
+        emit PermissionGranted(_patientNumber, _doctorNumber);
+    }
+
+    function revokePermission(string memory _patientNumber, string memory _doctorNumber) external onlyPatientOrDelegate(_patientNumber, PERMISSION_SHARE) {
+        require(doctorPermissions[_patientNumber][_doctorNumber], "View Access not given to the Doctor!");
+
+        // Drop the patient from the doctor's list (order is not kept)
+        PatientList[] storage list = Dpermission[_doctorNumber];
+        for (uint i = 0; i < list.length; i++) {
+            if (keccak256(abi.encodePacked(list[i].patient_number)) == keccak256(abi.encodePacked(_patientNumber))) {
+                list[i] = list[list.length - 1];
+                list.pop();
+                break;
+            }
+        }
+        doctorPermissions[_patientNumber][_doctorNumber] = false;
+
+        emit PermissionRevoked(_patientNumber, _doctorNumber);
     }
 
     function isPermissionGranted(string memory _patientNumber,string memory _doctorNumber) external view returns (bool) {
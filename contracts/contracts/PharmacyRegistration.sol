@@ -0,0 +1,137 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+import "./SignatureVerifier.sol";
+
+interface IHospitalRegistry {
+    function isHospital(uint256 _hospitalId) external view returns (bool);
+    function isHospitalAdmin(uint256 _hospitalId, address _wallet) external view returns (bool);
+}
+
+contract PharmacyRegistration {
+    // A pharmacy registers under a hospital, whose admins approve it before it can dispense
+    enum PharmacyStatus { Pending, Approved, Suspended }
+
+    struct Pharmacy {
+        address walletAddress;
+        string name;
+        string licenseNumber;
+        string email;
+        string location;
+        uint256 hospitalId;
+        PharmacyStatus status;
+    }
+
+    mapping(string => bool) public isPharmacyRegistered;
+    mapping(address => bool) public isPharmacyRegisteredAddress;
+    mapping(string => Pharmacy) private pharmacies;
+    mapping(address => string) private pharmacyNumberByWallet;
+    mapping(uint256 => string[]) private hospitalPharmacyNumbers;
+
+    IHospitalRegistry public hospitalRegistry;
+
+    event PharmacyRegistered(string licenseNumber, string name, address walletAddress);
+    event PharmacyStatusChanged(string licenseNumber, PharmacyStatus status, address admin);
+
+    constructor(address _hospitalRegistry) {
+        hospitalRegistry = IHospitalRegistry(_hospitalRegistry);
+    }
+
+    modifier onlyHospitalAdmin(string memory _licenseNumber) {
+        require(isPharmacyRegistered[_licenseNumber], "Pharmacy not registered");
+        require(
+            hospitalRegistry.isHospitalAdmin(pharmacies[_licenseNumber].hospitalId, msg.sender),
+            "Caller is not an admin of the pharmacy's hospital"
+        );
+        _;
+    }
+
+    function registerPharmacy(
+        address _walletAddress,
+        string memory _name,
+        string memory _licenseNumber,
+        string memory _email,
+        string memory _location,
+        uint256 _hospitalId
+    ) external {
+        require(msg.sender == _walletAddress, "Register from the wallet being registered");
+        require(hospitalRegistry.isHospital(_hospitalId), "Hospital not approved");
+        require(!isPharmacyRegistered[_licenseNumber], "Pharmacy already registered with this license number");
+        require(!isPharmacyRegisteredAddress[_walletAddress], "Pharmacy already registered with this address");
+
+        pharmacies[_licenseNumber] = Pharmacy({
+            walletAddress: _walletAddress,
+            name: _name,
+            licenseNumber: _licenseNumber,
+            email: _email,
+            location: _location,
+            hospitalId: _hospitalId,
+            status: PharmacyStatus.Pending
+        });
+        isPharmacyRegistered[_licenseNumber] = true;
+        isPharmacyRegisteredAddress[_walletAddress] = true;
+        pharmacyNumberByWallet[_walletAddress] = _licenseNumber;
+        hospitalPharmacyNumbers[_hospitalId].push(_licenseNumber);
+
+        emit PharmacyRegistered(_licenseNumber, _name, _walletAddress);
+    }
+
+    // An admin of the pharmacy's hospital approves it, or suspends it again
+    function setPharmacyStatus(string memory _licenseNumber, PharmacyStatus _status) external onlyHospitalAdmin(_licenseNumber) {
+        Pharmacy storage pharmacy = pharmacies[_licenseNumber];
+        require(_status != PharmacyStatus.Pending, "Invalid pharmacy status");
+        require(pharmacy.status != _status, "Status unchanged");
+
+        pharmacy.status = _status;
+        emit PharmacyStatusChanged(_licenseNumber, _status, msg.sender);
+    }
+
+    // Only approved pharmacies can dispense prescriptions
+    function isApprovedPharmacyAddress(address _walletAddress) external view returns (bool) {
+        return isPharmacyRegisteredAddress[_walletAddress] &&
+            pharmacies[pharmacyNumberByWallet[_walletAddress]].status == PharmacyStatus.Approved;
+    }
+
+    // A page of the pharmacies registered under a hospital, plus the total for paging
+    function getPharmaciesByHospital(uint256 _hospitalId, uint256 _offset, uint256 _limit) external view returns (Pharmacy[] memory, uint256) {
+        string[] storage numbers = hospitalPharmacyNumbers[_hospitalId];
+        uint256 size = 0;
+        if (_offset < numbers.length) {
+            size = numbers.length - _offset < _limit ? numbers.length - _offset : _limit;
+        }
+
+        Pharmacy[] memory page = new Pharmacy[](size);
+        for (uint256 i = 0; i < size; i++) {
+            page[i] = pharmacies[numbers[_offset + i]];
+        }
+        return (page, numbers.length);
+    }
+
+    // Challenge the pharmacy's wallet signs to log in
+    function getLoginChallenge(string memory _licenseNumber, string memory _nonce) external view returns (bytes32) {
+        return SignatureVerifier.loginChallenge(address(this), _licenseNumber, _nonce);
+    }
+
+    // Validate a signed login challenge against the pharmacy's registered wallet
+    function validateSignature(string memory _licenseNumber, string memory _nonce, bytes memory _signature) external view returns (bool) {
+        require(isPharmacyRegistered[_licenseNumber], "Pharmacy not registered");
+        bytes32 challenge = SignatureVerifier.loginChallenge(address(this), _licenseNumber, _nonce);
+        return SignatureVerifier.recoverSigner(challenge, _signature) == pharmacies[_licenseNumber].walletAddress;
+    }
+
+    function validateAddress(address _walletAddress, string memory _licenseNumber) external view returns (bool) {
+        require(isPharmacyRegistered[_licenseNumber], "Pharmacy not registered");
+        return _walletAddress == pharmacies[_licenseNumber].walletAddress;
+    }
+
+    // License number registered to a wallet
+    function getPharmacyNumber(address _walletAddress) external view returns (string memory) {
+        require(isPharmacyRegisteredAddress[_walletAddress], "Pharmacy not registered");
+        return pharmacyNumberByWallet[_walletAddress];
+    }
+
+    function getPharmacyDetails(string memory _licenseNumber) external view returns (Pharmacy memory) {
+        require(isPharmacyRegistered[_licenseNumber], "Pharmacy not registered");
+        return pharmacies[_licenseNumber];
+    }
+}
@@ -0,0 +1,183 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+interface IDoctorRegistry {
+    function validateAddress(address _walletAddress, string memory _licenseNumber) external view returns (bool);
+}
+
+interface IAppointmentBooking {
+    function getAppointmentCount() external view returns (uint256);
+    function appointments(uint256 _id) external view returns (
+        uint256 id,
+        string memory patientHHNumber,
+        string memory doctorHHNumber,
+        uint256 date,
+        uint256 startTime,
+        uint256 duration,
+        uint8 status
+    );
+}
+
+interface IPharmacyRegistry {
+    function getPharmacyNumber(address _walletAddress) external view returns (string memory);
+    function isApprovedPharmacyAddress(address _walletAddress) external view returns (bool);
+}
+
+contract Prescription {
+    // AppointmentBooking.Status values a prescription can be written against
+    uint8 private constant CHECKED_IN = 1;
+    uint8 private constant COMPLETED = 2;
+
+    enum FillStatus { Unfilled, PartiallyFilled, Filled }
+
+    struct Medication {
+        string drug;
+        string dosage; // e.g. "500 mg"
+        string frequency; // e.g. "Twice a day"
+        uint256 durationDays;
+        uint256 quantity; // units to dispense
+        string instructions;
+    }
+
+    struct Prescript {
+        uint256 id; // index in prescriptions
+        uint256 appointmentId;
+        string patientHHNumber;
+        string doctorLicenseNumber;
+        address issuer; // doctor wallet that signed the issuing transaction
+        uint256 issuedAt;
+        string notes;
+        Medication[] medications;
+        uint256[] dispensed; // units handed out so far, per medication
+        FillStatus fillStatus;
+    }
+
+    struct Dispensing {
+        string pharmacyLicenseNumber;
+        address pharmacist; // pharmacy wallet that signed the dispense
+        uint256[] quantities; // per medication
+        uint256 dispensedAt;
+    }
+
+    IDoctorRegistry public doctorRegistry;
+    IAppointmentBooking public appointmentBooking;
+    IPharmacyRegistry public pharmacyRegistry;
+
+    Prescript[] private prescriptions;
+    mapping(uint256 => Dispensing[]) private dispensings;
+
+    // hhNumber / licenseNumber / appointment id => ids of their prescriptions, in issue order
+    mapping(string => uint256[]) private patientPrescriptionIds;
+    mapping(string => uint256[]) private doctorPrescriptionIds;
+    mapping(uint256 => uint256[]) private appointmentPrescriptionIds;
+
+    event PrescriptionIssued(
+        uint256 indexed id,
+        uint256 indexed appointmentId,
+        string patientHHNumber,
+        string doctorLicenseNumber,
+        address issuer
+    );
+    event PrescriptionDispensed(uint256 indexed id, string pharmacyLicenseNumber, uint256[] quantities, FillStatus fillStatus);
+
+    constructor(address _doctorRegistry, address _appointmentBooking, address _pharmacyRegistry) {
+        doctorRegistry = IDoctorRegistry(_doctorRegistry);
+        appointmentBooking = IAppointmentBooking(_appointmentBooking);
+        pharmacyRegistry = IPharmacyRegistry(_pharmacyRegistry);
+    }
+
+    // Only the appointment's doctor can prescribe, once the patient has checked in
+    function issuePrescription(uint256 _appointmentId, Medication[] memory _medications, string memory _notes)
+        external
+        returns (uint256)
+    {
+        require(_appointmentId < appointmentBooking.getAppointmentCount(), "Appointment does not exist");
+        (, string memory patientHHNumber, string memory doctorHHNumber, , , , uint8 status) =
+            appointmentBooking.appointments(_appointmentId);
+        require(doctorRegistry.validateAddress(msg.sender, doctorHHNumber), "Only the appointment's doctor can prescribe");
+        require(status == CHECKED_IN || status == COMPLETED, "Appointment has not taken place");
+        require(_medications.length > 0, "Prescription needs at least one medication");
+
+        uint256 id = prescriptions.length;
+        Prescript storage prescription = prescriptions.push();
+        prescription.id = id;
+        prescription.appointmentId = _appointmentId;
+        prescription.patientHHNumber = patientHHNumber;
+        prescription.doctorLicenseNumber = doctorHHNumber;
+        prescription.issuer = msg.sender;
+        prescription.issuedAt = block.timestamp;
+        prescription.notes = _notes;
+
+        for (uint256 i = 0; i < _medications.length; i++) {
+            require(bytes(_medications[i].drug).length > 0, "Medication name cannot be empty");
+            require(_medications[i].quantity > 0, "Quantity must be greater than zero");
+            prescription.medications.push(_medications[i]);
+            prescription.dispensed.push(0);
+        }
+
+        patientPrescriptionIds[patientHHNumber].push(id);
+        doctorPrescriptionIds[doctorHHNumber].push(id);
+        appointmentPrescriptionIds[_appointmentId].push(id);
+
+        emit PrescriptionIssued(id, _appointmentId, patientHHNumber, doctorHHNumber, msg.sender);
+        return id;
+    }
+
+    // An approved pharmacy hands out some or all of what is left; a filled prescription can't be used again
+    function dispense(uint256 _id, uint256[] memory _quantities) external {
+        require(_id < prescriptions.length, "Prescription does not exist");
+        require(pharmacyRegistry.isApprovedPharmacyAddress(msg.sender), "Pharmacy is not approved");
+        string memory pharmacyNumber = pharmacyRegistry.getPharmacyNumber(msg.sender);
+        Prescript storage prescription = prescriptions[_id];
+        require(prescription.fillStatus != FillStatus.Filled, "Prescription has already been filled");
+        require(_quantities.length == prescription.medications.length, "One quantity per medication");
+
+        uint256 total = 0;
+        bool filled = true;
+        for (uint256 i = 0; i < _quantities.length; i++) {
+            uint256 dispensed = prescription.dispensed[i] + _quantities[i];
+            require(dispensed <= prescription.medications[i].quantity, "Quantity exceeds what is left to dispense");
+            prescription.dispensed[i] = dispensed;
+            total += _quantities[i];
+            if (dispensed < prescription.medications[i].quantity) {
+                filled = false;
+            }
+        }
+        require(total > 0, "Nothing to dispense");
+
+        prescription.fillStatus = filled ? FillStatus.Filled : FillStatus.PartiallyFilled;
+        dispensings[_id].push(Dispensing(pharmacyNumber, msg.sender, _quantities, block.timestamp));
+
+        emit PrescriptionDispensed(_id, pharmacyNumber, _quantities, prescription.fillStatus);
+    }
+
+    function getDispensings(uint256 _id) external view returns (Dispensing[] memory) {
+        require(_id < prescriptions.length, "Prescription does not exist");
+        return dispensings[_id];
+    }
+
+    function getPrescription(uint256 _id) external view returns (Prescript memory) {
+        require(_id < prescriptions.length, "Prescription does not exist");
+        return prescriptions[_id];
+    }
+
+    function getPatientPrescriptions(string memory _patientHHNumber) external view returns (Prescript[] memory) {
+        return listOf(patientPrescriptionIds[_patientHHNumber]);
+    }
+
+    function getDoctorPrescriptions(string memory _licenseNumber) external view returns (Prescript[] memory) {
+        return listOf(doctorPrescriptionIds[_licenseNumber]);
+    }
+
+    function getAppointmentPrescriptions(uint256 _appointmentId) external view returns (Prescript[] memory) {
+        return listOf(appointmentPrescriptionIds[_appointmentId]);
+    }
+
+    function listOf(uint256[] storage _ids) private view returns (Prescript[] memory) {
+        Prescript[] memory list = new Prescript[](_ids.length);
+        for (uint256 i = 0; i < _ids.length; i++) {
+            list[i] = prescriptions[_ids[i]];
+        }
+        return list;
+    }
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.26;
+
+library SignatureVerifier {
+    // Hash a wallet signs to log in: binds the nonce to the verifying contract and the identity number
+    function loginChallenge(address _verifier, string memory _id, string memory _nonce) internal pure returns (bytes32) {
+        return keccak256(abi.encodePacked(_verifier, _id, _nonce));
+    }
+
+    // Same challenge for registries keyed by a numeric id
+    function loginChallenge(address _verifier, uint256 _id, string memory _nonce) internal pure returns (bytes32) {
+        return keccak256(abi.encodePacked(_verifier, _id, _nonce));
+    }
+
+    // Recover the signer of an eth_sign / personal_sign over a 32-byte hash
+    function recoverSigner(bytes32 _hash, bytes memory _signature) internal pure returns (address) {
+        if (_signature.length != 65) {
+            return address(0);
+        }
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(_signature, 32))
+            s := mload(add(_signature, 64))
+            v := byte(0, mload(add(_signature, 96)))
+        }
+        if (v < 27) {
+            v += 27;
+        }
+
+        bytes32 signedHash = keccak256(abi.encodePacked("\x19Ethereum Signed Message:\n32", _hash));
+        return ecrecover(signedHash, v, r, s);
+    }
+}
@@ -2,49 +2,458 @@
 
 pragma solidity ^0.8.26;
 
+// wallet rotation in Patient/DoctorRegistration
+interface IAccountRegistry {
+  function successorOf(address _wallet) external view returns(address);
+}
+
+interface IDoctorDirectory {
+  function isVerifiedDoctorAddress(address _wallet) external view returns(bool);
+  function canUseEmergencyAccess(address _wallet) external view returns(bool);
+}
+
+// guardians / caregivers in PatientRegistration
+interface IPatientDelegates {
+  function canActFor(address _patientWallet,address _wallet,uint8 _permission) external view returns(bool);
+  function isPatientRegisteredAddress(address _wallet) external view returns(bool);
+}
+
 contract Upload {
   
   struct Access{
      address user; 
      bool access; //true or false
+     uint256 grantedAt;
+     uint256 expiresAt; // 0 = until revoked
+     uint256 appointmentDate; // 0 = not scoped to an appointment
+     bool allRecords; // false = only the records picked with allowRecords
+  }
+  struct Record{
+     uint256 id; // index in the owner's records
+     string cid; // IPFS content hash
+     string title;
+     string category;
+     string mimeType;
+     uint256 size; // bytes
+     uint256 uploadedAt;
+     address uploader;
   }
-  mapping(address=>string[]) value;
+  enum RequestStatus{Pending,Approved,Denied}
+  struct AccessRequest{
+     uint256 id; // index in the patient's requests
+     address doctor;
+     string reason;
+     uint256 duration; // seconds asked for, 0 = until revoked
+     uint256 requestedAt;
+     RequestStatus status;
+     uint256 decidedAt;
+  }
+  struct EmergencyAccess{
+     uint256 id; // index in the patient's emergency accesses
+     address doctor;
+     string reason;
+     uint256 grantedAt;
+     uint256 expiresAt;
+     bool acknowledged; // patient has seen the alert
+  }
+  mapping(address=>Record[]) records;
   mapping(address=>mapping(address=>bool)) ownership;
   mapping(address=>Access[]) accessList;
   mapping(address=>mapping(address=>bool)) previousData;
+  mapping(address=>mapping(address=>uint256)) accessExpiry;
+  mapping(address=>mapping(address=>bool)) accessAll;
+  mapping(address=>mapping(address=>uint256[])) sharedRecords;
+  mapping(address=>mapping(address=>mapping(uint256=>bool))) recordShared;
+  mapping(address=>AccessRequest[]) accessRequests;
+  mapping(address=>mapping(address=>bool)) pendingRequest;
+  mapping(address=>address[]) grantedBy; // viewer => owners who ever shared with them
+  mapping(address=>mapping(address=>bool)) isGrantedBy;
+  mapping(address=>bool) migrated;
+  mapping(address=>EmergencyAccess[]) emergencyAccesses;
+  uint256 public constant BREAK_GLASS_DURATION=4 hours;
+  // PatientRegistration delegate permission bits
+  uint8 constant PERMISSION_UPLOAD=2;
+  uint8 constant PERMISSION_SHARE=4;
+  uint8 constant PERMISSION_VIEW=8;
+  IAccountRegistry public patientRegistry;
+  IAccountRegistry public doctorRegistry;
+
+  // audit trail - the patient history view is rebuilt from these logs
+  event RecordAdded(address indexed user,uint256 indexed id,address indexed uploader,string title,uint256 timestamp);
+  event AccessGranted(address indexed user,address indexed viewer,uint256 expiresAt,uint256 appointmentDate,bool allRecords,uint256 timestamp);
+  event AccessRevoked(address indexed user,address indexed viewer,uint256 timestamp);
+  event RecordViewed(address indexed user,address indexed viewer,uint256 indexed id,uint256 timestamp);
+  event AccessRequested(address indexed user,address indexed doctor,uint256 indexed id,string reason,uint256 duration,uint256 timestamp);
+  event AccessRequestDecided(address indexed user,address indexed doctor,uint256 indexed id,bool approved,uint256 timestamp);
+  event AccountMigrated(address indexed from,address indexed to,uint256 timestamp);
+  event EmergencyAccessGranted(address indexed user,address indexed doctor,uint256 indexed id,string reason,uint256 expiresAt,uint256 timestamp);
+
+  constructor(address _patientRegistry,address _doctorRegistry){
+      patientRegistry=IAccountRegistry(_patientRegistry);
+      doctorRegistry=IAccountRegistry(_doctorRegistry);
+  }
+
+  modifier canView(address _user){
+      require(hasAccess(_user,msg.sender) || actsFor(_user,msg.sender,PERMISSION_VIEW),"You don't have access");
+      _;
+  }
+
+  modifier canShare(address _owner){
+      require(actsFor(_owner,msg.sender,PERMISSION_SHARE),"Not allowed to share these records");
+      _;
+  }
+
+  // the owner themselves, or a delegate of the patient holding _permission
+  function actsFor(address _user,address _wallet,uint8 _permission) private view returns(bool){
+      return _user==_wallet || IPatientDelegates(address(patientRegistry)).canActFor(_user,_wallet,_permission);
+  }
+
+  function hasAccess(address _user,address _viewer) public view returns(bool){
+      if(!ownership[_user][_viewer]) return false;
+      uint256 expiresAt=accessExpiry[_user][_viewer];
+      return expiresAt==0 || block.timestamp<expiresAt;
+  }
+
+  function canViewRecord(address _user,address _viewer,uint256 _id) public view returns(bool){
+      if(actsFor(_user,_viewer,PERMISSION_VIEW)) return true;
+      if(!hasAccess(_user,_viewer)) return false;
+      return accessAll[_user][_viewer] || recordShared[_user][_viewer][_id];
+  }
+
+  function add(
+      address _user,
+      string memory _cid,
+      string memory _title,
+      string memory _category,
+      string memory _mimeType,
+      uint256 _size
+  ) external {
+      require(actsFor(_user,msg.sender,PERMISSION_UPLOAD) || hasAccess(_user,msg.sender),"Not allowed to add records for this user");
+      uint256 id=records[_user].length;
+      records[_user].push(Record(id,_cid,_title,_category,_mimeType,_size,block.timestamp,msg.sender));
+      emit RecordAdded(_user,id,msg.sender,_title,block.timestamp);
+  }
+  // _expiresAt = 0 grants access until revoked; a single-appointment grant
+  // (_appointmentDate = that day's timestamp) must lapse by the end of that day
+  function allow(address user,uint256 _expiresAt,uint256 _appointmentDate) external {//def
+      allowFor(msg.sender,user,_expiresAt,_appointmentDate);
+  }
+
+  // the *For variants let a delegate with the share permission act on the patient's records
+  function allowFor(address _owner,address user,uint256 _expiresAt,uint256 _appointmentDate) public canShare(_owner) {
+      clearSharedRecords(_owner,user);
+      grant(_owner,user,_expiresAt,_appointmentDate,true);
+  }
+
+  // share only the selected records; replaces any earlier selection for this user
+  function allowRecords(address user,uint256[] memory _ids,uint256 _expiresAt,uint256 _appointmentDate) external {
+      allowRecordsFor(msg.sender,user,_ids,_expiresAt,_appointmentDate);
+  }
 
-  function add(address _user,string memory url) external {
-      value[_user].push(url);
+  function allowRecordsFor(address _owner,address user,uint256[] memory _ids,uint256 _expiresAt,uint256 _appointmentDate) public canShare(_owner) {
+      require(_ids.length>0,"No records selected");
+      clearSharedRecords(_owner,user);
+      for(uint i=0;i<_ids.length;i++){
+          require(_ids[i]<records[_owner].length,"Record does not exist");
+          if(!recordShared[_owner][user][_ids[i]]){
+              recordShared[_owner][user][_ids[i]]=true;
+              sharedRecords[_owner][user].push(_ids[i]);
+          }
+      }
+      grant(_owner,user,_expiresAt,_appointmentDate,false);
   }
-  function allow(address user) external {//def
-      ownership[msg.sender][user]=true; 
-      if(previousData[msg.sender][user]){
-         for(uint i=0;i<accessList[msg.sender].length;i++){
-             if(accessList[msg.sender][i].user==user){
-                  accessList[msg.sender][i].access=true; 
+
+  // a patient's records only go to verified doctors; a doctor can still share what they uploaded with a patient
+  function grant(address _owner,address user,uint256 _expiresAt,uint256 _appointmentDate,bool _allRecords) private {
+      if(IPatientDelegates(address(patientRegistry)).isPatientRegisteredAddress(_owner)){
+          require(IDoctorDirectory(address(doctorRegistry)).isVerifiedDoctorAddress(user),"Records can only be shared with verified doctors");
+      }
+      require(_expiresAt==0 || _expiresAt>block.timestamp,"Expiry must be in the future");
+      if(_appointmentDate!=0){
+          require(_expiresAt!=0 && _expiresAt<=_appointmentDate+1 days,"Appointment access must expire by the end of the appointment day");
+      }
+      store(_owner,Access(user,true,block.timestamp,_expiresAt,_appointmentDate,_allRecords));
+      emit AccessGranted(_owner,user,_expiresAt,_appointmentDate,_allRecords,block.timestamp);
+    
+  }
+
+  function store(address _owner,Access memory _access) private {
+      address user=_access.user;
+      ownership[_owner][user]=true; 
+      accessExpiry[_owner][user]=_access.expiresAt;
+      accessAll[_owner][user]=_access.allRecords;
+      if(previousData[_owner][user]){
+         for(uint i=0;i<accessList[_owner].length;i++){
+             if(accessList[_owner][i].user==user){
+                  accessList[_owner][i]=_access; 
              }
          }
       }else{
-          accessList[msg.sender].push(Access(user,true));  
-          previousData[msg.sender][user]=true;  
+          accessList[_owner].push(_access);  
+          previousData[_owner][user]=true;  
+      }
+      if(!isGrantedBy[user][_owner]){
+          isGrantedBy[user][_owner]=true;
+          grantedBy[user].push(_owner);
       }
-    
   }
+
+  function clearSharedRecords(address _owner,address user) private {
+      uint256[] storage ids=sharedRecords[_owner][user];
+      for(uint i=0;i<ids.length;i++){
+          recordShared[_owner][user][ids[i]]=false;
+      }
+      delete sharedRecords[_owner][user];
+  }
+
   function disallow(address user) public{
-      ownership[msg.sender][user]=false;
-      for(uint i=0;i<accessList[msg.sender].length;i++){
-          if(accessList[msg.sender][i].user==user){ 
-              accessList[msg.sender][i].access=false;  
+      disallowFor(msg.sender,user);
+  }
+
+  function disallowFor(address _owner,address user) public canShare(_owner) {
+      ownership[_owner][user]=false;
+      clearSharedRecords(_owner,user);
+      for(uint i=0;i<accessList[_owner].length;i++){
+          if(accessList[_owner][i].user==user){ 
+              accessList[_owner][i].access=false;  
+          }
+      }
+      emit AccessRevoked(_owner,user,block.timestamp);
+  }
+
+  // a verified doctor asks the patient for access and says why; one open request per doctor at a time
+  function requestAccess(address _user,string memory _reason,uint256 _duration) external {
+      require(IDoctorDirectory(address(doctorRegistry)).isVerifiedDoctorAddress(msg.sender),"Only verified doctors can request access");
+      require(bytes(_reason).length>0,"A justification is required");
+      require(_user!=msg.sender,"Cannot request access to your own records");
+      require(!pendingRequest[_user][msg.sender],"Request already pending");
+      uint256 id=accessRequests[_user].length;
+      accessRequests[_user].push(AccessRequest(id,msg.sender,_reason,_duration,block.timestamp,RequestStatus.Pending,0));
+      pendingRequest[_user][msg.sender]=true;
+      emit AccessRequested(_user,msg.sender,id,_reason,_duration,block.timestamp);
+  }
+
+  // approving grants the requested window the same way allow does
+  function approveRequest(uint256 _id) external {
+      AccessRequest storage request=decide(_id,RequestStatus.Approved);
+      clearSharedRecords(msg.sender,request.doctor);
+      grant(msg.sender,request.doctor,request.duration==0 ? 0 : block.timestamp+request.duration,0,true);
+  }
+
+  function denyRequest(uint256 _id) external {
+      decide(_id,RequestStatus.Denied);
+  }
+
+  function decide(uint256 _id,RequestStatus _status) private returns(AccessRequest storage){
+      require(_id<accessRequests[msg.sender].length,"Request does not exist");
+      AccessRequest storage request=accessRequests[msg.sender][_id];
+      require(request.status==RequestStatus.Pending,"Request already decided");
+      request.status=_status;
+      request.decidedAt=block.timestamp;
+      pendingRequest[msg.sender][request.doctor]=false;
+      emit AccessRequestDecided(msg.sender,request.doctor,_id,_status==RequestStatus.Approved,block.timestamp);
+      return request;
+  }
+
+  // requests made to the caller's records, oldest first
+  function getAccessRequests() external view returns(AccessRequest[] memory){
+      return accessRequests[msg.sender];
+  }
+
+  function isRequestPending(address _user,address _doctor) external view returns(bool){
+      return pendingRequest[_user][_doctor];
+  }
+
+  // break-glass: a doctor approved for it by their hospital's admins opens every record of a registered
+  // patient for BREAK_GLASS_DURATION without consent; the reason is kept on-chain and the patient is
+  // alerted on their dashboard
+  function breakGlass(address _user,string memory _reason) external {
+      require(IDoctorDirectory(address(doctorRegistry)).canUseEmergencyAccess(msg.sender),"Doctor is not approved for emergency access");
+      require(IPatientDelegates(address(patientRegistry)).isPatientRegisteredAddress(_user),"Patient not registered");
+      require(bytes(_reason).length>0,"A justification is required");
+      require(_user!=msg.sender,"Cannot request access to your own records");
+      require(!hasAccess(_user,msg.sender),"You already have access");
+      uint256 expiresAt=block.timestamp+BREAK_GLASS_DURATION;
+      clearSharedRecords(_user,msg.sender);
+      store(_user,Access(msg.sender,true,block.timestamp,expiresAt,0,true));
+      uint256 id=emergencyAccesses[_user].length;
+      emergencyAccesses[_user].push(EmergencyAccess(id,msg.sender,_reason,block.timestamp,expiresAt,false));
+      emit EmergencyAccessGranted(_user,msg.sender,id,_reason,expiresAt,block.timestamp);
+  }
+
+  // the patient dismisses the dashboard alert; the record of the access stays
+  function acknowledgeEmergencyAccess(uint256 _id) external {
+      require(_id<emergencyAccesses[msg.sender].length,"Emergency access does not exist");
+      emergencyAccesses[msg.sender][_id].acknowledged=true;
+  }
+
+  // emergency accesses to the caller's records, oldest first
+  function getEmergencyAccesses() external view returns(EmergencyAccess[] memory){
+      return emergencyAccesses[msg.sender];
+  }
+
+  // called by a newer wallet once a registry has moved an hhNumber/licenseNumber off _from:
+  // brings over the records, the grants made and received, the request inbox and the emergency access log
+  function migrateAccount(address _from) external {
+      require(isSuccessor(patientRegistry,_from) || isSuccessor(doctorRegistry,_from),"Not the successor of this wallet");
+      require(!migrated[_from],"Account already migrated");
+      migrated[_from]=true;
+      uint256 offset=records[msg.sender].length;
+      moveRecords(_from,offset);
+      moveGrantsMade(_from,offset);
+      moveGrantsReceived(_from);
+      moveRequests(_from);
+      moveEmergencyAccesses(_from);
+      emit AccountMigrated(_from,msg.sender,block.timestamp);
+  }
+
+  // any later wallet in the rotation chain may pull the old one's data over
+  function isSuccessor(IAccountRegistry _registry,address _from) private view returns(bool){
+      address next=_registry.successorOf(_from);
+      while(next!=address(0)){
+          if(next==msg.sender) return true;
+          next=_registry.successorOf(next);
+      }
+      return false;
+  }
+
+  function isMigrated(address _wallet) external view returns(bool){
+      return migrated[_wallet];
+  }
+
+  // record ids shift by _offset when the new wallet already holds records
+  function moveRecords(address _from,uint256 _offset) private {
+      Record[] storage old=records[_from];
+      for(uint i=0;i<old.length;i++){
+          Record memory record=old[i];
+          record.id=_offset+i;
+          records[msg.sender].push(record);
+      }
+      delete records[_from];
+  }
+
+  // grants the old wallet gave out that are still live
+  function moveGrantsMade(address _from,uint256 _offset) private {
+      Access[] storage list=accessList[_from];
+      for(uint i=0;i<list.length;i++){
+          address viewer=list[i].user;
+          if(list[i].access && hasAccess(_from,viewer) && viewer!=msg.sender){
+              clearSharedRecords(msg.sender,viewer);
+              uint256[] storage ids=sharedRecords[_from][viewer];
+              for(uint j=0;j<ids.length;j++){
+                  recordShared[msg.sender][viewer][_offset+ids[j]]=true;
+                  sharedRecords[msg.sender][viewer].push(_offset+ids[j]);
+              }
+              store(msg.sender,list[i]);
+          }
+          ownership[_from][viewer]=false;
+          clearSharedRecords(_from,viewer);
+          list[i].access=false;
+      }
+  }
+
+  // live grants other owners gave the old wallet (a doctor's patients)
+  function moveGrantsReceived(address _from) private {
+      address[] storage owners=grantedBy[_from];
+      for(uint i=0;i<owners.length;i++){
+          address owner=owners[i];
+          if(owner==msg.sender || !hasAccess(owner,_from)) continue;
+          Access[] storage list=accessList[owner];
+          for(uint j=0;j<list.length;j++){
+              if(list[j].user!=_from) continue;
+              Access memory access=list[j];
+              list[j].access=false;
+              access.user=msg.sender;
+              clearSharedRecords(owner,msg.sender);
+              uint256[] storage ids=sharedRecords[owner][_from];
+              for(uint k=0;k<ids.length;k++){
+                  recordShared[owner][msg.sender][ids[k]]=true;
+                  sharedRecords[owner][msg.sender].push(ids[k]);
+              }
+              store(owner,access);
+              break;
           }
+          ownership[owner][_from]=false;
+          clearSharedRecords(owner,_from);
       }
   }
 
-  function display(address _user) external view returns(string[] memory){
-      require(_user==msg.sender || ownership[_user][msg.sender],"You don't have access");
-      return value[_user];
+  // the patient's access request inbox, pending requests stay pending
+  function moveRequests(address _from) private {
+      AccessRequest[] storage old=accessRequests[_from];
+      for(uint i=0;i<old.length;i++){
+          AccessRequest memory request=old[i];
+          if(request.status==RequestStatus.Pending){
+              pendingRequest[_from][request.doctor]=false;
+              if(pendingRequest[msg.sender][request.doctor]) continue;
+              pendingRequest[msg.sender][request.doctor]=true;
+          }
+          request.id=accessRequests[msg.sender].length;
+          accessRequests[msg.sender].push(request);
+      }
+      delete accessRequests[_from];
+  }
+
+  // unread emergency alerts stay unread on the new wallet
+  function moveEmergencyAccesses(address _from) private {
+      EmergencyAccess[] storage old=emergencyAccesses[_from];
+      for(uint i=0;i<old.length;i++){
+          EmergencyAccess memory access=old[i];
+          access.id=emergencyAccesses[msg.sender].length;
+          emergencyAccesses[msg.sender].push(access);
+      }
+      delete emergencyAccesses[_from];
+  }
+
+  // every record for the owner, their viewing delegates and full grants, only the shared ones otherwise
+  function display(address _user) external view canView(_user) returns(Record[] memory){
+      if(accessAll[_user][msg.sender] || actsFor(_user,msg.sender,PERMISSION_VIEW)){
+          return records[_user];
+      }
+      uint256[] storage ids=sharedRecords[_user][msg.sender];
+      Record[] memory shared=new Record[](ids.length);
+      for(uint i=0;i<ids.length;i++){
+          shared[i]=records[_user][ids[i]];
+      }
+      return shared;
+  }
+
+  function getRecordCount(address _user) external view canView(_user) returns(uint256){
+      if(accessAll[_user][msg.sender] || actsFor(_user,msg.sender,PERMISSION_VIEW)){
+          return records[_user].length;
+      }
+      return sharedRecords[_user][msg.sender].length;
+  }
+
+  function getRecord(address _user,uint256 _index) external view returns(Record memory){
+      require(_index<records[_user].length,"Record does not exist");
+      require(canViewRecord(_user,msg.sender,_index),"You don't have access");
+      return records[_user][_index];
+  }
+
+  // same as getRecord but sent as a transaction so the read shows up in the patient's history
+  function viewRecord(address _user,uint256 _index) external returns(Record memory){
+      require(_index<records[_user].length,"Record does not exist");
+      require(canViewRecord(_user,msg.sender,_index),"You don't have access");
+      emit RecordViewed(_user,msg.sender,_index,block.timestamp);
+      return records[_user][_index];
+  }
+
+  // record ids the caller has shared with a user through allowRecords
+  function getSharedRecords(address user) external view returns(uint256[] memory){
+      return sharedRecords[msg.sender][user];
   }
 
   function shareAccess() public view returns(Access[] memory){
       return accessList[msg.sender];
   }
+
+  // the same lists for a delegate who manages the owner's sharing
+  function getSharedRecordsFor(address _owner,address user) external view canShare(_owner) returns(uint256[] memory){
+      return sharedRecords[_owner][user];
+  }
+
+  function shareAccessFor(address _owner) external view canShare(_owner) returns(Access[] memory){
+      return accessList[_owner];
+  }
 }
\ No newline at end of file
@@ -1,7 +1,13 @@
 const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
 
+const PatientRegistrationModule = require("./PatientRegistration");
+const DoctorRegistrationModule = require("./DoctorRegistration");
+
 module.exports = buildModule("AppointmentBooking", (m) => {
-  const ticket = m.contract("AppointmentBooking");
+  const { patient } = m.useModule(PatientRegistrationModule);
+  const { doctor } = m.useModule(DoctorRegistrationModule);
+
+  const ticket = m.contract("AppointmentBooking", [patient, doctor]);
 
   return { ticket };
 });
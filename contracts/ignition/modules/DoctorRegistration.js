@@ -1,7 +1,13 @@
 const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
 
+const PatientRegistrationModule = require("./PatientRegistration");
+const HospitalRegistryModule = require("./HospitalRegistry");
+
 module.exports = buildModule("DoctorRegistration", (m) => {
-  const doctor = m.contract("DoctorRegistration");
+  const { patient } = m.useModule(PatientRegistrationModule);
+  const { hospital } = m.useModule(HospitalRegistryModule);
+
+  const doctor = m.contract("DoctorRegistration", [patient, hospital]);
 
   return { doctor };
 });
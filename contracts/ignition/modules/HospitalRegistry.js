@@ -0,0 +1,7 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+module.exports = buildModule("HospitalRegistry", (m) => {
+  const hospital = m.contract("HospitalRegistry");
+
+  return { hospital };
+});
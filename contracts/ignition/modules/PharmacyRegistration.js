@@ -0,0 +1,11 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const HospitalRegistryModule = require("./HospitalRegistry");
+
+module.exports = buildModule("PharmacyRegistration", (m) => {
+  const { hospital } = m.useModule(HospitalRegistryModule);
+
+  const pharmacy = m.contract("PharmacyRegistration", [hospital]);
+
+  return { pharmacy };
+});
@@ -0,0 +1,15 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+const DoctorRegistrationModule = require("./DoctorRegistration");
+const AppointmentBookingModule = require("./AppointmentBooking");
+const PharmacyRegistrationModule = require("./PharmacyRegistration");
+
+module.exports = buildModule("Prescription", (m) => {
+  const { doctor } = m.useModule(DoctorRegistrationModule);
+  const { ticket } = m.useModule(AppointmentBookingModule);
+  const { pharmacy } = m.useModule(PharmacyRegistrationModule);
+
+  const prescription = m.contract("Prescription", [doctor, ticket, pharmacy]);
+
+  return { prescription };
+});
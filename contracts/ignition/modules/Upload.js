@@ -1,7 +1,13 @@
 const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
 
+const PatientRegistrationModule = require("./PatientRegistration");
+const DoctorRegistrationModule = require("./DoctorRegistration");
+
 module.exports = buildModule("Upload", (m) => {
-  const upload = m.contract("Upload");
+  const { patient } = m.useModule(PatientRegistrationModule);
+  const { doctor } = m.useModule(DoctorRegistrationModule);
+
+  const upload = m.contract("Upload", [patient, doctor]);
 
   return { upload };
 });
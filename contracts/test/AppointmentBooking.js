@@ -0,0 +1,384 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { DAY, GUARDIAN, PERMISSION, SUSPENDED, deployRegistriesFixture } = require("./fixtures");
+
+const HOUR = 60 * 60;
+const SLOT = 30 * 60;
+
+// AppointmentBooking.Status
+const BOOKED = 0;
+const CHECKED_IN = 1;
+const COMPLETED = 2;
+const NO_SHOW = 3;
+const CANCELLED = 4;
+
+const statusMask = (...statuses) => statuses.reduce((mask, status) => mask | (1 << status), 0);
+
+describe("AppointmentBooking", function () {
+  describe("Slots", function () {
+    it("Should let the patient book a free slot", async function () {
+      const { booking, alice, day } = await loadFixture(deployRegistriesFixture);
+
+      await expect(booking.connect(alice).bookAppointment("100001", "200001", day, day + 9 * HOUR, SLOT))
+        .to.emit(booking, "AppointmentBooked")
+        .withArgs("100001", "200001", day, day + 9 * HOUR, SLOT);
+      expect(await booking.isAlreadyBooked("100001", "200001", day)).to.equal(true);
+      expect(await booking.getDoctorAppointmentsCount("200001", day)).to.equal(1);
+    });
+
+    it("Should keep the appointment inside opening hours and on a slot boundary", async function () {
+      const { booking, alice, day } = await loadFixture(deployRegistriesFixture);
+      const book = (start, duration) => booking.connect(alice).bookAppointment("100001", "200001", day, start, duration);
+
+      await expect(book(day + 8 * HOUR, SLOT)).to.be.revertedWith("Appointment must be within opening hours");
+      await expect(book(day + 17 * HOUR - SLOT, 2 * SLOT)).to.be.revertedWith(
+        "Appointment must be within opening hours"
+      );
+      await expect(book(day + 9 * HOUR + 10 * 60, SLOT)).to.be.revertedWith("Start time must be on a slot boundary");
+      await expect(book(day + 9 * HOUR, SLOT + 5 * 60)).to.be.revertedWith("Duration must be a whole number of slots");
+      await expect(book(day + 9 * HOUR, 0)).to.be.revertedWith("Duration must be a whole number of slots");
+    });
+
+    it("Should need a day key in the doctor's timezone and a start on that day", async function () {
+      const { booking, alice, day } = await loadFixture(deployRegistriesFixture);
+
+      // a shifted day key would dodge the one-booking-per-day and capacity limits
+      await expect(
+        booking.connect(alice).bookAppointment("100001", "200001", day + HOUR, day + 10 * HOUR, SLOT)
+      ).to.be.revertedWith("Date must be a midnight in the doctor's timezone");
+      await expect(
+        booking.connect(alice).bookAppointment("100001", "200001", day, day + DAY + 9 * HOUR, SLOT)
+      ).to.be.revertedWith("Start time must fall on the booked day");
+      await expect(
+        booking.connect(alice).bookAppointment("100001", "200001", day - 3 * DAY, day - 3 * DAY + 9 * HOUR, SLOT)
+      ).to.be.revertedWith("Appointment time has already passed");
+    });
+
+    it("Should not double-book a slot or a patient's day", async function () {
+      const { booking, alice, bob, day } = await loadFixture(deployRegistriesFixture);
+
+      await booking.connect(alice).bookAppointment("100001", "200001", day, day + 9 * HOUR, 2 * SLOT);
+      await expect(
+        booking.connect(alice).bookAppointment("100001", "200001", day, day + 12 * HOUR, SLOT)
+      ).to.be.revertedWith("Already booked for today with this doctor");
+      await expect(
+        booking.connect(bob).bookAppointment("100002", "200001", day, day + 9 * HOUR + SLOT, SLOT)
+      ).to.be.revertedWith("Slot is already booked");
+
+      await booking.connect(bob).bookAppointment("100002", "200001", day, day + 10 * HOUR, SLOT);
+      const slots = await booking.getAvailableSlots("200001", day);
+      expect(slots).to.not.include(BigInt(day + 9 * HOUR));
+      expect(slots).to.not.include(BigInt(day + 10 * HOUR));
+      expect(slots).to.have.lengthOf(16 - 3);
+    });
+  });
+
+  describe("Cancellation", function () {
+    it("Should free the slot and the day when cancelled", async function () {
+      const { booking, alice, bob, day } = await loadFixture(deployRegistriesFixture);
+
+      await booking.connect(alice).bookAppointment("100001", "200001", day, day + 9 * HOUR, SLOT);
+      await expect(booking.connect(bob).cancelAppointment(0)).to.be.revertedWith(
+        "Only the patient or doctor can change this appointment"
+      );
+      await booking.connect(alice).cancelAppointment(0);
+
+      expect(await booking.isAlreadyBooked("100001", "200001", day)).to.equal(false);
+      await booking.connect(bob).bookAppointment("100002", "200001", day, day + 9 * HOUR, SLOT);
+      await booking.connect(alice).bookAppointment("100001", "200001", day, day + 11 * HOUR, SLOT);
+    });
+  });
+
+  describe("Rescheduling", function () {
+    it("Should free the old slot and take the new one", async function () {
+      const { booking, alice, bob, day } = await loadFixture(deployRegistriesFixture);
+
+      await booking.connect(alice).bookAppointment("100001", "200001", day, day + 9 * HOUR, SLOT);
+      await expect(booking.connect(alice).rescheduleAppointment(0, day, day + 11 * HOUR, SLOT))
+        .to.emit(booking, "AppointmentRescheduled")
+        .withArgs(0, day, day + 11 * HOUR, SLOT);
+
+      const slots = await booking.getAvailableSlots("200001", day);
+      expect(slots).to.include(BigInt(day + 9 * HOUR));
+      expect(slots).to.not.include(BigInt(day + 11 * HOUR));
+      expect((await booking.appointments(0)).startTime).to.equal(day + 11 * HOUR);
+      await booking.connect(bob).bookAppointment("100002", "200001", day, day + 9 * HOUR, SLOT);
+
+      // to another day: the old day is free for the patient again
+      await booking.connect(alice).rescheduleAppointment(0, day + DAY, day + DAY + 9 * HOUR, SLOT);
+      expect(await booking.isAlreadyBooked("100001", "200001", day)).to.equal(false);
+      expect(await booking.isAlreadyBooked("100001", "200001", day + DAY)).to.equal(true);
+      expect(await booking.getDoctorAppointmentsCount("200001", day)).to.equal(1);
+    });
+
+    it("Should check the new slot for conflicts", async function () {
+      const { booking, alice, bob, day } = await loadFixture(deployRegistriesFixture);
+
+      await booking.connect(alice).bookAppointment("100001", "200001", day, day + 9 * HOUR, SLOT);
+      await booking.connect(bob).bookAppointment("100002", "200001", day, day + 10 * HOUR, SLOT);
+      await booking.connect(alice).bookAppointment("100001", "200001", day + DAY, day + DAY + 9 * HOUR, SLOT);
+
+      await expect(booking.connect(alice).rescheduleAppointment(0, day, day + 10 * HOUR, SLOT)).to.be.revertedWith(
+        "Slot is already booked"
+      );
+      await expect(
+        booking.connect(alice).rescheduleAppointment(0, day + DAY, day + DAY + 11 * HOUR, SLOT)
+      ).to.be.revertedWith("Already booked for today with this doctor");
+      await expect(booking.connect(alice).rescheduleAppointment(0, day, day + 17 * HOUR, SLOT)).to.be.revertedWith(
+        "Appointment must be within opening hours"
+      );
+
+      // a failed move keeps the old slot
+      expect(await booking.getAvailableSlots("200001", day)).to.not.include(BigInt(day + 9 * HOUR));
+
+      // the old slot is released first, so the appointment can grow into it
+      await booking.connect(alice).rescheduleAppointment(0, day, day + 9 * HOUR, 2 * SLOT);
+      expect((await booking.appointments(0)).duration).to.equal(2 * SLOT);
+    });
+
+    it("Should only let the patient or doctor reschedule", async function () {
+      const { booking, alice, bob, doctor, stranger, day } = await loadFixture(deployRegistriesFixture);
+
+      await booking.connect(alice).bookAppointment("100001", "200001", day, day + 9 * HOUR, SLOT);
+      for (const caller of [bob, stranger]) {
+        await expect(
+          booking.connect(caller).rescheduleAppointment(0, day, day + 11 * HOUR, SLOT)
+        ).to.be.revertedWith("Only the patient or doctor can change this appointment");
+      }
+
+      await booking.connect(doctor).rescheduleAppointment(0, day, day + 11 * HOUR, SLOT);
+      expect((await booking.appointments(0)).startTime).to.equal(day + 11 * HOUR);
+    });
+
+    it("Should not reschedule a cancelled appointment", async function () {
+      const { booking, alice, day } = await loadFixture(deployRegistriesFixture);
+
+      await booking.connect(alice).bookAppointment("100001", "200001", day, day + 9 * HOUR, SLOT);
+      await booking.connect(alice).cancelAppointment(0);
+      await expect(
+        booking.connect(alice).rescheduleAppointment(0, day, day + 11 * HOUR, SLOT)
+      ).to.be.revertedWith("Appointment can no longer be changed");
+      expect(await booking.isAlreadyBooked("100001", "200001", day)).to.equal(false);
+    });
+  });
+
+  describe("Status", function () {
+    it("Should only let the doctor check in, complete or mark a no-show", async function () {
+      const { booking, alice, bob, doctor, stranger, day } = await loadFixture(deployRegistriesFixture);
+
+      await booking.connect(alice).bookAppointment("100001", "200001", day, day + 9 * HOUR, SLOT);
+      await booking.connect(bob).bookAppointment("100002", "200001", day, day + 10 * HOUR, SLOT);
+
+      for (const caller of [alice, stranger]) {
+        await expect(booking.connect(caller).checkIn(0)).to.be.revertedWith(
+          "Only the doctor can update this appointment"
+        );
+      }
+      await expect(booking.connect(doctor).checkIn(0))
+        .to.emit(booking, "AppointmentStatusChanged")
+        .withArgs(0, CHECKED_IN);
+
+      await expect(booking.connect(alice).completeAppointment(0)).to.be.revertedWith(
+        "Only the doctor can update this appointment"
+      );
+      await expect(booking.connect(doctor).completeAppointment(0))
+        .to.emit(booking, "AppointmentStatusChanged")
+        .withArgs(0, COMPLETED);
+
+      await expect(booking.connect(doctor).markNoShow(1)).to.be.revertedWith("Appointment has not started yet");
+      await time.increaseTo(day + 10 * HOUR);
+      await expect(booking.connect(bob).markNoShow(1)).to.be.revertedWith(
+        "Only the doctor can update this appointment"
+      );
+      await expect(booking.connect(doctor).markNoShow(1))
+        .to.emit(booking, "AppointmentStatusChanged")
+        .withArgs(1, NO_SHOW);
+
+      expect((await booking.appointments(0)).status).to.equal(COMPLETED);
+      expect((await booking.appointments(1)).status).to.equal(NO_SHOW);
+      await expect(booking.connect(doctor).checkIn(2)).to.be.revertedWith("Appointment does not exist");
+    });
+
+    it("Should go from booked to checked in to completed", async function () {
+      const { booking, alice, doctor, day } = await loadFixture(deployRegistriesFixture);
+
+      await booking.connect(alice).bookAppointment("100001", "200001", day, day + 9 * HOUR, SLOT);
+      await expect(booking.connect(doctor).completeAppointment(0)).to.be.revertedWith("Patient has not checked in");
+
+      await booking.connect(doctor).checkIn(0);
+      await expect(booking.connect(doctor).checkIn(0)).to.be.revertedWith("Only booked appointments can be checked in");
+      await expect(booking.connect(doctor).markNoShow(0)).to.be.revertedWith(
+        "Only booked appointments can be marked as no-show"
+      );
+    });
+
+    it("Should not change a cancelled, completed or no-show appointment again", async function () {
+      const { booking, alice, bob, doctor, day } = await loadFixture(deployRegistriesFixture);
+
+      await booking.connect(alice).bookAppointment("100001", "200001", day, day + 9 * HOUR, SLOT);
+      await booking.connect(bob).bookAppointment("100002", "200001", day, day + 10 * HOUR, SLOT);
+      await booking.connect(alice).bookAppointment("100001", "200001", day + DAY, day + DAY + 9 * HOUR, SLOT);
+      await booking.connect(alice).cancelAppointment(0);
+      await booking.connect(doctor).checkIn(1);
+      await booking.connect(doctor).completeAppointment(1);
+      await time.increaseTo(day + DAY + 9 * HOUR);
+      await booking.connect(doctor).markNoShow(2);
+
+      for (const [id, status] of [[0, CANCELLED], [1, COMPLETED], [2, NO_SHOW]]) {
+        await expect(booking.connect(doctor).checkIn(id)).to.be.revertedWith(
+          "Only booked appointments can be checked in"
+        );
+        await expect(booking.connect(doctor).completeAppointment(id)).to.be.revertedWith("Patient has not checked in");
+        await expect(booking.connect(doctor).markNoShow(id)).to.be.revertedWith(
+          "Only booked appointments can be marked as no-show"
+        );
+        await expect(booking.connect(doctor).cancelAppointment(id)).to.be.revertedWith(
+          "Appointment can no longer be changed"
+        );
+        expect((await booking.appointments(id)).status).to.equal(status);
+      }
+    });
+  });
+
+  describe("Schedules", function () {
+    it("Should stop at the doctor's daily capacity", async function () {
+      const { booking, alice, bob, doctor, day } = await loadFixture(deployRegistriesFixture);
+
+      const opens = Array(7).fill(9 * HOUR);
+      const closes = Array(7).fill(17 * HOUR);
+      await booking.connect(doctor).setSchedule("200001", opens, closes, 1, SLOT, 0);
+      await booking.connect(alice).bookAppointment("100001", "200001", day, day + 9 * HOUR, SLOT);
+
+      await expect(
+        booking.connect(bob).bookAppointment("100002", "200001", day, day + 10 * HOUR, SLOT)
+      ).to.be.revertedWith("Doctor has reached daily appointment limit");
+      expect(await booking.getAvailableSlots("200001", day)).to.have.lengthOf(0);
+    });
+
+    it("Should not book a doctor on leave", async function () {
+      const { booking, alice, doctor, day } = await loadFixture(deployRegistriesFixture);
+
+      await booking.connect(doctor).addLeave("200001", day, day + DAY, "Conference");
+      await expect(
+        booking.connect(alice).bookAppointment("100001", "200001", day, day + 9 * HOUR, SLOT)
+      ).to.be.revertedWith("Doctor is on leave that day");
+      await booking.connect(alice).bookAppointment("100001", "200001", day + 2 * DAY, day + 2 * DAY + 9 * HOUR, SLOT);
+    });
+
+    it("Should use the weekday and hours of the doctor's timezone", async function () {
+      const { booking, alice, doctor, day } = await loadFixture(deployRegistriesFixture);
+
+      // UTC+05:30, open 09:00 - 12:00 local on the weekday of `day` only
+      const offset = 5 * HOUR + 30 * 60;
+      const dayKey = day - offset;
+      const weekday = Number(await booking.weekday(dayKey, offset));
+      expect(weekday).to.equal(Number(await booking.weekday(day, 0)));
+
+      const opens = Array(7).fill(0);
+      const closes = Array(7).fill(0);
+      opens[weekday] = 9 * HOUR;
+      closes[weekday] = 12 * HOUR;
+      await booking.connect(doctor).setSchedule("200001", opens, closes, 10, SLOT, offset);
+
+      await expect(
+        booking.connect(alice).bookAppointment("100001", "200001", day, day + 9 * HOUR, SLOT)
+      ).to.be.revertedWith("Date must be a midnight in the doctor's timezone");
+      await expect(
+        booking.connect(alice).bookAppointment("100001", "200001", dayKey + DAY, dayKey + DAY + 9 * HOUR, SLOT)
+      ).to.be.revertedWith("Appointment must be within opening hours");
+
+      await booking.connect(alice).bookAppointment("100001", "200001", dayKey, dayKey + 9 * HOUR, SLOT);
+      expect(await booking.getAvailableSlots("200001", dayKey)).to.have.lengthOf(5);
+      expect(await booking.getAvailableSlots("200001", day)).to.have.lengthOf(0);
+    });
+
+    it("Should reject offsets outside the real timezones", async function () {
+      const { booking, doctor } = await loadFixture(deployRegistriesFixture);
+      const opens = Array(7).fill(9 * HOUR);
+      const closes = Array(7).fill(17 * HOUR);
+
+      await expect(
+        booking.connect(doctor).setSchedule("200001", opens, closes, 10, SLOT, 15 * HOUR)
+      ).to.be.revertedWith("Invalid timezone offset");
+      await expect(
+        booking.connect(doctor).setSchedule("200001", opens, closes, 10, SLOT, -13 * HOUR)
+      ).to.be.revertedWith("Invalid timezone offset");
+      await expect(
+        booking.connect(doctor).setSchedule("200001", opens, closes, 10, SLOT, HOUR + 1)
+      ).to.be.revertedWith("Timezone offset must be a multiple of 5 minutes");
+    });
+  });
+
+  describe("Listing", function () {
+    it("Should filter by status before paging", async function () {
+      const { booking, alice, bob, doctor, day } = await loadFixture(deployRegistriesFixture);
+
+      await booking.connect(alice).bookAppointment("100001", "200001", day, day + 9 * HOUR, SLOT);
+      await booking.connect(bob).bookAppointment("100002", "200001", day, day + 10 * HOUR, SLOT);
+      await booking.connect(alice).bookAppointment("100001", "200001", day + DAY, day + DAY + 9 * HOUR, SLOT);
+      await booking.connect(alice).cancelAppointment(0);
+      await booking.connect(doctor).checkIn(1);
+
+      const [all, total] = await booking.getDoctorAppointments("200001", 0, 0, 0, 0, 10);
+      expect(total).to.equal(3);
+      expect(all).to.have.lengthOf(3);
+
+      const [active, activeTotal] = await booking.getDoctorAppointments(
+        "200001", 0, 0, statusMask(BOOKED, CHECKED_IN), 0, 1
+      );
+      expect(activeTotal).to.equal(2);
+      expect(active[0].id).to.equal(1);
+
+      const [cancelled] = await booking.getPatientAppointments("100001", 0, 0, statusMask(CANCELLED), 0, 10);
+      expect(cancelled.map((a) => a.id)).to.deep.equal([0n]);
+
+      const [onDay, onDayTotal] = await booking.getPatientAppointments("100001", day + DAY, day + DAY, 0, 0, 10);
+      expect(onDayTotal).to.equal(1);
+      expect(onDay[0].id).to.equal(2);
+    });
+  });
+
+  describe("Delegates", function () {
+    it("Should only let a delegate with the booking permission book", async function () {
+      const { patients, booking, alice, bob, stranger, day } = await loadFixture(deployRegistriesFixture);
+
+      await expect(
+        booking.connect(stranger).bookAppointment("100001", "200001", day, day + 9 * HOUR, SLOT)
+      ).to.be.revertedWith("Only the patient or their delegate can book");
+
+      await patients.connect(alice).setDelegate("100001", "100002", GUARDIAN, PERMISSION.VIEW);
+      await expect(
+        booking.connect(bob).bookAppointment("100001", "200001", day, day + 9 * HOUR, SLOT)
+      ).to.be.revertedWith("Only the patient or their delegate can book");
+
+      await patients.connect(alice).setDelegate("100001", "100002", GUARDIAN, PERMISSION.BOOK);
+      await booking.connect(bob).bookAppointment("100001", "200001", day, day + 9 * HOUR, SLOT);
+      expect(await booking.isAlreadyBooked("100001", "200001", day)).to.equal(true);
+    });
+  });
+
+  describe("Doctor verification", function () {
+    it("Should only book verified doctors", async function () {
+      const { doctors, booking, alice, day } = await loadFixture(deployRegistriesFixture);
+
+      await doctors.setVerificationStatus("200001", SUSPENDED);
+      await expect(
+        booking.connect(alice).bookAppointment("100001", "200001", day, day + 9 * HOUR, SLOT)
+      ).to.be.revertedWith("Doctor is not verified");
+    });
+
+    it("Should not move an appointment with a doctor who is no longer verified", async function () {
+      const { doctors, booking, alice, day } = await loadFixture(deployRegistriesFixture);
+
+      await booking.connect(alice).bookAppointment("100001", "200001", day, day + 9 * HOUR, SLOT);
+      await doctors.setVerificationStatus("200001", SUSPENDED);
+      await expect(
+        booking.connect(alice).rescheduleAppointment(0, day, day + 10 * HOUR, SLOT)
+      ).to.be.revertedWith("Doctor is not verified");
+
+      // cancelling is still allowed
+      await booking.connect(alice).cancelAppointment(0);
+    });
+  });
+});
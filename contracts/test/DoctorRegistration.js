@@ -0,0 +1,307 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { GUARDIAN, PERMISSION, SUSPENDED, VERIFIED, deployRegistriesFixture } = require("./fixtures");
+
+describe("DoctorRegistration", function () {
+  describe("Registration", function () {
+    it("Should only register the calling wallet", async function () {
+      const { doctors, stranger, newWallet } = await loadFixture(deployRegistriesFixture);
+
+      await expect(
+        doctors
+          .connect(stranger)
+          .registerDoctor(newWallet.address, "House", "Diagnostics", "200002", "house@example.com", 1, "ER")
+      ).to.be.revertedWith("Register from the wallet being registered");
+    });
+  });
+
+  describe("Login", function () {
+    it("Should validate the registered wallet's signature over the challenge", async function () {
+      const { doctors, doctor } = await loadFixture(deployRegistriesFixture);
+
+      const challenge = await doctors.getLoginChallenge("200001", "nonce-1");
+      const signature = await doctor.signMessage(ethers.getBytes(challenge));
+      expect(await doctors.validateSignature("200001", "nonce-1", signature)).to.equal(true);
+    });
+
+    it("Should not validate another wallet, another nonce or a malformed signature", async function () {
+      const { doctors, doctor, stranger } = await loadFixture(deployRegistriesFixture);
+      const challenge = await doctors.getLoginChallenge("200001", "nonce-1");
+
+      const otherSignature = await stranger.signMessage(ethers.getBytes(challenge));
+      expect(await doctors.validateSignature("200001", "nonce-1", otherSignature)).to.equal(false);
+
+      // a signature over an old nonce cannot be replayed
+      const staleSignature = await doctor.signMessage(
+        ethers.getBytes(await doctors.getLoginChallenge("200001", "nonce-0"))
+      );
+      expect(await doctors.validateSignature("200001", "nonce-1", staleSignature)).to.equal(false);
+
+      const signature = await doctor.signMessage(ethers.getBytes(challenge));
+      expect(await doctors.validateSignature("200001", "nonce-1", signature.slice(0, -2))).to.equal(false);
+      expect(await doctors.validateSignature("200001", "nonce-1", "0x")).to.equal(false);
+      expect(await doctors.validateSignature("200001", "nonce-1", "0x" + "00".repeat(65))).to.equal(false);
+    });
+
+    it("Should reject a signature for an unregistered license number", async function () {
+      const { doctors, doctor } = await loadFixture(deployRegistriesFixture);
+
+      const challenge = await doctors.getLoginChallenge("200009", "nonce-1");
+      expect(challenge).to.not.equal(await doctors.getLoginChallenge("200001", "nonce-1"));
+      const signature = await doctor.signMessage(ethers.getBytes(challenge));
+      await expect(doctors.validateSignature("200009", "nonce-1", signature)).to.be.revertedWith(
+        "Doctor not registered"
+      );
+    });
+  });
+
+  describe("Profile", function () {
+    it("Should update the profile and emit the change", async function () {
+      const { doctors, doctor } = await loadFixture(deployRegistriesFixture);
+
+      await expect(
+        doctors
+          .connect(doctor)
+          .updateDoctorProfile("200001", "Grey-Sloan", "Cardiac surgeon", "grey@mail.example", 1, "Cardiology")
+      )
+        .to.emit(doctors, "DoctorProfileUpdated")
+        .withArgs("200001", "Grey-Sloan", "Cardiac surgeon", "grey@mail.example", 1, "Cardiology");
+
+      const details = await doctors.getDoctorDetails("200001");
+      expect(details.name).to.equal("Grey-Sloan");
+      expect(details.specialization).to.equal("Cardiac surgeon");
+      expect(details.email).to.equal("grey@mail.example");
+      expect(details.status).to.equal(VERIFIED);
+    });
+
+    it("Should only let the doctor's own wallet update it", async function () {
+      const { doctors, owner, stranger } = await loadFixture(deployRegistriesFixture);
+
+      // the hospital admin cannot edit it either
+      for (const caller of [stranger, owner]) {
+        await expect(
+          doctors
+            .connect(caller)
+            .updateDoctorProfile("200001", "Mallory", "Cardiologist", "mallory@example.com", 1, "Cardiology")
+        ).to.be.revertedWith("Caller is not the doctor");
+      }
+    });
+
+    it("Should reject an invalid email", async function () {
+      const { doctors, doctor } = await loadFixture(deployRegistriesFixture);
+      const update = (email) =>
+        doctors.connect(doctor).updateDoctorProfile("200001", "Grey", "Cardiologist", email, 1, "Cardiology");
+
+      for (const email of ["grey", "grey@example", "grey@example.", "@example.com", "grey@.com"]) {
+        await expect(update(email)).to.be.revertedWith("Invalid email address");
+      }
+      await expect(update("")).to.be.revertedWith("Profile fields cannot be empty");
+    });
+  });
+
+  describe("Hospital departments", function () {
+    it("Should reject a department the hospital does not have", async function () {
+      const { doctors, stranger } = await loadFixture(deployRegistriesFixture);
+
+      await expect(
+        doctors
+          .connect(stranger)
+          .registerDoctor(stranger.address, "House", "Diagnostics", "200002", "house@example.com", 1, "Oncology")
+      ).to.be.revertedWith("Department not found in hospital");
+    });
+  });
+
+  describe("Patient permissions", function () {
+    it("Should let the patient grant and revoke a doctor", async function () {
+      const { doctors, alice } = await loadFixture(deployRegistriesFixture);
+
+      await expect(doctors.connect(alice).grantPermission("200001", "100001", "Grey"))
+        .to.emit(doctors, "PermissionGranted")
+        .withArgs("200001", "100001");
+      expect(await doctors.isPermissionGranted("200001", "100001")).to.equal(true);
+      expect(await doctors.getDoctorList("100001")).to.have.lengthOf(1);
+
+      await doctors.connect(alice).revokePermission("200001", "100001");
+      expect(await doctors.isPermissionGranted("200001", "100001")).to.equal(false);
+      expect(await doctors.getDoctorList("100001")).to.have.lengthOf(0);
+    });
+
+    it("Should reject duplicate grants, unknown doctors and missing grants", async function () {
+      const { doctors, alice } = await loadFixture(deployRegistriesFixture);
+
+      await expect(doctors.connect(alice).grantPermission("999999", "100001", "Nobody")).to.be.revertedWith(
+        "Doctor not registered"
+      );
+      await expect(doctors.connect(alice).revokePermission("200001", "100001")).to.be.revertedWith(
+        "Access not granted to patient!"
+      );
+      await doctors.connect(alice).grantPermission("200001", "100001", "Grey");
+      await expect(doctors.connect(alice).grantPermission("200001", "100001", "Grey")).to.be.revertedWith(
+        "Access already granted to patient!"
+      );
+    });
+
+    it("Should not let anyone else change the patient's permissions", async function () {
+      const { doctors, alice, stranger } = await loadFixture(deployRegistriesFixture);
+
+      await expect(doctors.connect(stranger).grantPermission("200001", "100001", "Grey")).to.be.revertedWith(
+        "Caller is not the patient"
+      );
+      await doctors.connect(alice).grantPermission("200001", "100001", "Grey");
+      await expect(doctors.connect(stranger).revokePermission("200001", "100001")).to.be.revertedWith(
+        "Caller is not the patient"
+      );
+    });
+  });
+
+  describe("Delegates", function () {
+    it("Should let a delegate grant only with the share permission", async function () {
+      const { patients, doctors, alice, bob } = await loadFixture(deployRegistriesFixture);
+
+      await patients.connect(alice).setDelegate("100001", "100002", GUARDIAN, PERMISSION.BOOK);
+      await expect(doctors.connect(bob).grantPermission("200001", "100001", "Grey")).to.be.revertedWith(
+        "Caller is not the patient"
+      );
+
+      await patients.connect(alice).setDelegate("100001", "100002", GUARDIAN, PERMISSION.SHARE);
+      await doctors.connect(bob).grantPermission("200001", "100001", "Grey");
+      expect(await doctors.isPermissionGranted("200001", "100001")).to.equal(true);
+      await doctors.connect(bob).revokePermission("200001", "100001");
+      expect(await doctors.isPermissionGranted("200001", "100001")).to.equal(false);
+    });
+  });
+
+  describe("Verification", function () {
+    it("Should only let an admin of the doctor's hospital set the status", async function () {
+      const { doctors, doctor, stranger } = await loadFixture(deployRegistriesFixture);
+
+      await expect(doctors.connect(stranger).setVerificationStatus("200001", SUSPENDED)).to.be.revertedWith(
+        "Caller is not an admin of the doctor's hospital"
+      );
+      await expect(doctors.connect(doctor).setVerificationStatus("200001", SUSPENDED)).to.be.revertedWith(
+        "Caller is not an admin of the doctor's hospital"
+      );
+      await expect(doctors.setVerificationStatus("200001", 0)).to.be.revertedWith("Invalid verification status");
+      await expect(doctors.setVerificationStatus("200001", VERIFIED)).to.be.revertedWith("Status unchanged");
+    });
+
+    it("Should list only verified doctors, filtered by department", async function () {
+      const { doctors, stranger, newWallet } = await loadFixture(deployRegistriesFixture);
+
+      await doctors
+        .connect(stranger)
+        .registerDoctor(stranger.address, "House", "Diagnostics", "200002", "house@example.com", 1, "ER");
+      await doctors
+        .connect(newWallet)
+        .registerDoctor(newWallet.address, "Ross", "Paediatrics", "200003", "ross@example.com", 1, "ER");
+      await doctors.setVerificationStatus("200002", VERIFIED);
+
+      const [all, total] = await doctors.getVerifiedDoctorsByHospital(1, "", 0, 10);
+      expect(total).to.equal(2);
+      expect(all.map((d) => d.licenseNumber)).to.have.members(["200001", "200002"]);
+
+      const [er, erTotal] = await doctors.getVerifiedDoctorsByHospital(1, "ER", 0, 10);
+      expect(erTotal).to.equal(1);
+      expect(er[0].licenseNumber).to.equal("200002");
+
+      const [, hospitalTotal] = await doctors.getDoctorsByHospital(1, 0, 10);
+      expect(hospitalTotal).to.equal(3);
+
+      await doctors.setVerificationStatus("200001", SUSPENDED);
+      const [, afterSuspension] = await doctors.getVerifiedDoctorsByHospital(1, "", 0, 10);
+      expect(afterSuspension).to.equal(1);
+    });
+
+    it("Should page the department filter", async function () {
+      const { doctors, stranger, newWallet } = await loadFixture(deployRegistriesFixture);
+
+      await doctors
+        .connect(stranger)
+        .registerDoctor(stranger.address, "House", "Diagnostics", "200002", "house@example.com", 1, "ER");
+      await doctors
+        .connect(newWallet)
+        .registerDoctor(newWallet.address, "Ross", "Paediatrics", "200003", "ross@example.com", 1, "ER");
+      await doctors.setVerificationStatus("200002", VERIFIED);
+      await doctors.setVerificationStatus("200003", VERIFIED);
+
+      const [first, total] = await doctors.getVerifiedDoctorsByHospital(1, "ER", 0, 1);
+      const [second] = await doctors.getVerifiedDoctorsByHospital(1, "ER", 1, 1);
+      const [past] = await doctors.getVerifiedDoctorsByHospital(1, "ER", 2, 1);
+      expect(total).to.equal(2);
+      expect([first[0].licenseNumber, second[0].licenseNumber]).to.have.members(["200002", "200003"]);
+      expect(past).to.have.lengthOf(0);
+    });
+
+    it("Should send the doctor back to pending when they move hospital", async function () {
+      const { hospitals, doctors, doctor, stranger } = await loadFixture(deployRegistriesFixture);
+
+      await hospitals.connect(stranger).registerHospital("General", "2 High St", ["ER"]);
+      await hospitals.approveHospital(2);
+      await doctors
+        .connect(doctor)
+        .updateDoctorProfile("200001", "Grey", "Cardiologist", "grey@example.com", 2, "ER");
+
+      expect(await doctors.isDoctorVerified("200001")).to.equal(false);
+      const [, oldTotal] = await doctors.getVerifiedDoctorsByHospital(1, "", 0, 10);
+      expect(oldTotal).to.equal(0);
+
+      // only the new hospital's admin can verify now
+      await expect(doctors.setVerificationStatus("200001", VERIFIED)).to.be.revertedWith(
+        "Caller is not an admin of the doctor's hospital"
+      );
+      await doctors.connect(stranger).setVerificationStatus("200001", VERIFIED);
+      const [moved] = await doctors.getVerifiedDoctorsByHospital(2, "", 0, 10);
+      expect(moved[0].licenseNumber).to.equal("200001");
+    });
+  });
+
+  describe("Emergency access", function () {
+    it("Should need a verified doctor and a hospital admin", async function () {
+      const { doctors, doctor, stranger } = await loadFixture(deployRegistriesFixture);
+
+      expect(await doctors.canUseEmergencyAccess(doctor.address)).to.equal(false);
+      await expect(doctors.connect(doctor).setEmergencyAccessApproval("200001", true)).to.be.revertedWith(
+        "Caller is not an admin of the doctor's hospital"
+      );
+
+      await doctors.setEmergencyAccessApproval("200001", true);
+      expect(await doctors.canUseEmergencyAccess(doctor.address)).to.equal(true);
+      await expect(doctors.setEmergencyAccessApproval("200001", true)).to.be.revertedWith("Approval unchanged");
+
+      await doctors
+        .connect(stranger)
+        .registerDoctor(stranger.address, "House", "Diagnostics", "200002", "house@example.com", 1, "ER");
+      await expect(doctors.setEmergencyAccessApproval("200002", true)).to.be.revertedWith("Doctor is not verified");
+    });
+
+    it("Should pause the approval while the doctor is suspended", async function () {
+      const { doctors, doctor } = await loadFixture(deployRegistriesFixture);
+
+      await doctors.setEmergencyAccessApproval("200001", true);
+      await doctors.setVerificationStatus("200001", SUSPENDED);
+      expect(await doctors.canUseEmergencyAccess(doctor.address)).to.equal(false);
+
+      await doctors.setVerificationStatus("200001", VERIFIED);
+      expect(await doctors.canUseEmergencyAccess(doctor.address)).to.equal(true);
+    });
+
+    it("Should clear the approval when the doctor moves hospital", async function () {
+      const { hospitals, doctors, doctor, stranger } = await loadFixture(deployRegistriesFixture);
+
+      await hospitals.connect(stranger).registerHospital("General", "2 High St", ["ER"]);
+      await hospitals.approveHospital(2);
+      await doctors.setEmergencyAccessApproval("200001", true);
+      await doctors
+        .connect(doctor)
+        .updateDoctorProfile("200001", "Grey", "Cardiologist", "grey@example.com", 2, "ER");
+
+      expect(await doctors.emergencyAccessApproved("200001")).to.equal(false);
+
+      // verifying at the new hospital does not bring the approval back
+      await doctors.connect(stranger).setVerificationStatus("200001", VERIFIED);
+      expect(await doctors.canUseEmergencyAccess(doctor.address)).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { VERIFIED, deployRegistriesFixture } = require("./fixtures");
+
+describe("HospitalRegistry", function () {
+  it("Should only let the registry owner review applications", async function () {
+    const { hospitals, stranger } = await loadFixture(deployRegistriesFixture);
+
+    await hospitals.connect(stranger).registerHospital("General", "2 High St", ["ER"]);
+    await expect(hospitals.connect(stranger).approveHospital(2)).to.be.revertedWith(
+      "Caller is not the registry owner"
+    );
+    await expect(hospitals.connect(stranger).rejectHospital(2)).to.be.revertedWith(
+      "Caller is not the registry owner"
+    );
+
+    await hospitals.approveHospital(2);
+    expect(await hospitals.isHospital(2)).to.equal(true);
+    await expect(hospitals.rejectHospital(2)).to.be.revertedWith("Hospital already reviewed");
+  });
+
+  it("Should not give a pending hospital's admin any power over doctors", async function () {
+    const { hospitals, doctors, stranger, newWallet } = await loadFixture(deployRegistriesFixture);
+
+    await hospitals.connect(stranger).registerHospital("General", "2 High St", ["ER"]);
+    await expect(hospitals.connect(stranger).addAdmin(2, newWallet.address)).to.be.revertedWith(
+      "Hospital not approved"
+    );
+    await expect(
+      doctors
+        .connect(newWallet)
+        .registerDoctor(newWallet.address, "House", "Diagnostics", "200002", "house@example.com", 2, "ER")
+    ).to.be.revertedWith("Hospital not registered");
+    await expect(doctors.connect(stranger).setVerificationStatus("200001", VERIFIED)).to.be.revertedWith(
+      "Caller is not an admin of the doctor's hospital"
+    );
+  });
+
+  it("Should free the name and drop the applicant when rejected", async function () {
+    const { hospitals, stranger, newWallet } = await loadFixture(deployRegistriesFixture);
+
+    await hospitals.connect(stranger).registerHospital("General", "2 High St", ["ER"]);
+    await expect(hospitals.connect(newWallet).registerHospital("General", "3 Low St", ["ER"])).to.be.revertedWith(
+      "Hospital already registered with this name"
+    );
+
+    await hospitals.rejectHospital(2);
+    expect(await hospitals.isHospitalAdmin(2, stranger.address)).to.equal(false);
+    expect(await hospitals.getAdminHospitals(stranger.address)).to.have.lengthOf(0);
+    await hospitals.connect(newWallet).registerHospital("General", "3 Low St", ["ER"]);
+  });
+});
@@ -0,0 +1,213 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { GUARDIAN, PERMISSION, deployRegistriesFixture } = require("./fixtures");
+
+describe("PatientRegistration", function () {
+  describe("Registration", function () {
+    it("Should only register the calling wallet", async function () {
+      const { patients, stranger, newWallet } = await loadFixture(deployRegistriesFixture);
+
+      await expect(
+        patients
+          .connect(stranger)
+          .registerPatient(newWallet.address, "Eve", "2000-01-01", "F", "B+", "3 Pine St", "eve@example.com", "100003")
+      ).to.be.revertedWith("Register from the wallet being registered");
+    });
+
+    it("Should reject a taken HH number", async function () {
+      const { patients, stranger } = await loadFixture(deployRegistriesFixture);
+
+      await expect(
+        patients
+          .connect(stranger)
+          .registerPatient(stranger.address, "Eve", "2000-01-01", "F", "B+", "3 Pine St", "eve@example.com", "100001")
+      ).to.be.revertedWith("Patient already registered");
+    });
+  });
+
+  describe("Login", function () {
+    it("Should validate the registered wallet's signature over the challenge", async function () {
+      const { patients, alice } = await loadFixture(deployRegistriesFixture);
+
+      const challenge = await patients.getLoginChallenge("100001", "nonce-1");
+      const signature = await alice.signMessage(ethers.getBytes(challenge));
+      expect(await patients.validateSignature("100001", "nonce-1", signature)).to.equal(true);
+    });
+
+    it("Should not validate another wallet, another nonce or a malformed signature", async function () {
+      const { patients, alice, bob } = await loadFixture(deployRegistriesFixture);
+      const challenge = await patients.getLoginChallenge("100001", "nonce-1");
+
+      const otherSignature = await bob.signMessage(ethers.getBytes(challenge));
+      expect(await patients.validateSignature("100001", "nonce-1", otherSignature)).to.equal(false);
+
+      // a signature over an old nonce cannot be replayed
+      const staleSignature = await alice.signMessage(
+        ethers.getBytes(await patients.getLoginChallenge("100001", "nonce-0"))
+      );
+      expect(await patients.validateSignature("100001", "nonce-1", staleSignature)).to.equal(false);
+
+      const signature = await alice.signMessage(ethers.getBytes(challenge));
+      expect(await patients.validateSignature("100001", "nonce-1", signature.slice(0, -2))).to.equal(false);
+      expect(await patients.validateSignature("100001", "nonce-1", "0x")).to.equal(false);
+      expect(await patients.validateSignature("100001", "nonce-1", "0x" + "00".repeat(65))).to.equal(false);
+    });
+
+    it("Should reject a signature for an unregistered health number", async function () {
+      const { patients, alice } = await loadFixture(deployRegistriesFixture);
+
+      const challenge = await patients.getLoginChallenge("100009", "nonce-1");
+      expect(challenge).to.not.equal(await patients.getLoginChallenge("100001", "nonce-1"));
+      const signature = await alice.signMessage(ethers.getBytes(challenge));
+      await expect(patients.validateSignature("100009", "nonce-1", signature)).to.be.revertedWith(
+        "Patient not registered"
+      );
+    });
+  });
+
+  describe("Profile", function () {
+    it("Should update the profile and emit the change", async function () {
+      const { patients, alice } = await loadFixture(deployRegistriesFixture);
+
+      await expect(patients.connect(alice).updatePatientProfile("100001", "Alice B", "alice@mail.example", "9 Elm St"))
+        .to.emit(patients, "PatientProfileUpdated")
+        .withArgs("100001", "Alice B", "alice@mail.example", "9 Elm St");
+
+      const details = await patients.getPatientDetails("100001");
+      expect(details.name).to.equal("Alice B");
+      expect(details.email).to.equal("alice@mail.example");
+      expect(details.homeAddress).to.equal("9 Elm St");
+    });
+
+    it("Should only let the patient's own wallet update it", async function () {
+      const { patients, alice, bob } = await loadFixture(deployRegistriesFixture);
+
+      await expect(
+        patients.connect(bob).updatePatientProfile("100001", "Mallory", "mallory@example.com", "1 Elm St")
+      ).to.be.revertedWith("Caller is not the patient");
+
+      // not even a delegate holding every permission
+      await patients
+        .connect(alice)
+        .setDelegate("100001", "100002", GUARDIAN, PERMISSION.BOOK | PERMISSION.UPLOAD | PERMISSION.SHARE | PERMISSION.VIEW);
+      await expect(
+        patients.connect(bob).updatePatientProfile("100001", "Mallory", "mallory@example.com", "1 Elm St")
+      ).to.be.revertedWith("Caller is not the patient");
+    });
+
+    it("Should reject an invalid email", async function () {
+      const { patients, alice } = await loadFixture(deployRegistriesFixture);
+      const update = (email) => patients.connect(alice).updatePatientProfile("100001", "Alice", email, "1 Elm St");
+
+      for (const email of ["alice", "alice@example", "@example.com", "alice@@example.com", "ali ce@example.com"]) {
+        await expect(update(email)).to.be.revertedWith("Invalid email address");
+      }
+      await expect(update("")).to.be.revertedWith("Profile fields cannot be empty");
+    });
+  });
+
+  describe("Doctor permissions", function () {
+    it("Should let the patient grant and revoke a doctor", async function () {
+      const { patients, alice } = await loadFixture(deployRegistriesFixture);
+
+      await expect(patients.connect(alice).grantPermission("100001", "200001", "Alice"))
+        .to.emit(patients, "PermissionGranted")
+        .withArgs("100001", "200001");
+      expect(await patients.isPermissionGranted("100001", "200001")).to.equal(true);
+      expect(await patients.getPatientList("200001")).to.have.lengthOf(1);
+
+      await expect(patients.connect(alice).revokePermission("100001", "200001"))
+        .to.emit(patients, "PermissionRevoked")
+        .withArgs("100001", "200001");
+      expect(await patients.isPermissionGranted("100001", "200001")).to.equal(false);
+      expect(await patients.getPatientList("200001")).to.have.lengthOf(0);
+    });
+
+    it("Should reject granting twice and revoking what was never granted", async function () {
+      const { patients, alice } = await loadFixture(deployRegistriesFixture);
+
+      await expect(patients.connect(alice).revokePermission("100001", "200001")).to.be.revertedWith(
+        "View Access not given to the Doctor!"
+      );
+      await patients.connect(alice).grantPermission("100001", "200001", "Alice");
+      await expect(patients.connect(alice).grantPermission("100001", "200001", "Alice")).to.be.revertedWith(
+        "View Access already given to the Doctor!"
+      );
+    });
+
+    it("Should not let anyone else change the patient's permissions", async function () {
+      const { patients, alice, stranger } = await loadFixture(deployRegistriesFixture);
+
+      await expect(patients.connect(stranger).grantPermission("100001", "200001", "Alice")).to.be.revertedWith(
+        "Caller is not the patient"
+      );
+      await patients.connect(alice).grantPermission("100001", "200001", "Alice");
+      await expect(patients.connect(stranger).revokePermission("100001", "200001")).to.be.revertedWith(
+        "Caller is not the patient"
+      );
+    });
+  });
+
+  describe("Delegates", function () {
+    it("Should check every requested permission bit", async function () {
+      const { patients, alice, bob } = await loadFixture(deployRegistriesFixture);
+
+      await patients.connect(alice).setDelegate("100001", "100002", GUARDIAN, PERMISSION.BOOK | PERMISSION.VIEW);
+
+      expect(await patients.isDelegate("100001", bob.address, PERMISSION.BOOK)).to.equal(true);
+      expect(await patients.isDelegate("100001", bob.address, PERMISSION.VIEW)).to.equal(true);
+      expect(await patients.isDelegate("100001", bob.address, PERMISSION.SHARE)).to.equal(false);
+      expect(await patients.isDelegate("100001", bob.address, PERMISSION.BOOK | PERMISSION.SHARE)).to.equal(false);
+      expect(await patients.canActFor(alice.address, bob.address, PERMISSION.VIEW)).to.equal(true);
+      expect(await patients.canActFor(alice.address, bob.address, PERMISSION.UPLOAD)).to.equal(false);
+    });
+
+    it("Should let a delegate share only with the share permission", async function () {
+      const { patients, alice, bob } = await loadFixture(deployRegistriesFixture);
+
+      await patients.connect(alice).setDelegate("100001", "100002", GUARDIAN, PERMISSION.VIEW);
+      await expect(patients.connect(bob).grantPermission("100001", "200001", "Alice")).to.be.revertedWith(
+        "Caller is not the patient"
+      );
+
+      await patients.connect(alice).setDelegate("100001", "100002", GUARDIAN, PERMISSION.SHARE);
+      await patients.connect(bob).grantPermission("100001", "200001", "Alice");
+      expect(await patients.isPermissionGranted("100001", "200001")).to.equal(true);
+      await patients.connect(bob).revokePermission("100001", "200001");
+      expect(await patients.isPermissionGranted("100001", "200001")).to.equal(false);
+    });
+
+    it("Should drop every permission when the delegate is removed", async function () {
+      const { patients, alice, bob } = await loadFixture(deployRegistriesFixture);
+
+      await patients.connect(alice).setDelegate("100001", "100002", GUARDIAN, 15);
+      await patients.connect(alice).removeDelegate("100001", "100002");
+
+      expect(await patients.isDelegate("100001", bob.address, PERMISSION.BOOK)).to.equal(false);
+      expect(await patients.getDelegates("100001")).to.have.lengthOf(0);
+      expect(await patients.getDelegations("100002")).to.have.lengthOf(0);
+    });
+
+    it("Should reject invalid delegations", async function () {
+      const { patients, alice, bob } = await loadFixture(deployRegistriesFixture);
+
+      await expect(patients.connect(alice).setDelegate("100001", "100002", GUARDIAN, 0)).to.be.revertedWith(
+        "Invalid permissions"
+      );
+      await expect(patients.connect(alice).setDelegate("100001", "100002", GUARDIAN, 16)).to.be.revertedWith(
+        "Invalid permissions"
+      );
+      await expect(patients.connect(alice).setDelegate("100001", "100001", GUARDIAN, 1)).to.be.revertedWith(
+        "Cannot delegate to yourself"
+      );
+      await expect(patients.connect(alice).setDelegate("100001", "999999", GUARDIAN, 1)).to.be.revertedWith(
+        "Delegate not registered"
+      );
+      await expect(patients.connect(bob).setDelegate("100001", "100002", GUARDIAN, 1)).to.be.revertedWith(
+        "Caller is not the patient"
+      );
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { PHARMACY_APPROVED, PHARMACY_SUSPENDED, deployPrescriptionFixture } = require("./fixtures");
+
+// PharmacyRegistration.PharmacyStatus.Pending
+const PHARMACY_PENDING = 0;
+
+const medication = (drug, quantity) => ({
+  drug,
+  dosage: "500 mg",
+  frequency: "Twice a day",
+  durationDays: 10,
+  quantity,
+  instructions: "After meals",
+});
+
+// A second pharmacy ("300002") waiting for approval, and prescription 0 ready to dispense
+async function deployPendingPharmacyFixture() {
+  const fixture = await deployPrescriptionFixture();
+  const { pharmacies, prescriptions, doctor, otherPharmacist } = fixture;
+
+  await pharmacies
+    .connect(otherPharmacist)
+    .registerPharmacy(otherPharmacist.address, "Night Pharmacy", "300002", "night@example.com", "4 Elm St", 1);
+  await prescriptions.connect(doctor).issuePrescription(0, [medication("Amoxicillin", 20)], "");
+  return fixture;
+}
+
+describe("PharmacyRegistration", function () {
+  describe("Registration", function () {
+    it("Should register a pharmacy as pending under its hospital", async function () {
+      const { pharmacies, otherPharmacist } = await loadFixture(deployPendingPharmacyFixture);
+
+      const pharmacy = await pharmacies.getPharmacyDetails("300002");
+      expect(pharmacy.walletAddress).to.equal(otherPharmacist.address);
+      expect(pharmacy.status).to.equal(PHARMACY_PENDING);
+      expect(await pharmacies.getPharmacyNumber(otherPharmacist.address)).to.equal("300002");
+
+      const [page, total] = await pharmacies.getPharmaciesByHospital(1, 0, 10);
+      expect(total).to.equal(2);
+      expect(page.map((p) => p.licenseNumber)).to.deep.equal(["300001", "300002"]);
+    });
+
+    it("Should only register from the wallet being registered", async function () {
+      const { pharmacies, otherPharmacist, stranger } = await loadFixture(deployPrescriptionFixture);
+
+      await expect(
+        pharmacies
+          .connect(stranger)
+          .registerPharmacy(otherPharmacist.address, "Night Pharmacy", "300002", "night@example.com", "4 Elm St", 1)
+      ).to.be.revertedWith("Register from the wallet being registered");
+      expect(await pharmacies.isPharmacyRegistered("300002")).to.equal(false);
+    });
+
+    it("Should need an approved hospital", async function () {
+      const { hospitals, pharmacies, otherPharmacist, stranger } = await loadFixture(deployPrescriptionFixture);
+      const register = (hospitalId) =>
+        pharmacies
+          .connect(otherPharmacist)
+          .registerPharmacy(otherPharmacist.address, "Night Pharmacy", "300002", "night@example.com", "4 Elm St", hospitalId);
+
+      await hospitals.connect(stranger).registerHospital("Lakeside", "2 Lake Rd", ["ER"]);
+      await expect(register(2)).to.be.revertedWith("Hospital not approved");
+      await expect(register(9)).to.be.revertedWith("Hospital not approved");
+
+      await hospitals.approveHospital(2);
+      await register(2);
+    });
+
+    it("Should not register a license number or wallet twice", async function () {
+      const { pharmacies, pharmacist, otherPharmacist } = await loadFixture(deployPrescriptionFixture);
+
+      await expect(
+        pharmacies
+          .connect(otherPharmacist)
+          .registerPharmacy(otherPharmacist.address, "Night Pharmacy", "300001", "night@example.com", "4 Elm St", 1)
+      ).to.be.revertedWith("Pharmacy already registered with this license number");
+      await expect(
+        pharmacies
+          .connect(pharmacist)
+          .registerPharmacy(pharmacist.address, "Corner Pharmacy", "300003", "corner@example.com", "3 Elm St", 1)
+      ).to.be.revertedWith("Pharmacy already registered with this address");
+    });
+  });
+
+  describe("Approval", function () {
+    it("Should only let an admin of the pharmacy's hospital approve or suspend", async function () {
+      const { hospitals, pharmacies, owner, stranger, otherPharmacist } = await loadFixture(
+        deployPendingPharmacyFixture
+      );
+
+      // stranger runs another approved hospital
+      await hospitals.connect(stranger).registerHospital("Lakeside", "2 Lake Rd", ["ER"]);
+      await hospitals.approveHospital(2);
+
+      for (const caller of [stranger, otherPharmacist]) {
+        await expect(pharmacies.connect(caller).setPharmacyStatus("300002", PHARMACY_APPROVED)).to.be.revertedWith(
+          "Caller is not an admin of the pharmacy's hospital"
+        );
+        await expect(pharmacies.connect(caller).setPharmacyStatus("300001", PHARMACY_SUSPENDED)).to.be.revertedWith(
+          "Caller is not an admin of the pharmacy's hospital"
+        );
+      }
+
+      await expect(pharmacies.setPharmacyStatus("300002", PHARMACY_APPROVED))
+        .to.emit(pharmacies, "PharmacyStatusChanged")
+        .withArgs("300002", PHARMACY_APPROVED, owner.address);
+      expect(await pharmacies.isApprovedPharmacyAddress(otherPharmacist.address)).to.equal(true);
+
+      await pharmacies.setPharmacyStatus("300002", PHARMACY_SUSPENDED);
+      expect(await pharmacies.isApprovedPharmacyAddress(otherPharmacist.address)).to.equal(false);
+    });
+
+    it("Should reject unknown pharmacies and no-op or pending statuses", async function () {
+      const { pharmacies } = await loadFixture(deployPendingPharmacyFixture);
+
+      await expect(pharmacies.setPharmacyStatus("399999", PHARMACY_APPROVED)).to.be.revertedWith(
+        "Pharmacy not registered"
+      );
+      await expect(pharmacies.setPharmacyStatus("300001", PHARMACY_PENDING)).to.be.revertedWith(
+        "Invalid pharmacy status"
+      );
+      await expect(pharmacies.setPharmacyStatus("300001", PHARMACY_APPROVED)).to.be.revertedWith("Status unchanged");
+    });
+
+    it("Should not let a pending or suspended pharmacy dispense", async function () {
+      const { pharmacies, prescriptions, pharmacist, otherPharmacist } = await loadFixture(
+        deployPendingPharmacyFixture
+      );
+
+      await expect(prescriptions.connect(otherPharmacist).dispense(0, [5])).to.be.revertedWith(
+        "Pharmacy is not approved"
+      );
+
+      await pharmacies.setPharmacyStatus("300001", PHARMACY_SUSPENDED);
+      await expect(prescriptions.connect(pharmacist).dispense(0, [5])).to.be.revertedWith("Pharmacy is not approved");
+
+      await pharmacies.setPharmacyStatus("300001", PHARMACY_APPROVED);
+      await prescriptions.connect(pharmacist).dispense(0, [5]);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+
+const { DAY, VERIFIED, deployPrescriptionFixture } = require("./fixtures");
+
+const HOUR = 60 * 60;
+const SLOT = 30 * 60;
+
+// Prescription.FillStatus
+const PARTIALLY_FILLED = 1;
+const FILLED = 2;
+
+const medication = (drug, quantity) => ({
+  drug,
+  dosage: "500 mg",
+  frequency: "Twice a day",
+  durationDays: 10,
+  quantity,
+  instructions: "After meals",
+});
+
+// Prescription 0 on Alice's appointment: 20 units of the first drug and 10 of the second
+async function deployIssuedFixture() {
+  const fixture = await deployPrescriptionFixture();
+  await fixture.prescriptions
+    .connect(fixture.doctor)
+    .issuePrescription(0, [medication("Amoxicillin", 20), medication("Ibuprofen", 10)], "Finish the course");
+  return fixture;
+}
+
+describe("Prescription", function () {
+  describe("Issuing", function () {
+    it("Should record the prescription against the appointment", async function () {
+      const { prescriptions, doctor } = await loadFixture(deployPrescriptionFixture);
+
+      await expect(prescriptions.connect(doctor).issuePrescription(0, [medication("Amoxicillin", 20)], ""))
+        .to.emit(prescriptions, "PrescriptionIssued")
+        .withArgs(0, 0, "100001", "200001", doctor.address);
+
+      const prescription = await prescriptions.getPrescription(0);
+      expect(prescription.issuer).to.equal(doctor.address);
+      expect(prescription.medications[0].drug).to.equal("Amoxicillin");
+      expect(prescription.dispensed).to.deep.equal([0n]);
+      expect(await prescriptions.getPatientPrescriptions("100001")).to.have.lengthOf(1);
+      expect(await prescriptions.getAppointmentPrescriptions(0)).to.have.lengthOf(1);
+    });
+
+    it("Should only let the appointment's doctor prescribe", async function () {
+      const { doctors, prescriptions, alice, stranger } = await loadFixture(deployPrescriptionFixture);
+
+      await doctors
+        .connect(stranger)
+        .registerDoctor(stranger.address, "House", "Diagnostics", "200002", "house@example.com", 1, "ER");
+      await doctors.setVerificationStatus("200002", VERIFIED);
+
+      await expect(
+        prescriptions.connect(stranger).issuePrescription(0, [medication("Amoxicillin", 20)], "")
+      ).to.be.revertedWith("Only the appointment's doctor can prescribe");
+      await expect(
+        prescriptions.connect(alice).issuePrescription(0, [medication("Amoxicillin", 20)], "")
+      ).to.be.revertedWith("Only the appointment's doctor can prescribe");
+    });
+
+    it("Should only prescribe for a checked-in or completed appointment", async function () {
+      const { booking, prescriptions, alice, bob, doctor, day } = await loadFixture(deployPrescriptionFixture);
+
+      await booking.connect(bob).bookAppointment("100002", "200001", day, day + 10 * HOUR, SLOT);
+      await booking.connect(alice).bookAppointment("100001", "200001", day + DAY, day + DAY + 9 * HOUR, SLOT);
+      await booking.connect(alice).cancelAppointment(2);
+
+      await expect(
+        prescriptions.connect(doctor).issuePrescription(1, [medication("Amoxicillin", 20)], "")
+      ).to.be.revertedWith("Appointment has not taken place");
+      await expect(
+        prescriptions.connect(doctor).issuePrescription(2, [medication("Amoxicillin", 20)], "")
+      ).to.be.revertedWith("Appointment has not taken place");
+
+      await booking.connect(doctor).completeAppointment(0);
+      await prescriptions.connect(doctor).issuePrescription(0, [medication("Amoxicillin", 20)], "");
+    });
+
+    it("Should reject an appointment that does not exist", async function () {
+      const { prescriptions, doctor } = await loadFixture(deployPrescriptionFixture);
+
+      await expect(
+        prescriptions.connect(doctor).issuePrescription(7, [medication("Amoxicillin", 20)], "")
+      ).to.be.revertedWith("Appointment does not exist");
+    });
+
+    it("Should reject empty medication lists, names and quantities", async function () {
+      const { prescriptions, doctor } = await loadFixture(deployPrescriptionFixture);
+      const issue = (medications) => prescriptions.connect(doctor).issuePrescription(0, medications, "");
+
+      await expect(issue([])).to.be.revertedWith("Prescription needs at least one medication");
+      await expect(issue([medication("Amoxicillin", 20), medication("", 10)])).to.be.revertedWith(
+        "Medication name cannot be empty"
+      );
+      await expect(issue([medication("Amoxicillin", 0)])).to.be.revertedWith("Quantity must be greater than zero");
+    });
+  });
+
+  describe("Dispensing", function () {
+    it("Should add up partial fills per medication", async function () {
+      const { prescriptions, pharmacist } = await loadFixture(deployIssuedFixture);
+
+      await expect(prescriptions.connect(pharmacist).dispense(0, [5, 10]))
+        .to.emit(prescriptions, "PrescriptionDispensed")
+        .withArgs(0, "300001", [5, 10], PARTIALLY_FILLED);
+      await prescriptions.connect(pharmacist).dispense(0, [10, 0]);
+
+      const prescription = await prescriptions.getPrescription(0);
+      expect(prescription.dispensed).to.deep.equal([15n, 10n]);
+      expect(prescription.fillStatus).to.equal(PARTIALLY_FILLED);
+      expect(await prescriptions.getDispensings(0)).to.have.lengthOf(2);
+    });
+
+    it("Should not hand out more than is left", async function () {
+      const { prescriptions, pharmacist } = await loadFixture(deployIssuedFixture);
+
+      await prescriptions.connect(pharmacist).dispense(0, [15, 0]);
+      await expect(prescriptions.connect(pharmacist).dispense(0, [6, 0])).to.be.revertedWith(
+        "Quantity exceeds what is left to dispense"
+      );
+      await expect(prescriptions.connect(pharmacist).dispense(0, [0, 11])).to.be.revertedWith(
+        "Quantity exceeds what is left to dispense"
+      );
+      expect((await prescriptions.getPrescription(0)).dispensed).to.deep.equal([15n, 0n]);
+    });
+
+    it("Should not dispense a filled prescription again", async function () {
+      const { prescriptions, pharmacist } = await loadFixture(deployIssuedFixture);
+
+      await prescriptions.connect(pharmacist).dispense(0, [15, 10]);
+      await prescriptions.connect(pharmacist).dispense(0, [5, 0]);
+      expect((await prescriptions.getPrescription(0)).fillStatus).to.equal(FILLED);
+
+      await expect(prescriptions.connect(pharmacist).dispense(0, [1, 0])).to.be.revertedWith(
+        "Prescription has already been filled"
+      );
+    });
+
+    it("Should reject malformed dispense requests", async function () {
+      const { prescriptions, pharmacist } = await loadFixture(deployIssuedFixture);
+
+      await expect(prescriptions.connect(pharmacist).dispense(1, [1, 1])).to.be.revertedWith(
+        "Prescription does not exist"
+      );
+      await expect(prescriptions.connect(pharmacist).dispense(0, [1])).to.be.revertedWith(
+        "One quantity per medication"
+      );
+      await expect(prescriptions.connect(pharmacist).dispense(0, [0, 0])).to.be.revertedWith("Nothing to dispense");
+    });
+  });
+});
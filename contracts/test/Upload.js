@@ -0,0 +1,234 @@
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+
+const { GUARDIAN, PERMISSION, SUSPENDED, deployRegistriesFixture } = require("./fixtures");
+
+// Alice with one uploaded record
+async function deployWithRecordFixture() {
+  const fixture = await deployRegistriesFixture();
+  await fixture.upload
+    .connect(fixture.alice)
+    .add(fixture.alice.address, "QmBloodTest", "Blood test", "Lab report", "application/pdf", 1024);
+  return fixture;
+}
+
+describe("Upload", function () {
+  describe("Access expiry", function () {
+    it("Should close access once revoked or expired", async function () {
+      const { upload, alice, doctor } = await loadFixture(deployWithRecordFixture);
+
+      await upload.connect(alice).allow(doctor.address, 0, 0);
+      await upload.connect(alice).disallow(doctor.address);
+      await expect(upload.connect(doctor).display(alice.address)).to.be.revertedWith("You don't have access");
+
+      await upload.connect(alice).allow(doctor.address, (await time.latest()) + 3600, 0);
+      expect(await upload.hasAccess(alice.address, doctor.address)).to.equal(true);
+      await time.increase(3601);
+      expect(await upload.hasAccess(alice.address, doctor.address)).to.equal(false);
+      await expect(upload.connect(doctor).getRecord(alice.address, 0)).to.be.revertedWith("You don't have access");
+    });
+  });
+
+  describe("Record selection", function () {
+    it("Should only open the selected records", async function () {
+      const { upload, alice, doctor } = await loadFixture(deployWithRecordFixture);
+
+      await upload.connect(alice).add(alice.address, "QmXray", "X-ray", "Imaging", "image/png", 2048);
+      await upload.connect(alice).allowRecords(doctor.address, [1], 0, 0);
+
+      expect((await upload.connect(doctor).getRecord(alice.address, 1)).title).to.equal("X-ray");
+      await expect(upload.connect(doctor).getRecord(alice.address, 0)).to.be.revertedWith("You don't have access");
+      await expect(upload.connect(alice).allowRecords(doctor.address, [2], 0, 0)).to.be.revertedWith(
+        "Record does not exist"
+      );
+    });
+  });
+
+  describe("Access requests", function () {
+    it("Should only take requests from verified doctors with a reason", async function () {
+      const { upload, doctors, alice, bob, doctor } = await loadFixture(deployWithRecordFixture);
+
+      await expect(upload.connect(bob).requestAccess(alice.address, "Curious", 0)).to.be.revertedWith(
+        "Only verified doctors can request access"
+      );
+      await expect(upload.connect(doctor).requestAccess(alice.address, "", 0)).to.be.revertedWith(
+        "A justification is required"
+      );
+
+      await doctors.setVerificationStatus("200001", SUSPENDED);
+      await expect(upload.connect(doctor).requestAccess(alice.address, "Follow-up", 0)).to.be.revertedWith(
+        "Only verified doctors can request access"
+      );
+    });
+
+    it("Should grant the requested window on approval", async function () {
+      const { upload, alice, doctor } = await loadFixture(deployWithRecordFixture);
+
+      await upload.connect(doctor).requestAccess(alice.address, "Follow-up", 3600);
+      await expect(upload.connect(doctor).requestAccess(alice.address, "Follow-up", 3600)).to.be.revertedWith(
+        "Request already pending"
+      );
+
+      await upload.connect(alice).approveRequest(0);
+      expect(await upload.hasAccess(alice.address, doctor.address)).to.equal(true);
+      await expect(upload.connect(alice).denyRequest(0)).to.be.revertedWith("Request already decided");
+      await time.increase(3601);
+      expect(await upload.hasAccess(alice.address, doctor.address)).to.equal(false);
+    });
+  });
+
+  describe("Account migration", function () {
+    it("Should move the records and grants to the new wallet", async function () {
+      const { patients, upload, alice, doctor, newWallet } = await loadFixture(deployWithRecordFixture);
+
+      await upload.connect(alice).allow(doctor.address, 0, 0);
+      await patients.connect(alice).changeWallet("100001", newWallet.address);
+      await expect(upload.connect(newWallet).migrateAccount(alice.address))
+        .to.emit(upload, "AccountMigrated")
+        .withArgs(alice.address, newWallet.address, anyValue);
+
+      expect(await upload.isMigrated(alice.address)).to.equal(true);
+      const [record] = await upload.connect(newWallet).display(newWallet.address);
+      expect(record.title).to.equal("Blood test");
+      expect(await upload.hasAccess(newWallet.address, doctor.address)).to.equal(true);
+      expect(await upload.hasAccess(alice.address, doctor.address)).to.equal(false);
+    });
+
+    it("Should only let the successor migrate, once", async function () {
+      const { patients, upload, alice, stranger, newWallet } = await loadFixture(deployWithRecordFixture);
+
+      await expect(upload.connect(newWallet).migrateAccount(alice.address)).to.be.revertedWith(
+        "Not the successor of this wallet"
+      );
+
+      await patients.connect(alice).changeWallet("100001", newWallet.address);
+      await expect(upload.connect(stranger).migrateAccount(alice.address)).to.be.revertedWith(
+        "Not the successor of this wallet"
+      );
+      await upload.connect(newWallet).migrateAccount(alice.address);
+      await expect(upload.connect(newWallet).migrateAccount(alice.address)).to.be.revertedWith(
+        "Account already migrated"
+      );
+    });
+
+    it("Should let a later wallet in the chain migrate", async function () {
+      const { patients, upload, alice, stranger, newWallet } = await loadFixture(deployWithRecordFixture);
+
+      await patients.connect(alice).changeWallet("100001", newWallet.address);
+      await patients.connect(newWallet).changeWallet("100001", stranger.address);
+      await upload.connect(stranger).migrateAccount(alice.address);
+      expect(await upload.connect(stranger).getRecordCount(stranger.address)).to.equal(1);
+    });
+  });
+
+  describe("Break-glass", function () {
+    it("Should need the hospital's approval", async function () {
+      const { upload, doctors, alice, doctor } = await loadFixture(deployWithRecordFixture);
+
+      await expect(upload.connect(doctor).breakGlass(alice.address, "Unconscious in ER")).to.be.revertedWith(
+        "Doctor is not approved for emergency access"
+      );
+
+      await doctors.setEmergencyAccessApproval("200001", true);
+      await doctors.setVerificationStatus("200001", SUSPENDED);
+      await expect(upload.connect(doctor).breakGlass(alice.address, "Unconscious in ER")).to.be.revertedWith(
+        "Doctor is not approved for emergency access"
+      );
+    });
+
+    it("Should only open a registered patient's records, for a limited time", async function () {
+      const { upload, doctors, alice, doctor, stranger } = await loadFixture(deployWithRecordFixture);
+
+      await doctors.setEmergencyAccessApproval("200001", true);
+      await expect(upload.connect(doctor).breakGlass(stranger.address, "Unconscious in ER")).to.be.revertedWith(
+        "Patient not registered"
+      );
+      await expect(upload.connect(doctor).breakGlass(alice.address, "")).to.be.revertedWith(
+        "A justification is required"
+      );
+
+      await upload.connect(doctor).breakGlass(alice.address, "Unconscious in ER");
+      expect(await upload.connect(doctor).display(alice.address)).to.have.lengthOf(1);
+      const [alert] = await upload.connect(alice).getEmergencyAccesses();
+      expect(alert.doctor).to.equal(doctor.address);
+      expect(alert.reason).to.equal("Unconscious in ER");
+
+      await time.increase(await upload.BREAK_GLASS_DURATION());
+      expect(await upload.hasAccess(alice.address, doctor.address)).to.equal(false);
+    });
+  });
+
+  describe("Delegates", function () {
+    it("Should keep others out of the patient's records", async function () {
+      const { upload, alice, bob, doctor } = await loadFixture(deployWithRecordFixture);
+
+      await expect(upload.connect(bob).display(alice.address)).to.be.revertedWith("You don't have access");
+      await expect(upload.connect(bob).allowFor(alice.address, doctor.address, 0, 0)).to.be.revertedWith(
+        "Not allowed to share these records"
+      );
+      await expect(
+        upload.connect(bob).add(alice.address, "QmFake", "Fake", "Other", "text/plain", 1)
+      ).to.be.revertedWith("Not allowed to add records for this user");
+    });
+
+    it("Should give a delegate only the permissions they hold", async function () {
+      const { patients, upload, alice, bob, doctor } = await loadFixture(deployWithRecordFixture);
+
+      await patients.connect(alice).setDelegate("100001", "100002", GUARDIAN, PERMISSION.VIEW);
+      expect(await upload.connect(bob).display(alice.address)).to.have.lengthOf(1);
+      await expect(
+        upload.connect(bob).add(alice.address, "QmScan", "Scan", "Imaging", "image/png", 1)
+      ).to.be.revertedWith("Not allowed to add records for this user");
+      await expect(upload.connect(bob).allowFor(alice.address, doctor.address, 0, 0)).to.be.revertedWith(
+        "Not allowed to share these records"
+      );
+
+      await patients
+        .connect(alice)
+        .setDelegate("100001", "100002", GUARDIAN, PERMISSION.UPLOAD | PERMISSION.SHARE);
+      await upload.connect(bob).add(alice.address, "QmScan", "Scan", "Imaging", "image/png", 1);
+      await upload.connect(bob).allowFor(alice.address, doctor.address, 0, 0);
+      expect(await upload.connect(doctor).getRecordCount(alice.address)).to.equal(2);
+      await expect(upload.connect(bob).display(alice.address)).to.be.revertedWith("You don't have access");
+    });
+
+    it("Should let a delegate with the share permission see and revoke the patient's grants", async function () {
+      const { patients, upload, alice, bob, doctor } = await loadFixture(deployWithRecordFixture);
+
+      await upload.connect(alice).allowRecords(doctor.address, [0], 0, 0);
+      await expect(upload.connect(bob).shareAccessFor(alice.address)).to.be.revertedWith(
+        "Not allowed to share these records"
+      );
+
+      await patients.connect(alice).setDelegate("100001", "100002", GUARDIAN, PERMISSION.SHARE);
+      const [grant] = await upload.connect(bob).shareAccessFor(alice.address);
+      expect(grant.user).to.equal(doctor.address);
+      expect(await upload.connect(bob).getSharedRecordsFor(alice.address, doctor.address)).to.deep.equal([0n]);
+
+      await upload.connect(bob).disallowFor(alice.address, doctor.address);
+      expect((await upload.connect(bob).shareAccessFor(alice.address))[0].access).to.equal(false);
+      expect(await upload.hasAccess(alice.address, doctor.address)).to.equal(false);
+    });
+  });
+
+  describe("Verified doctors", function () {
+    it("Should only share a patient's records with verified doctors", async function () {
+      const { upload, doctors, alice, bob, doctor } = await loadFixture(deployWithRecordFixture);
+
+      await expect(upload.connect(alice).allow(bob.address, 0, 0)).to.be.revertedWith(
+        "Records can only be shared with verified doctors"
+      );
+
+      await upload.connect(alice).allow(doctor.address, 0, 0);
+      expect(await upload.connect(doctor).display(alice.address)).to.have.lengthOf(1);
+
+      // a suspended doctor cannot be given access again
+      await upload.connect(alice).disallow(doctor.address);
+      await doctors.setVerificationStatus("200001", SUSPENDED);
+      await expect(upload.connect(alice).allow(doctor.address, 0, 0)).to.be.revertedWith(
+        "Records can only be shared with verified doctors"
+      );
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const DAY = 24 * 60 * 60;
+
+// DoctorRegistration.VerificationStatus / PatientRegistration.DelegateRole
+const VERIFIED = 1;
+const SUSPENDED = 2;
+const GUARDIAN = 1;
+
+// PharmacyRegistration.PharmacyStatus
+const PHARMACY_APPROVED = 1;
+const PHARMACY_SUSPENDED = 2;
+
+// PatientRegistration permission bits
+const PERMISSION = { BOOK: 1, UPLOAD: 2, SHARE: 4, VIEW: 8 };
+
+// The registries with an approved hospital ("City", admin = registry owner), two patients and a
+// doctor the hospital has verified. Every test starts from a snapshot of this state (loadFixture).
+async function deployRegistriesFixture() {
+  const [owner, alice, bob, doctor, stranger, newWallet] =
+    await ethers.getSigners();
+
+  const patients = await ethers.deployContract("PatientRegistration");
+  const hospitals = await ethers.deployContract("HospitalRegistry");
+  await hospitals.registerHospital("City", "1 Main St", ["Cardiology", "ER"]);
+  await hospitals.approveHospital(1);
+
+  const doctors = await ethers.deployContract("DoctorRegistration", [
+    await patients.getAddress(),
+    await hospitals.getAddress(),
+  ]);
+  const booking = await ethers.deployContract("AppointmentBooking", [
+    await patients.getAddress(),
+    await doctors.getAddress(),
+  ]);
+  const upload = await ethers.deployContract("Upload", [
+    await patients.getAddress(),
+    await doctors.getAddress(),
+  ]);
+
+  await patients
+    .connect(alice)
+    .registerPatient(alice.address, "Alice", "1990-01-01", "F", "O+", "1 Elm St", "alice@example.com", "100001");
+  await patients
+    .connect(bob)
+    .registerPatient(bob.address, "Bob", "1985-06-15", "M", "A+", "2 Oak St", "bob@example.com", "100002");
+  await doctors
+    .connect(doctor)
+    .registerDoctor(doctor.address, "Grey", "Cardiologist", "200001", "grey@example.com", 1, "Cardiology");
+  await doctors.setVerificationStatus("200001", VERIFIED);
+
+  // first whole UTC day starting tomorrow or later; the default schedule is 09:00 - 17:00 UTC
+  const day = Math.floor((await time.latest()) / DAY) * DAY + 2 * DAY;
+
+  return {
+    owner,
+    alice,
+    bob,
+    doctor,
+    stranger,
+    newWallet,
+    patients,
+    hospitals,
+    doctors,
+    booking,
+    upload,
+    day,
+  };
+}
+
+// Adds the pharmacy and prescription contracts, a pharmacy the hospital has approved and Alice's
+// appointment 0 with the doctor, checked in so it can be prescribed against. otherPharmacist is
+// left unregistered.
+async function deployPrescriptionFixture() {
+  const fixture = await deployRegistriesFixture();
+  const { hospitals, doctors, booking, alice, doctor, day } = fixture;
+  const [, , , , , , pharmacist, otherPharmacist] = await ethers.getSigners();
+
+  const pharmacies = await ethers.deployContract("PharmacyRegistration", [await hospitals.getAddress()]);
+  const prescriptions = await ethers.deployContract("Prescription", [
+    await doctors.getAddress(),
+    await booking.getAddress(),
+    await pharmacies.getAddress(),
+  ]);
+
+  await pharmacies
+    .connect(pharmacist)
+    .registerPharmacy(pharmacist.address, "Corner Pharmacy", "300001", "corner@example.com", "3 Elm St", 1);
+  await pharmacies.setPharmacyStatus("300001", PHARMACY_APPROVED);
+
+  await booking.connect(alice).bookAppointment("100001", "200001", day, day + 9 * 60 * 60, 30 * 60);
+  await booking.connect(doctor).checkIn(0);
+
+  return { ...fixture, pharmacist, otherPharmacist, pharmacies, prescriptions };
+}
+
+module.exports = {
+  DAY,
+  VERIFIED,
+  SUSPENDED,
+  GUARDIAN,
+  PERMISSION,
+  PHARMACY_APPROVED,
+  PHARMACY_SUSPENDED,
+  deployRegistriesFixture,
+  deployPrescriptionFixture,
+};